@@ -32,6 +32,9 @@ COMMANDS:
   accounts remove       Remove accounts interactively
   accounts verify       Verify account tokens are valid
   accounts clear        Remove all accounts
+  accounts rekey        Re-encrypt stored credentials (--key-file [path], --decrypt)
+  accounts export       Export accounts to a bundle file ([file], --encrypt)
+  accounts import       Import accounts from a bundle file (<file>, --replace)
 
 OPTIONS:
   --help, -h            Show this help message
@@ -39,6 +42,8 @@ OPTIONS:
 
 ENVIRONMENT:
   PORT                  Server port (default: 8080)
+  ACCOUNTS_ENCRYPTION_KEY  Passphrase for credentials in accounts.json
+  ACCOUNTS_KEY_FILE     Key file for credentials (default: ~/.config/antigravity-proxy/accounts.key)
 
 EXAMPLES:
   antigravity-claude-proxy start
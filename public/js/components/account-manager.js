@@ -11,6 +11,14 @@ window.Components.accountManager = () => ({
     toggling: false,
     deleting: false,
     reloading: false,
+    exporting: false,
+    importing: false,
+    exportPassphrase: '',
+    importBundle: null,
+    importFileName: '',
+    importMode: 'merge',
+    importPassphrase: '',
+    importResult: null,
     selectedAccountEmail: '',
     selectedAccountLimits: {},
 
@@ -176,6 +184,97 @@ window.Components.accountManager = () => ({
         }, this, 'reloading', { errorMessage: 'Failed to reload accounts' });
     },
 
+    openExportModal() {
+        this.exportPassphrase = '';
+        document.getElementById('export_accounts_modal').showModal();
+    },
+
+    async exportAccounts() {
+        if (!this.exportPassphrase) return;
+        return await window.ErrorHandler.withLoading(async () => {
+            const store = Alpine.store('global');
+
+            const { response, newPassword } = await window.utils.request('/api/accounts/export', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ passphrase: this.exportPassphrase })
+            }, store.webuiPassword);
+            if (newPassword) store.webuiPassword = newPassword;
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || store.t('exportFailed'));
+            }
+
+            // Save the bundle under the name the server suggests
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || 'antigravity-accounts.json';
+            const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            link.click();
+            URL.revokeObjectURL(url);
+
+            store.showToast(store.t('accountsExported', { count: data.accountCount }), 'success');
+            document.getElementById('export_accounts_modal').close();
+            this.exportPassphrase = '';
+        }, this, 'exporting', { errorMessage: 'Failed to export accounts' });
+    },
+
+    openImportModal() {
+        this.importBundle = null;
+        this.importFileName = '';
+        this.importMode = 'merge';
+        this.importPassphrase = '';
+        this.importResult = null;
+        document.getElementById('import_accounts_modal').showModal();
+    },
+
+    async selectImportFile(event) {
+        const store = Alpine.store('global');
+        const file = event.target.files[0];
+        this.importBundle = null;
+        this.importResult = null;
+        this.importFileName = file ? file.name : '';
+        if (!file) return;
+
+        try {
+            this.importBundle = JSON.parse(await file.text());
+        } catch (e) {
+            store.showToast(store.t('invalidImportFile'), 'error');
+        }
+    },
+
+    async importAccounts() {
+        return await window.ErrorHandler.withLoading(async () => {
+            const store = Alpine.store('global');
+
+            const { response, newPassword } = await window.utils.request('/api/accounts/import', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    bundle: this.importBundle,
+                    mode: this.importMode,
+                    passphrase: this.importPassphrase || undefined
+                })
+            }, store.webuiPassword);
+            if (newPassword) store.webuiPassword = newPassword;
+
+            const data = await response.json();
+            if (data.status === 'ok') {
+                this.importResult = data.result;
+                store.showToast(store.t('accountsImported', {
+                    added: data.result.added.length,
+                    updated: data.result.updated.length
+                }), 'success');
+                Alpine.store('data').fetchData();
+            } else {
+                throw new Error(data.error || store.t('importFailed'));
+            }
+        }, this, 'importing', { errorMessage: 'Failed to import accounts' });
+    },
+
     openQuotaModal(account) {
         this.selectedAccountEmail = account.email;
         this.selectedAccountLimits = account.limits || {};
@@ -241,5 +340,29 @@ window.Components.accountManager = () => ({
             percent: Math.round(val * 100),
             model: bestModel
         };
+    },
+
+    /**
+     * Describe an account's circuit breaker for the health column
+     * @param {Object} account - Account object with health summary
+     * @returns {Object|null} { label, tooltip, state } or null without health data
+     */
+    getCircuitInfo(account) {
+        const health = account.health;
+        if (!health) return null;
+
+        const t = (key, params) => Alpine.store('global').t(key, params);
+        const labels = { closed: 'circuitClosed', open: 'circuitOpen', 'half-open': 'circuitHalfOpen' };
+        let tooltip = t('healthDetails', {
+            score: health.score,
+            errors: Math.round(health.errorRate * 100),
+            empty: Math.round(health.emptyRate * 100),
+            latency: health.avgLatencyMs !== null ? `${(health.avgLatencyMs / 1000).toFixed(1)}s` : '-'
+        });
+        if (health.circuit === 'open' && health.openUntil) {
+            tooltip += ' · ' + t('circuitRetryIn', { seconds: Math.max(0, Math.ceil((health.openUntil - Date.now()) / 1000)) });
+        }
+
+        return { label: t(labels[health.circuit] || 'circuitClosed'), tooltip, state: health.circuit };
     }
 });
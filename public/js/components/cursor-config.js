@@ -30,6 +30,7 @@ window.Components.cursorSettings = function () {
 
         settings: {
             enable1MContext: false,
+            reasoningOutput: 'off',
             availableModels: [
                 'gemini-3-pro-high',
                 'gemini-3-pro',
@@ -93,6 +94,7 @@ window.Components.cursorSettings = function () {
 
                 if (data.status === 'ok') {
                     this.settings.enable1MContext = data.enable1MContext || false;
+                    this.settings.reasoningOutput = data.reasoningOutput || 'off';
                 }
             } catch (error) {
                 // Settings endpoint might not exist yet
@@ -6,6 +6,7 @@ window.Components = window.Components || {};
 
 window.Components.serverConfig = () => ({
     serverConfig: {},
+    selectionStrategies: [],
     loading: false,
     advancedExpanded: false,
     debounceTimers: {}, // Store debounce timers for each config field
@@ -33,6 +34,7 @@ window.Components.serverConfig = () => ({
             if (!response.ok) throw new Error('Failed to fetch config');
             const data = await response.json();
             this.serverConfig = data.config || {};
+            this.selectionStrategies = data.selectionStrategies || [];
         } catch (e) {
             console.error('Failed to fetch server config:', e);
         }
@@ -164,6 +166,37 @@ window.Components.serverConfig = () => ({
         }
     },
 
+    // Switch account selection strategy with instant save
+    async setSelectionStrategy(strategy) {
+        const store = Alpine.store('global');
+
+        // Optimistic update
+        const previousValue = this.serverConfig.accountSelectionStrategy;
+        this.serverConfig.accountSelectionStrategy = strategy;
+
+        try {
+            const { response, newPassword } = await window.utils.request('/api/config', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ accountSelectionStrategy: strategy })
+            }, store.webuiPassword);
+
+            if (newPassword) store.webuiPassword = newPassword;
+
+            const data = await response.json();
+            if (data.status === 'ok') {
+                store.showToast(store.t('selectionStrategyUpdated', { strategy }), 'success');
+                await this.fetchServerConfig(); // Confirm server state
+            } else {
+                throw new Error(data.error || store.t('failedToUpdateSelectionStrategy'));
+            }
+        } catch (e) {
+            // Rollback on error
+            this.serverConfig.accountSelectionStrategy = previousValue;
+            store.showToast(store.t('failedToUpdateSelectionStrategy') + ': ' + e.message, 'error');
+        }
+    },
+
     // Generic debounced save method for numeric configs with validation
     async saveConfigField(fieldName, value, displayName, validator = null) {
         const store = Alpine.store('global');
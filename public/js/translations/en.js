@@ -215,6 +215,33 @@ window.translations.en = {
     totalColon: "Total:",
     todayColon: "Today:",
     hour1Colon: "1H:",
+    inFlightColon: "In Flight:",
+    queuedColon: "Queued:",
+    avgWaitColon: "Avg Wait:",
+    queueWaitDetails: "Longest wait {max}s, {timeouts} timed out",
+    circuitClosed: "Closed",
+    circuitOpen: "Open",
+    circuitHalfOpen: "Half-open",
+    healthDetails: "Health {score}/100 · {errors}% errors · {empty}% empty · {latency} avg latency",
+    circuitRetryIn: "retrying in {seconds}s",
+    exportAccounts: "Export",
+    importAccounts: "Import",
+    exportAccountsDesc: "Download all accounts and their settings to move them to another machine.",
+    exportPassphrase: "Passphrase",
+    exportPassphraseHint: "The file is encrypted with this passphrase. You will need it to import the file.",
+    importPassphrase: "Passphrase",
+    importModeMerge: "Merge: add new accounts and update existing ones",
+    importModeReplace: "Replace: remove accounts that are not in the file",
+    importAdded: "Added",
+    importUpdated: "Updated",
+    importUnchanged: "Unchanged",
+    importRemoved: "Removed",
+    importSkipped: "Skipped",
+    accountsExported: "Exported {count} account(s)",
+    accountsImported: "Import done: {added} added, {updated} updated",
+    exportFailed: "Export failed",
+    importFailed: "Import failed",
+    invalidImportFile: "Not a valid export file",
     frequentModels: "Frequent",
     smartTitle: "Auto-select top 5 most used models (24h)",
     activeCount: "{count} Active",
@@ -232,6 +259,10 @@ window.translations.en = {
     retryMaxDelay: "Retry Max Delay (ms)",
     persistentSessions: "Persistent Sessions",
     persistTokenDesc: "Save OAuth sessions to disk for faster restarts",
+    selectionStrategy: "Account Selection",
+    selectionStrategyDesc: "How requests are spread across accounts",
+    selectionStrategyUpdated: "Selection strategy set to {strategy}",
+    failedToUpdateSelectionStrategy: "Failed to update selection strategy",
     rateLimiting: "Account Rate Limiting & Timeouts",
     defaultCooldown: "Default Cooldown",
     defaultCooldownDesc: "Fallback cooldown when API doesn't provide a reset time.",
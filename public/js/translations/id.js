@@ -247,6 +247,33 @@ window.translations.id = {
     totalColon: "Total:",
     todayColon: "Hari Ini:",
     hour1Colon: "1j:",
+    inFlightColon: "Berjalan:",
+    queuedColon: "Antre:",
+    avgWaitColon: "Rata Tunggu:",
+    queueWaitDetails: "Tunggu terlama {max}d, {timeouts} habis waktu",
+    circuitClosed: "Tertutup",
+    circuitOpen: "Terbuka",
+    circuitHalfOpen: "Setengah terbuka",
+    healthDetails: "Kesehatan {score}/100 · {errors}% error · {empty}% kosong · latensi rata-rata {latency}",
+    circuitRetryIn: "dicoba lagi dalam {seconds}d",
+    exportAccounts: "Ekspor",
+    importAccounts: "Impor",
+    exportAccountsDesc: "Unduh semua akun beserta pengaturannya untuk dipindahkan ke mesin lain.",
+    exportPassphrase: "Frasa sandi",
+    exportPassphraseHint: "Berkas dienkripsi dengan frasa sandi ini. Anda memerlukannya untuk mengimpor berkas.",
+    importPassphrase: "Frasa sandi",
+    importModeMerge: "Gabung: tambah akun baru dan perbarui yang sudah ada",
+    importModeReplace: "Ganti: hapus akun yang tidak ada di berkas",
+    importAdded: "Ditambahkan",
+    importUpdated: "Diperbarui",
+    importUnchanged: "Tidak berubah",
+    importRemoved: "Dihapus",
+    importSkipped: "Dilewati",
+    accountsExported: "{count} akun diekspor",
+    accountsImported: "Impor selesai: {added} ditambahkan, {updated} diperbarui",
+    exportFailed: "Ekspor gagal",
+    importFailed: "Impor gagal",
+    invalidImportFile: "Bukan berkas ekspor yang valid",
     frequentModels: "Sering Dipakai",
     smartTitle: "Otomatis pilih 5 model paling sering dipakai (24 jam)",
     activeCount: "{count} Aktif",
@@ -265,6 +292,10 @@ window.translations.id = {
     retryMaxDelay: "Jeda Maks. Retry (ms)",
     persistentSessions: "Sesi Persisten",
     persistTokenDesc: "Simpan sesi OAuth ke disk agar startup lebih cepat",
+    selectionStrategy: "Pemilihan Akun",
+    selectionStrategyDesc: "Cara permintaan dibagi ke akun-akun",
+    selectionStrategyUpdated: "Strategi pemilihan diatur ke {strategy}",
+    failedToUpdateSelectionStrategy: "Gagal memperbarui strategi pemilihan",
     rateLimiting: "Rate Limiting & Timeout Akun",
     defaultCooldown: "Cooldown Default",
     defaultCooldownDesc: "Cooldown bawaan jika API tidak memberikan waktu reset.",
@@ -194,6 +194,33 @@ window.translations.pt = {
     totalColon: "Total:",
     todayColon: "Hoje:",
     hour1Colon: "1H:",
+    inFlightColon: "Em Andamento:",
+    queuedColon: "Na Fila:",
+    avgWaitColon: "Espera Média:",
+    queueWaitDetails: "Maior espera {max}s, {timeouts} expiraram",
+    circuitClosed: "Fechado",
+    circuitOpen: "Aberto",
+    circuitHalfOpen: "Semiaberto",
+    healthDetails: "Saúde {score}/100 · {errors}% erros · {empty}% vazias · latência média {latency}",
+    circuitRetryIn: "nova tentativa em {seconds}s",
+    exportAccounts: "Exportar",
+    importAccounts: "Importar",
+    exportAccountsDesc: "Baixe todas as contas e suas configurações para movê-las para outra máquina.",
+    exportPassphrase: "Senha",
+    exportPassphraseHint: "O arquivo é criptografado com esta senha. Você precisará dela para importar o arquivo.",
+    importPassphrase: "Senha",
+    importModeMerge: "Mesclar: adiciona contas novas e atualiza as existentes",
+    importModeReplace: "Substituir: remove contas que não estão no arquivo",
+    importAdded: "Adicionadas",
+    importUpdated: "Atualizadas",
+    importUnchanged: "Sem alteração",
+    importRemoved: "Removidas",
+    importSkipped: "Ignoradas",
+    accountsExported: "{count} conta(s) exportada(s)",
+    accountsImported: "Importação concluída: {added} adicionada(s), {updated} atualizada(s)",
+    exportFailed: "Falha na exportação",
+    importFailed: "Falha na importação",
+    invalidImportFile: "Arquivo de exportação inválido",
     frequentModels: "Frequentes",
     smartTitle: "Auto-selecionar os 5 modelos mais usados (24h)",
     activeCount: "{count} Ativos",
@@ -210,6 +237,10 @@ window.translations.pt = {
     retryMaxDelay: "Atraso Máximo de Retentativa (ms)",
     persistentSessions: "Sessões Persistentes",
     persistTokenDesc: "Salvar sessões OAuth no disco para reinicializações mais rápidas",
+    selectionStrategy: "Seleção de Conta",
+    selectionStrategyDesc: "Como as requisições são distribuídas entre as contas",
+    selectionStrategyUpdated: "Estratégia de seleção definida como {strategy}",
+    failedToUpdateSelectionStrategy: "Falha ao atualizar a estratégia de seleção",
     rateLimiting: "Limitação de Taxa de Conta & Timeouts",
     defaultCooldown: "Tempo de Resfriamento Padrão",
     maxWaitThreshold: "Limiar Máximo de Espera (Sticky)",
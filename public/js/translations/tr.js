@@ -197,6 +197,33 @@ window.translations.tr = {
     totalColon: "Toplam:",
     todayColon: "Bugün:",
     hour1Colon: "1S:",
+    inFlightColon: "Devam Eden:",
+    queuedColon: "Sırada:",
+    avgWaitColon: "Ort. Bekleme:",
+    queueWaitDetails: "En uzun bekleme {max}sn, {timeouts} zaman aşımı",
+    circuitClosed: "Kapalı",
+    circuitOpen: "Açık",
+    circuitHalfOpen: "Yarı açık",
+    healthDetails: "Sağlık {score}/100 · %{errors} hata · %{empty} boş · ort. gecikme {latency}",
+    circuitRetryIn: "{seconds}sn içinde yeniden denenecek",
+    exportAccounts: "Dışa Aktar",
+    importAccounts: "İçe Aktar",
+    exportAccountsDesc: "Başka bir makineye taşımak için tüm hesapları ve ayarlarını indirin.",
+    exportPassphrase: "Parola",
+    exportPassphraseHint: "Dosya bu parolayla şifrelenir. Dosyayı içe aktarmak için bu parolaya ihtiyacınız olacak.",
+    importPassphrase: "Parola",
+    importModeMerge: "Birleştir: yeni hesapları ekle, mevcut olanları güncelle",
+    importModeReplace: "Değiştir: dosyada olmayan hesapları kaldır",
+    importAdded: "Eklendi",
+    importUpdated: "Güncellendi",
+    importUnchanged: "Değişmedi",
+    importRemoved: "Kaldırıldı",
+    importSkipped: "Atlandı",
+    accountsExported: "{count} hesap dışa aktarıldı",
+    accountsImported: "İçe aktarma tamamlandı: {added} eklendi, {updated} güncellendi",
+    exportFailed: "Dışa aktarma başarısız",
+    importFailed: "İçe aktarma başarısız",
+    invalidImportFile: "Geçerli bir dışa aktarma dosyası değil",
     frequentModels: "Sık Kullanılan",
     smartTitle: "En çok kullanılan 5 modeli otomatik seç (24s)",
     activeCount: "{count} Aktif",
@@ -214,6 +241,10 @@ window.translations.tr = {
     retryMaxDelay: "Yeniden Deneme Maksimum Gecikmesi (ms)",
     persistentSessions: "Kalıcı Oturumlar",
     persistTokenDesc: "Daha hızlı yeniden başlatmalar için OAuth oturumlarını diske kaydet",
+    selectionStrategy: "Hesap Seçimi",
+    selectionStrategyDesc: "İsteklerin hesaplara nasıl dağıtılacağı",
+    selectionStrategyUpdated: "Seçim stratejisi {strategy} olarak ayarlandı",
+    failedToUpdateSelectionStrategy: "Seçim stratejisi güncellenemedi",
     rateLimiting: "Hesap Hız Sınırlama ve Zaman Aşımları",
     defaultCooldown: "Varsayılan Soğuma Süresi",
     maxWaitThreshold: "Maksimum Bekleme Eşiği (Yapışkan)",
@@ -215,6 +215,33 @@ window.translations.zh = {
     totalColon: "总计:",
     todayColon: "今日:",
     hour1Colon: "1小时:",
+    inFlightColon: "进行中:",
+    queuedColon: "排队:",
+    avgWaitColon: "平均等待:",
+    queueWaitDetails: "最长等待 {max} 秒，{timeouts} 个超时",
+    circuitClosed: "闭合",
+    circuitOpen: "断开",
+    circuitHalfOpen: "半开",
+    healthDetails: "健康度 {score}/100 · 错误 {errors}% · 空响应 {empty}% · 平均延迟 {latency}",
+    circuitRetryIn: "{seconds} 秒后重试",
+    exportAccounts: "导出",
+    importAccounts: "导入",
+    exportAccountsDesc: "下载所有账号及其设置，以便迁移到另一台机器。",
+    exportPassphrase: "密码短语",
+    exportPassphraseHint: "文件将使用此密码短语加密，导入时需要提供。",
+    importPassphrase: "密码短语",
+    importModeMerge: "合并：添加新账号并更新已有账号",
+    importModeReplace: "替换：移除文件中没有的账号",
+    importAdded: "已添加",
+    importUpdated: "已更新",
+    importUnchanged: "未变化",
+    importRemoved: "已移除",
+    importSkipped: "已跳过",
+    accountsExported: "已导出 {count} 个账号",
+    accountsImported: "导入完成：添加 {added} 个，更新 {updated} 个",
+    exportFailed: "导出失败",
+    importFailed: "导入失败",
+    invalidImportFile: "不是有效的导出文件",
     frequentModels: "常用推荐",
     smartTitle: "自动选出过去 24 小时最常用的 5 个模型",
     activeCount: "{count} 活跃",
@@ -232,6 +259,10 @@ window.translations.zh = {
     retryMaxDelay: "重试最大延迟 (毫秒)",
     persistentSessions: "持久化登录会话",
     persistTokenDesc: "将登录会话保存到磁盘以实现快速重启",
+    selectionStrategy: "账号选择策略",
+    selectionStrategyDesc: "请求在各账号之间的分配方式",
+    selectionStrategyUpdated: "选择策略已设为 {strategy}",
+    failedToUpdateSelectionStrategy: "更新选择策略失败",
     rateLimiting: "账号限流与超时",
     defaultCooldown: "默认冷却时间",
     defaultCooldownDesc: "当 API 未提供重置时间时的备用冷却时间。",
@@ -0,0 +1,181 @@
+/**
+ * Session Affinity
+ *
+ * Pins each conversation (session ID from deriveSessionId) to one account so
+ * its prompt cache stays warm, while different conversations spread across
+ * the pool. New sessions are placed with rendezvous (highest random weight)
+ * hashing: every account gets a per-session score and the highest usable one
+ * wins, so adding or losing an account only moves the sessions that scored
+ * highest on it.
+ */
+
+import crypto from 'crypto';
+import { SESSION_AFFINITY_TTL_MS } from '../constants.js';
+import { logger } from '../utils/logger.js';
+import { getAvailableAccounts } from './rate-limits.js';
+
+/**
+ * Score an account for a session
+ * @param {string} sessionId - Session ID
+ * @param {string} email - Account email
+ * @returns {number} Stable pseudo-random score
+ */
+function scoreAccount(sessionId, email) {
+    return crypto.createHash('sha256').update(`${sessionId}\0${email}`).digest().readUInt32BE(0);
+}
+
+/**
+ * Pick the account a session hashes to
+ * @param {Array} candidates - Usable accounts
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} Highest-scoring account, or null if there are no candidates
+ */
+function hashToAccount(candidates, sessionId) {
+    let best = null;
+    let bestScore = -1;
+    for (const account of candidates) {
+        const score = scoreAccount(sessionId, account.email);
+        if (score > bestScore) {
+            best = account;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+/**
+ * Remove pins whose session has been idle for longer than the TTL
+ * @param {Map} sessions - Session ID -> { email, modelId, expiresAt }
+ * @returns {number} Number of pins removed
+ */
+export function pruneSessions(sessions) {
+    const now = Date.now();
+    let pruned = 0;
+    for (const [sessionId, pin] of sessions) {
+        if (pin.expiresAt <= now) {
+            sessions.delete(sessionId);
+            pruned++;
+        }
+    }
+    return pruned;
+}
+
+/**
+ * Pick the account for a session, pinning new sessions by consistent hashing.
+ * A pinned account is kept as long as it is among the candidates; otherwise
+ * the session is re-pinned among the candidates.
+ *
+ * @param {Array} candidates - Accounts usable for the model
+ * @param {Map} sessions - Session ID -> { email, modelId, expiresAt }
+ * @param {string} sessionId - Session ID
+ * @param {string} [modelId] - Model ID the session is using
+ * @returns {Object|null} Account to use, or null if there are no candidates
+ */
+export function pickSessionAccount(candidates, sessions, sessionId, modelId = null) {
+    const pin = sessions.get(sessionId);
+    let account = pin && pin.expiresAt > Date.now()
+        ? candidates.find(acc => acc.email === pin.email)
+        : null;
+
+    if (!account) {
+        account = hashToAccount(candidates, sessionId);
+        if (!account) return null;
+
+        if (pin) {
+            logger.info(`[AccountManager] Session ${sessionId.substring(0, 8)} moved from ${pin.email} to ${account.email}`);
+        } else {
+            pruneSessions(sessions);
+            logger.debug(`[AccountManager] Session ${sessionId.substring(0, 8)} pinned to ${account.email}`);
+        }
+    }
+
+    sessions.set(sessionId, { email: account.email, modelId, expiresAt: Date.now() + SESSION_AFFINITY_TTL_MS });
+    return account;
+}
+
+/**
+ * Find the account a session would use, without pinning or moving it
+ * @param {Array} candidates - Accounts usable for the model
+ * @param {Map} sessions - Session ID -> { email, modelId, expiresAt }
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} The pinned account if it is a candidate, else the one the session hashes to
+ */
+export function peekSessionAccount(candidates, sessions, sessionId) {
+    const pin = sessions.get(sessionId);
+    const pinned = pin && pin.expiresAt > Date.now()
+        ? candidates.find(acc => acc.email === pin.email)
+        : null;
+    return pinned || hashToAccount(candidates, sessionId);
+}
+
+/**
+ * Move a session off an account that failed (5xx or network error).
+ * The session is re-pinned to the best remaining account for its hash.
+ *
+ * @param {Array} accounts - Array of account objects
+ * @param {Map} sessions - Session ID -> { email, modelId, expiresAt }
+ * @param {string} sessionId - Session ID
+ * @param {string} [modelId] - Model ID to check rate limits for
+ * @returns {Object|null} New account, or null if no other account is available
+ */
+export function moveSession(accounts, sessions, sessionId, modelId = null) {
+    const pin = sessions.get(sessionId);
+    const candidates = getAvailableAccounts(accounts, modelId).filter(acc => acc.email !== pin?.email);
+    const account = hashToAccount(candidates, sessionId);
+    if (!account) return null;
+
+    sessions.set(sessionId, { email: account.email, modelId, expiresAt: Date.now() + SESSION_AFFINITY_TTL_MS });
+    logger.info(`[AccountManager] Session ${sessionId.substring(0, 8)} moved from ${pin?.email || 'none'} to ${account.email}`);
+    return account;
+}
+
+/**
+ * Re-pin the sessions of an account that just became unavailable.
+ * Only sessions pinned to that account (for the affected model) move;
+ * every other session keeps its account.
+ *
+ * @param {Array} accounts - Array of account objects
+ * @param {Map} sessions - Session ID -> { email, modelId, expiresAt }
+ * @param {string} email - Email of the unavailable account
+ * @param {string} [modelId] - Model the account is limited for, or null for all models
+ * @returns {number} Number of sessions moved
+ */
+export function rebalanceSessions(accounts, sessions, email, modelId = null) {
+    pruneSessions(sessions);
+
+    let moved = 0;
+    for (const [sessionId, pin] of sessions) {
+        if (pin.email !== email || (modelId && pin.modelId && pin.modelId !== modelId)) continue;
+
+        const candidates = getAvailableAccounts(accounts, pin.modelId).filter(acc => acc.email !== email);
+        const account = hashToAccount(candidates, sessionId);
+        if (account) {
+            sessions.set(sessionId, { ...pin, email: account.email });
+        } else {
+            // Nowhere to go yet - place the session again on its next request
+            sessions.delete(sessionId);
+        }
+        moved++;
+    }
+
+    if (moved > 0) {
+        logger.info(`[AccountManager] Rebalanced ${moved} session(s) away from ${email}`);
+    }
+    return moved;
+}
+
+/**
+ * Count the live sessions pinned to each account
+ * @param {Map} sessions - Session ID -> { email, modelId, expiresAt }
+ * @returns {Map<string, number>} Email -> session count
+ */
+export function countSessions(sessions) {
+    const now = Date.now();
+    const counts = new Map();
+    for (const pin of sessions.values()) {
+        if (pin.expiresAt > now) {
+            counts.set(pin.email, (counts.get(pin.email) || 0) + 1);
+        }
+    }
+    return counts;
+}
@@ -0,0 +1,208 @@
+/**
+ * Account Bundles
+ *
+ * Versioned export format for moving the account pool between machines.
+ * A bundle holds the accounts.json settings and each account's credentials
+ * and metadata (source, project, tier, weight, enabled state); runtime state
+ * such as rate limits, quota snapshots and invalid flags stays behind.
+ * With a passphrase the settings and accounts are encrypted as one document.
+ */
+
+import { MAX_ACCOUNTS } from '../constants.js';
+import { encryptWithPassphrase, decryptWithPassphrase } from './storage.js';
+
+export const BUNDLE_FORMAT = 'antigravity-proxy-accounts';
+export const BUNDLE_VERSION = 1;
+
+const ACCOUNT_FIELDS = [
+    'email',
+    'source',
+    'enabled',
+    'refreshToken',
+    'apiKey',
+    'projectId',
+    'dbPath',
+    'addedAt',
+    'weight',
+    'subscription'
+];
+
+function pickFields(account) {
+    const picked = {};
+    for (const field of ACCOUNT_FIELDS) {
+        if (account[field] !== undefined && account[field] !== null) {
+            picked[field] = account[field];
+        }
+    }
+    return picked;
+}
+
+function normalizeEmail(email) {
+    return email.trim().toLowerCase();
+}
+
+/**
+ * Get a dated file name for a new export
+ * @param {Date} [date] - Export date
+ * @returns {string} File name, e.g. antigravity-accounts-2025-01-31.json
+ */
+export function getBundleFileName(date = new Date()) {
+    return `antigravity-accounts-${date.toISOString().slice(0, 10)}.json`;
+}
+
+/**
+ * Check whether a parsed bundle needs a passphrase
+ * @param {Object} bundle - Parsed bundle
+ * @returns {boolean} True if the bundle is encrypted
+ */
+export function isEncryptedBundle(bundle) {
+    return bundle?.encrypted === true;
+}
+
+/**
+ * Build an export bundle
+ * @param {Array} accounts - Accounts with plaintext credentials (as returned by loadAccounts)
+ * @param {Object} settings - accounts.json settings
+ * @param {Object} [options]
+ * @param {string} [options.passphrase] - Encrypt the bundle with this passphrase
+ * @returns {Promise<Object>} Bundle, ready to be written as JSON
+ */
+export async function createBundle(accounts, settings = {}, { passphrase } = {}) {
+    const header = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        accountCount: accounts.length,
+        encrypted: Boolean(passphrase)
+    };
+    const payload = { settings, accounts: accounts.map(pickFields) };
+
+    if (!passphrase) {
+        return { ...header, ...payload };
+    }
+    return { ...header, ...(await encryptWithPassphrase(JSON.stringify(payload), passphrase)) };
+}
+
+/**
+ * Validate a bundle and return its contents, decrypting it if needed
+ * @param {Object} bundle - Parsed bundle
+ * @param {Object} [options]
+ * @param {string} [options.passphrase] - Passphrase for encrypted bundles
+ * @returns {Promise<{exportedAt: string|null, settings: Object, accounts: Array}>} Bundle contents
+ * @throws {Error} If the bundle is not valid
+ * @throws {AccountsEncryptionError} If the passphrase is missing or wrong
+ */
+export async function readBundle(bundle, { passphrase } = {}) {
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+        throw new Error('Not an account export bundle');
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version > BUNDLE_VERSION) {
+        throw new Error(`Unsupported bundle version ${bundle.version} (this version reads up to ${BUNDLE_VERSION})`);
+    }
+
+    let payload = bundle;
+    if (isEncryptedBundle(bundle)) {
+        const json = await decryptWithPassphrase(bundle.encryption, bundle.data, passphrase);
+        payload = JSON.parse(json);
+    }
+    if (!Array.isArray(payload.accounts)) {
+        throw new Error('Bundle has no accounts list');
+    }
+
+    return {
+        exportedAt: bundle.exportedAt || null,
+        settings: payload.settings && typeof payload.settings === 'object' ? payload.settings : {},
+        accounts: payload.accounts
+    };
+}
+
+/**
+ * Explain why an imported account cannot be used, if it cannot
+ * @param {Object} account - Account from a bundle
+ * @returns {string|null} Reason to skip it, or null if it is usable
+ */
+function getSkipReason(account) {
+    if (!account || typeof account.email !== 'string' || !account.email.trim()) return 'missing email';
+    const source = account.source || 'oauth';
+    if (source === 'oauth' && !account.refreshToken) return 'missing refresh token';
+    if (source === 'manual' && !account.apiKey) return 'missing API key';
+    if (!['oauth', 'manual', 'database'].includes(source)) return `unknown source "${source}"`;
+    return null;
+}
+
+/**
+ * Merge imported accounts into the existing ones
+ *
+ * Accounts are matched by email (case-insensitive). In merge mode, existing
+ * accounts that are not in the bundle are kept and existing settings win;
+ * in replace mode they are removed and the bundle's settings are used.
+ * Matched accounts keep their local runtime state (rate limits, last use).
+ *
+ * @param {Array} existing - Current accounts
+ * @param {Object} existingSettings - Current settings
+ * @param {{accounts: Array, settings: Object}} imported - Contents from readBundle()
+ * @param {Object} [options]
+ * @param {'merge'|'replace'} [options.mode='merge'] - Import mode
+ * @param {number} [options.maxAccounts] - Account limit
+ * @returns {{accounts: Array, settings: Object, result: Object}} New accounts and settings, and a report of
+ *   added/updated/unchanged/removed emails and skipped entries with reasons
+ */
+export function mergeImportedAccounts(existing, existingSettings, imported, { mode = 'merge', maxAccounts = MAX_ACCOUNTS } = {}) {
+    const result = { mode, added: [], updated: [], unchanged: [], removed: [], skipped: [] };
+    const existingByEmail = new Map(existing.map(acc => [normalizeEmail(acc.email), acc]));
+    const merged = new Map(mode === 'replace' ? [] : existingByEmail);
+    const seen = new Set();
+
+    for (const account of imported.accounts) {
+        const reason = getSkipReason(account);
+        if (reason) {
+            result.skipped.push({ email: account?.email || null, reason });
+            continue;
+        }
+
+        const key = normalizeEmail(account.email);
+        if (seen.has(key)) {
+            result.skipped.push({ email: account.email, reason: 'duplicate in bundle' });
+            continue;
+        }
+        seen.add(key);
+
+        const fields = pickFields({ source: 'oauth', ...account, email: account.email.trim() });
+        const current = existingByEmail.get(key);
+        if (current) {
+            const stored = pickFields(current);
+            const changed = Object.keys(fields).some(field =>
+                field !== 'email' && JSON.stringify(fields[field]) !== JSON.stringify(stored[field]));
+            merged.set(key, changed
+                ? { ...current, ...fields, email: current.email, isInvalid: false, invalidReason: null }
+                : current);
+            result[changed ? 'updated' : 'unchanged'].push(current.email);
+            continue;
+        }
+
+        if (merged.size >= maxAccounts) {
+            result.skipped.push({ email: account.email, reason: `account limit (${maxAccounts}) reached` });
+            continue;
+        }
+        merged.set(key, {
+            enabled: true,
+            addedAt: new Date().toISOString(),
+            ...fields,
+            isInvalid: false,
+            invalidReason: null,
+            modelRateLimits: {},
+            lastUsed: null
+        });
+        result.added.push(fields.email);
+    }
+
+    if (mode === 'replace') {
+        result.removed = existing.filter(acc => !merged.has(normalizeEmail(acc.email))).map(acc => acc.email);
+    }
+
+    return {
+        accounts: [...merged.values()],
+        settings: mode === 'replace' ? { ...imported.settings } : { ...imported.settings, ...existingSettings },
+        result
+    };
+}
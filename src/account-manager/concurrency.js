@@ -0,0 +1,205 @@
+/**
+ * Concurrency Limiter
+ *
+ * Caps the requests in flight on each account (and optionally on each
+ * account/model pair) so a burst of parallel calls pinned to one account
+ * does not turn into a burst of 429s. Requests over the limit wait in a
+ * per-account queue and are admitted in arrival order; a waiter whose model
+ * is at its own limit does not hold up waiters for other models behind it.
+ */
+
+import {
+    MAX_CONCURRENT_PER_ACCOUNT,
+    MAX_CONCURRENT_PER_MODEL,
+    CONCURRENCY_QUEUE_TIMEOUT_MS
+} from '../constants.js';
+import { QueueTimeoutError, RequestCancelledError } from '../errors.js';
+import { formatDuration } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+export class ConcurrencyLimiter {
+    #maxPerAccount;
+    #maxPerModel;
+    #queueTimeoutMs;
+    #inFlight = new Map(); // email -> { total, models: Map<modelId, count> }
+    #queues = new Map(); // email -> [{ modelId, enqueuedAt, resolve, reject, cleanup }]
+    #waits = { count: 0, totalMs: 0, maxMs: 0, timeouts: 0 };
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxPerAccount] - Requests in flight per account (0 = unlimited)
+     * @param {number} [options.maxPerModel] - Requests in flight per account and model (0 = unlimited)
+     * @param {number} [options.queueTimeoutMs] - How long a request may wait for a slot
+     */
+    constructor({
+        maxPerAccount = MAX_CONCURRENT_PER_ACCOUNT,
+        maxPerModel = MAX_CONCURRENT_PER_MODEL,
+        queueTimeoutMs = CONCURRENCY_QUEUE_TIMEOUT_MS
+    } = {}) {
+        this.#maxPerAccount = maxPerAccount;
+        this.#maxPerModel = maxPerModel;
+        this.#queueTimeoutMs = queueTimeoutMs;
+    }
+
+    #getInFlight(email) {
+        let entry = this.#inFlight.get(email);
+        if (!entry) {
+            entry = { total: 0, models: new Map() };
+            this.#inFlight.set(email, entry);
+        }
+        return entry;
+    }
+
+    #hasCapacity(email, modelId) {
+        const entry = this.#getInFlight(email);
+        if (this.#maxPerAccount > 0 && entry.total >= this.#maxPerAccount) return false;
+        if (this.#maxPerModel > 0 && modelId && (entry.models.get(modelId) || 0) >= this.#maxPerModel) return false;
+        return true;
+    }
+
+    #admit(email, modelId) {
+        const entry = this.#getInFlight(email);
+        entry.total++;
+        if (modelId) entry.models.set(modelId, (entry.models.get(modelId) || 0) + 1);
+
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            entry.total--;
+            if (modelId) {
+                const count = entry.models.get(modelId) - 1;
+                if (count > 0) entry.models.set(modelId, count);
+                else entry.models.delete(modelId);
+            }
+            this.#drain(email);
+        };
+    }
+
+    #drain(email) {
+        const queue = this.#queues.get(email);
+        if (!queue) return;
+
+        for (let i = 0; i < queue.length;) {
+            const waiter = queue[i];
+            if (!this.#hasCapacity(email, waiter.modelId)) {
+                // Account full: nobody behind can go either
+                if (this.#maxPerAccount > 0 && this.#getInFlight(email).total >= this.#maxPerAccount) break;
+                i++;
+                continue;
+            }
+            queue.splice(i, 1);
+            waiter.cleanup();
+
+            const waitMs = Date.now() - waiter.enqueuedAt;
+            this.#waits.count++;
+            this.#waits.totalMs += waitMs;
+            this.#waits.maxMs = Math.max(this.#waits.maxMs, waitMs);
+            waiter.resolve(this.#admit(email, waiter.modelId));
+        }
+
+        if (queue.length === 0) this.#queues.delete(email);
+    }
+
+    #remove(email, waiter) {
+        const queue = this.#queues.get(email);
+        const index = queue ? queue.indexOf(waiter) : -1;
+        if (index === -1) return false;
+        queue.splice(index, 1);
+        if (queue.length === 0) this.#queues.delete(email);
+        waiter.cleanup();
+        return true;
+    }
+
+    /**
+     * Take an in-flight slot on an account, waiting in line if it is full
+     * @param {string} email - Account email
+     * @param {string} [modelId] - Model the request is for
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Leaves the queue when the client disconnects
+     * @returns {Promise<Function>} Release function; call it once the request is done
+     * @throws {QueueTimeoutError} If no slot frees up within the queue timeout
+     * @throws {RequestCancelledError} If the signal aborts while waiting
+     */
+    acquire(email, modelId = null, { signal } = {}) {
+        if (signal?.aborted) {
+            return Promise.reject(new RequestCancelledError());
+        }
+        // Every queued request is blocked on a full account or model, so a
+        // request with room can go ahead without overtaking anyone who could run
+        if (this.#hasCapacity(email, modelId)) {
+            return Promise.resolve(this.#admit(email, modelId));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { modelId, enqueuedAt: Date.now(), resolve, reject };
+
+            const timer = setTimeout(() => {
+                if (!this.#remove(email, waiter)) return;
+                this.#waits.timeouts++;
+                const waitMs = Date.now() - waiter.enqueuedAt;
+                logger.warn(`[AccountManager] Request for ${modelId || 'any model'} gave up waiting for ${email} after ${formatDuration(waitMs)}`);
+                reject(new QueueTimeoutError(
+                    `Timed out after ${formatDuration(waitMs)} waiting for a free request slot on ${email}`,
+                    email,
+                    waitMs
+                ));
+            }, this.#queueTimeoutMs);
+
+            const onAbort = () => {
+                if (this.#remove(email, waiter)) reject(new RequestCancelledError());
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            waiter.cleanup = () => {
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', onAbort);
+            };
+
+            if (!this.#queues.has(email)) this.#queues.set(email, []);
+            this.#queues.get(email).push(waiter);
+            logger.debug(`[AccountManager] ${email} at its concurrency limit, queued request (${this.#queues.get(email).length} waiting)`);
+        });
+    }
+
+    /**
+     * Get in-flight counts, queue depths and wait times
+     * @returns {Object} Limits, totals and per-account figures
+     */
+    getStats() {
+        const now = Date.now();
+        const accounts = {};
+        let inFlight = 0;
+        let queued = 0;
+
+        for (const email of new Set([...this.#inFlight.keys(), ...this.#queues.keys()])) {
+            const entry = this.#getInFlight(email);
+            const queue = this.#queues.get(email) || [];
+            inFlight += entry.total;
+            queued += queue.length;
+            accounts[email] = {
+                inFlight: entry.total,
+                queued: queue.length,
+                oldestWaitMs: queue.length > 0 ? now - queue[0].enqueuedAt : 0,
+                models: Object.fromEntries(entry.models)
+            };
+        }
+
+        return {
+            maxPerAccount: this.#maxPerAccount,
+            maxPerModel: this.#maxPerModel,
+            queueTimeoutMs: this.#queueTimeoutMs,
+            inFlight,
+            queued,
+            waits: {
+                count: this.#waits.count,
+                avgMs: this.#waits.count > 0 ? Math.round(this.#waits.totalMs / this.#waits.count) : 0,
+                maxMs: this.#waits.maxMs,
+                timeouts: this.#waits.timeouts
+            },
+            accounts
+        };
+    }
+}
+
+export default ConcurrencyLimiter;
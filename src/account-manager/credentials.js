@@ -6,7 +6,6 @@
 
 import {
     ANTIGRAVITY_DB_PATH,
-    TOKEN_REFRESH_INTERVAL_MS,
     LOAD_CODE_ASSIST_ENDPOINTS,
     LOAD_CODE_ASSIST_HEADERS,
     DEFAULT_PROJECT_ID
@@ -16,6 +15,7 @@ import { getAuthStatus } from '../auth/database.js';
 import { logger } from '../utils/logger.js';
 import { isNetworkError } from '../utils/helpers.js';
 import { onboardUser, getDefaultTierId } from './onboarding.js';
+import { isTokenFresh } from './token-cache.js';
 
 /**
  * Get OAuth token for an account
@@ -30,18 +30,20 @@ import { onboardUser, getDefaultTierId } from './onboarding.js';
 export async function getTokenForAccount(account, tokenCache, onInvalid, onSave) {
     // Check cache first
     const cached = tokenCache.get(account.email);
-    if (cached && (Date.now() - cached.extractedAt) < TOKEN_REFRESH_INTERVAL_MS) {
+    if (isTokenFresh(cached)) {
         return cached.token;
     }
 
     // Get fresh token based on source
     let token;
+    let expiresAt = null;
 
     if (account.source === 'oauth' && account.refreshToken) {
         // OAuth account - use refresh token to get new access token
         try {
             const tokens = await refreshAccessToken(account.refreshToken);
             token = tokens.accessToken;
+            if (tokens.expiresIn) expiresAt = Date.now() + tokens.expiresIn * 1000;
             // Clear invalid flag on success
             if (account.isInvalid) {
                 account.isInvalid = false;
@@ -74,7 +76,9 @@ export async function getTokenForAccount(account, tokenCache, onInvalid, onSave)
     // Cache the token
     tokenCache.set(account.email, {
         token,
-        extractedAt: Date.now()
+        extractedAt: Date.now(),
+        expiresAt,
+        source: account.source || 'oauth'
     });
 
     return token;
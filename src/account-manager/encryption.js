@@ -0,0 +1,250 @@
+/**
+ * Accounts File Encryption
+ *
+ * AES-256-GCM encryption for the credential fields of accounts.json
+ * (refresh tokens and API keys). The key is derived with scrypt from a
+ * secret taken, in order, from:
+ *
+ *   1. a passphrase passed in by the caller (the accounts CLI prompts for one)
+ *   2. the ACCOUNTS_ENCRYPTION_KEY env var
+ *   3. the key file at ACCOUNTS_KEY_PATH, if it exists
+ *
+ * Encrypted values are stored as "enc:v1:<iv>:<tag>:<ciphertext>" (base64)
+ * and are bound to their account and field, so they cannot be swapped
+ * between accounts. Only storage.js imports this module; it re-exports
+ * the passphrase envelope used for export bundles.
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { readFile, stat, writeFile } from 'fs/promises';
+import { ACCOUNTS_KEY_PATH } from '../constants.js';
+import { AccountsEncryptionError } from '../errors.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const CREDENTIAL_FIELDS = ['refreshToken', 'apiKey'];
+
+const VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const VALUE_PREFIX = 'enc:v1:';
+const KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const CHECK_PLAINTEXT = 'antigravity-proxy';
+
+// Deriving a key takes ~100ms, so keep the last one for repeated saves
+let cachedKey = null; // { secret, salt, key }
+
+/**
+ * Read a key file, refusing files that other users can read
+ * @param {string} path - Key file path
+ * @returns {Promise<string|null>} Key file contents, or null if it does not exist
+ * @throws {AccountsEncryptionError} If the file is too permissive or empty
+ */
+async function readKeyFile(path) {
+    let info;
+    try {
+        info = await stat(path);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    // POSIX permissions are not meaningful on Windows
+    if (process.platform !== 'win32' && (info.mode & 0o077) !== 0) {
+        throw new AccountsEncryptionError(
+            `Key file ${path} is accessible by other users. Run: chmod 600 "${path}"`,
+            'key_file'
+        );
+    }
+
+    const secret = (await readFile(path, 'utf-8')).trim();
+    if (!secret) {
+        throw new AccountsEncryptionError(`Key file ${path} is empty`, 'key_file');
+    }
+    return secret;
+}
+
+/**
+ * Find the secret to encrypt credentials with
+ * @param {string} [passphrase] - Passphrase that overrides the configured sources
+ * @returns {Promise<{secret: string, source: string}|null>} Secret and where it came from, or null if none is configured
+ */
+export async function resolveSecret(passphrase) {
+    if (passphrase) {
+        return { secret: passphrase, source: 'passphrase' };
+    }
+    if (process.env.ACCOUNTS_ENCRYPTION_KEY) {
+        return { secret: process.env.ACCOUNTS_ENCRYPTION_KEY, source: 'ACCOUNTS_ENCRYPTION_KEY' };
+    }
+    const fromFile = await readKeyFile(ACCOUNTS_KEY_PATH);
+    return fromFile ? { secret: fromFile, source: ACCOUNTS_KEY_PATH } : null;
+}
+
+function scryptKey(secret, salt, params = KDF_PARAMS) {
+    const { N, r, p } = params;
+    return scrypt(secret, Buffer.from(salt, 'base64'), 32, { N, r, p, maxmem: 64 * 1024 * 1024 });
+}
+
+async function deriveKey(secret, salt) {
+    if (cachedKey && cachedKey.secret === secret && cachedKey.salt === salt) {
+        return cachedKey.key;
+    }
+    const key = await scryptKey(secret, salt);
+    cachedKey = { secret, salt, key };
+    return key;
+}
+
+function encryptValue(key, plaintext, aad) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return VALUE_PREFIX + [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join(':');
+}
+
+function decryptValue(key, value, aad) {
+    const [iv, tag, data] = value.slice(VALUE_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+function isEncryptedValue(value) {
+    return typeof value === 'string' && value.startsWith(VALUE_PREFIX);
+}
+
+/**
+ * Check whether any account still has a credential stored in plaintext
+ * @param {Array} accounts - Accounts as stored on disk
+ * @returns {boolean} True if a credential field is not encrypted
+ */
+export function hasPlaintextCredentials(accounts) {
+    return accounts.some(acc => CREDENTIAL_FIELDS.some(field => acc[field] && !isEncryptedValue(acc[field])));
+}
+
+/**
+ * Encrypt the credential fields of stored accounts
+ * @param {Array} accounts - Accounts as they will be stored on disk
+ * @param {string} secret - Secret to derive the key from
+ * @returns {Promise<{accounts: Array, encryption: Object}>} Accounts with encrypted credentials, and the file header
+ */
+export async function encryptAccounts(accounts, secret) {
+    // Keep the salt while the secret stays the same so saves do not re-derive the key
+    const salt = cachedKey?.secret === secret ? cachedKey.salt : crypto.randomBytes(16).toString('base64');
+    const key = await deriveKey(secret, salt);
+
+    const encrypted = accounts.map(acc => {
+        const copy = { ...acc };
+        for (const field of CREDENTIAL_FIELDS) {
+            if (copy[field] && !isEncryptedValue(copy[field])) {
+                copy[field] = encryptValue(key, copy[field], `${acc.email}:${field}`);
+            }
+        }
+        return copy;
+    });
+
+    return {
+        accounts: encrypted,
+        encryption: {
+            version: VERSION,
+            cipher: CIPHER,
+            kdf: { name: 'scrypt', salt, ...KDF_PARAMS },
+            check: encryptValue(key, CHECK_PLAINTEXT, 'check')
+        }
+    };
+}
+
+/**
+ * Decrypt the credential fields of stored accounts
+ * @param {Array} accounts - Accounts as stored on disk
+ * @param {Object} encryption - The file's encryption header
+ * @param {string|null} secret - Secret to derive the key from
+ * @returns {Promise<Array>} Accounts with plaintext credentials
+ * @throws {AccountsEncryptionError} If no secret is given, it is wrong, or the file is from a newer version
+ */
+export async function decryptAccounts(accounts, encryption, secret) {
+    if (encryption.version !== VERSION || encryption.cipher !== CIPHER || encryption.kdf?.name !== 'scrypt') {
+        throw new AccountsEncryptionError(
+            `Unsupported accounts file encryption (version ${encryption.version}, ${encryption.cipher})`,
+            'wrong_key'
+        );
+    }
+    if (!secret) {
+        throw new AccountsEncryptionError(
+            'Account credentials are encrypted. Set ACCOUNTS_ENCRYPTION_KEY or provide the key file ' +
+            `(${ACCOUNTS_KEY_PATH}, or accountsKeyFile in config.json).`,
+            'key_required'
+        );
+    }
+
+    const key = await deriveKey(secret, encryption.kdf.salt);
+    try {
+        decryptValue(key, encryption.check, 'check');
+        return accounts.map(acc => {
+            const copy = { ...acc };
+            for (const field of CREDENTIAL_FIELDS) {
+                if (isEncryptedValue(copy[field])) {
+                    copy[field] = decryptValue(key, copy[field], `${acc.email}:${field}`);
+                }
+            }
+            return copy;
+        });
+    } catch (error) {
+        throw new AccountsEncryptionError(
+            'Could not decrypt account credentials: wrong passphrase or key file, or the file was modified',
+            'wrong_key'
+        );
+    }
+}
+
+/**
+ * Create a key file with a random key, readable only by the current user
+ * @param {string} path - Where to write the key file (must not exist)
+ * @returns {Promise<string>} The new secret
+ */
+export async function createKeyFile(path) {
+    const secret = crypto.randomBytes(32).toString('base64');
+    await writeFile(path, secret + '\n', { mode: 0o600, flag: 'wx' });
+    return secret;
+}
+
+/**
+ * Encrypt a document with a passphrase, under its own salt
+ * @param {string} plaintext - Document to encrypt
+ * @param {string} passphrase - Passphrase to derive the key from
+ * @returns {Promise<{encryption: Object, data: string}>} Header and base64 ciphertext
+ */
+export async function encryptWithPassphrase(plaintext, passphrase) {
+    const salt = crypto.randomBytes(16).toString('base64');
+    const key = await scryptKey(passphrase, salt);
+    const [iv, tag, data] = encryptValue(key, plaintext, 'document').slice(VALUE_PREFIX.length).split(':');
+    return {
+        encryption: { cipher: CIPHER, kdf: { name: 'scrypt', salt, ...KDF_PARAMS }, iv, tag },
+        data
+    };
+}
+
+/**
+ * Decrypt a document encrypted with encryptWithPassphrase()
+ * @param {Object} encryption - Header from encryptWithPassphrase()
+ * @param {string} data - Base64 ciphertext
+ * @param {string} [passphrase] - Passphrase to derive the key from
+ * @returns {Promise<string>} Plaintext document
+ * @throws {AccountsEncryptionError} If the passphrase is missing or wrong
+ */
+export async function decryptWithPassphrase(encryption, data, passphrase) {
+    if (encryption?.cipher !== CIPHER || encryption.kdf?.name !== 'scrypt') {
+        throw new AccountsEncryptionError(`Unsupported encryption (${encryption?.cipher})`, 'wrong_key');
+    }
+    if (!passphrase) {
+        throw new AccountsEncryptionError('This file is encrypted; a passphrase is required', 'key_required');
+    }
+
+    const key = await scryptKey(passphrase, encryption.kdf.salt, encryption.kdf);
+    try {
+        return decryptValue(key, `${VALUE_PREFIX}${encryption.iv}:${encryption.tag}:${data}`, 'document');
+    } catch (error) {
+        throw new AccountsEncryptionError('Wrong passphrase, or the file was modified', 'wrong_key');
+    }
+}
@@ -0,0 +1,208 @@
+/**
+ * Account Health
+ *
+ * Keeps a rolling window of request outcomes per account and derives a
+ * 0-100 health score (error rate, empty-response rate, latency) and a
+ * circuit breaker:
+ *
+ *   closed    - normal; opens after CIRCUIT_FAILURE_THRESHOLD consecutive
+ *               failures, or when half of a window of 10+ requests failed
+ *   open      - left out of getAvailableAccounts for CIRCUIT_OPEN_MS
+ *   half-open - one probe request goes through; success closes the breaker,
+ *               failure opens it again
+ *
+ * Only upstream trouble counts as a failure (5xx, network errors, empty
+ * responses); 429s and auth errors have their own handling. State lives on
+ * account.health and is not saved, so a restart starts every account closed.
+ */
+
+import {
+    HEALTH_WINDOW_MS,
+    HEALTH_SLOW_LATENCY_MS,
+    CIRCUIT_FAILURE_THRESHOLD,
+    CIRCUIT_OPEN_MS
+} from '../constants.js';
+import { formatDuration } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+const MAX_SAMPLES = 100;
+const MIN_SAMPLES_FOR_RATE = 10;
+const FAILURE_RATE_TO_OPEN = 0.5;
+
+/**
+ * Get an account's health state, creating it on first use
+ * @param {Object} account - Account object
+ * @returns {Object} Mutable health state
+ */
+function getState(account) {
+    if (!account.health) {
+        account.health = {
+            outcomes: [], // { at, kind, latencyMs }
+            consecutiveFailures: 0,
+            circuit: 'closed',
+            openedAt: null,
+            openUntil: null,
+            probeStartedAt: null
+        };
+    }
+    return account.health;
+}
+
+function pruneOutcomes(state, now = Date.now()) {
+    const cutoff = now - HEALTH_WINDOW_MS;
+    while (state.outcomes.length > 0 && (state.outcomes[0].at < cutoff || state.outcomes.length > MAX_SAMPLES)) {
+        state.outcomes.shift();
+    }
+}
+
+function openCircuit(account, state, reason) {
+    const now = Date.now();
+    state.circuit = 'open';
+    state.openedAt = now;
+    state.openUntil = now + CIRCUIT_OPEN_MS;
+    state.probeStartedAt = null;
+    logger.warn(`[AccountManager] Circuit opened for ${account.email} (${reason}); retrying in ${formatDuration(CIRCUIT_OPEN_MS)}`);
+}
+
+/**
+ * Get the breaker state, moving open breakers whose cooldown has passed to half-open
+ * @param {Object} account - Account object
+ * @returns {'closed'|'open'|'half-open'} Breaker state
+ */
+export function getCircuitState(account) {
+    const state = getState(account);
+    if (state.circuit === 'open' && state.openUntil <= Date.now()) {
+        state.circuit = 'half-open';
+        state.probeStartedAt = null;
+    }
+    return state.circuit;
+}
+
+/**
+ * Check whether the breaker lets a request through to an account.
+ * Half-open accounts take one probe at a time; a probe that never reports
+ * back is given up on after CIRCUIT_OPEN_MS.
+ *
+ * @param {Object} account - Account object
+ * @returns {boolean} True if the account may be used
+ */
+export function isCircuitAvailable(account) {
+    const circuit = getCircuitState(account);
+    if (circuit === 'closed') return true;
+    if (circuit === 'open') return false;
+
+    const { probeStartedAt } = account.health;
+    return !probeStartedAt || Date.now() - probeStartedAt > CIRCUIT_OPEN_MS;
+}
+
+/**
+ * Note that a request was sent to a half-open account as its probe
+ * @param {Object} account - Account object
+ */
+export function startProbe(account) {
+    if (getCircuitState(account) === 'half-open') {
+        account.health.probeStartedAt = Date.now();
+        logger.info(`[AccountManager] Probing ${account.email} (circuit half-open)`);
+    }
+}
+
+/**
+ * Give up the probe slot of a half-open account whose probe request ended
+ * without a health outcome (rate limit, auth error, cancellation), so the
+ * next request can probe instead of waiting CIRCUIT_OPEN_MS.
+ * Does nothing once an outcome has closed or reopened the breaker.
+ * @param {Object} account - Account object
+ */
+export function endProbe(account) {
+    if (getCircuitState(account) === 'half-open') {
+        account.health.probeStartedAt = null;
+    }
+}
+
+/**
+ * Record the outcome of a request and update the breaker
+ * @param {Object} account - Account object
+ * @param {'success'|'server_error'|'network_error'|'empty_response'} kind - Outcome
+ * @param {number} [latencyMs] - Time until the upstream response started
+ * @returns {'opened'|'closed'|null} Breaker transition caused by this outcome, if any
+ */
+export function recordOutcome(account, kind, latencyMs = null) {
+    const state = getState(account);
+    const now = Date.now();
+    const circuit = getCircuitState(account);
+
+    state.outcomes.push({ at: now, kind, latencyMs });
+    pruneOutcomes(state, now);
+
+    if (kind === 'success') {
+        state.consecutiveFailures = 0;
+        if (circuit !== 'closed') {
+            state.circuit = 'closed';
+            state.openedAt = null;
+            state.openUntil = null;
+            state.probeStartedAt = null;
+            // Start the window over so old failures cannot reopen the breaker at once
+            state.outcomes = [state.outcomes[state.outcomes.length - 1]];
+            logger.success(`[AccountManager] Circuit closed for ${account.email} after a successful request`);
+            return 'closed';
+        }
+        return null;
+    }
+
+    state.consecutiveFailures++;
+    if (CIRCUIT_FAILURE_THRESHOLD <= 0) return null;
+
+    if (circuit === 'half-open') {
+        openCircuit(account, state, `probe failed: ${kind}`);
+        return 'opened';
+    }
+    if (circuit === 'closed') {
+        if (state.consecutiveFailures >= CIRCUIT_FAILURE_THRESHOLD) {
+            openCircuit(account, state, `${state.consecutiveFailures} consecutive failures, last: ${kind}`);
+            return 'opened';
+        }
+        const failures = state.outcomes.filter(o => o.kind !== 'success').length;
+        if (state.outcomes.length >= MIN_SAMPLES_FOR_RATE && failures / state.outcomes.length >= FAILURE_RATE_TO_OPEN) {
+            openCircuit(account, state, `${failures} of the last ${state.outcomes.length} requests failed`);
+            return 'opened';
+        }
+    }
+    return null;
+}
+
+/**
+ * Summarize an account's health for status endpoints and the WebUI
+ * @param {Object} account - Account object
+ * @returns {{score: number, circuit: string, openUntil: number|null, consecutiveFailures: number, samples: number, errorRate: number, emptyRate: number, avgLatencyMs: number|null}}
+ */
+export function getHealthSummary(account) {
+    const state = getState(account);
+    pruneOutcomes(state);
+    const circuit = getCircuitState(account);
+
+    const samples = state.outcomes.length;
+    const errors = state.outcomes.filter(o => o.kind === 'server_error' || o.kind === 'network_error').length;
+    const empty = state.outcomes.filter(o => o.kind === 'empty_response').length;
+    const latencies = state.outcomes.filter(o => typeof o.latencyMs === 'number').map(o => o.latencyMs);
+
+    const errorRate = samples > 0 ? errors / samples : 0;
+    const emptyRate = samples > 0 ? empty / samples : 0;
+    const avgLatencyMs = latencies.length > 0
+        ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length)
+        : null;
+    // Slow responses cost at most half the score
+    const latencyFactor = avgLatencyMs !== null && avgLatencyMs > HEALTH_SLOW_LATENCY_MS
+        ? Math.max(0.5, HEALTH_SLOW_LATENCY_MS / avgLatencyMs)
+        : 1;
+
+    return {
+        score: Math.round(100 * (1 - errorRate) * (1 - emptyRate) * latencyFactor),
+        circuit,
+        openUntil: circuit === 'open' ? state.openUntil : null,
+        consecutiveFailures: state.consecutiveFailures,
+        samples,
+        errorRate,
+        emptyRate,
+        avgLatencyMs
+    };
+}
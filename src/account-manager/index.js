@@ -1,11 +1,12 @@
 /**
  * Account Manager
- * Manages multiple Antigravity accounts with sticky selection,
+ * Manages multiple Antigravity accounts with per-conversation affinity,
  * automatic failover, and smart cooldown for rate-limited accounts.
  */
 
-import { ACCOUNT_CONFIG_PATH } from '../constants.js';
+import { ACCOUNT_CONFIG_PATH, QUOTA_THRESHOLD, TOKEN_CACHE_PATH } from '../constants.js';
 import { loadAccounts, loadDefaultAccount, saveAccounts } from './storage.js';
+import { loadTokenCache, saveTokenCache, deleteTokenCache } from './token-cache.js';
 import {
     isAllRateLimited as checkAllRateLimited,
     getAvailableAccounts as getAvailable,
@@ -15,7 +16,8 @@ import {
     markRateLimited as markLimited,
     markInvalid as markAccountInvalid,
     getMinWaitTimeMs as getMinWait,
-    getRateLimitInfo as getLimitInfo
+    getRateLimitInfo as getLimitInfo,
+    isBelowQuotaThreshold
 } from './rate-limits.js';
 import {
     getTokenForAccount as fetchToken,
@@ -29,8 +31,20 @@ import {
     shouldWaitForCurrentAccount as shouldWait,
     pickStickyAccount as selectSticky
 } from './selection.js';
+import {
+    moveSession as moveSessionAccount,
+    peekSessionAccount as peekSession,
+    rebalanceSessions,
+    countSessions
+} from './affinity.js';
+import { getSelectionStrategy, DEFAULT_SELECTION_STRATEGY } from './strategies.js';
+import { ConcurrencyLimiter } from './concurrency.js';
+import { recordOutcome as recordHealthOutcome, startProbe, endProbe, getHealthSummary } from './health.js';
+import { config } from '../config.js';
 import { logger } from '../utils/logger.js';
 
+export { QuotaPoller } from './quota-poller.js';
+
 export class AccountManager {
     #accounts = [];
     #currentIndex = 0;
@@ -38,12 +52,30 @@ export class AccountManager {
     #settings = {};
     #initialized = false;
 
-    // Per-account caches
-    #tokenCache = new Map(); // email -> { token, extractedAt }
+    // Per-account caches, persisted to #tokenCachePath when persistTokenCache is on
+    #tokenCache = new Map(); // email -> { token, extractedAt, expiresAt, source }
     #projectCache = new Map(); // email -> projectId
+    #tokenCachePath;
+    #tokenCacheLoaded = false;
+    #tokenCacheWrite = Promise.resolve();
+
+    // Conversation affinity
+    #sessions = new Map(); // sessionId -> { email, modelId, expiresAt }
+
+    // Selection strategy state, keyed by strategy name (e.g. round-robin position)
+    #strategyState = new Map();
+
+    // In-flight request limits and queues, shared by all request handlers
+    #limiter = new ConcurrencyLimiter();
 
-    constructor(configPath = ACCOUNT_CONFIG_PATH) {
+    /**
+     * @param {string} [configPath] - Path to accounts.json
+     * @param {Object} [options]
+     * @param {string} [options.tokenCachePath] - Where to persist the token cache
+     */
+    constructor(configPath = ACCOUNT_CONFIG_PATH, { tokenCachePath = TOKEN_CACHE_PATH } = {}) {
         this.#configPath = configPath;
+        this.#tokenCachePath = tokenCachePath;
     }
 
     /**
@@ -71,6 +103,13 @@ export class AccountManager {
         // Clear any expired rate limits
         this.clearExpiredLimits();
 
+        if (!config.persistTokenCache) {
+            // Don't leave tokens on disk after the option is turned off
+            this.saveTokenCache();
+        } else if (!this.#tokenCacheLoaded) {
+            await this.#loadTokenCache();
+        }
+
         this.#initialized = true;
     }
 
@@ -187,6 +226,130 @@ export class AccountManager {
         return { account, waitMs };
     }
 
+    /**
+     * Get the name of the active selection strategy
+     * Read from config on every call, so WebUI changes apply immediately.
+     * @returns {string} Strategy name
+     */
+    getSelectionStrategyName() {
+        const name = config.accountSelectionStrategy;
+        return getSelectionStrategy(name) ? name : DEFAULT_SELECTION_STRATEGY;
+    }
+
+    /**
+     * Get the account for a request using the configured selection strategy.
+     * With the default sticky strategy each session keeps its account (for
+     * prompt-cache continuity) while that account is usable, and new sessions
+     * are spread across accounts by consistent hashing.
+     * Accounts whose polled quota for the model is below the quota threshold
+     * are skipped while any other account is available.
+     * @param {string} sessionId - Session ID from deriveSessionId
+     * @param {string} [modelId] - Optional model ID
+     * @param {Function} [random=Math.random] - Random source for randomized strategies
+     * @returns {Object|null} Account to use, or null if none is available
+     */
+    getSessionAccount(sessionId, modelId = null, random = Math.random) {
+        clearLimits(this.#accounts);
+
+        let candidates = getAvailable(this.#accounts, modelId);
+        if (candidates.length === 0) return null;
+
+        // Steer away from nearly exhausted accounts before they return a 429
+        const withQuota = candidates.filter(acc => !isBelowQuotaThreshold(acc, modelId, QUOTA_THRESHOLD));
+        if (withQuota.length > 0) {
+            candidates = withQuota;
+        }
+
+        const name = this.getSelectionStrategyName();
+        if (!this.#strategyState.has(name)) {
+            this.#strategyState.set(name, {});
+        }
+        const account = getSelectionStrategy(name).select(candidates, {
+            accounts: this.#accounts,
+            modelId,
+            sessionId,
+            sessions: this.#sessions,
+            state: this.#strategyState.get(name),
+            random
+        });
+        if (!account) return null;
+
+        startProbe(account);
+        account.lastUsed = Date.now();
+        // Trigger save (don't await to avoid blocking)
+        this.saveToDisk();
+        return account;
+    }
+
+    /**
+     * Find an account for a side request such as token counting, without
+     * touching selection state: no session is pinned, no strategy advances,
+     * no half-open probe starts and nothing is saved.
+     * @param {string} sessionId - Session ID from deriveSessionId
+     * @param {string} [modelId] - Optional model ID
+     * @returns {Object|null} The session's account if usable, else the one it hashes to, or null
+     */
+    peekSessionAccount(sessionId, modelId = null) {
+        return peekSession(getAvailable(this.#accounts, modelId), this.#sessions, sessionId);
+    }
+
+    /**
+     * Record how a request to an account went, for its health score and circuit breaker.
+     * Sessions are moved off the account when its breaker opens.
+     * @param {string} email - Account email
+     * @param {'success'|'server_error'|'network_error'|'empty_response'} kind - Outcome
+     * @param {number} [latencyMs] - Time until the upstream response started
+     */
+    recordOutcome(email, kind, latencyMs = null) {
+        const account = this.#accounts.find(a => a.email === email);
+        if (!account) return;
+
+        if (recordHealthOutcome(account, kind, latencyMs) === 'opened') {
+            rebalanceSessions(this.#accounts, this.#sessions, email);
+        }
+    }
+
+    /**
+     * Note that a request attempt on an account has finished. If it was the
+     * half-open probe and recorded no outcome, the next request may probe.
+     * @param {string} email - Account email
+     */
+    endProbe(email) {
+        const account = this.#accounts.find(a => a.email === email);
+        if (account) endProbe(account);
+    }
+
+    /**
+     * Take an in-flight request slot on an account, queueing if it is at its limit
+     * @param {string} email - Account email
+     * @param {string} [modelId] - Model the request is for
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Leaves the queue when the client disconnects
+     * @returns {Promise<Function>} Release function to call when the request finishes
+     * @throws {QueueTimeoutError} If no slot frees up within the queue timeout
+     */
+    acquireSlot(email, modelId = null, options = {}) {
+        return this.#limiter.acquire(email, modelId, options);
+    }
+
+    /**
+     * Get in-flight counts, queue depths and wait times for all accounts
+     * @returns {Object} Concurrency limiter statistics
+     */
+    getConcurrencyStats() {
+        return this.#limiter.getStats();
+    }
+
+    /**
+     * Move a conversation to another account after a server or network error
+     * @param {string} sessionId - Session ID from deriveSessionId
+     * @param {string} [modelId] - Optional model ID
+     * @returns {Object|null} New account, or null if no other account is available
+     */
+    moveSession(sessionId, modelId = null) {
+        return moveSessionAccount(this.#accounts, this.#sessions, sessionId, modelId);
+    }
+
     /**
      * Mark an account as rate-limited
      * @param {string} email - Email of the account to mark
@@ -195,6 +358,7 @@ export class AccountManager {
      */
     markRateLimited(email, resetMs = null, modelId = null) {
         markLimited(this.#accounts, email, resetMs, modelId);
+        rebalanceSessions(this.#accounts, this.#sessions, email, modelId);
         this.saveToDisk();
     }
 
@@ -205,6 +369,7 @@ export class AccountManager {
      */
     markInvalid(email, reason = 'Unknown error') {
         markAccountInvalid(this.#accounts, email, reason);
+        rebalanceSessions(this.#accounts, this.#sessions, email);
         this.saveToDisk();
     }
 
@@ -234,12 +399,17 @@ export class AccountManager {
      * @throws {Error} If token refresh fails
      */
     async getTokenForAccount(account) {
-        return fetchToken(
+        const cached = this.#tokenCache.get(account.email);
+        const token = await fetchToken(
             account,
             this.#tokenCache,
             (email, reason) => this.markInvalid(email, reason),
             () => this.saveToDisk()
         );
+        if (config.persistTokenCache && this.#tokenCache.get(account.email) !== cached) {
+            this.saveTokenCache();
+        }
+        return token;
     }
 
     /**
@@ -249,7 +419,12 @@ export class AccountManager {
      * @returns {Promise<string>} Project ID
      */
     async getProjectForAccount(account, token) {
-        return fetchProject(account, token, this.#projectCache);
+        const wasCached = this.#projectCache.has(account.email);
+        const project = await fetchProject(account, token, this.#projectCache);
+        if (config.persistTokenCache && !wasCached) {
+            this.saveTokenCache();
+        }
+        return project;
     }
 
     /**
@@ -258,6 +433,7 @@ export class AccountManager {
      */
     clearProjectCache(email = null) {
         clearProject(this.#projectCache, email);
+        this.saveTokenCache();
     }
 
     /**
@@ -266,6 +442,47 @@ export class AccountManager {
      */
     clearTokenCache(email = null) {
         clearToken(this.#tokenCache, email);
+        this.saveTokenCache();
+    }
+
+    /**
+     * Write the token and project caches to disk, or delete the file if
+     * persistTokenCache is off. Writes are queued so the newest state wins.
+     * @returns {Promise<void>}
+     */
+    saveTokenCache() {
+        const persist = config.persistTokenCache === true;
+        this.#tokenCacheWrite = this.#tokenCacheWrite
+            .then(() => persist
+                ? saveTokenCache(this.#tokenCachePath, this.#tokenCache, this.#projectCache)
+                : deleteTokenCache(this.#tokenCachePath))
+            .catch(error => logger.warn(`[AccountManager] Failed to update token cache: ${error.message}`));
+        return this.#tokenCacheWrite;
+    }
+
+    /**
+     * Restore persisted tokens and projects for the configured accounts
+     * (entries already in memory win)
+     */
+    async #loadTokenCache() {
+        const { tokenCache, projectCache } = await loadTokenCache(this.#tokenCachePath);
+        const emails = new Set(this.#accounts.map(acc => acc.email));
+        let restored = 0;
+        for (const [email, entry] of tokenCache) {
+            if (emails.has(email) && !this.#tokenCache.has(email)) {
+                this.#tokenCache.set(email, entry);
+                restored++;
+            }
+        }
+        for (const [email, projectId] of projectCache) {
+            if (emails.has(email) && !this.#projectCache.has(email)) {
+                this.#projectCache.set(email, projectId);
+            }
+        }
+        this.#tokenCacheLoaded = true;
+        if (restored > 0) {
+            logger.info(`[AccountManager] Restored ${restored} cached token(s) from ${this.#tokenCachePath}`);
+        }
     }
 
     /**
@@ -292,6 +509,9 @@ export class AccountManager {
             );
         });
 
+        const sessionCounts = countSessions(this.#sessions);
+        const concurrency = this.#limiter.getStats().accounts;
+
         return {
             total: this.#accounts.length,
             available: available.length,
@@ -306,6 +526,10 @@ export class AccountManager {
                 modelRateLimits: a.modelRateLimits || {},
                 isInvalid: a.isInvalid || false,
                 invalidReason: a.invalidReason || null,
+                activeSessions: sessionCounts.get(a.email) || 0,
+                inFlight: concurrency[a.email]?.inFlight || 0,
+                queued: concurrency[a.email]?.queued || 0,
+                health: getHealthSummary(a),
                 lastUsed: a.lastUsed
             }))
         };
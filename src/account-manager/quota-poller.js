@@ -0,0 +1,163 @@
+/**
+ * Quota Poller
+ *
+ * Refreshes every account's per-model quota (remainingFraction, resetTime)
+ * in the background and keeps the result on the account objects
+ * (account.quota, account.subscription), where routing and the status
+ * endpoints read it. Polls are spaced by a fixed interval plus random jitter
+ * so several proxies sharing accounts do not poll in lockstep.
+ */
+
+import { QUOTA_POLL_INTERVAL_MS, QUOTA_POLL_JITTER_MS } from '../constants.js';
+import { formatDuration } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+export class QuotaPoller {
+    #accountManager;
+    #fetchQuota;
+    #intervalMs;
+    #jitterMs;
+    #random;
+    #timer = null;
+    #polling = null;
+    #lastPollAt = null;
+    #results = new Map(); // email -> { status, error, checkedAt }
+
+    /**
+     * @param {Object} options
+     * @param {import('./index.js').default} options.accountManager - The account manager instance
+     * @param {Function} options.fetchQuota - async (account, token) => { quotas, subscription? }
+     * @param {number} [options.intervalMs] - Time between polls (0 disables the timer)
+     * @param {number} [options.jitterMs] - Maximum random delay added to each interval
+     * @param {Function} [options.random=Math.random] - Random source for the jitter
+     */
+    constructor({ accountManager, fetchQuota, intervalMs = QUOTA_POLL_INTERVAL_MS, jitterMs = QUOTA_POLL_JITTER_MS, random = Math.random }) {
+        this.#accountManager = accountManager;
+        this.#fetchQuota = fetchQuota;
+        this.#intervalMs = intervalMs;
+        this.#jitterMs = jitterMs;
+        this.#random = random;
+    }
+
+    /**
+     * Poll now and then on the interval
+     */
+    start() {
+        if (this.#timer || this.#intervalMs <= 0) return;
+        logger.info(`[QuotaPoller] Polling account quotas every ${formatDuration(this.#intervalMs)}`);
+        this.#schedule(0);
+    }
+
+    /**
+     * Stop polling (an in-flight poll still completes)
+     */
+    stop() {
+        if (this.#timer) {
+            clearTimeout(this.#timer);
+            this.#timer = null;
+        }
+    }
+
+    /**
+     * Delay before the next poll
+     * @returns {number} Interval plus jitter in milliseconds
+     */
+    getNextDelayMs() {
+        return this.#intervalMs + Math.floor(this.#random() * this.#jitterMs);
+    }
+
+    #schedule(delayMs) {
+        this.#timer = setTimeout(() => {
+            this.refresh()
+                .catch(error => logger.error('[QuotaPoller] Poll failed:', error))
+                .finally(() => {
+                    if (this.#timer) this.#schedule(this.getNextDelayMs());
+                });
+        }, delayMs);
+        if (this.#timer.unref) this.#timer.unref();
+    }
+
+    /**
+     * Poll all accounts now; concurrent callers share one poll
+     * @returns {Promise<void>}
+     */
+    refresh() {
+        if (!this.#polling) {
+            this.#polling = this.#pollAll().finally(() => {
+                this.#polling = null;
+            });
+        }
+        return this.#polling;
+    }
+
+    /**
+     * Wait for the first poll, starting one if nothing has been polled yet
+     * @returns {Promise<void>}
+     */
+    async ready() {
+        if (this.#lastPollAt === null) {
+            await this.refresh();
+        }
+    }
+
+    async #pollAll() {
+        const accounts = this.#accountManager.getAllAccounts();
+        await Promise.allSettled(accounts.map(account => this.#pollAccount(account)));
+        this.#lastPollAt = Date.now();
+
+        // Accounts removed since the last poll
+        const emails = new Set(accounts.map(acc => acc.email));
+        for (const email of this.#results.keys()) {
+            if (!emails.has(email)) this.#results.delete(email);
+        }
+
+        this.#accountManager.saveToDisk().catch(err => {
+            logger.error('[QuotaPoller] Failed to save account data:', err);
+        });
+    }
+
+    async #pollAccount(account) {
+        if (account.isInvalid) {
+            this.#results.set(account.email, { status: 'invalid', error: account.invalidReason, checkedAt: Date.now() });
+            return;
+        }
+
+        try {
+            const token = await this.#accountManager.getTokenForAccount(account);
+            const { quotas, subscription } = await this.#fetchQuota(account, token);
+            if (subscription) {
+                account.subscription = { ...subscription, detectedAt: Date.now() };
+            }
+            account.quota = { models: quotas, lastChecked: Date.now() };
+            this.#results.set(account.email, { status: 'ok', error: null, checkedAt: Date.now() });
+        } catch (error) {
+            logger.warn(`[QuotaPoller] Could not fetch quota for ${account.email}: ${error.message}`);
+            this.#results.set(account.email, { status: 'error', error: error.message, checkedAt: Date.now() });
+        }
+    }
+
+    /**
+     * Get the latest quota data for every account
+     * @returns {{polledAt: number|null, accounts: Array<{email: string, status: string, error: string|null, checkedAt: number|null, subscription: Object, models: Object}>}}
+     */
+    getSnapshot() {
+        return {
+            polledAt: this.#lastPollAt,
+            accounts: this.#accountManager.getAllAccounts().map(account => {
+                const result = this.#results.get(account.email);
+                // Invalid or failing accounts keep their last known quota out of the snapshot
+                const models = result?.status === 'ok' ? account.quota?.models || {} : {};
+                return {
+                    email: account.email,
+                    status: result?.status || 'pending',
+                    error: result?.error || null,
+                    checkedAt: result?.checkedAt || null,
+                    subscription: account.subscription || { tier: 'unknown', projectId: null },
+                    models
+                };
+            })
+        };
+    }
+}
+
+export default QuotaPoller;
@@ -8,6 +8,7 @@
 import { DEFAULT_COOLDOWN_MS } from '../constants.js';
 import { formatDuration } from '../utils/helpers.js';
 import { logger } from '../utils/logger.js';
+import { isCircuitAvailable } from './health.js';
 
 /**
  * Check if all accounts are rate-limited for a specific model
@@ -31,13 +32,14 @@ export function isAllRateLimited(accounts, modelId) {
 
 /**
  * Get list of available (non-rate-limited, non-invalid) accounts for a model
+ * Accounts with an open circuit breaker are left out unless that would leave none.
  *
  * @param {Array} accounts - Array of account objects
  * @param {string} [modelId] - Model ID to filter by
  * @returns {Array} Array of available account objects
  */
 export function getAvailableAccounts(accounts, modelId = null) {
-    return accounts.filter(acc => {
+    const available = accounts.filter(acc => {
         if (acc.isInvalid) return false;
 
         // WebUI: Skip disabled accounts
@@ -52,6 +54,29 @@ export function getAvailableAccounts(accounts, modelId = null) {
 
         return true;
     });
+
+    // A flaky account is still better than no account
+    const healthy = available.filter(isCircuitAvailable);
+    return healthy.length > 0 ? healthy : available;
+}
+
+/**
+ * Check whether an account's last known quota for a model is below a threshold
+ * Quota data comes from the quota poller; missing or already-reset data never counts as low.
+ *
+ * @param {Object} account - Account object
+ * @param {string} modelId - Model ID to check
+ * @param {number} threshold - Minimum remaining fraction (0 disables the check)
+ * @returns {boolean} True if the account should be avoided for the model
+ */
+export function isBelowQuotaThreshold(account, modelId, threshold) {
+    if (!modelId || !(threshold > 0)) return false;
+
+    const quota = account.quota?.models?.[modelId];
+    if (typeof quota?.remainingFraction !== 'number') return false;
+    if (quota.resetTime && new Date(quota.resetTime).getTime() <= Date.now()) return false;
+
+    return quota.remainingFraction < threshold;
 }
 
 /**
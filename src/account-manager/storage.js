@@ -2,29 +2,143 @@
  * Account Storage
  *
  * Handles loading and saving account configuration to disk.
+ * Credential fields are encrypted at rest when a key is configured (see
+ * encryption.js); callers always see plaintext accounts. This is the only
+ * module that uses encryption.js: key files and the passphrase envelope for
+ * export bundles are exposed from here.
  */
 
-import { readFile, writeFile, mkdir, access } from 'fs/promises';
+import crypto from 'crypto';
+import { readFile, writeFile, mkdir, access, rename, unlink } from 'fs/promises';
 import { constants as fsConstants } from 'fs';
 import { dirname } from 'path';
 import { ACCOUNT_CONFIG_PATH } from '../constants.js';
+import { AccountsEncryptionError } from '../errors.js';
 import { getAuthStatus } from '../auth/database.js';
 import { logger } from '../utils/logger.js';
+import {
+    CREDENTIAL_FIELDS,
+    resolveSecret,
+    encryptAccounts,
+    decryptAccounts,
+    hasPlaintextCredentials,
+    createKeyFile
+} from './encryption.js';
+
+export { encryptWithPassphrase, decryptWithPassphrase } from './encryption.js';
+
+let tmpFileCounter = 0;
+
+// Secret from ACCOUNTS_ENCRYPTION_KEY or the key file, resolved by the last
+// loadAccounts() so saves do not read the key file again (undefined: not resolved yet)
+let configuredKeySource;
+
+// Last encrypted credentials, reused by saves while the secret and credentials stay the same
+let lastEncryption = null; // { secret, fingerprint, accounts, encryption }
+
+/**
+ * Get the secret to encrypt with
+ * @param {string} [passphrase] - Passphrase that overrides the configured key
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Resolve the configured key again
+ * @returns {Promise<{secret: string, source: string}|null>} Secret and where it came from, or null if none is configured
+ */
+async function getKeySource(passphrase, { refresh = false } = {}) {
+    if (passphrase) return resolveSecret(passphrase);
+    if (refresh || configuredKeySource === undefined) {
+        configuredKeySource = await resolveSecret();
+    }
+    return configuredKeySource;
+}
+
+/**
+ * Fingerprint the credentials of stored accounts
+ * @param {Array} accounts - Accounts with plaintext credentials
+ * @returns {string} SHA-256 of each account's email and credential fields
+ */
+function fingerprintCredentials(accounts) {
+    const credentials = accounts.map(acc => [acc.email, ...CREDENTIAL_FIELDS.map(field => acc[field] ?? null)]);
+    return crypto.createHash('sha256').update(JSON.stringify(credentials)).digest('hex');
+}
+
+/**
+ * Encrypt the credentials of stored accounts, reusing the last result if
+ * neither the secret nor any credential changed
+ * @param {Array} accounts - Accounts as they will be stored on disk
+ * @param {string} secret - Secret to derive the key from
+ * @returns {Promise<{accounts: Array, encryption: Object}>} Accounts with encrypted credentials, and the file header
+ */
+async function encryptStoredAccounts(accounts, secret) {
+    const fingerprint = fingerprintCredentials(accounts);
+    if (lastEncryption?.secret === secret && lastEncryption.fingerprint === fingerprint) {
+        return {
+            accounts: accounts.map((acc, index) => {
+                const copy = { ...acc };
+                for (const field of CREDENTIAL_FIELDS) {
+                    copy[field] = lastEncryption.accounts[index][field];
+                }
+                return copy;
+            }),
+            encryption: lastEncryption.encryption
+        };
+    }
+
+    const encrypted = await encryptAccounts(accounts, secret);
+    lastEncryption = { secret, fingerprint, ...encrypted };
+    return encrypted;
+}
+
+/**
+ * Write a JSON config file atomically, readable only by the current user
+ * (also used for the token cache)
+ * @param {string} configPath - Path to the file
+ * @param {Object} config - Data to write
+ */
+export async function writeConfigFile(configPath, config) {
+    await mkdir(dirname(configPath), { recursive: true });
+    // Write a temp file and rename it so a crash never leaves half a file behind
+    const tmpPath = `${configPath}.${process.pid}.${tmpFileCounter++}.tmp`;
+    await writeFile(tmpPath, JSON.stringify(config, null, 2), { mode: 0o600 });
+    await rename(tmpPath, configPath);
+}
 
 /**
  * Load accounts from the config file
  *
+ * Encrypted credentials are decrypted. If a key is configured and the file
+ * still has plaintext credentials, it is rewritten encrypted.
+ *
  * @param {string} configPath - Path to the config file
+ * @param {Object} [options]
+ * @param {string} [options.passphrase] - Passphrase to use instead of the configured key
  * @returns {Promise<{accounts: Array, settings: Object, activeIndex: number}>}
+ * @throws {AccountsEncryptionError} If the credentials cannot be decrypted
  */
-export async function loadAccounts(configPath = ACCOUNT_CONFIG_PATH) {
+export async function loadAccounts(configPath = ACCOUNT_CONFIG_PATH, { passphrase } = {}) {
     try {
         // Check if config file exists using async access
         await access(configPath, fsConstants.F_OK);
         const configData = await readFile(configPath, 'utf-8');
         const config = JSON.parse(configData);
 
-        const accounts = (config.accounts || []).map(acc => ({
+        const keySource = await getKeySource(passphrase, { refresh: true });
+        let storedAccounts = config.accounts || [];
+        if (config.encryption) {
+            storedAccounts = await decryptAccounts(storedAccounts, config.encryption, keySource?.secret);
+            // The file's ciphertext serves saves that do not change any credential
+            lastEncryption = {
+                secret: keySource.secret,
+                fingerprint: fingerprintCredentials(storedAccounts),
+                accounts: config.accounts,
+                encryption: config.encryption
+            };
+        } else if (keySource && hasPlaintextCredentials(storedAccounts)) {
+            const encrypted = await encryptStoredAccounts(storedAccounts, keySource.secret);
+            await writeConfigFile(configPath, { encryption: encrypted.encryption, ...config, accounts: encrypted.accounts });
+            logger.info(`[AccountManager] Encrypted account credentials in ${configPath} (key from ${keySource.source})`);
+        }
+
+        const accounts = storedAccounts.map(acc => ({
             ...acc,
             lastUsed: acc.lastUsed || null,
             enabled: acc.enabled !== false, // Default to true if not specified
@@ -49,6 +163,8 @@ export async function loadAccounts(configPath = ACCOUNT_CONFIG_PATH) {
 
         return { accounts, settings, activeIndex };
     } catch (error) {
+        // Never fall back to an empty list here: the next save would wipe the file
+        if (error instanceof AccountsEncryptionError) throw error;
         if (error.code === 'ENOENT') {
             // No config file - return empty
             // No config file - return empty to trigger onboarding
@@ -98,41 +214,73 @@ export function loadDefaultAccount(dbPath) {
 /**
  * Save account configuration to disk
  *
+ * Credentials are encrypted if a key is configured (or a passphrase given).
+ * The configured key is the one the last loadAccounts() found; unchanged
+ * credentials keep their ciphertext.
+ *
  * @param {string} configPath - Path to the config file
  * @param {Array} accounts - Array of account objects
  * @param {Object} settings - Settings object
  * @param {number} activeIndex - Current active account index
+ * @param {Object} [options]
+ * @param {string} [options.passphrase] - Passphrase to use instead of the configured key
+ * @param {boolean} [options.plaintext=false] - Store credentials unencrypted even if a key is configured
+ * @param {string} [options.newKeyFile] - Encrypt with a new random key written to this path
+ * @returns {Promise<boolean>} True if the file was written
  */
-export async function saveAccounts(configPath, accounts, settings, activeIndex) {
+export async function saveAccounts(configPath, accounts, settings, activeIndex, { passphrase, plaintext = false, newKeyFile } = {}) {
+    // A new key is written next to its path and only moved there once the
+    // accounts are saved with it, so a failed save keeps the old key
+    const pendingKeyPath = newKeyFile ? `${newKeyFile}.new` : null;
+    let keyCreated = false;
+    let written = false;
     try {
-        // Ensure directory exists
-        const dir = dirname(configPath);
-        await mkdir(dir, { recursive: true });
-
-        const config = {
-            accounts: accounts.map(acc => ({
-                email: acc.email,
-                source: acc.source,
-                enabled: acc.enabled !== false, // Persist enabled state
-                dbPath: acc.dbPath || null,
-                refreshToken: acc.source === 'oauth' ? acc.refreshToken : undefined,
-                apiKey: acc.source === 'manual' ? acc.apiKey : undefined,
-                projectId: acc.projectId || undefined,
-                addedAt: acc.addedAt || undefined,
-                isInvalid: acc.isInvalid || false,
-                invalidReason: acc.invalidReason || null,
-                modelRateLimits: acc.modelRateLimits || {},
-                lastUsed: acc.lastUsed,
-                // Persist subscription and quota data
-                subscription: acc.subscription || { tier: 'unknown', projectId: null, detectedAt: null },
-                quota: acc.quota || { models: {}, lastChecked: null }
-            })),
-            settings: settings,
-            activeIndex: activeIndex
-        };
+        const storedAccounts = accounts.map(acc => ({
+            email: acc.email,
+            source: acc.source,
+            enabled: acc.enabled !== false, // Persist enabled state
+            dbPath: acc.dbPath || null,
+            refreshToken: acc.source === 'oauth' ? acc.refreshToken : undefined,
+            apiKey: acc.source === 'manual' ? acc.apiKey : undefined,
+            projectId: acc.projectId || undefined,
+            addedAt: acc.addedAt || undefined,
+            isInvalid: acc.isInvalid || false,
+            invalidReason: acc.invalidReason || null,
+            modelRateLimits: acc.modelRateLimits || {},
+            lastUsed: acc.lastUsed,
+            weight: acc.weight ?? undefined, // Used by the weighted selection strategy
+            // Persist subscription and quota data
+            subscription: acc.subscription || { tier: 'unknown', projectId: null, detectedAt: null },
+            quota: acc.quota || { models: {}, lastChecked: null }
+        }));
+
+        let keySource = null;
+        if (pendingKeyPath) {
+            keySource = { secret: await createKeyFile(pendingKeyPath), source: newKeyFile };
+            keyCreated = true;
+        } else if (!plaintext) {
+            keySource = await getKeySource(passphrase);
+        }
+
+        let config = { accounts: storedAccounts, settings, activeIndex };
+        if (keySource) {
+            const { accounts: encrypted, encryption } = await encryptStoredAccounts(storedAccounts, keySource.secret);
+            config = { encryption, accounts: encrypted, settings, activeIndex };
+        }
 
-        await writeFile(configPath, JSON.stringify(config, null, 2));
+        await writeConfigFile(configPath, config);
+        written = true;
+        if (pendingKeyPath) {
+            await rename(pendingKeyPath, newKeyFile);
+            configuredKeySource = undefined;
+        }
+        return true;
     } catch (error) {
+        // Once the file is written the pending key is the only one that opens it
+        if (keyCreated && !written) {
+            await unlink(pendingKeyPath).catch(() => {});
+        }
         logger.error('[AccountManager] Failed to save config:', error.message);
+        return false;
     }
 }
@@ -0,0 +1,152 @@
+/**
+ * Account Selection Strategies
+ *
+ * A strategy picks the account for one request from the accounts that are
+ * usable for the model. Strategies are plain objects:
+ *
+ *   { description: string, select(candidates, context) => account|null }
+ *
+ * context carries { accounts, modelId, sessionId, sessions, state, random }:
+ * accounts is the full list in config order, sessions the session pins
+ * (see affinity.js), state a per-strategy object that persists between calls
+ * and random a [0, 1) generator (injectable for tests).
+ *
+ * The active strategy is chosen with config "accountSelectionStrategy".
+ */
+
+import { pickSessionAccount } from './affinity.js';
+
+export const DEFAULT_SELECTION_STRATEGY = 'sticky';
+
+/**
+ * Get an account's weight for the weighted strategy
+ * @param {Object} account - Account object
+ * @returns {number} Weight (accounts without a valid weight count as 1)
+ */
+function getWeight(account) {
+    const weight = Number(account.weight);
+    return Number.isFinite(weight) && weight >= 0 ? weight : 1;
+}
+
+/**
+ * Get the remaining quota fraction an account last reported for a model
+ * @param {Object} account - Account object
+ * @param {string} modelId - Model ID
+ * @returns {number|null} Fraction between 0 and 1, or null if unknown
+ */
+function getRemainingFraction(account, modelId) {
+    const fraction = account.quota?.models?.[modelId]?.remainingFraction;
+    return typeof fraction === 'number' ? fraction : null;
+}
+
+/**
+ * Pick the least recently used of several accounts (earlier in config order on ties)
+ * @param {Array} candidates - Accounts to choose from
+ * @returns {Object|null} Account
+ */
+function leastRecentlyUsed(candidates) {
+    let best = null;
+    for (const account of candidates) {
+        if (!best || (account.lastUsed || 0) < (best.lastUsed || 0)) {
+            best = account;
+        }
+    }
+    return best;
+}
+
+const strategies = new Map([
+    ['sticky', {
+        description: 'Keep each conversation on one account for prompt caching; spread new conversations by hashing',
+        select(candidates, { sessions, sessionId, modelId }) {
+            return pickSessionAccount(candidates, sessions, sessionId, modelId);
+        }
+    }],
+    ['round-robin', {
+        description: 'Rotate through the accounts in order, one request each',
+        select(candidates, { accounts, state }) {
+            const last = accounts.findIndex(acc => acc.email === state.lastEmail);
+            for (let i = 1; i <= accounts.length; i++) {
+                const account = accounts[(last + i) % accounts.length];
+                if (candidates.includes(account)) {
+                    state.lastEmail = account.email;
+                    return account;
+                }
+            }
+            return null;
+        }
+    }],
+    ['least-recently-used', {
+        description: 'Use the account that has been idle the longest',
+        select(candidates) {
+            return leastRecentlyUsed(candidates);
+        }
+    }],
+    ['weighted', {
+        description: 'Pick at random in proportion to each account\'s "weight" (default 1)',
+        select(candidates, { random }) {
+            const total = candidates.reduce((sum, acc) => sum + getWeight(acc), 0);
+            if (total === 0) {
+                return candidates[Math.floor(random() * candidates.length)] || null;
+            }
+            let point = random() * total;
+            for (const account of candidates) {
+                point -= getWeight(account);
+                if (point < 0) return account;
+            }
+            return candidates.findLast(acc => getWeight(acc) > 0) || null;
+        }
+    }],
+    ['quota-aware', {
+        description: 'Use the account with the most remaining quota for the model (from the last quota check)',
+        select(candidates, { modelId }) {
+            let bestFraction = -1;
+            let best = [];
+            for (const account of candidates) {
+                // Accounts without quota data rank below any known quota
+                const fraction = getRemainingFraction(account, modelId) ?? -0.5;
+                if (fraction > bestFraction) {
+                    bestFraction = fraction;
+                    best = [account];
+                } else if (fraction === bestFraction) {
+                    best.push(account);
+                }
+            }
+            return leastRecentlyUsed(best);
+        }
+    }],
+    ['random', {
+        description: 'Pick an account uniformly at random',
+        select(candidates, { random }) {
+            return candidates[Math.floor(random() * candidates.length)] || null;
+        }
+    }]
+]);
+
+/**
+ * Register (or replace) a selection strategy
+ * @param {string} name - Strategy name used in config
+ * @param {{description: string, select: Function}} strategy - Strategy implementation
+ */
+export function registerSelectionStrategy(name, strategy) {
+    if (typeof strategy?.select !== 'function') {
+        throw new TypeError(`Selection strategy '${name}' must have a select function`);
+    }
+    strategies.set(name, strategy);
+}
+
+/**
+ * Get a selection strategy by name
+ * @param {string} name - Strategy name
+ * @returns {{description: string, select: Function}|null} Strategy, or null if unknown
+ */
+export function getSelectionStrategy(name) {
+    return strategies.get(name) || null;
+}
+
+/**
+ * List the registered strategies
+ * @returns {Array<{name: string, description: string}>} Strategy names and descriptions
+ */
+export function listSelectionStrategies() {
+    return [...strategies].map(([name, { description }]) => ({ name, description: description || '' }));
+}
@@ -0,0 +1,103 @@
+/**
+ * Token Cache Persistence
+ *
+ * Saves OAuth access tokens and discovered project IDs to TOKEN_CACHE_PATH
+ * when persistTokenCache is on, so a restart does not refresh every token
+ * and rediscover every project. Only OAuth access tokens are written: they
+ * are short-lived, while manual API keys and database tokens are long-lived
+ * credentials that stay in accounts.json (encrypted when a key is set).
+ *
+ * A cached token is used while it is younger than TOKEN_REFRESH_INTERVAL_MS
+ * and more than a minute away from its OAuth expiry; stale entries are
+ * dropped on load and save.
+ */
+
+import { readFile, unlink } from 'fs/promises';
+import { TOKEN_REFRESH_INTERVAL_MS } from '../constants.js';
+import { logger } from '../utils/logger.js';
+import { writeConfigFile } from './storage.js';
+
+const VERSION = 1;
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * Check whether a token cache entry can still be used
+ * @param {{extractedAt: number, expiresAt?: number|null}} entry - Token cache entry
+ * @param {number} [now] - Current time
+ * @returns {boolean} True if the token is within the refresh interval and not about to expire
+ */
+export function isTokenFresh(entry, now = Date.now()) {
+    if (!entry || now - entry.extractedAt >= TOKEN_REFRESH_INTERVAL_MS) return false;
+    return !entry.expiresAt || entry.expiresAt - EXPIRY_MARGIN_MS > now;
+}
+
+/**
+ * Load the persisted token and project caches
+ * @param {string} path - Token cache file path
+ * @returns {Promise<{tokenCache: Map, projectCache: Map}>} Caches with fresh tokens only (empty if the file is missing or unreadable)
+ */
+export async function loadTokenCache(path) {
+    const tokenCache = new Map();
+    const projectCache = new Map();
+
+    let data;
+    try {
+        data = JSON.parse(await readFile(path, 'utf-8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`[AccountManager] Ignoring unreadable token cache ${path}: ${error.message}`);
+        }
+        return { tokenCache, projectCache };
+    }
+    if (data?.version !== VERSION) {
+        return { tokenCache, projectCache };
+    }
+
+    for (const [email, entry] of Object.entries(data.tokens || {})) {
+        if (typeof entry?.token === 'string' && isTokenFresh(entry)) {
+            tokenCache.set(email, { ...entry, source: 'oauth' });
+        }
+    }
+    for (const [email, projectId] of Object.entries(data.projects || {})) {
+        if (typeof projectId === 'string') projectCache.set(email, projectId);
+    }
+
+    return { tokenCache, projectCache };
+}
+
+/**
+ * Save the token and project caches atomically
+ * @param {string} path - Token cache file path
+ * @param {Map} tokenCache - Token cache map (email -> { token, extractedAt, expiresAt, source })
+ * @param {Map} projectCache - Project cache map (email -> projectId)
+ * @returns {Promise<void>}
+ */
+export async function saveTokenCache(path, tokenCache, projectCache) {
+    const now = Date.now();
+    const tokens = {};
+    for (const [email, { token, extractedAt, expiresAt, source }] of tokenCache) {
+        if (source === 'oauth' && isTokenFresh({ extractedAt, expiresAt }, now)) {
+            tokens[email] = { token, extractedAt, expiresAt: expiresAt || null };
+        }
+    }
+
+    await writeConfigFile(path, {
+        version: VERSION,
+        savedAt: new Date(now).toISOString(),
+        tokens,
+        projects: Object.fromEntries(projectCache)
+    });
+}
+
+/**
+ * Delete the persisted token cache, if there is one
+ * @param {string} path - Token cache file path
+ * @returns {Promise<void>}
+ */
+export async function deleteTokenCache(path) {
+    try {
+        await unlink(path);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+}
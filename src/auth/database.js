@@ -29,7 +29,7 @@ let moduleLoadError = null;
  * @returns {Function} The Database constructor
  * @throws {Error} If module cannot be loaded even after rebuild
  */
-function loadDatabaseModule() {
+export function loadDatabaseModule() {
     // Return cached module if already loaded
     if (Database) return Database;
 
@@ -164,6 +164,7 @@ export function isDatabaseAccessible(dbPath = ANTIGRAVITY_DB_PATH) {
 }
 
 export default {
+    loadDatabaseModule,
     getAuthStatus,
     isDatabaseAccessible
 };
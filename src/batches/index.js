@@ -0,0 +1,78 @@
+/**
+ * Message Batches
+ *
+ * Local job queue behind /v1/messages/batches: a SQLite store plus a
+ * background worker that drains requests through sendMessage.
+ */
+
+import { BATCH_MAX_REQUESTS } from '../constants.js';
+import { BatchStore } from './store.js';
+import { BatchWorker } from './worker.js';
+import { validateAnthropicRequest } from '../format/request-validator.js';
+
+export { BatchStore, BatchWorker };
+
+const CUSTOM_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Validate the requests array of a batch create call
+ * @param {Array} requests - requests field from the request body
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateBatchRequests(requests) {
+    if (!Array.isArray(requests) || requests.length === 0) {
+        return 'requests is required and must be a non-empty array';
+    }
+    if (requests.length > BATCH_MAX_REQUESTS) {
+        return `requests must contain at most ${BATCH_MAX_REQUESTS} items`;
+    }
+
+    const seen = new Set();
+    for (let i = 0; i < requests.length; i++) {
+        const request = requests[i];
+        if (!request || typeof request.custom_id !== 'string' || !CUSTOM_ID_PATTERN.test(request.custom_id)) {
+            return `requests.${i}.custom_id must be 1-64 characters of letters, digits, '_' or '-'`;
+        }
+        if (seen.has(request.custom_id)) {
+            return `requests.${i}.custom_id '${request.custom_id}' is duplicated`;
+        }
+        seen.add(request.custom_id);
+
+        const params = request.params;
+        if (!params || typeof params !== 'object') {
+            return `requests.${i}.params is required`;
+        }
+        const paramsError = validateAnthropicRequest(params, `requests.${i}.params`);
+        if (paramsError) {
+            return paramsError;
+        }
+        if (params.stream) {
+            return `requests.${i}.params.stream is not supported in batches`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Open the batch store and start its worker
+ *
+ * @param {Object} options
+ * @param {string} options.dbPath - SQLite database path
+ * @param {import('../account-manager/index.js').default} options.accountManager - The account manager instance
+ * @param {Function} options.sendMessage - sendMessage(request, accountManager, fallbackEnabled)
+ * @param {boolean} [options.fallbackEnabled=false] - Whether to use model fallback
+ * @returns {{store: BatchStore, worker: BatchWorker}} The running queue
+ */
+export function startBatchQueue({ dbPath, accountManager, sendMessage, fallbackEnabled = false }) {
+    const store = new BatchStore(dbPath);
+    const worker = new BatchWorker({ store, accountManager, sendMessage, fallbackEnabled });
+    worker.start();
+    return { store, worker };
+}
+
+export default {
+    BatchStore,
+    BatchWorker,
+    validateBatchRequests,
+    startBatchQueue
+};
@@ -0,0 +1,294 @@
+/**
+ * Batch Store
+ *
+ * SQLite persistence for the Message Batches API. Batches and their
+ * individual requests survive restarts; the worker picks up where it left off.
+ *
+ * Request status lifecycle:
+ *   pending -> running -> succeeded | errored
+ *   pending -> canceled (batch canceled) | expired (batch expired)
+ */
+
+import crypto from 'crypto';
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { BATCH_EXPIRY_MS } from '../constants.js';
+import { loadDatabaseModule } from '../auth/database.js';
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS batches (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        processing_status TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        ended_at TEXT,
+        cancel_initiated_at TEXT
+    );
+    CREATE TABLE IF NOT EXISTS batch_requests (
+        batch_id TEXT NOT NULL,
+        custom_id TEXT NOT NULL,
+        idx INTEGER NOT NULL,
+        params TEXT NOT NULL,
+        status TEXT NOT NULL,
+        result TEXT,
+        PRIMARY KEY (batch_id, custom_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_batch_requests_status ON batch_requests (status, batch_id, idx);
+`;
+
+/**
+ * Generate a batch ID in the Anthropic format
+ * @returns {string} Batch ID
+ */
+function generateBatchId() {
+    return `msgbatch_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+export class BatchStore {
+    #db;
+
+    /**
+     * @param {string} dbPath - SQLite database path (':memory:' for tests)
+     */
+    constructor(dbPath) {
+        const Database = loadDatabaseModule();
+        if (dbPath !== ':memory:') {
+            mkdirSync(dirname(dbPath), { recursive: true });
+        }
+        this.#db = new Database(dbPath);
+        this.#db.pragma('journal_mode = WAL');
+        this.#db.exec(SCHEMA);
+    }
+
+    /**
+     * Create a batch with its requests
+     * @param {Array<{custom_id: string, params: Object}>} requests - Batch requests
+     * @returns {Object} Message batch object
+     */
+    createBatch(requests) {
+        const id = generateBatchId();
+        const now = new Date();
+        const insertBatch = this.#db.prepare(
+            'INSERT INTO batches (id, processing_status, created_at, expires_at) VALUES (?, ?, ?, ?)'
+        );
+        const insertRequest = this.#db.prepare(
+            'INSERT INTO batch_requests (batch_id, custom_id, idx, params, status) VALUES (?, ?, ?, ?, ?)'
+        );
+
+        this.#db.transaction(() => {
+            insertBatch.run(id, 'in_progress', now.toISOString(), new Date(now.getTime() + BATCH_EXPIRY_MS).toISOString());
+            requests.forEach((request, idx) => {
+                insertRequest.run(id, request.custom_id, idx, JSON.stringify(request.params), 'pending');
+            });
+        })();
+
+        return this.getBatch(id);
+    }
+
+    /**
+     * Get a batch in Message Batches API format
+     * @param {string} id - Batch ID
+     * @returns {Object|null} Message batch object or null if not found
+     */
+    getBatch(id) {
+        const row = this.#db.prepare('SELECT * FROM batches WHERE id = ?').get(id);
+        return row ? this.#formatBatch(row) : null;
+    }
+
+    /**
+     * List batches, most recent first
+     * @param {Object} [options]
+     * @param {number} [options.limit=20] - Page size (1-1000)
+     * @param {string} [options.beforeId] - Return the page before (newer than) this batch
+     * @param {string} [options.afterId] - Return the page after (older than) this batch
+     * @returns {{data: Array<Object>, has_more: boolean, first_id: string|null, last_id: string|null}}
+     */
+    listBatches({ limit = 20, beforeId = null, afterId = null } = {}) {
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 1000);
+        const seqOf = (id) => this.#db.prepare('SELECT seq FROM batches WHERE id = ?').get(id)?.seq;
+
+        let rows;
+        if (beforeId) {
+            rows = this.#db.prepare('SELECT * FROM batches WHERE seq > ? ORDER BY seq ASC LIMIT ?')
+                .all(seqOf(beforeId) ?? 0, pageSize + 1);
+            const hasMore = rows.length > pageSize;
+            rows = rows.slice(0, pageSize).reverse();
+            return this.#formatPage(rows, hasMore);
+        }
+
+        rows = afterId
+            ? this.#db.prepare('SELECT * FROM batches WHERE seq < ? ORDER BY seq DESC LIMIT ?').all(seqOf(afterId) ?? 0, pageSize + 1)
+            : this.#db.prepare('SELECT * FROM batches ORDER BY seq DESC LIMIT ?').all(pageSize + 1);
+        return this.#formatPage(rows.slice(0, pageSize), rows.length > pageSize);
+    }
+
+    /**
+     * Cancel a batch: pending requests are canceled, running ones finish
+     * @param {string} id - Batch ID
+     * @returns {Object|null} Updated message batch or null if not found
+     */
+    cancelBatch(id) {
+        const row = this.#db.prepare('SELECT * FROM batches WHERE id = ?').get(id);
+        if (!row) return null;
+        if (row.processing_status !== 'in_progress') return this.#formatBatch(row);
+
+        this.#db.transaction(() => {
+            this.#db.prepare("UPDATE batches SET processing_status = 'canceling', cancel_initiated_at = ? WHERE id = ?")
+                .run(new Date().toISOString(), id);
+            this.#db.prepare("UPDATE batch_requests SET status = 'canceled' WHERE batch_id = ? AND status = 'pending'")
+                .run(id);
+        })();
+        this.endBatchIfDone(id);
+
+        return this.getBatch(id);
+    }
+
+    /**
+     * Delete an ended batch and its results
+     * @param {string} id - Batch ID
+     * @returns {'deleted'|'not_found'|'in_progress'} Outcome
+     */
+    deleteBatch(id) {
+        const row = this.#db.prepare('SELECT processing_status FROM batches WHERE id = ?').get(id);
+        if (!row) return 'not_found';
+        if (row.processing_status !== 'ended') return 'in_progress';
+
+        this.#db.transaction(() => {
+            this.#db.prepare('DELETE FROM batch_requests WHERE batch_id = ?').run(id);
+            this.#db.prepare('DELETE FROM batches WHERE id = ?').run(id);
+        })();
+        return 'deleted';
+    }
+
+    /**
+     * Get batch results in request order
+     * @param {string} id - Batch ID
+     * @returns {Array<{custom_id: string, result: Object}>} Results
+     */
+    getResults(id) {
+        return this.#db.prepare('SELECT custom_id, status, result FROM batch_requests WHERE batch_id = ? ORDER BY idx')
+            .all(id)
+            .map(row => ({
+                custom_id: row.custom_id,
+                result: row.result ? JSON.parse(row.result) : { type: row.status }
+            }));
+    }
+
+    /**
+     * Get the oldest pending request of an in-progress batch
+     * @param {Object} [options]
+     * @param {Array<string>} [options.excludeModels] - Skip requests for these models
+     * @returns {{batchId: string, customId: string, params: Object}|null} Next request or null
+     */
+    nextPendingRequest({ excludeModels = [] } = {}) {
+        const modelFilter = excludeModels.length > 0
+            ? `AND json_extract(r.params, '$.model') NOT IN (${excludeModels.map(() => '?').join(', ')})`
+            : '';
+        const row = this.#db.prepare(`
+            SELECT r.batch_id, r.custom_id, r.params
+            FROM batch_requests r JOIN batches b ON b.id = r.batch_id
+            WHERE r.status = 'pending' AND b.processing_status = 'in_progress' ${modelFilter}
+            ORDER BY b.seq, r.idx
+            LIMIT 1
+        `).get(...excludeModels);
+        return row ? { batchId: row.batch_id, customId: row.custom_id, params: JSON.parse(row.params) } : null;
+    }
+
+    /**
+     * Update a request's status (and optionally its result)
+     * @param {string} batchId - Batch ID
+     * @param {string} customId - Request custom_id
+     * @param {string} status - New status
+     * @param {Object} [result] - Result object for succeeded/errored requests
+     */
+    setRequestStatus(batchId, customId, status, result = null) {
+        this.#db.prepare('UPDATE batch_requests SET status = ?, result = ? WHERE batch_id = ? AND custom_id = ?')
+            .run(status, result ? JSON.stringify(result) : null, batchId, customId);
+    }
+
+    /**
+     * Mark a batch ended once no requests are pending or running
+     * @param {string} id - Batch ID
+     * @returns {boolean} True if the batch is now ended
+     */
+    endBatchIfDone(id) {
+        const open = this.#db.prepare(
+            "SELECT COUNT(*) AS n FROM batch_requests WHERE batch_id = ? AND status IN ('pending', 'running')"
+        ).get(id).n;
+        if (open > 0) return false;
+
+        this.#db.prepare("UPDATE batches SET processing_status = 'ended', ended_at = COALESCE(ended_at, ?) WHERE id = ?")
+            .run(new Date().toISOString(), id);
+        return true;
+    }
+
+    /**
+     * Expire pending requests of batches past their expires_at
+     * @returns {number} Number of batches expired
+     */
+    expireBatches() {
+        const now = new Date().toISOString();
+        const expired = this.#db.prepare(
+            "SELECT id FROM batches WHERE processing_status = 'in_progress' AND expires_at <= ?"
+        ).all(now);
+
+        for (const { id } of expired) {
+            this.#db.prepare("UPDATE batch_requests SET status = 'expired' WHERE batch_id = ? AND status = 'pending'").run(id);
+            this.endBatchIfDone(id);
+        }
+        return expired.length;
+    }
+
+    /**
+     * Return requests left running by a previous process to the queue
+     * @returns {number} Number of requests requeued
+     */
+    requeueRunning() {
+        return this.#db.prepare("UPDATE batch_requests SET status = 'pending' WHERE status = 'running'").run().changes;
+    }
+
+    /**
+     * Close the database
+     */
+    close() {
+        this.#db.close();
+    }
+
+    #formatPage(rows, hasMore) {
+        const data = rows.map(row => this.#formatBatch(row));
+        return {
+            data,
+            has_more: hasMore,
+            first_id: data[0]?.id || null,
+            last_id: data[data.length - 1]?.id || null
+        };
+    }
+
+    #formatBatch(row) {
+        const counts = { processing: 0, succeeded: 0, errored: 0, canceled: 0, expired: 0 };
+        const rows = this.#db.prepare('SELECT status, COUNT(*) AS n FROM batch_requests WHERE batch_id = ? GROUP BY status').all(row.id);
+        for (const { status, n } of rows) {
+            if (status === 'pending' || status === 'running') {
+                counts.processing += n;
+            } else {
+                counts[status] = n;
+            }
+        }
+
+        return {
+            id: row.id,
+            type: 'message_batch',
+            processing_status: row.processing_status,
+            request_counts: counts,
+            ended_at: row.ended_at,
+            created_at: row.created_at,
+            expires_at: row.expires_at,
+            archived_at: null,
+            cancel_initiated_at: row.cancel_initiated_at,
+            results_url: row.processing_status === 'ended' ? `/v1/messages/batches/${row.id}/results` : null
+        };
+    }
+}
+
+export default BatchStore;
@@ -0,0 +1,187 @@
+/**
+ * Batch Worker
+ *
+ * Drains pending batch requests one at a time through sendMessage.
+ * When every account is rate-limited for a request's model, the worker
+ * skips that model's requests and carries on with other models; once only
+ * rate-limited models are left, it pauses until the earliest reset instead
+ * of failing the requests, then resumes automatically.
+ */
+
+import { BATCH_PAUSE_MAX_MS, DEFAULT_COOLDOWN_MS } from '../constants.js';
+import { isRateLimitError, isAuthError } from '../errors.js';
+import { formatDuration } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Map an error to an Anthropic error type for batch results
+ * @param {Error} error - Error thrown by sendMessage
+ * @returns {string} Anthropic error type
+ */
+function getErrorType(error) {
+    if (isAuthError(error)) return 'authentication_error';
+    const msg = error.message || '';
+    if (msg.includes('invalid_request_error') || msg.includes('INVALID_ARGUMENT') || msg.includes('API error 400')) {
+        return 'invalid_request_error';
+    }
+    return 'api_error';
+}
+
+export class BatchWorker {
+    #store;
+    #accountManager;
+    #sendMessage;
+    #fallbackEnabled;
+    #timer = null;
+    #busy = false;
+    #stopped = true;
+
+    /**
+     * @param {Object} options
+     * @param {import('./store.js').BatchStore} options.store - Batch store
+     * @param {import('../account-manager/index.js').default} options.accountManager - The account manager instance
+     * @param {Function} options.sendMessage - sendMessage(request, accountManager, fallbackEnabled)
+     * @param {boolean} [options.fallbackEnabled=false] - Whether to use model fallback
+     */
+    constructor({ store, accountManager, sendMessage, fallbackEnabled = false }) {
+        this.#store = store;
+        this.#accountManager = accountManager;
+        this.#sendMessage = sendMessage;
+        this.#fallbackEnabled = fallbackEnabled;
+    }
+
+    /**
+     * Start draining; requests left running by a previous process are requeued
+     */
+    start() {
+        if (!this.#stopped) return;
+        this.#stopped = false;
+        const requeued = this.#store.requeueRunning();
+        if (requeued > 0) {
+            logger.info(`[Batches] Requeued ${requeued} interrupted request(s)`);
+        }
+        this.#schedule(0);
+    }
+
+    /**
+     * Stop the worker after the current request finishes
+     */
+    stop() {
+        this.#stopped = true;
+        if (this.#timer) {
+            clearTimeout(this.#timer);
+            this.#timer = null;
+        }
+    }
+
+    /**
+     * Wake the worker (e.g. after a new batch is created)
+     */
+    wake() {
+        if (this.#stopped) return;
+        this.#schedule(0);
+    }
+
+    /**
+     * Process pending requests until the queue is empty or the worker pauses
+     * Exposed for tests; normally driven by the internal timer.
+     * @returns {Promise<void>}
+     */
+    async drain() {
+        if (this.#busy) return;
+        this.#busy = true;
+        // Rate-limited models for this pass: model -> wait in ms
+        const blocked = new Map();
+        try {
+            while (!this.#stopped) {
+                const delayMs = await this.#processNext(blocked);
+                if (delayMs === null) return; // Queue empty - sleep until woken
+                if (delayMs > 0) {
+                    this.#schedule(delayMs);
+                    return;
+                }
+            }
+        } finally {
+            this.#busy = false;
+        }
+    }
+
+    #schedule(delayMs) {
+        if (this.#stopped) return;
+        if (this.#timer) clearTimeout(this.#timer);
+        this.#timer = setTimeout(() => {
+            this.#timer = null;
+            this.drain().catch(error => logger.error('[Batches] Worker error:', error));
+        }, delayMs);
+        if (this.#timer.unref) this.#timer.unref();
+    }
+
+    /**
+     * Find the oldest pending request whose model is not rate-limited
+     * @param {Map<string, number>} blocked - Rate-limited models (model -> wait in ms), updated in place
+     * @returns {{batchId: string, customId: string, params: Object}|null} Next runnable request, or null
+     */
+    #nextRunnable(blocked) {
+        this.#accountManager.clearExpiredLimits();
+        for (;;) {
+            const next = this.#store.nextPendingRequest({ excludeModels: [...blocked.keys()] });
+            if (!next) return null;
+
+            const model = next.params.model;
+            if (!this.#accountManager.isAllRateLimited(model)) return next;
+
+            const waitMs = Math.min(Math.max(this.#accountManager.getMinWaitTimeMs(model), 1000), BATCH_PAUSE_MAX_MS);
+            logger.info(`[Batches] All accounts rate-limited for ${model}, skipping its requests for ${formatDuration(waitMs)}`);
+            blocked.set(model, waitMs);
+        }
+    }
+
+    /**
+     * Process a single request
+     * @param {Map<string, number>} blocked - Rate-limited models for this pass (model -> wait in ms)
+     * @returns {Promise<number|null>} Delay before the next one (0 = immediately, null = queue empty)
+     */
+    async #processNext(blocked) {
+        this.#store.expireBatches();
+
+        const next = this.#nextRunnable(blocked);
+        if (!next) {
+            if (blocked.size === 0) return null;
+            // Only rate-limited models are left - sleep until the earliest reset
+            return Math.min(...blocked.values());
+        }
+
+        const { batchId, customId, params } = next;
+        const model = params.model;
+
+        this.#store.setRequestStatus(batchId, customId, 'running');
+        logger.debug(`[Batches] Processing ${batchId}/${customId} (${model})`);
+
+        try {
+            const message = await this.#sendMessage({ ...params, stream: false }, this.#accountManager, this.#fallbackEnabled);
+            this.#store.setRequestStatus(batchId, customId, 'succeeded', { type: 'succeeded', message });
+        } catch (error) {
+            if (isRateLimitError(error)) {
+                // Not the request's fault - put it back and wait for quotas to reset
+                this.#store.setRequestStatus(batchId, customId, 'pending');
+                const waitMs = Math.max(Math.min(this.#accountManager.getMinWaitTimeMs(model) || DEFAULT_COOLDOWN_MS, BATCH_PAUSE_MAX_MS), 1000);
+                logger.warn(`[Batches] Rate limited on ${model}, skipping its requests for ${formatDuration(waitMs)}`);
+                blocked.set(model, waitMs);
+                return 0;
+            }
+
+            logger.warn(`[Batches] Request ${batchId}/${customId} failed: ${error.message}`);
+            this.#store.setRequestStatus(batchId, customId, 'errored', {
+                type: 'errored',
+                error: { type: 'error', error: { type: getErrorType(error), message: error.message } }
+            });
+        }
+
+        if (this.#store.endBatchIfDone(batchId)) {
+            logger.info(`[Batches] Batch ${batchId} ended`);
+        }
+        return 0;
+    }
+}
+
+export default BatchWorker;
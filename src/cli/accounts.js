@@ -11,15 +11,29 @@
  *   node src/cli/accounts.js add      # Add new account(s)
  *   node src/cli/accounts.js list     # List all accounts
  *   node src/cli/accounts.js clear    # Remove all accounts
+ *   node src/cli/accounts.js rekey    # Re-encrypt stored credentials
+ *   node src/cli/accounts.js export   # Export accounts to a bundle file
+ *   node src/cli/accounts.js import   # Import accounts from a bundle file
  */
 
 import { createInterface } from 'readline/promises';
 import { stdin, stdout } from 'process';
-import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
-import { dirname } from 'path';
+import { Writable } from 'stream';
+import { existsSync } from 'fs';
+import { readFile, writeFile } from 'fs/promises';
+import { resolve } from 'path';
 import { exec } from 'child_process';
 import net from 'net';
-import { ACCOUNT_CONFIG_PATH, DEFAULT_PORT, MAX_ACCOUNTS } from '../constants.js';
+import { ACCOUNT_CONFIG_PATH, ACCOUNTS_KEY_PATH, DEFAULT_PORT, MAX_ACCOUNTS } from '../constants.js';
+import { AccountsEncryptionError } from '../errors.js';
+import { loadAccounts as loadStoredAccounts, saveAccounts as saveStoredAccounts } from '../account-manager/storage.js';
+import {
+    createBundle,
+    readBundle,
+    isEncryptedBundle,
+    mergeImportedAccounts,
+    getBundleFileName
+} from '../account-manager/bundle.js';
 import {
     getAuthorizationUrl,
     startCallbackServer,
@@ -31,6 +45,13 @@ import {
 
 const SERVER_PORT = process.env.PORT || DEFAULT_PORT;
 
+// Passphrase typed at the prompt, when the credentials are encrypted and no key is configured
+let passphrase = null;
+
+// Settings and active index from the accounts file, written back unchanged
+let storedSettings = {};
+let storedActiveIndex = 0;
+
 /**
  * Check if the Antigravity Proxy server is running
  * Returns true if port is occupied
@@ -75,11 +96,35 @@ This ensures that your account changes are loaded correctly when you restart the
     }
 }
 
+// stdout wrapper that can hide what is typed (for passphrases)
+const output = new Writable({
+    write(chunk, encoding, callback) {
+        if (!output.muted) stdout.write(chunk, encoding);
+        callback();
+    }
+});
+output.muted = false;
+Object.defineProperty(output, 'columns', { get: () => stdout.columns });
+
 /**
  * Create readline interface
  */
 function createRL() {
-    return createInterface({ input: stdin, output: stdout });
+    return createInterface({ input: stdin, output, terminal: stdout.isTTY });
+}
+
+/**
+ * Ask a question without echoing the answer
+ */
+async function askPassphrase(rl, prompt) {
+    const answer = rl.question(prompt); // Writes the prompt before muting
+    output.muted = true;
+    try {
+        return (await answer).trim();
+    } finally {
+        output.muted = false;
+        stdout.write('\n');
+    }
 }
 
 /**
@@ -107,53 +152,42 @@ function openBrowser(url) {
 
 /**
  * Load existing accounts from config
+ * Asks for the passphrase if the credentials are encrypted and no key is configured.
  */
-function loadAccounts() {
-    try {
-        if (existsSync(ACCOUNT_CONFIG_PATH)) {
-            const data = readFileSync(ACCOUNT_CONFIG_PATH, 'utf-8');
-            const config = JSON.parse(data);
-            return config.accounts || [];
+async function loadAccounts(rl) {
+    while (true) {
+        try {
+            const { accounts, settings, activeIndex } = await loadStoredAccounts(ACCOUNT_CONFIG_PATH, { passphrase });
+            storedSettings = settings;
+            storedActiveIndex = activeIndex;
+            return accounts;
+        } catch (error) {
+            if (!(error instanceof AccountsEncryptionError) || error.reason === 'key_file') throw error;
+            if (passphrase) console.log('\n✗ Wrong passphrase.');
+            passphrase = await askPassphrase(rl, 'Passphrase for the encrypted accounts file: ');
+            if (!passphrase) throw error;
         }
-    } catch (error) {
-        console.error('Error loading accounts:', error.message);
     }
-    return [];
 }
 
 /**
  * Save accounts to config
+ * @param {Array} accounts - Accounts to save
+ * @param {Object} [options] - Storage options (passphrase, plaintext)
  */
-function saveAccounts(accounts, settings = {}) {
-    try {
-        const dir = dirname(ACCOUNT_CONFIG_PATH);
-        if (!existsSync(dir)) {
-            mkdirSync(dir, { recursive: true });
-        }
-
-        const config = {
-            accounts: accounts.map(acc => ({
-                email: acc.email,
-                source: 'oauth',
-                refreshToken: acc.refreshToken,
-                projectId: acc.projectId,
-                addedAt: acc.addedAt || new Date().toISOString(),
-                lastUsed: acc.lastUsed || null,
-                modelRateLimits: acc.modelRateLimits || {}
-            })),
-            settings: {
-                maxRetries: 5,
-                ...settings
-            },
-            activeIndex: 0
-        };
-
-        writeFileSync(ACCOUNT_CONFIG_PATH, JSON.stringify(config, null, 2));
-        console.log(`\n✓ Saved ${accounts.length} account(s) to ${ACCOUNT_CONFIG_PATH}`);
-    } catch (error) {
-        console.error('Error saving accounts:', error.message);
-        throw error;
+async function saveAccounts(accounts, options = {}) {
+    const activeIndex = storedActiveIndex < accounts.length ? storedActiveIndex : 0;
+    const saved = await saveStoredAccounts(
+        ACCOUNT_CONFIG_PATH,
+        accounts,
+        { maxRetries: 5, ...storedSettings },
+        activeIndex,
+        { passphrase, ...options }
+    );
+    if (!saved) {
+        throw new Error(`Could not save accounts to ${ACCOUNT_CONFIG_PATH}`);
     }
+    console.log(`\n✓ Saved ${accounts.length} account(s) to ${ACCOUNT_CONFIG_PATH}`);
 }
 
 /**
@@ -218,6 +252,7 @@ async function addAccount(existingAccounts) {
 
         return {
             email: result.email,
+            source: 'oauth',
             refreshToken: result.refreshToken,
             projectId: result.projectId,
             addedAt: new Date().toISOString(),
@@ -275,6 +310,7 @@ async function addAccountNoBrowser(existingAccounts, rl) {
 
         return {
             email: result.email,
+            source: 'oauth',
             refreshToken: result.refreshToken,
             projectId: result.projectId,
             addedAt: new Date().toISOString(),
@@ -291,7 +327,7 @@ async function addAccountNoBrowser(existingAccounts, rl) {
  */
 async function interactiveRemove(rl) {
     while (true) {
-        const accounts = loadAccounts();
+        const accounts = await loadAccounts(rl);
         if (accounts.length === 0) {
             console.log('\nNo accounts to remove.');
             return;
@@ -317,7 +353,7 @@ async function interactiveRemove(rl) {
 
         if (confirm.toLowerCase() === 'y') {
             accounts.splice(index - 1, 1);
-            saveAccounts(accounts);
+            await saveAccounts(accounts);
             console.log(`\n✓ Removed ${removed.email}`);
         } else {
             console.log('\nCancelled.');
@@ -340,7 +376,7 @@ async function interactiveAdd(rl, noBrowser = false) {
         console.log('\n📋 No-browser mode: You will manually paste the authorization code.\n');
     }
 
-    const accounts = loadAccounts();
+    const accounts = await loadAccounts(rl);
 
     if (accounts.length > 0) {
         displayAccounts(accounts);
@@ -377,10 +413,10 @@ async function interactiveAdd(rl, noBrowser = false) {
 
     if (newAccount) {
         accounts.push(newAccount);
-        saveAccounts(accounts);
+        await saveAccounts(accounts);
     } else if (accounts.length > 0) {
         // Even if newAccount is null (duplicate update), save the updated accounts
-        saveAccounts(accounts);
+        await saveAccounts(accounts);
     }
 
     if (accounts.length > 0) {
@@ -394,8 +430,8 @@ async function interactiveAdd(rl, noBrowser = false) {
 /**
  * List accounts
  */
-async function listAccounts() {
-    const accounts = loadAccounts();
+async function listAccounts(rl) {
+    const accounts = await loadAccounts(rl);
     displayAccounts(accounts);
 
     if (accounts.length > 0) {
@@ -407,7 +443,7 @@ async function listAccounts() {
  * Clear all accounts
  */
 async function clearAccounts(rl) {
-    const accounts = loadAccounts();
+    const accounts = await loadAccounts(rl);
 
     if (accounts.length === 0) {
         console.log('No accounts to clear.');
@@ -418,7 +454,7 @@ async function clearAccounts(rl) {
 
     const confirm = await rl.question('\nAre you sure you want to remove all accounts? [y/N]: ');
     if (confirm.toLowerCase() === 'y') {
-        saveAccounts([]);
+        await saveAccounts([]);
         console.log('All accounts removed.');
     } else {
         console.log('Cancelled.');
@@ -428,8 +464,8 @@ async function clearAccounts(rl) {
 /**
  * Verify accounts (test refresh tokens)
  */
-async function verifyAccounts() {
-    const accounts = loadAccounts();
+async function verifyAccounts(rl) {
+    const accounts = await loadAccounts(rl);
 
     if (accounts.length === 0) {
         console.log('No accounts to verify.');
@@ -449,6 +485,160 @@ async function verifyAccounts() {
     }
 }
 
+/**
+ * Re-encrypt stored credentials with a new passphrase, a new key file
+ * (--key-file [path]), or store them unencrypted (--decrypt)
+ */
+async function rekeyAccounts(rl, args) {
+    const accounts = await loadAccounts(rl);
+
+    if (accounts.length === 0) {
+        console.log('No accounts to re-encrypt.');
+        return;
+    }
+
+    if (args.includes('--decrypt')) {
+        await saveAccounts(accounts, { plaintext: true });
+        console.log('Credentials are now stored unencrypted.');
+        console.log('Remove ACCOUNTS_ENCRYPTION_KEY and the key file, or they are encrypted again on the next start.');
+        return;
+    }
+
+    const keyFileIndex = args.indexOf('--key-file');
+    if (keyFileIndex !== -1) {
+        const pathArg = args[keyFileIndex + 1];
+        const keyPath = pathArg && !pathArg.startsWith('--') ? resolve(pathArg) : ACCOUNTS_KEY_PATH;
+
+        await saveAccounts(accounts, { newKeyFile: keyPath });
+
+        console.log(`✓ New key written to ${keyPath}`);
+        if (keyPath !== ACCOUNTS_KEY_PATH) {
+            console.log(`Set "accountsKeyFile": "${keyPath}" in config.json (or ACCOUNTS_KEY_FILE) so the server finds it.`);
+        }
+        if (process.env.ACCOUNTS_ENCRYPTION_KEY) {
+            console.log('Unset ACCOUNTS_ENCRYPTION_KEY: it takes precedence over the key file.');
+        }
+        return;
+    }
+
+    const newPassphrase = await askNewPassphrase(rl);
+    if (!newPassphrase) return;
+
+    await saveAccounts(accounts, { passphrase: newPassphrase });
+    console.log('Set ACCOUNTS_ENCRYPTION_KEY to the new passphrase before starting the server.');
+    if (existsSync(ACCOUNTS_KEY_PATH)) {
+        console.log(`The key file ${ACCOUNTS_KEY_PATH} no longer matches; remove it.`);
+    }
+}
+
+/**
+ * Ask for a new passphrase twice
+ * @returns {Promise<string|null>} The passphrase, or null if empty or mismatched
+ */
+async function askNewPassphrase(rl) {
+    const first = await askPassphrase(rl, 'New passphrase: ');
+    if (!first) {
+        console.log('Cancelled.');
+        return null;
+    }
+    if (await askPassphrase(rl, 'Repeat new passphrase: ') !== first) {
+        console.log('\n✗ Passphrases do not match.');
+        return null;
+    }
+    return first;
+}
+
+/**
+ * Get the file argument that follows the command, if any
+ */
+function getFileArg(args) {
+    const file = args[1];
+    return file && !file.startsWith('--') ? resolve(file) : null;
+}
+
+/**
+ * Export accounts and settings to a bundle file (--encrypt asks for a passphrase)
+ */
+async function exportAccounts(rl, args) {
+    const file = getFileArg(args) || resolve(getBundleFileName());
+    if (existsSync(file)) {
+        throw new Error(`${file} already exists`);
+    }
+
+    const accounts = await loadAccounts(rl);
+    if (accounts.length === 0) {
+        console.log('No accounts to export.');
+        return;
+    }
+
+    let bundlePassphrase = null;
+    if (args.includes('--encrypt')) {
+        bundlePassphrase = await askNewPassphrase(rl);
+        if (!bundlePassphrase) return;
+    }
+
+    const bundle = await createBundle(accounts, storedSettings, { passphrase: bundlePassphrase });
+    await writeFile(file, JSON.stringify(bundle, null, 2), { mode: 0o600, flag: 'wx' });
+
+    console.log(`\n✓ Exported ${accounts.length} account(s) to ${file}`);
+    if (!bundlePassphrase) {
+        console.log('⚠ The file contains refresh tokens in plaintext. Keep it private, or export with --encrypt.');
+    }
+}
+
+/**
+ * Import accounts from a bundle file, merging by email (--replace replaces all accounts)
+ */
+async function importAccounts(rl, args) {
+    const file = getFileArg(args);
+    if (!file) {
+        throw new Error('Usage: accounts import <file> [--replace]');
+    }
+    const bundle = JSON.parse(await readFile(file, 'utf-8'));
+
+    let imported;
+    let bundlePassphrase = null;
+    while (!imported) {
+        if (isEncryptedBundle(bundle)) {
+            bundlePassphrase = await askPassphrase(rl, 'Passphrase for the export file: ');
+            if (!bundlePassphrase) return;
+        }
+        try {
+            imported = await readBundle(bundle, { passphrase: bundlePassphrase });
+        } catch (error) {
+            if (!(error instanceof AccountsEncryptionError) || error.reason !== 'wrong_key' || !isEncryptedBundle(bundle)) throw error;
+            console.log('\n✗ Wrong passphrase.');
+        }
+    }
+
+    const accounts = await loadAccounts(rl);
+    const mode = args.includes('--replace') ? 'replace' : 'merge';
+    if (mode === 'replace' && accounts.length > 0) {
+        displayAccounts(accounts);
+        const confirm = await rl.question(`\nReplace these ${accounts.length} account(s) with the ${imported.accounts.length} in ${file}? [y/N]: `);
+        if (confirm.toLowerCase() !== 'y') {
+            console.log('Cancelled.');
+            return;
+        }
+    }
+
+    const merged = mergeImportedAccounts(accounts, storedSettings, imported, { mode });
+    storedSettings = merged.settings;
+    await saveAccounts(merged.accounts);
+
+    const { added, updated, unchanged, removed, skipped } = merged.result;
+    console.log(`\nImported ${file}${imported.exportedAt ? ` (exported ${imported.exportedAt})` : ''}:`);
+    console.log(`  Added:     ${added.length > 0 ? added.join(', ') : '-'}`);
+    console.log(`  Updated:   ${updated.length > 0 ? updated.join(', ') : '-'}`);
+    console.log(`  Unchanged: ${unchanged.length > 0 ? unchanged.join(', ') : '-'}`);
+    if (mode === 'replace') {
+        console.log(`  Removed:   ${removed.length > 0 ? removed.join(', ') : '-'}`);
+    }
+    for (const entry of skipped) {
+        console.log(`  Skipped:   ${entry.email || '(no email)'} - ${entry.reason}`);
+    }
+}
+
 /**
  * Main CLI
  */
@@ -463,6 +653,7 @@ async function main() {
     console.log('╚════════════════════════════════════════╝');
 
     const rl = createRL();
+    let exitCode = 0;
 
     try {
         switch (command) {
@@ -471,14 +662,25 @@ async function main() {
                 await interactiveAdd(rl, noBrowser);
                 break;
             case 'list':
-                await listAccounts();
+                await listAccounts(rl);
                 break;
             case 'clear':
                 await ensureServerStopped();
                 await clearAccounts(rl);
                 break;
             case 'verify':
-                await verifyAccounts();
+                await verifyAccounts(rl);
+                break;
+            case 'rekey':
+                await ensureServerStopped();
+                await rekeyAccounts(rl, args);
+                break;
+            case 'export':
+                await exportAccounts(rl, args);
+                break;
+            case 'import':
+                await ensureServerStopped();
+                await importAccounts(rl, args);
                 break;
             case 'help':
                 console.log('\nUsage:');
@@ -486,9 +688,16 @@ async function main() {
                 console.log('  node src/cli/accounts.js list    List all accounts');
                 console.log('  node src/cli/accounts.js verify  Verify account tokens');
                 console.log('  node src/cli/accounts.js clear   Remove all accounts');
+                console.log('  node src/cli/accounts.js rekey   Re-encrypt credentials with a new passphrase');
+                console.log('  node src/cli/accounts.js export [file]  Export accounts and settings');
+                console.log('  node src/cli/accounts.js import <file>  Import accounts (merged by email)');
                 console.log('  node src/cli/accounts.js help    Show this help');
                 console.log('\nOptions:');
                 console.log('  --no-browser    Manual authorization code input (for headless servers)');
+                console.log('  --key-file [p]  rekey: encrypt with a new random key file (default: accounts.key)');
+                console.log('  --decrypt       rekey: store credentials unencrypted');
+                console.log('  --encrypt       export: protect the file with a passphrase');
+                console.log('  --replace       import: replace all accounts instead of merging');
                 break;
             case 'remove':
                 await ensureServerStopped();
@@ -498,10 +707,13 @@ async function main() {
                 console.log(`Unknown command: ${command}`);
                 console.log('Run with "help" for usage information.');
         }
+    } catch (error) {
+        console.error(`\n✗ ${error.message}`);
+        exitCode = 1;
     } finally {
         rl.close();
         // Force exit to prevent hanging
-        process.exit(0);
+        process.exit(exitCode);
     }
 }
 
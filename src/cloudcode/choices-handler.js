@@ -0,0 +1,103 @@
+/**
+ * Multiple Choices Handler for Cloud Code
+ *
+ * Implements the OpenAI "n" parameter: each choice is a separate upstream
+ * generation of the same request, and all of them run concurrently.
+ * If one generation fails (or the client disconnects) the others are
+ * aborted so no account keeps generating output nobody will read.
+ */
+
+import { sendMessage } from './message-handler.js';
+import { sendMessageStream } from './streaming-handler.js';
+
+/**
+ * Create a controller that also aborts when the client disconnects
+ * @param {AbortSignal} [signal] - Client disconnect signal
+ * @returns {{controller: AbortController, release: Function}} Controller and listener cleanup
+ */
+function linkAbortController(signal) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    if (signal?.aborted) {
+        abort();
+    }
+    signal?.addEventListener('abort', abort, { once: true });
+    return { controller, release: () => signal?.removeEventListener('abort', abort) };
+}
+
+/**
+ * Run n concurrent non-streaming generations of the same request
+ *
+ * @param {Object} anthropicRequest - Anthropic format request
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {boolean} [fallbackEnabled=false] - Whether to use model fallback
+ * @param {Object} [options]
+ * @param {number} [options.n=1] - Number of choices
+ * @param {AbortSignal} [options.signal] - Aborts all generations when the client disconnects
+ * @param {Function} [options.send=sendMessage] - Non-streaming sender (e.g. sendStructuredMessage)
+ * @returns {Promise<Array<Object>>} Anthropic format responses in choice order
+ */
+export async function sendMessageChoices(anthropicRequest, accountManager, fallbackEnabled = false, options = {}) {
+    const { n = 1, signal, send = sendMessage } = options;
+    const { controller, release } = linkAbortController(signal);
+
+    try {
+        return await Promise.all(Array.from({ length: n }, () =>
+            send(anthropicRequest, accountManager, fallbackEnabled, { signal: controller.signal })));
+    } catch (error) {
+        controller.abort();
+        throw error;
+    } finally {
+        release();
+    }
+}
+
+/**
+ * Run n concurrent streaming generations of the same request
+ * Events are yielded as soon as any generation produces them, so the
+ * choices arrive interleaved.
+ *
+ * @param {Object} anthropicRequest - Anthropic format request
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {boolean} [fallbackEnabled=false] - Whether to use model fallback
+ * @param {Object} [options]
+ * @param {number} [options.n=1] - Number of choices
+ * @param {AbortSignal} [options.signal] - Aborts all generations when the client disconnects
+ * @param {Function} [options.stream=sendMessageStream] - Streaming sender (e.g. sendStructuredMessageStream)
+ * @yields {{index: number, event: Object}} Anthropic stream events tagged with their choice index
+ */
+export async function* sendMessageStreamChoices(anthropicRequest, accountManager, fallbackEnabled = false, options = {}) {
+    const { n = 1, signal, stream = sendMessageStream } = options;
+    const { controller, release } = linkAbortController(signal);
+    const iterators = Array.from({ length: n }, () =>
+        stream(anthropicRequest, accountManager, fallbackEnabled, { signal: controller.signal }));
+
+    // One outstanding next() per choice; failures are captured so none goes unhandled
+    const pending = new Map();
+    const pull = (index) => pending.set(index, iterators[index].next().then(
+        result => ({ index, result }),
+        error => ({ index, error })
+    ));
+    iterators.forEach((_, index) => pull(index));
+
+    try {
+        while (pending.size > 0) {
+            const { index, result, error } = await Promise.race(pending.values());
+            if (error) {
+                throw error;
+            }
+            if (result.done) {
+                pending.delete(index);
+                continue;
+            }
+            pull(index);
+            yield { index, event: result.value };
+        }
+    } finally {
+        // Stop the remaining generations after a failure or an early exit
+        if (pending.size > 0) {
+            controller.abort();
+        }
+        release();
+    }
+}
@@ -13,11 +13,21 @@
 export { sendMessage } from './message-handler.js';
 export { sendMessageStream } from './streaming-handler.js';
 export { listModels, fetchAvailableModels, getModelQuotas, getSubscriptionTier } from './model-api.js';
+export { countTokens } from './token-counter.js';
+export { generateContent, streamGenerateContent } from './native-handler.js';
+export { sendStructuredMessage, sendStructuredMessageStream } from './structured-output-handler.js';
+export { sendMessageChoices, sendMessageStreamChoices } from './choices-handler.js';
+export { sendToolCheckedMessage, sendToolCheckedMessageStream } from './tool-input-handler.js';
 
 // Default export for backwards compatibility
 import { sendMessage } from './message-handler.js';
 import { sendMessageStream } from './streaming-handler.js';
 import { listModels, fetchAvailableModels, getModelQuotas, getSubscriptionTier } from './model-api.js';
+import { countTokens } from './token-counter.js';
+import { generateContent, streamGenerateContent } from './native-handler.js';
+import { sendStructuredMessage, sendStructuredMessageStream } from './structured-output-handler.js';
+import { sendMessageChoices, sendMessageStreamChoices } from './choices-handler.js';
+import { sendToolCheckedMessage, sendToolCheckedMessageStream } from './tool-input-handler.js';
 
 export default {
     sendMessage,
@@ -25,5 +35,14 @@ export default {
     listModels,
     fetchAvailableModels,
     getModelQuotas,
-    getSubscriptionTier
+    getSubscriptionTier,
+    countTokens,
+    generateContent,
+    streamGenerateContent,
+    sendStructuredMessage,
+    sendStructuredMessageStream,
+    sendMessageChoices,
+    sendMessageStreamChoices,
+    sendToolCheckedMessage,
+    sendToolCheckedMessageStream
 };
@@ -0,0 +1,565 @@
+/**
+ * Media Resolver for Cloud Code
+ *
+ * Cloud Code rejects fileData parts pointing at arbitrary HTTP URLs, so
+ * image and document blocks with a URL source (including OpenAI image_url
+ * entries) are downloaded and rewritten as base64 sources before the
+ * request is converted. Downloads are size- and MIME-checked, the type is
+ * detected from the content, and the bytes are kept in a content-addressed
+ * disk cache so repeated turns of a conversation don't download again.
+ *
+ * Downloads only go to public addresses: host names are resolved, every
+ * address is checked, and the connection is pinned to the checked addresses
+ * so a second DNS answer cannot redirect it to an internal host.
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import path from 'path';
+import net from 'net';
+import { Readable } from 'stream';
+import {
+    MEDIA_CACHE_DIR,
+    MEDIA_MAX_BYTES,
+    MEDIA_FETCH_TIMEOUT_MS,
+    MEDIA_MAX_REDIRECTS,
+    MEDIA_CACHE_TTL_MS,
+    MEDIA_ALLOW_PRIVATE_URLS,
+    MEDIA_MIME_TYPES
+} from '../constants.js';
+import { MediaFetchError, RequestCancelledError } from '../errors.js';
+import { throwIfCancelled } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+const INDEX_FILE = 'index.json';
+
+/**
+ * Detect a media type from the leading bytes of a file
+ * @param {Buffer} bytes - File content
+ * @returns {string|null} MIME type, or null if not a recognized image or PDF
+ */
+export function sniffMediaType(bytes) {
+    const ascii = (start, end) => bytes.subarray(start, end).toString('latin1');
+    if (bytes.length >= 8 && bytes.readUInt32BE(0) === 0x89504e47) return 'image/png';
+    if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'image/jpeg';
+    if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+    if (ascii(0, 5) === '%PDF-') return 'application/pdf';
+    if (ascii(4, 8) === 'ftyp') {
+        const brand = ascii(8, 12);
+        if (['heic', 'heix', 'heim', 'heis'].includes(brand)) return 'image/heic';
+        if (['mif1', 'msf1', 'heif'].includes(brand)) return 'image/heif';
+    }
+    return null;
+}
+
+// Addresses media downloads may not reach: unspecified, loopback, private,
+// shared (CGNAT), link-local, IETF protocol, benchmarking, multicast and reserved
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+/**
+ * Expand an IPv6 address into its eight 16-bit groups
+ * @param {string} address - IPv6 address (may end in a dotted IPv4 part)
+ * @returns {number[]} Eight group values
+ */
+function ipv6Groups(address) {
+    let text = address;
+    const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(1).map(Number);
+        text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+    const [head, tail] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = tail === undefined
+        ? headGroups
+        : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+    return groups.map(group => parseInt(group, 16));
+}
+
+/**
+ * Get the IPv4 address embedded in an IPv4-mapped (::ffff:0:0/96),
+ * IPv4-compatible (::/96) or NAT64 (64:ff9b::/96) IPv6 address
+ * @param {string} address - IPv6 address
+ * @returns {string|null} Dotted IPv4 address, or null if none is embedded
+ */
+function embeddedIPv4(address) {
+    const groups = ipv6Groups(address);
+    const prefix = groups.slice(0, 6);
+    const isMapped = prefix.slice(0, 5).every(g => g === 0) && prefix[5] === 0xffff;
+    const isCompatible = prefix.every(g => g === 0) && (groups[6] !== 0 || groups[7] > 1);
+    const isNat64 = prefix[0] === 0x64 && prefix[1] === 0xff9b && prefix.slice(2).every(g => g === 0);
+    if (!isMapped && !isCompatible && !isNat64) return null;
+    return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+}
+
+/**
+ * Check whether a hostname is localhost or an address media downloads may not reach
+ * Only literal addresses and localhost are recognized; other names are
+ * checked by resolving them (see MediaResolver#checkUrl).
+ * @param {string} hostname - URL hostname or resolved address
+ * @returns {boolean} True for local, private and reserved hosts
+ */
+function isPrivateHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').replace(/%.*$/, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost')) return true;
+
+    if (net.isIPv4(host)) {
+        return BLOCKED_ADDRESSES.check(host, 'ipv4');
+    }
+    if (net.isIPv6(host)) {
+        const ipv4 = embeddedIPv4(host);
+        return ipv4 ? isPrivateHost(ipv4) : BLOCKED_ADDRESSES.check(host, 'ipv6');
+    }
+    return false;
+}
+
+/**
+ * fetch replacement for media downloads over node:http(s)
+ * Connects through the given lookup, so the addresses checked before the
+ * request are the ones used (DNS cannot answer differently the second time).
+ * Redirects are never followed; the response body is not decompressed.
+ *
+ * @param {string} url - http(s) URL
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @param {Function} [options.lookup] - dns.lookup-compatible function for the connection
+ * @returns {Promise<Response>} Response with a streamed body
+ */
+function fetchWithLookup(url, { signal, lookup } = {}) {
+    const { request } = url.startsWith('https:') ? https : http;
+    return new Promise((resolve, reject) => {
+        const req = request(url, { signal, lookup, headers: { accept: '*/*' } }, res => {
+            const headers = new Headers();
+            for (const [name, value] of Object.entries(res.headers)) {
+                for (const item of [].concat(value)) headers.append(name, item);
+            }
+            const hasBody = ![204, 205, 304].includes(res.statusCode);
+            if (!hasBody) res.resume();
+            resolve(new Response(hasBody ? Readable.toWeb(res) : null, { status: res.statusCode, headers }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+/**
+ * Build a dns.lookup-compatible function that only answers with checked addresses
+ * @param {Array<{address: string, family: number}>} addresses - Addresses the host resolved to
+ * @returns {Function} Lookup function for http.request
+ */
+function pinnedLookup(addresses) {
+    return (hostname, options, callback) => {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+        const matching = options.family ? addresses.filter(entry => entry.family === options.family) : addresses;
+        if (matching.length === 0) {
+            callback(Object.assign(new Error(`No checked address for ${hostname}`), { code: 'ENOTFOUND' }));
+        } else if (options.all) {
+            callback(null, matching);
+        } else {
+            callback(null, matching[0].address, matching[0].family);
+        }
+    };
+}
+
+/**
+ * Read a response body, failing as soon as it exceeds the size limit
+ * @param {Response} response - Fetch response
+ * @param {number} maxBytes - Size limit
+ * @param {string} url - URL for error messages
+ * @returns {Promise<Buffer>} Body bytes
+ */
+async function readLimited(response, maxBytes, url) {
+    const declared = Number(response.headers.get('content-length'));
+    if (declared > maxBytes) {
+        throw new MediaFetchError(`Media at ${url} is ${declared} bytes, over the ${maxBytes} byte limit`, url);
+    }
+
+    if (!response.body) {
+        const bytes = Buffer.from(await response.arrayBuffer());
+        if (bytes.length > maxBytes) {
+            throw new MediaFetchError(`Media at ${url} is over the ${maxBytes} byte limit`, url);
+        }
+        return bytes;
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let total = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        total += value.length;
+        if (total > maxBytes) {
+            reader.cancel().catch(() => { });
+            throw new MediaFetchError(`Media at ${url} is over the ${maxBytes} byte limit`, url);
+        }
+        chunks.push(value);
+    }
+    return Buffer.concat(chunks);
+}
+
+export class MediaResolver {
+    #fetch;
+    #cacheDir;
+    #maxBytes;
+    #timeoutMs;
+    #cacheTtlMs;
+    #allowPrivateUrls;
+    #lookup;
+    #index = null;
+    #pending = new Map();
+
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.fetcher] - fetch-compatible function (injectable for tests); also
+     *   receives a `lookup` option pinning the connection to the addresses that were checked
+     * @param {string} [options.cacheDir=MEDIA_CACHE_DIR] - Cache directory
+     * @param {number} [options.maxBytes=MEDIA_MAX_BYTES] - Largest accepted download
+     * @param {number} [options.timeoutMs=MEDIA_FETCH_TIMEOUT_MS] - Timeout per download
+     * @param {number} [options.cacheTtlMs=MEDIA_CACHE_TTL_MS] - How long a URL's cached content is reused
+     * @param {boolean} [options.allowPrivateUrls=MEDIA_ALLOW_PRIVATE_URLS] - Allow loopback and private network hosts
+     * @param {Function} [options.lookup=dns.promises.lookup] - dns.promises.lookup-compatible resolver (injectable for tests)
+     */
+    constructor({
+        fetcher = fetchWithLookup,
+        cacheDir = MEDIA_CACHE_DIR,
+        maxBytes = MEDIA_MAX_BYTES,
+        timeoutMs = MEDIA_FETCH_TIMEOUT_MS,
+        cacheTtlMs = MEDIA_CACHE_TTL_MS,
+        allowPrivateUrls = MEDIA_ALLOW_PRIVATE_URLS,
+        lookup = (...args) => dns.promises.lookup(...args)
+    } = {}) {
+        this.#fetch = fetcher;
+        this.#cacheDir = cacheDir;
+        this.#maxBytes = maxBytes;
+        this.#timeoutMs = timeoutMs;
+        this.#cacheTtlMs = cacheTtlMs;
+        this.#allowPrivateUrls = allowPrivateUrls;
+        this.#lookup = lookup;
+    }
+
+    /**
+     * Load the URL index, dropping expired entries and their unreferenced files
+     * @returns {Object} url -> { hash, mediaType, fetchedAt }
+     */
+    #loadIndex() {
+        if (this.#index) return this.#index;
+        this.#index = {};
+        try {
+            this.#index = JSON.parse(fs.readFileSync(path.join(this.#cacheDir, INDEX_FILE), 'utf8'));
+        } catch {
+            // Missing or unreadable index - start empty
+        }
+
+        const now = Date.now();
+        const expired = Object.entries(this.#index).filter(([, entry]) => now - entry.fetchedAt > this.#cacheTtlMs);
+        if (expired.length === 0) return this.#index;
+
+        for (const [url] of expired) delete this.#index[url];
+        const live = new Set(Object.values(this.#index).map(entry => entry.hash));
+        for (const [, entry] of expired) {
+            if (!live.has(entry.hash)) {
+                fs.rmSync(path.join(this.#cacheDir, entry.hash), { force: true });
+            }
+        }
+        this.#saveIndex();
+        return this.#index;
+    }
+
+    #saveIndex() {
+        try {
+            fs.mkdirSync(this.#cacheDir, { recursive: true });
+            const file = path.join(this.#cacheDir, INDEX_FILE);
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify(this.#index));
+            fs.renameSync(`${file}.tmp`, file);
+        } catch (error) {
+            logger.warn(`[MediaResolver] Could not save cache index: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get fresh cached content for a URL
+     * @param {string} url - Media URL
+     * @returns {{mediaType: string, data: Buffer}|null} Cached content or null
+     */
+    #readCache(url) {
+        const entry = this.#loadIndex()[url];
+        if (!entry || Date.now() - entry.fetchedAt > this.#cacheTtlMs) return null;
+        try {
+            return { mediaType: entry.mediaType, data: fs.readFileSync(path.join(this.#cacheDir, entry.hash)) };
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Store downloaded content under its SHA-256 and point the URL at it
+     * @param {string} url - Media URL
+     * @param {string} mediaType - Detected MIME type
+     * @param {Buffer} data - Content
+     */
+    #writeCache(url, mediaType, data) {
+        const hash = crypto.createHash('sha256').update(data).digest('hex');
+        try {
+            fs.mkdirSync(this.#cacheDir, { recursive: true });
+            const file = path.join(this.#cacheDir, hash);
+            if (!fs.existsSync(file)) {
+                fs.writeFileSync(`${file}.tmp`, data);
+                fs.renameSync(`${file}.tmp`, file);
+            }
+        } catch (error) {
+            logger.warn(`[MediaResolver] Could not cache ${url}: ${error.message}`);
+            return;
+        }
+        this.#loadIndex()[url] = { hash, mediaType, fetchedAt: Date.now() };
+        this.#saveIndex();
+    }
+
+    /**
+     * Check that a URL may be fetched
+     * Host names are resolved and refused if any address is local or
+     * private, so a public name pointing at an internal address is caught.
+     * @param {string} url - Media URL
+     * @returns {Promise<{parsed: URL, lookup: Function|null}>} Parsed URL and a lookup
+     *   pinned to the checked addresses (null for literal addresses or when private URLs are allowed)
+     * @throws {MediaFetchError} For other protocols or private hosts
+     */
+    async #checkUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            throw new MediaFetchError(`Invalid media URL: ${url}`, url);
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw new MediaFetchError(`Unsupported media URL protocol ${parsed.protocol} (only http and https are fetched)`, url);
+        }
+        if (this.#allowPrivateUrls) {
+            return { parsed, lookup: null };
+        }
+
+        const host = parsed.hostname.replace(/^\[|\]$/g, '');
+        let isPrivate = isPrivateHost(host);
+        let addresses = null;
+        if (!isPrivate && !net.isIP(host)) {
+            try {
+                addresses = await this.#lookup(host, { all: true });
+            } catch (error) {
+                throw new MediaFetchError(`Could not resolve media host ${host}: ${error.message}`, url);
+            }
+            isPrivate = addresses.length === 0 || addresses.some(({ address }) => isPrivateHost(address));
+        }
+        if (isPrivate) {
+            throw new MediaFetchError(`Media URL ${url} points to a local or private network address (set mediaAllowPrivateUrls to allow it)`, url);
+        }
+        return { parsed, lookup: addresses ? pinnedLookup(addresses) : null };
+    }
+
+    /**
+     * Download a URL, following redirects manually so each hop is checked
+     * (including the addresses its host name resolves to)
+     * @param {string} url - Media URL
+     * @param {AbortSignal} signal - Aborts the download once nobody is waiting for it
+     * @returns {Promise<{mediaType: string, data: Buffer}>} Detected type and content
+     * @throws {RequestCancelledError} If the signal aborts
+     */
+    async #download(url, signal) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.#timeoutMs);
+        const downloadSignal = AbortSignal.any([controller.signal, signal]);
+        try {
+            let current = url;
+            for (let hop = 0; ; hop++) {
+                const { lookup } = await this.#checkUrl(current);
+                const response = await this.#fetch(current, { redirect: 'manual', signal: downloadSignal, ...(lookup ? { lookup } : {}) });
+
+                if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+                    if (hop >= MEDIA_MAX_REDIRECTS) {
+                        throw new MediaFetchError(`Too many redirects fetching ${url}`, url);
+                    }
+                    current = new URL(response.headers.get('location'), current).href;
+                    continue;
+                }
+                if (!response.ok) {
+                    throw new MediaFetchError(`Fetching ${url} failed with HTTP ${response.status}`, url);
+                }
+
+                const data = await readLimited(response, this.#maxBytes, url);
+                const mediaType = sniffMediaType(data);
+                if (!mediaType) {
+                    const declared = response.headers.get('content-type') || 'unknown type';
+                    throw new MediaFetchError(`Content at ${url} (${declared}) is not a supported image or PDF`, url);
+                }
+                return { mediaType, data };
+            }
+        } catch (error) {
+            if (signal.aborted) throw new RequestCancelledError();
+            if (error instanceof MediaFetchError) throw error;
+            const reason = controller.signal.aborted ? `timed out after ${this.#timeoutMs}ms` : error.message;
+            throw new MediaFetchError(`Fetching ${url} failed: ${reason}`, url);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Resolve a media URL to its content, using the cache when possible
+     * Concurrent requests for the same URL share one download, which is only
+     * aborted once every caller waiting for it has been cancelled.
+     *
+     * @param {string} url - http(s) or data: URL
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops waiting when the client disconnects
+     * @returns {Promise<{mediaType: string, data: Buffer}>} Detected type and content
+     * @throws {MediaFetchError} If the URL cannot be fetched or is not allowed
+     * @throws {RequestCancelledError} If the signal aborts while downloading
+     */
+    async resolve(url, { signal } = {}) {
+        const dataUrl = url.match(/^data:([^;,]+)?(;base64)?,(.*)$/s);
+        if (dataUrl) {
+            const data = Buffer.from(dataUrl[2] ? dataUrl[3] : decodeURIComponent(dataUrl[3]), dataUrl[2] ? 'base64' : 'utf8');
+            return { mediaType: sniffMediaType(data) || dataUrl[1], data };
+        }
+
+        throwIfCancelled(signal);
+        const cached = this.#readCache(url);
+        if (cached) {
+            logger.debug(`[MediaResolver] Cache hit for ${url}`);
+            return cached;
+        }
+
+        let download = this.#pending.get(url);
+        if (!download) {
+            const controller = new AbortController();
+            download = { controller, waiters: 0 };
+            download.promise = this.#download(url, controller.signal)
+                .then(result => {
+                    this.#writeCache(url, result.mediaType, result.data);
+                    logger.debug(`[MediaResolver] Downloaded ${url} (${result.mediaType}, ${result.data.length} bytes)`);
+                    return result;
+                })
+                .finally(() => {
+                    if (this.#pending.get(url) === download) this.#pending.delete(url);
+                });
+            this.#pending.set(url, download);
+        }
+        return this.#waitFor(url, download, signal);
+    }
+
+    /**
+     * Wait for a shared download on behalf of one caller
+     * The caller stops waiting as soon as its signal aborts; the download
+     * itself is aborted when the last caller waiting for it goes away.
+     *
+     * @param {string} url - Media URL
+     * @param {{promise: Promise, controller: AbortController, waiters: number}} download - Pending download
+     * @param {AbortSignal} [signal] - The caller's signal
+     * @returns {Promise<{mediaType: string, data: Buffer}>} Detected type and content
+     */
+    #waitFor(url, download, signal) {
+        download.waiters++;
+        return new Promise((resolve, reject) => {
+            let waiting = true;
+            const stopWaiting = () => {
+                if (!waiting) return false;
+                waiting = false;
+                download.waiters--;
+                signal?.removeEventListener('abort', onAbort);
+                return true;
+            };
+            const onAbort = () => {
+                if (!stopWaiting()) return;
+                reject(new RequestCancelledError());
+                if (download.waiters === 0) {
+                    logger.debug(`[MediaResolver] Download of ${url} cancelled`);
+                    this.#pending.delete(url);
+                    download.controller.abort();
+                }
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+            download.promise.then(
+                result => { if (stopWaiting()) resolve(result); },
+                error => { if (stopWaiting()) reject(error); }
+            );
+        });
+    }
+
+    /**
+     * Convert a URL source to a base64 source
+     * @param {Object} block - Image or document block with a URL source
+     * @param {AbortSignal} [signal] - Stops waiting when the client disconnects
+     * @returns {Promise<Object>} Block with a base64 source
+     */
+    async #resolveBlock(block, signal) {
+        const { url } = block.source;
+        const { mediaType, data } = await this.resolve(url, { signal });
+        if (!MEDIA_MIME_TYPES[block.type].includes(mediaType)) {
+            throw new MediaFetchError(`${block.type} URL ${url} returned ${mediaType}; expected one of ${MEDIA_MIME_TYPES[block.type].join(', ')}`, url);
+        }
+        return { ...block, source: { type: 'base64', media_type: mediaType, data: data.toString('base64') } };
+    }
+
+    /**
+     * Resolve URL sources in a list of content blocks (recursing into tool results and documents)
+     * @param {Array<Object>} blocks - Content blocks
+     * @param {Array<Promise>} pending - Collects the block resolutions
+     * @param {AbortSignal} [signal] - Stops waiting when the client disconnects
+     * @returns {Array<Object>} Blocks, with URL blocks replaced once pending settles
+     */
+    #collectBlocks(blocks, pending, signal) {
+        const resolved = [...blocks];
+        blocks.forEach((block, index) => {
+            if ((block?.type === 'image' || block?.type === 'document') && block.source?.type === 'url') {
+                pending.push(this.#resolveBlock(block, signal).then(result => { resolved[index] = result; }));
+            } else if (block?.type === 'tool_result' && Array.isArray(block.content)) {
+                resolved[index] = { ...block, content: this.#collectBlocks(block.content, pending, signal) };
+            } else if (block?.type === 'document' && block.source?.type === 'content' && Array.isArray(block.source.content)) {
+                resolved[index] = { ...block, source: { ...block.source, content: this.#collectBlocks(block.source.content, pending, signal) } };
+            }
+        });
+        return resolved;
+    }
+
+    /**
+     * Replace every URL image and document in a request with inline base64 content
+     *
+     * @param {Object} anthropicRequest - Anthropic format request
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops waiting when the client disconnects
+     * @returns {Promise<Object>} Request without URL sources (the same object if it had none)
+     * @throws {MediaFetchError} If any URL cannot be fetched or is not allowed
+     * @throws {RequestCancelledError} If the signal aborts while downloading
+     */
+    async resolveRequest(anthropicRequest, { signal } = {}) {
+        const pending = [];
+        const messages = (anthropicRequest.messages || []).map(message => (
+            Array.isArray(message.content) ? { ...message, content: this.#collectBlocks(message.content, pending, signal) } : message
+        ));
+        if (pending.length === 0) {
+            return anthropicRequest;
+        }
+
+        await Promise.all(pending);
+        return { ...anthropicRequest, messages };
+    }
+}
+
+// Shared resolver used by the Cloud Code handlers
+export const mediaResolver = new MediaResolver();
@@ -9,15 +9,16 @@ import {
     ANTIGRAVITY_ENDPOINT_FALLBACKS,
     MAX_RETRIES,
     MAX_WAIT_BEFORE_ERROR_MS,
-    DEFAULT_COOLDOWN_MS,
     isThinkingModel
 } from '../constants.js';
 import { convertGoogleToAnthropic } from '../format/index.js';
-import { isRateLimitError, isAuthError } from '../errors.js';
-import { formatDuration, sleep, isNetworkError } from '../utils/helpers.js';
+import { isRateLimitError, isAuthError, isCancelledError } from '../errors.js';
+import { formatDuration, sleep, isNetworkError, throwIfCancelled } from '../utils/helpers.js';
 import { logger } from '../utils/logger.js';
-import { parseResetTime } from './rate-limit-parser.js';
-import { buildCloudCodeRequest, buildHeaders } from './request-builder.js';
+import { retryAfterRateLimit } from './rate-limit-retry.js';
+import { buildCloudCodeRequest, buildHeaders, getResponseOptions } from './request-builder.js';
+import { mediaResolver } from './media-resolver.js';
+import { deriveSessionId } from './session-manager.js';
 import { parseThinkingSSEResponse } from './sse-parser.js';
 import { getFallbackModel } from '../fallback-config.js';
 
@@ -31,18 +32,32 @@ import { getFallbackModel } from '../fallback-config.js';
  * @param {number} [anthropicRequest.max_tokens] - Maximum tokens to generate
  * @param {Object} [anthropicRequest.thinking] - Thinking configuration
  * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {boolean} [fallbackEnabled=false] - Whether to use model fallback
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request when the client disconnects
  * @returns {Promise<Object>} Anthropic-format response object
  * @throws {Error} If max retries exceeded or no accounts available
+ * @throws {RequestCancelledError} If the signal aborts (no retry or failover)
+ * @throws {MediaFetchError} If a URL image or document cannot be downloaded
+ * @throws {QueueTimeoutError} If the account stays at its concurrency limit for the whole queue timeout
  */
-export async function sendMessage(anthropicRequest, accountManager, fallbackEnabled = false) {
+export async function sendMessage(anthropicRequest, accountManager, fallbackEnabled = false, options = {}) {
     const model = anthropicRequest.model;
     const isThinking = isThinkingModel(model);
+    const { signal } = options;
+
+    // Cloud Code cannot fetch arbitrary URLs, so URL images and documents are inlined first
+    anthropicRequest = await mediaResolver.resolveRequest(anthropicRequest, { signal });
+    const responseOptions = { ...getResponseOptions(anthropicRequest), signal };
+    const sessionId = deriveSessionId(anthropicRequest);
 
     // Retry loop with account failover
     // Ensure we try at least as many times as there are accounts to cycle through everyone
     const maxAttempts = Math.max(MAX_RETRIES, accountManager.getAccountCount() + 1);
 
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        throwIfCancelled(signal);
+
         // Clear any expired rate limits before picking
         accountManager.clearExpiredLimits();
 
@@ -63,7 +78,7 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
                         if (fallbackModel) {
                             logger.warn(`[CloudCode] All accounts exhausted for ${model} (${formatDuration(minWaitMs)} wait). Attempting fallback to ${fallbackModel}`);
                             const fallbackRequest = { ...anthropicRequest, model: fallbackModel };
-                            return await sendMessage(fallbackRequest, accountManager, false);
+                            return await sendMessage(fallbackRequest, accountManager, false, options);
                         }
                     }
                     throw new Error(
@@ -74,7 +89,7 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
                 // Wait for shortest reset time
                 const accountCount = accountManager.getAccountCount();
                 logger.warn(`[CloudCode] All ${accountCount} account(s) rate-limited. Waiting ${formatDuration(minWaitMs)}...`);
-                await sleep(minWaitMs + 500); // Add 500ms buffer
+                await sleep(minWaitMs + 500, signal); // Add 500ms buffer
                 accountManager.clearExpiredLimits();
                 continue; // Retry the loop
             }
@@ -83,16 +98,19 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
             throw new Error('No accounts available');
         }
 
-        // Pick sticky account (prefers current for cache continuity)
-        let account = accountManager.getCurrentStickyAccount(model);
-        if (!account) {
-            account = accountManager.pickNext(model);
-        }
-
+        // Keep the conversation on its account for cache continuity
+        const account = accountManager.getSessionAccount(sessionId, model);
         if (!account) {
             continue; // Shouldn't happen, but safety check
         }
 
+        // Wait for a free in-flight slot on the account (released after this attempt)
+        const release = await accountManager.acquireSlot(account.email, model, { signal })
+            .catch(error => {
+                accountManager.endProbe(account.email);
+                throw error;
+            });
+
         try {
             // Get token and project for this account
             const token = await accountManager.getTokenForAccount(account);
@@ -103,7 +121,6 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
 
             // Try each endpoint
             let lastError = null;
-            let retriedOnce = false; // Track if we've already retried for short rate limit
 
             for (const endpoint of ANTIGRAVITY_ENDPOINT_FALLBACKS) {
                 try {
@@ -111,10 +128,12 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
                         ? `${endpoint}/v1internal:streamGenerateContent?alt=sse`
                         : `${endpoint}/v1internal:generateContent`;
 
+                    const startedAt = Date.now();
                     const response = await fetch(url, {
                         method: 'POST',
                         headers: buildHeaders(token, model, isThinking ? 'text/event-stream' : 'application/json'),
-                        body: JSON.stringify(payload)
+                        body: JSON.stringify(payload),
+                        signal
                     });
 
                     if (!response.ok) {
@@ -130,51 +149,27 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
                         }
 
                         if (response.status === 429) {
-                            const resetMs = parseResetTime(response, errorText);
-
-                            // Decision: wait and retry OR switch account
-                            if (resetMs && resetMs > DEFAULT_COOLDOWN_MS) {
-                                // Long-term quota exhaustion (> 10s) - switch to next account
-                                logger.info(`[CloudCode] Quota exhausted for ${account.email} (${formatDuration(resetMs)}), switching account...`);
-                                accountManager.markRateLimited(account.email, resetMs, model);
-                                throw new Error(`QUOTA_EXHAUSTED: ${errorText}`);
-                            } else {
-                                // Short-term rate limit (<= 10s) - wait and retry once
-                                const waitMs = resetMs || DEFAULT_COOLDOWN_MS;
-
-                                if (!retriedOnce) {
-                                    retriedOnce = true;
-                                    logger.info(`[CloudCode] Short rate limit (${formatDuration(waitMs)}), waiting and retrying...`);
-                                    await sleep(waitMs);
-                                    // Retry same endpoint
-                                    const retryResponse = await fetch(url, {
-                                        method: 'POST',
-                                        headers: buildHeaders(token, model, isThinking ? 'text/event-stream' : 'application/json'),
-                                        body: JSON.stringify(payload)
-                                    });
-
-                                    if (retryResponse.ok) {
-                                        // Process retry response
-                                        if (isThinking) {
-                                            return await parseThinkingSSEResponse(retryResponse, anthropicRequest.model);
-                                        }
-                                        const data = await retryResponse.json();
-                                        logger.debug('[CloudCode] Response received after retry');
-                                        return convertGoogleToAnthropic(data, anthropicRequest.model);
-                                    }
-
-                                    // Retry also failed - parse new reset time
-                                    const retryErrorText = await retryResponse.text();
-                                    const retryResetMs = parseResetTime(retryResponse, retryErrorText);
-                                    logger.warn(`[CloudCode] Retry also failed, marking and switching...`);
-                                    accountManager.markRateLimited(account.email, retryResetMs || waitMs, model);
-                                    throw new Error(`RATE_LIMITED_AFTER_RETRY: ${retryErrorText}`);
-                                } else {
-                                    // Already retried once, mark and switch
-                                    accountManager.markRateLimited(account.email, waitMs, model);
-                                    throw new Error(`RATE_LIMITED: ${errorText}`);
-                                }
+                            // Switches accounts on a long reset; waits and retries once on a short one
+                            const retry = await retryAfterRateLimit(response, errorText, {
+                                accountManager,
+                                email: account.email,
+                                model,
+                                signal,
+                                refetch: () => fetch(url, {
+                                    method: 'POST',
+                                    headers: buildHeaders(token, model, isThinking ? 'text/event-stream' : 'application/json'),
+                                    body: JSON.stringify(payload),
+                                    signal
+                                })
+                            });
+
+                            if (isThinking) {
+                                const result = await parseThinkingSSEResponse(retry.response, anthropicRequest.model, responseOptions);
+                                return recordResponse(accountManager, account.email, result, retry.latencyMs);
                             }
+                            const data = await retry.response.json();
+                            logger.debug('[CloudCode] Response received after retry');
+                            return recordResponse(accountManager, account.email, convertGoogleToAnthropic(data, anthropicRequest.model, responseOptions), retry.latencyMs);
                         }
 
                         if (response.status >= 400) {
@@ -182,23 +177,28 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
                             // If it's a 5xx error, wait a bit before trying the next endpoint
                             if (response.status >= 500) {
                                 logger.warn(`[CloudCode] ${response.status} error, waiting 1s before retry...`);
-                                await sleep(1000);
+                                await sleep(1000, signal);
                             }
                             continue;
                         }
                     }
 
                     // For thinking models, parse SSE and accumulate all parts
+                    const latencyMs = Date.now() - startedAt;
                     if (isThinking) {
-                        return await parseThinkingSSEResponse(response, anthropicRequest.model);
+                        const result = await parseThinkingSSEResponse(response, anthropicRequest.model, responseOptions);
+                        return recordResponse(accountManager, account.email, result, latencyMs);
                     }
 
                     // Non-thinking models use regular JSON
                     const data = await response.json();
                     logger.debug('[CloudCode] Response received');
-                    return convertGoogleToAnthropic(data, anthropicRequest.model);
+                    return recordResponse(accountManager, account.email, convertGoogleToAnthropic(data, anthropicRequest.model, responseOptions), latencyMs);
 
                 } catch (endpointError) {
+                    if (isCancelledError(endpointError)) {
+                        throw endpointError; // Client went away - no endpoint failover
+                    }
                     if (isRateLimitError(endpointError)) {
                         throw endpointError; // Re-throw to trigger account switch
                     }
@@ -218,6 +218,11 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
             }
 
         } catch (error) {
+            if (isCancelledError(error)) {
+                // Client disconnected - stop without retrying or switching accounts
+                logger.info(`[CloudCode] Request for ${model} cancelled by client`);
+                throw error;
+            }
             if (isRateLimitError(error)) {
                 // Rate limited - already marked, continue to next account
                 logger.info(`[CloudCode] Account ${account.email} rate-limited, trying next...`);
@@ -231,18 +236,24 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
             // Handle 5xx errors
             if (error.message.includes('API error 5') || error.message.includes('500') || error.message.includes('503')) {
                 logger.warn(`[CloudCode] Account ${account.email} failed with 5xx error, trying next...`);
-                accountManager.pickNext(model);
+                accountManager.recordOutcome(account.email, 'server_error');
+                accountManager.moveSession(sessionId, model);
                 continue;
             }
 
             if (isNetworkError(error)) {
                 logger.warn(`[CloudCode] Network error for ${account.email}, trying next account... (${error.message})`);
-                await sleep(1000);
-                accountManager.pickNext(model);
+                accountManager.recordOutcome(account.email, 'network_error');
+                await sleep(1000, signal);
+                accountManager.moveSession(sessionId, model);
                 continue;
             }
 
             throw error;
+        } finally {
+            release();
+            // Free the half-open probe if this attempt ended without a health outcome
+            accountManager.endProbe(account.email);
         }
     }
 
@@ -252,9 +263,25 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
         if (fallbackModel) {
             logger.warn(`[CloudCode] All retries exhausted for ${model}. Attempting fallback to ${fallbackModel}`);
             const fallbackRequest = { ...anthropicRequest, model: fallbackModel };
-            return await sendMessage(fallbackRequest, accountManager, false);
+            return await sendMessage(fallbackRequest, accountManager, false, options);
         }
     }
 
     throw new Error('Max retries exceeded');
 }
+
+/**
+ * Record a finished response in the account's health score
+ * A response with nothing but empty text counts as an empty response.
+ *
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {string} email - Account that served the request
+ * @param {Object} result - Anthropic-format response
+ * @param {number} latencyMs - Time until the upstream response started
+ * @returns {Object} The response, unchanged
+ */
+function recordResponse(accountManager, email, result, latencyMs) {
+    const hasContent = result?.content?.some(block => block.type !== 'text' || block.text);
+    accountManager.recordOutcome(email, hasContent ? 'success' : 'empty_response', latencyMs);
+    return result;
+}
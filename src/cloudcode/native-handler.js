@@ -0,0 +1,371 @@
+/**
+ * Native Gemini Handler for Cloud Code
+ *
+ * Handles Google Generative Language format requests
+ * (/v1beta/models/:model:generateContent and :streamGenerateContent)
+ * with multi-account support, retry logic, and endpoint failover.
+ *
+ * Requests and responses stay in the Google format; only the Cloud Code
+ * envelope is added on the way in and removed on the way out.
+ */
+
+import {
+    ANTIGRAVITY_ENDPOINT_FALLBACKS,
+    MAX_RETRIES,
+    MAX_WAIT_BEFORE_ERROR_MS,
+    STREAM_READ_TIMEOUT_MS
+} from '../constants.js';
+import { isRateLimitError, isAuthError, isCancelledError } from '../errors.js';
+import { formatDuration, sleep, isNetworkError, throwIfCancelled } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+import { retryAfterRateLimit } from './rate-limit-retry.js';
+import { buildNativeCloudCodeRequest, buildHeaders } from './request-builder.js';
+import { deriveSessionIdFromContents } from './session-manager.js';
+import { getFallbackModel } from '../fallback-config.js';
+
+/**
+ * Open a Cloud Code SSE stream for a native request, failing over across
+ * accounts and endpoints until one responds successfully.
+ * Each attempt holds an in-flight slot on its account; the successful one
+ * keeps it until the caller calls release() after reading the body.
+ *
+ * @param {string} model - Model name
+ * @param {Object} geminiRequest - Google GenerateContentRequest
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {boolean} fallbackEnabled - Whether to fall back to another model when exhausted
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request when the client disconnects
+ * @returns {Promise<{response: Response, model: string, release: Function}>} The successful response, model used and slot release
+ * @throws {Error} If max retries exceeded or no accounts available
+ * @throws {RequestCancelledError} If the signal aborts (no retry or failover)
+ * @throws {QueueTimeoutError} If the account stays at its concurrency limit for the whole queue timeout
+ */
+async function openNativeStream(model, geminiRequest, accountManager, fallbackEnabled, options = {}) {
+    const { signal } = options;
+    const maxAttempts = Math.max(MAX_RETRIES, accountManager.getAccountCount() + 1);
+    const sessionId = deriveSessionIdFromContents(geminiRequest.contents);
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        throwIfCancelled(signal);
+        accountManager.clearExpiredLimits();
+
+        const availableAccounts = accountManager.getAvailableAccounts(model);
+        if (availableAccounts.length === 0) {
+            if (accountManager.isAllRateLimited(model)) {
+                const minWaitMs = accountManager.getMinWaitTimeMs(model);
+                const resetTime = new Date(Date.now() + minWaitMs).toISOString();
+
+                if (minWaitMs > MAX_WAIT_BEFORE_ERROR_MS) {
+                    const fallbackModel = fallbackEnabled ? getFallbackModel(model) : null;
+                    if (fallbackModel) {
+                        logger.warn(`[CloudCode] All accounts exhausted for ${model} (${formatDuration(minWaitMs)} wait). Attempting fallback to ${fallbackModel} (native)`);
+                        return await openNativeStream(fallbackModel, geminiRequest, accountManager, false, options);
+                    }
+                    throw new Error(
+                        `RESOURCE_EXHAUSTED: Rate limited on ${model}. Quota will reset after ${formatDuration(minWaitMs)}. Next available: ${resetTime}`
+                    );
+                }
+
+                logger.warn(`[CloudCode] All ${accountManager.getAccountCount()} account(s) rate-limited. Waiting ${formatDuration(minWaitMs)}...`);
+                await sleep(minWaitMs + 500, signal);
+                accountManager.clearExpiredLimits();
+                continue;
+            }
+
+            throw new Error('No accounts available');
+        }
+
+        const account = accountManager.getSessionAccount(sessionId, model);
+        if (!account) {
+            continue;
+        }
+
+        // Wait for a free in-flight slot on the account (held until the body is read)
+        const release = await accountManager.acquireSlot(account.email, model, { signal })
+            .catch(error => {
+                accountManager.endProbe(account.email);
+                throw error;
+            });
+        const finishAttempt = () => {
+            release();
+            // Free the half-open probe if this attempt ended without a health outcome
+            accountManager.endProbe(account.email);
+        };
+        let opened = false;
+
+        try {
+            const token = await accountManager.getTokenForAccount(account);
+            const project = await accountManager.getProjectForAccount(account, token);
+            const payload = buildNativeCloudCodeRequest(geminiRequest, model, project);
+
+            logger.info(`[CloudCode] Starting native request: model=${model}, account=${account.email}, contents=${payload.request.contents.length}`);
+
+            let lastError = null;
+            for (const endpoint of ANTIGRAVITY_ENDPOINT_FALLBACKS) {
+                try {
+                    const url = `${endpoint}/v1internal:streamGenerateContent?alt=sse`;
+                    const startedAt = Date.now();
+                    const response = await fetch(url, {
+                        method: 'POST',
+                        headers: buildHeaders(token, model, 'text/event-stream'),
+                        body: JSON.stringify(payload),
+                        signal
+                    });
+
+                    if (response.ok) {
+                        accountManager.recordOutcome(account.email, 'success', Date.now() - startedAt);
+                        opened = true;
+                        return { response, model, release: finishAttempt };
+                    }
+
+                    const errorText = await response.text();
+                    logger.warn(`[CloudCode] Native error at ${endpoint}: ${response.status} - ${errorText}`);
+
+                    if (response.status === 401) {
+                        accountManager.clearTokenCache(account.email);
+                        accountManager.clearProjectCache(account.email);
+                        continue;
+                    }
+
+                    if (response.status === 429) {
+                        // Switches accounts on a long reset; waits and retries once on a short one
+                        const retry = await retryAfterRateLimit(response, errorText, {
+                            accountManager,
+                            email: account.email,
+                            model,
+                            signal,
+                            refetch: () => fetch(url, {
+                                method: 'POST',
+                                headers: buildHeaders(token, model, 'text/event-stream'),
+                                body: JSON.stringify(payload),
+                                signal
+                            })
+                        });
+                        accountManager.recordOutcome(account.email, 'success', retry.latencyMs);
+                        opened = true;
+                        return { response: retry.response, model, release: finishAttempt };
+                    }
+
+                    lastError = new Error(`API error ${response.status}: ${errorText}`);
+                    if (response.status >= 500) {
+                        logger.warn(`[CloudCode] ${response.status} error, waiting 1s before retry...`);
+                        await sleep(1000, signal);
+                    }
+                } catch (endpointError) {
+                    if (isCancelledError(endpointError)) {
+                        throw endpointError; // Client went away - no endpoint failover
+                    }
+                    if (isRateLimitError(endpointError)) {
+                        throw endpointError;
+                    }
+                    logger.warn(`[CloudCode] Native error at ${endpoint}:`, endpointError.message);
+                    lastError = endpointError;
+                }
+            }
+
+            if (lastError) {
+                throw lastError;
+            }
+
+        } catch (error) {
+            if (isCancelledError(error)) {
+                // Client disconnected - stop without retrying or switching accounts
+                logger.info(`[CloudCode] Native request for ${model} cancelled by client`);
+                throw error;
+            }
+            if (isRateLimitError(error)) {
+                logger.info(`[CloudCode] Account ${account.email} rate-limited, trying next...`);
+                continue;
+            }
+            if (isAuthError(error)) {
+                logger.warn(`[CloudCode] Account ${account.email} has invalid credentials, trying next...`);
+                continue;
+            }
+            if (error.message.includes('API error 5')) {
+                logger.warn(`[CloudCode] Account ${account.email} failed with 5xx error, trying next...`);
+                accountManager.recordOutcome(account.email, 'server_error');
+                accountManager.moveSession(sessionId, model);
+                continue;
+            }
+            if (isNetworkError(error)) {
+                logger.warn(`[CloudCode] Network error for ${account.email}, trying next account... (${error.message})`);
+                accountManager.recordOutcome(account.email, 'network_error');
+                await sleep(1000, signal);
+                accountManager.moveSession(sessionId, model);
+                continue;
+            }
+
+            throw error;
+        } finally {
+            if (!opened) finishAttempt();
+        }
+    }
+
+    const fallbackModel = fallbackEnabled ? getFallbackModel(model) : null;
+    if (fallbackModel) {
+        logger.warn(`[CloudCode] All retries exhausted for ${model}. Attempting fallback to ${fallbackModel} (native)`);
+        return await openNativeStream(fallbackModel, geminiRequest, accountManager, false, options);
+    }
+
+    throw new Error('Max retries exceeded');
+}
+
+/**
+ * Parse a Cloud Code SSE body into Google-format response chunks
+ * Unwraps the Cloud Code envelope ({ response: {...} }) from each event.
+ *
+ * @param {Response} response - The HTTP response with SSE body
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the body read when the client disconnects
+ * @yields {Object} GenerateContentResponse chunks
+ * @throws {RequestCancelledError} If the signal aborts mid-stream
+ */
+export async function* parseNativeSSE(response, options = {}) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const { signal } = options;
+    const onAbort = () => reader.cancel('Client disconnected').catch(() => { });
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const readWithTimeout = () => {
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                reader.cancel('Stream timeout - no data received').catch(() => { });
+                reject(new Error(`Stream idle timeout after ${Math.round(STREAM_READ_TIMEOUT_MS / 1000)}s`));
+            }, STREAM_READ_TIMEOUT_MS);
+        });
+        return Promise.race([reader.read(), timeout]).finally(() => clearTimeout(timer));
+    };
+
+    try {
+        while (true) {
+            throwIfCancelled(signal);
+            const { done, value } = await readWithTimeout();
+            throwIfCancelled(signal);
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
+
+            for (const line of lines) {
+                if (!line.startsWith('data:')) continue;
+                const jsonText = line.slice(5).trim();
+                if (!jsonText) continue;
+
+                try {
+                    const data = JSON.parse(jsonText);
+                    yield data.response || data;
+                } catch (e) {
+                    logger.warn('[CloudCode] Native SSE parse error:', e.message);
+                }
+            }
+        }
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * Merge streamed chunks into a single GenerateContentResponse
+ * Adjacent text parts of the same kind (thought vs. answer) are concatenated;
+ * functionCall, inlineData and thoughtSignature parts are kept as-is.
+ *
+ * @param {Array<Object>} chunks - GenerateContentResponse chunks
+ * @returns {Object} Aggregated GenerateContentResponse
+ */
+export function mergeNativeChunks(chunks) {
+    const parts = [];
+    let finishReason;
+    let usageMetadata;
+    let modelVersion;
+    let responseId;
+
+    for (const chunk of chunks) {
+        const candidate = chunk.candidates?.[0];
+        for (const part of candidate?.content?.parts || []) {
+            const last = parts[parts.length - 1];
+            const isText = typeof part.text === 'string';
+            const canMerge = isText && last && typeof last.text === 'string' &&
+                !!last.thought === !!part.thought && !last.thoughtSignature;
+
+            if (canMerge) {
+                last.text += part.text;
+                if (part.thoughtSignature) last.thoughtSignature = part.thoughtSignature;
+            } else if (isText && !part.text && part.thoughtSignature && last && !!last.thought === !!part.thought) {
+                // Signature-only part closing the previous text
+                last.thoughtSignature = part.thoughtSignature;
+            } else {
+                parts.push({ ...part });
+            }
+        }
+
+        if (candidate?.finishReason) finishReason = candidate.finishReason;
+        if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+        if (chunk.modelVersion) modelVersion = chunk.modelVersion;
+        if (chunk.responseId) responseId = chunk.responseId;
+    }
+
+    const candidate = { content: { role: 'model', parts }, index: 0 };
+    if (finishReason) candidate.finishReason = finishReason;
+
+    const result = { candidates: [candidate] };
+    if (usageMetadata) result.usageMetadata = usageMetadata;
+    if (modelVersion) result.modelVersion = modelVersion;
+    if (responseId) result.responseId = responseId;
+    return result;
+}
+
+/**
+ * Send a native generateContent request
+ * Uses the SSE endpoint and aggregates the chunks, since the non-streaming
+ * endpoint omits thought parts for thinking models.
+ *
+ * @param {string} model - Model name
+ * @param {Object} geminiRequest - Google GenerateContentRequest
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {boolean} [fallbackEnabled=false] - Whether to fall back to another model when exhausted
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request when the client disconnects
+ * @returns {Promise<Object>} GenerateContentResponse
+ * @throws {RequestCancelledError} If the signal aborts (no retry or failover)
+ * @throws {QueueTimeoutError} If the account stays at its concurrency limit for the whole queue timeout
+ */
+export async function generateContent(model, geminiRequest, accountManager, fallbackEnabled = false, options = {}) {
+    const { response, release } = await openNativeStream(model, geminiRequest, accountManager, fallbackEnabled, options);
+
+    try {
+        const chunks = [];
+        for await (const chunk of parseNativeSSE(response, options)) {
+            chunks.push(chunk);
+        }
+        return mergeNativeChunks(chunks);
+    } finally {
+        release();
+    }
+}
+
+/**
+ * Send a native streamGenerateContent request
+ *
+ * @param {string} model - Model name
+ * @param {Object} geminiRequest - Google GenerateContentRequest
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {boolean} [fallbackEnabled=false] - Whether to fall back to another model when exhausted
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the upstream stream when the client disconnects
+ * @yields {Object} GenerateContentResponse chunks
+ * @throws {RequestCancelledError} If the signal aborts (no retry or failover)
+ * @throws {QueueTimeoutError} If the account stays at its concurrency limit for the whole queue timeout
+ */
+export async function* streamGenerateContent(model, geminiRequest, accountManager, fallbackEnabled = false, options = {}) {
+    const { response, release } = await openNativeStream(model, geminiRequest, accountManager, fallbackEnabled, options);
+    try {
+        yield* parseNativeSSE(response, options);
+    } finally {
+        release();
+    }
+}
@@ -0,0 +1,60 @@
+/**
+ * Rate Limit Retry for Cloud Code
+ *
+ * Shared handling of 429 responses for the message, streaming and native
+ * handlers: a long quota reset switches to the next account at once, a
+ * short rate limit is waited out and the request retried once on the same
+ * endpoint before the account is marked and switched.
+ */
+
+import { DEFAULT_COOLDOWN_MS } from '../constants.js';
+import { formatDuration, sleep } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+import { parseResetTime } from './rate-limit-parser.js';
+
+/**
+ * Handle a 429 from a Cloud Code endpoint
+ * Returns the retried response if a short rate limit was waited out and the
+ * retry succeeded. Otherwise the account is marked rate-limited for the
+ * model and a rate-limit error is thrown so the caller switches accounts.
+ *
+ * @param {Response} response - The 429 response
+ * @param {string} errorText - Body of the 429 response
+ * @param {Object} context
+ * @param {import('../account-manager/index.js').default} context.accountManager - The account manager instance
+ * @param {string} context.email - Account that was rate-limited
+ * @param {string} context.model - Model the request was for
+ * @param {Function} context.refetch - Sends the same request again, resolving to a Response
+ * @param {AbortSignal} [context.signal] - Interrupts the wait when the client disconnects
+ * @returns {Promise<{response: Response, latencyMs: number}>} The successful retry and its latency
+ * @throws {Error} QUOTA_EXHAUSTED or RATE_LIMITED_AFTER_RETRY once the account is marked
+ * @throws {RequestCancelledError} If the signal aborts during the wait
+ */
+export async function retryAfterRateLimit(response, errorText, { accountManager, email, model, refetch, signal }) {
+    const resetMs = parseResetTime(response, errorText);
+
+    if (resetMs && resetMs > DEFAULT_COOLDOWN_MS) {
+        // Long-term quota exhaustion (> 10s) - switch to next account
+        logger.info(`[CloudCode] Quota exhausted for ${email} (${formatDuration(resetMs)}), switching account...`);
+        accountManager.markRateLimited(email, resetMs, model);
+        throw new Error(`QUOTA_EXHAUSTED: ${errorText}`);
+    }
+
+    // Short-term rate limit (<= 10s) - wait and retry the same endpoint once
+    const waitMs = resetMs || DEFAULT_COOLDOWN_MS;
+    logger.info(`[CloudCode] Short rate limit (${formatDuration(waitMs)}), waiting and retrying...`);
+    await sleep(waitMs, signal);
+
+    const startedAt = Date.now();
+    const retryResponse = await refetch();
+    if (retryResponse.ok) {
+        return { response: retryResponse, latencyMs: Date.now() - startedAt };
+    }
+
+    // Retry also failed - parse new reset time
+    const retryErrorText = await retryResponse.text();
+    const retryResetMs = parseResetTime(retryResponse, retryErrorText);
+    logger.warn('[CloudCode] Retry also failed, marking and switching...');
+    accountManager.markRateLimited(email, retryResetMs || waitMs, model);
+    throw new Error(`RATE_LIMITED_AFTER_RETRY: ${retryErrorText}`);
+}
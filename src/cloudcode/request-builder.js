@@ -8,11 +8,14 @@ import crypto from 'crypto';
 import {
     ANTIGRAVITY_HEADERS,
     ANTIGRAVITY_SYSTEM_INSTRUCTION,
+    GEMINI_MAX_OUTPUT_TOKENS,
     getModelFamily,
     isThinkingModel
 } from '../constants.js';
-import { convertAnthropicToGoogle } from '../format/index.js';
-import { deriveSessionId } from './session-manager.js';
+import { convertAnthropicToGoogle, buildToolNameMap, buildToolSchemas } from '../format/index.js';
+import usageStats from '../modules/usage-stats.js';
+import { logger } from '../utils/logger.js';
+import { deriveSessionId, deriveSessionIdFromContents } from './session-manager.js';
 
 /**
  * Build the wrapped request body for Cloud Code API
@@ -22,12 +25,63 @@ import { deriveSessionId } from './session-manager.js';
  * @returns {Object} The Cloud Code API request payload
  */
 export function buildCloudCodeRequest(anthropicRequest, projectId) {
-    const model = anthropicRequest.model;
     const googleRequest = convertAnthropicToGoogle(anthropicRequest);
 
     // Use stable session ID derived from first user message for cache continuity
     googleRequest.sessionId = deriveSessionId(anthropicRequest);
 
+    return wrapCloudCodeRequest(googleRequest, anthropicRequest.model, projectId);
+}
+
+/**
+ * Build the wrapped request body for a native Gemini API request
+ * Used by /v1beta/models/:model:generateContent where the client already
+ * speaks the Google format, so parts (thoughtSignature, functionCall,
+ * inlineData) are forwarded as-is.
+ *
+ * @param {Object} geminiRequest - Google GenerateContentRequest from the client
+ * @param {string} model - Model name
+ * @param {string} projectId - The project ID to use
+ * @returns {Object} The Cloud Code API request payload
+ */
+export function buildNativeCloudCodeRequest(geminiRequest, model, projectId) {
+    const googleRequest = {};
+
+    // The REST API accepts both snake_case and camelCase top-level fields
+    for (const [key, value] of Object.entries(geminiRequest || {})) {
+        const camelKey = key.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+        googleRequest[camelKey] = value;
+    }
+
+    delete googleRequest.model;
+    if (googleRequest.cachedContent) {
+        logger.debug('[RequestBuilder] Dropping unsupported cachedContent from native request');
+        delete googleRequest.cachedContent;
+    }
+
+    googleRequest.contents = googleRequest.contents || [];
+
+    const generationConfig = googleRequest.generationConfig;
+    if (getModelFamily(model) === 'gemini' && generationConfig?.maxOutputTokens > GEMINI_MAX_OUTPUT_TOKENS) {
+        logger.debug(`[RequestBuilder] Capping Gemini maxOutputTokens from ${generationConfig.maxOutputTokens} to ${GEMINI_MAX_OUTPUT_TOKENS}`);
+        googleRequest.generationConfig = { ...generationConfig, maxOutputTokens: GEMINI_MAX_OUTPUT_TOKENS };
+    }
+
+    googleRequest.sessionId = deriveSessionIdFromContents(googleRequest.contents);
+
+    return wrapCloudCodeRequest(googleRequest, model, projectId);
+}
+
+/**
+ * Wrap a Google-format request in the Cloud Code envelope
+ * Prepends the Antigravity system instruction to any client system instruction.
+ *
+ * @param {Object} googleRequest - Google-format request
+ * @param {string} model - Model name
+ * @param {string} projectId - The project ID to use
+ * @returns {Object} The Cloud Code API request payload
+ */
+function wrapCloudCodeRequest(googleRequest, model, projectId) {
     // Build system instruction parts array with [ignore] tags to prevent model from
     // identifying as "Antigravity" (fixes GitHub issue #76)
     // Reference: CLIProxyAPI, gcli2api, AIClient-2-API all use this approach
@@ -63,6 +117,25 @@ export function buildCloudCodeRequest(anthropicRequest, projectId) {
     return payload;
 }
 
+/**
+ * Derive response-side options from an Anthropic request
+ * Covers request settings that Cloud Code cannot enforce itself.
+ *
+ * @param {Object} anthropicRequest - The Anthropic-format request
+ * @returns {Object} Options for convertGoogleToAnthropic / streamSSEResponse
+ */
+export function getResponseOptions(anthropicRequest) {
+    return {
+        disableParallelToolUse: anthropicRequest.tool_choice?.disable_parallel_tool_use === true,
+        toolNameMap: buildToolNameMap(anthropicRequest),
+        toolSchemas: buildToolSchemas(anthropicRequest),
+        onToolInputInvalid: (name, errors) => {
+            logger.warn(`[ToolInput] Input for ${name} does not match its schema (${errors.length} error(s)): ${errors[0]}`);
+            usageStats.trackToolInputInvalid();
+        }
+    };
+}
+
 /**
  * Build headers for Cloud Code API requests
  *
@@ -35,9 +35,7 @@ export function deriveSessionId(anthropicRequest) {
             }
 
             if (content) {
-                // Hash the content with SHA256, return first 32 hex chars
-                const hash = crypto.createHash('sha256').update(content).digest('hex');
-                return hash.substring(0, 32);
+                return hashSessionContent(content);
             }
         }
     }
@@ -45,3 +43,37 @@ export function deriveSessionId(anthropicRequest) {
     // Fallback to random UUID if no user message found
     return crypto.randomUUID();
 }
+
+/**
+ * Derive a stable session ID from Google-format contents (native Gemini requests).
+ * Uses the same hashing as deriveSessionId so the first user text maps to the
+ * same session regardless of which API surface the client used.
+ *
+ * @param {Array<Object>} contents - Google-format contents array
+ * @returns {string} A stable session ID (32 hex characters) or random UUID if no user text
+ */
+export function deriveSessionIdFromContents(contents = []) {
+    for (const content of contents) {
+        if (content.role !== 'user') continue;
+
+        const text = (content.parts || [])
+            .filter(part => part.text && !part.thought)
+            .map(part => part.text)
+            .join('\n');
+
+        if (text) {
+            return hashSessionContent(text);
+        }
+    }
+
+    return crypto.randomUUID();
+}
+
+/**
+ * Hash conversation content into a session ID
+ * @param {string} content - First user message text
+ * @returns {string} First 32 hex chars of the SHA256 hash
+ */
+function hashSessionContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').substring(0, 32);
+}
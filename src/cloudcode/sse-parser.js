@@ -6,6 +6,7 @@
  */
 
 import { convertGoogleToAnthropic } from '../format/index.js';
+import { RequestCancelledError } from '../errors.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -13,9 +14,12 @@ import { logger } from '../utils/logger.js';
  *
  * @param {Response} response - The HTTP response with SSE body
  * @param {string} originalModel - The original model name
+ * @param {Object} [options] - Response options (see convertGoogleToAnthropic)
+ * @param {AbortSignal} [options.signal] - Cancels the body read when the client disconnects
  * @returns {Promise<Object>} Anthropic-format response object
+ * @throws {RequestCancelledError} If the signal aborts before the response is complete
  */
-export async function parseThinkingSSEResponse(response, originalModel) {
+export async function parseThinkingSSEResponse(response, originalModel, options = {}) {
     let accumulatedThinkingText = '';
     let accumulatedThinkingSignature = '';
     let accumulatedText = '';
@@ -46,60 +50,74 @@ export async function parseThinkingSSEResponse(response, originalModel) {
     const decoder = new TextDecoder();
     let buffer = '';
 
-    while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
+    const { signal } = options;
+    const onAbort = () => reader.cancel('Client disconnected').catch(() => { });
+    signal?.addEventListener('abort', onAbort, { once: true });
 
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || '';
+    try {
+        while (true) {
+            if (signal?.aborted) {
+                throw new RequestCancelledError();
+            }
+            const { done, value } = await reader.read();
+            if (signal?.aborted) {
+                throw new RequestCancelledError();
+            }
+            if (done) break;
 
-        for (const line of lines) {
-            if (!line.startsWith('data:')) continue;
-            const jsonText = line.slice(5).trim();
-            if (!jsonText) continue;
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
 
-            try {
-                const data = JSON.parse(jsonText);
-                const innerResponse = data.response || data;
+            for (const line of lines) {
+                if (!line.startsWith('data:')) continue;
+                const jsonText = line.slice(5).trim();
+                if (!jsonText) continue;
 
-                if (innerResponse.usageMetadata) {
-                    usageMetadata = innerResponse.usageMetadata;
-                }
+                try {
+                    const data = JSON.parse(jsonText);
+                    const innerResponse = data.response || data;
 
-                const candidates = innerResponse.candidates || [];
-                const firstCandidate = candidates[0] || {};
-                if (firstCandidate.finishReason) {
-                    finishReason = firstCandidate.finishReason;
-                }
+                    if (innerResponse.usageMetadata) {
+                        usageMetadata = innerResponse.usageMetadata;
+                    }
+
+                    const candidates = innerResponse.candidates || [];
+                    const firstCandidate = candidates[0] || {};
+                    if (firstCandidate.finishReason) {
+                        finishReason = firstCandidate.finishReason;
+                    }
 
-                const parts = firstCandidate.content?.parts || [];
-                for (const part of parts) {
-                    if (part.thought === true) {
-                        flushText();
-                        accumulatedThinkingText += (part.text || '');
-                        if (part.thoughtSignature) {
-                            accumulatedThinkingSignature = part.thoughtSignature;
+                    const parts = firstCandidate.content?.parts || [];
+                    for (const part of parts) {
+                        if (part.thought === true) {
+                            flushText();
+                            accumulatedThinkingText += (part.text || '');
+                            if (part.thoughtSignature) {
+                                accumulatedThinkingSignature = part.thoughtSignature;
+                            }
+                        } else if (part.functionCall) {
+                            flushThinking();
+                            flushText();
+                            finalParts.push(part);
+                        } else if (part.text !== undefined) {
+                            if (!part.text) continue;
+                            flushThinking();
+                            accumulatedText += part.text;
+                        } else if (part.inlineData) {
+                            // Handle image content
+                            flushThinking();
+                            flushText();
+                            finalParts.push(part);
                         }
-                    } else if (part.functionCall) {
-                        flushThinking();
-                        flushText();
-                        finalParts.push(part);
-                    } else if (part.text !== undefined) {
-                        if (!part.text) continue;
-                        flushThinking();
-                        accumulatedText += part.text;
-                    } else if (part.inlineData) {
-                        // Handle image content
-                        flushThinking();
-                        flushText();
-                        finalParts.push(part);
                     }
+                } catch (e) {
+                    logger.debug('[CloudCode] SSE parse warning:', e.message, 'Raw:', jsonText.slice(0, 100));
                 }
-            } catch (e) {
-                logger.debug('[CloudCode] SSE parse warning:', e.message, 'Raw:', jsonText.slice(0, 100));
             }
         }
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
     }
 
     flushThinking();
@@ -117,5 +135,5 @@ export async function parseThinkingSSEResponse(response, originalModel) {
         logger.debug('[CloudCode] Thinking signature length:', thinkingPart?.thoughtSignature?.length || 0);
     }
 
-    return convertGoogleToAnthropic(accumulatedResponse, originalModel);
+    return convertGoogleToAnthropic(accumulatedResponse, originalModel, options);
 }
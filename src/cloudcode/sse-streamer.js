@@ -7,8 +7,9 @@
 
 import crypto from 'crypto';
 import { MIN_SIGNATURE_LENGTH, STREAM_READ_TIMEOUT_MS, getModelFamily } from '../constants.js';
-import { EmptyResponseError } from '../errors.js';
+import { EmptyResponseError, RequestCancelledError, isCancelledError } from '../errors.js';
 import { cacheSignature, cacheThinkingSignature } from '../format/signature-cache.js';
+import { resolveToolInput } from '../format/tool-input-repair.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -16,9 +17,16 @@ import { logger } from '../utils/logger.js';
  *
  * @param {Response} response - The HTTP response with SSE body
  * @param {string} originalModel - The original model name
+ * @param {Object} [options] - Response options derived from the request
+ * @param {boolean} [options.disableParallelToolUse] - Keep only the first tool call
+ * @param {import('../format/tool-name-map.js').ToolNameMap} [options.toolNameMap] - Restores the client's tool names
+ * @param {Map<string, Object>} [options.toolSchemas] - Original input schemas to repair tool inputs against
+ * @param {Function} [options.onToolInputInvalid] - Called with (name, errors) for inputs that remain invalid
+ * @param {AbortSignal} [options.signal] - Cancels the body read when the client disconnects
  * @yields {Object} Anthropic-format SSE events
+ * @throws {RequestCancelledError} If the signal aborts mid-stream
  */
-export async function* streamSSEResponse(response, originalModel) {
+export async function* streamSSEResponse(response, originalModel, options = {}) {
     const messageId = `msg_${crypto.randomBytes(16).toString('hex')}`;
     let hasEmittedStart = false;
     let blockIndex = 0;
@@ -28,6 +36,7 @@ export async function* streamSSEResponse(response, originalModel) {
     let outputTokens = 0;
     let cacheReadTokens = 0;
     let stopReason = null;
+    let toolCallCount = 0;
 
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
@@ -42,6 +51,11 @@ export async function* streamSSEResponse(response, originalModel) {
 
     logger.info(`[SSE] Stream started for model: ${originalModel}`);
 
+    // Stop reading as soon as the client goes away (covers bodies not fetched with the signal)
+    const { signal } = options;
+    const onAbort = () => reader.cancel('Client disconnected').catch(() => { });
+    signal?.addEventListener('abort', onAbort, { once: true });
+
     /**
      * Read with timeout - aborts if no data received within STREAM_READ_TIMEOUT_MS
      * Note: This is an IDLE timeout, not a total request timeout.
@@ -103,7 +117,13 @@ export async function* streamSSEResponse(response, originalModel) {
 
     try {
         while (true) {
+            if (signal?.aborted) {
+                throw new RequestCancelledError();
+            }
             const { done, value } = await readWithTimeout();
+            if (signal?.aborted) {
+                throw new RequestCancelledError();
+            }
             if (done) {
                 const durationSec = Math.round((Date.now() - streamStartTime) / 1000);
                 logger.info(`[SSE] Stream completed: ${chunkCount} chunks, ${Math.round(totalBytes / 1024)}KB, ${durationSec}s`);
@@ -230,6 +250,12 @@ export async function* streamSSEResponse(response, originalModel) {
                             };
 
                         } else if (part.functionCall) {
+                            if (options.disableParallelToolUse && toolCallCount > 0) {
+                                // Upstream has no parallel-call switch, so drop extra calls here
+                                continue;
+                            }
+                            toolCallCount++;
+
                             // Handle tool use
                             // For Gemini 3+, capture thoughtSignature from the functionCall part
                             // The signature is a sibling to functionCall, not inside it
@@ -251,13 +277,14 @@ export async function* streamSSEResponse(response, originalModel) {
                             stopReason = 'tool_use';
 
                             const toolId = part.functionCall.id || `toolu_${crypto.randomBytes(12).toString('hex')}`;
+                            const toolName = options.toolNameMap ? options.toolNameMap.toClient(part.functionCall.name) : part.functionCall.name;
 
                             // For Gemini, include the thoughtSignature in the tool_use block
                             // so it can be sent back in subsequent requests
                             const toolUseBlock = {
                                 type: 'tool_use',
                                 id: toolId,
-                                name: part.functionCall.name,
+                                name: toolName,
                                 input: {}
                             };
 
@@ -279,7 +306,7 @@ export async function* streamSSEResponse(response, originalModel) {
                                 index: blockIndex,
                                 delta: {
                                     type: 'input_json_delta',
-                                    partial_json: JSON.stringify(part.functionCall.args || {})
+                                    partial_json: JSON.stringify(resolveToolInput(toolName, part.functionCall.args, options))
                                 }
                             };
                         } else if (part.inlineData) {
@@ -364,8 +391,14 @@ export async function* streamSSEResponse(response, originalModel) {
 
         yield { type: 'message_stop' };
     } catch (streamError) {
+        if (isCancelledError(streamError)) {
+            logger.info(`[SSE] Stream cancelled by client after ${chunkCount} chunks`);
+            throw streamError;
+        }
         // Log and re-throw stream errors (including timeout)
         logger.error('[CloudCode] Stream error:', streamError.message);
         throw streamError;
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
     }
 }
@@ -9,14 +9,16 @@ import {
     ANTIGRAVITY_ENDPOINT_FALLBACKS,
     MAX_RETRIES,
     MAX_EMPTY_RESPONSE_RETRIES,
-    MAX_WAIT_BEFORE_ERROR_MS,
-    DEFAULT_COOLDOWN_MS
+    MAX_WAIT_BEFORE_ERROR_MS
 } from '../constants.js';
-import { isRateLimitError, isAuthError, isEmptyResponseError } from '../errors.js';
-import { formatDuration, sleep, isNetworkError } from '../utils/helpers.js';
+import { isRateLimitError, isAuthError, isEmptyResponseError, isCancelledError } from '../errors.js';
+import { formatDuration, sleep, isNetworkError, throwIfCancelled } from '../utils/helpers.js';
 import { logger } from '../utils/logger.js';
 import { parseResetTime } from './rate-limit-parser.js';
-import { buildCloudCodeRequest, buildHeaders } from './request-builder.js';
+import { retryAfterRateLimit } from './rate-limit-retry.js';
+import { buildCloudCodeRequest, buildHeaders, getResponseOptions } from './request-builder.js';
+import { mediaResolver } from './media-resolver.js';
+import { deriveSessionId } from './session-manager.js';
 import { streamSSEResponse } from './sse-streamer.js';
 import { getFallbackModel } from '../fallback-config.js';
 import crypto from 'crypto';
@@ -31,17 +33,31 @@ import crypto from 'crypto';
  * @param {number} [anthropicRequest.max_tokens] - Maximum tokens to generate
  * @param {Object} [anthropicRequest.thinking] - Thinking configuration
  * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {boolean} [fallbackEnabled=false] - Whether to use model fallback
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the upstream stream when the client disconnects
  * @yields {Object} Anthropic-format SSE events (message_start, content_block_start, content_block_delta, etc.)
  * @throws {Error} If max retries exceeded or no accounts available
+ * @throws {RequestCancelledError} If the signal aborts (no retry or failover)
+ * @throws {MediaFetchError} If a URL image or document cannot be downloaded
+ * @throws {QueueTimeoutError} If the account stays at its concurrency limit for the whole queue timeout
  */
-export async function* sendMessageStream(anthropicRequest, accountManager, fallbackEnabled = false) {
+export async function* sendMessageStream(anthropicRequest, accountManager, fallbackEnabled = false, options = {}) {
     const model = anthropicRequest.model;
+    const { signal } = options;
+
+    // Cloud Code cannot fetch arbitrary URLs, so URL images and documents are inlined first
+    anthropicRequest = await mediaResolver.resolveRequest(anthropicRequest, { signal });
+    const responseOptions = { ...getResponseOptions(anthropicRequest), signal };
+    const sessionId = deriveSessionId(anthropicRequest);
 
     // Retry loop with account failover
     // Ensure we try at least as many times as there are accounts to cycle through everyone
     const maxAttempts = Math.max(MAX_RETRIES, accountManager.getAccountCount() + 1);
 
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        throwIfCancelled(signal);
+
         // Clear any expired rate limits before picking
         accountManager.clearExpiredLimits();
 
@@ -62,7 +78,7 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
                         if (fallbackModel) {
                             logger.warn(`[CloudCode] All accounts exhausted for ${model} (${formatDuration(minWaitMs)} wait). Attempting fallback to ${fallbackModel} (streaming)`);
                             const fallbackRequest = { ...anthropicRequest, model: fallbackModel };
-                            yield* sendMessageStream(fallbackRequest, accountManager, false);
+                            yield* sendMessageStream(fallbackRequest, accountManager, false, options);
                             return;
                         }
                     }
@@ -74,7 +90,7 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
                 // Wait for shortest reset time
                 const accountCount = accountManager.getAccountCount();
                 logger.warn(`[CloudCode] All ${accountCount} account(s) rate-limited. Waiting ${formatDuration(minWaitMs)}...`);
-                await sleep(minWaitMs + 500); // Add 500ms buffer
+                await sleep(minWaitMs + 500, signal); // Add 500ms buffer
                 accountManager.clearExpiredLimits();
                 continue; // Retry the loop
             }
@@ -83,16 +99,19 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
             throw new Error('No accounts available');
         }
 
-        // Pick sticky account (prefers current for cache continuity)
-        let account = accountManager.getCurrentStickyAccount(model);
-        if (!account) {
-            account = accountManager.pickNext(model);
-        }
-
+        // Keep the conversation on its account for cache continuity
+        const account = accountManager.getSessionAccount(sessionId, model);
         if (!account) {
             continue; // Shouldn't happen, but safety check
         }
 
+        // Wait for a free in-flight slot on the account (released after this attempt)
+        const release = await accountManager.acquireSlot(account.email, model, { signal })
+            .catch(error => {
+                accountManager.endProbe(account.email);
+                throw error;
+            });
+
         try {
             // Get token and project for this account
             const token = await accountManager.getTokenForAccount(account);
@@ -104,17 +123,18 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
 
             // Try each endpoint for streaming
             let lastError = null;
-            let retriedOnce = false; // Track if we've already retried for short rate limit
 
             for (const endpoint of ANTIGRAVITY_ENDPOINT_FALLBACKS) {
                 try {
                     const url = `${endpoint}/v1internal:streamGenerateContent?alt=sse`;
                     logger.debug(`[CloudCode] Connecting to ${endpoint}...`);
 
+                    const startedAt = Date.now();
                     const response = await fetch(url, {
                         method: 'POST',
                         headers: buildHeaders(token, model, 'text/event-stream'),
-                        body: JSON.stringify(payload)
+                        body: JSON.stringify(payload),
+                        signal
                     });
 
                     if (!response.ok) {
@@ -129,48 +149,24 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
                         }
 
                         if (response.status === 429) {
-                            const resetMs = parseResetTime(response, errorText);
-
-                            // Decision: wait and retry OR switch account
-                            if (resetMs && resetMs > DEFAULT_COOLDOWN_MS) {
-                                // Long-term quota exhaustion (> 10s) - switch to next account
-                                logger.info(`[CloudCode] Quota exhausted for ${account.email} (${formatDuration(resetMs)}), switching account...`);
-                                accountManager.markRateLimited(account.email, resetMs, model);
-                                throw new Error(`QUOTA_EXHAUSTED: ${errorText}`);
-                            } else {
-                                // Short-term rate limit (<= 10s) - wait and retry once
-                                const waitMs = resetMs || DEFAULT_COOLDOWN_MS;
-
-                                if (!retriedOnce) {
-                                    retriedOnce = true;
-                                    logger.info(`[CloudCode] Short rate limit (${formatDuration(waitMs)}), waiting and retrying...`);
-                                    await sleep(waitMs);
-                                    // Retry same endpoint
-                                    const retryResponse = await fetch(url, {
-                                        method: 'POST',
-                                        headers: buildHeaders(token, model, 'text/event-stream'),
-                                        body: JSON.stringify(payload)
-                                    });
-
-                                    if (retryResponse.ok) {
-                                        // Stream the retry response
-                                        yield* streamSSEResponse(retryResponse, anthropicRequest.model);
-                                        logger.debug('[CloudCode] Stream completed after retry');
-                                        return;
-                                    }
+                            // Switches accounts on a long reset; waits and retries once on a short one
+                            const retry = await retryAfterRateLimit(response, errorText, {
+                                accountManager,
+                                email: account.email,
+                                model,
+                                signal,
+                                refetch: () => fetch(url, {
+                                    method: 'POST',
+                                    headers: buildHeaders(token, model, 'text/event-stream'),
+                                    body: JSON.stringify(payload),
+                                    signal
+                                })
+                            });
 
-                                    // Retry also failed - parse new reset time
-                                    const retryErrorText = await retryResponse.text();
-                                    const retryResetMs = parseResetTime(retryResponse, retryErrorText);
-                                    logger.warn(`[CloudCode] Retry also failed, marking and switching...`);
-                                    accountManager.markRateLimited(account.email, retryResetMs || waitMs, model);
-                                    throw new Error(`RATE_LIMITED_AFTER_RETRY: ${retryErrorText}`);
-                                } else {
-                                    // Already retried once, mark and switch
-                                    accountManager.markRateLimited(account.email, waitMs, model);
-                                    throw new Error(`RATE_LIMITED: ${errorText}`);
-                                }
-                            }
+                            yield* streamSSEResponse(retry.response, anthropicRequest.model, responseOptions);
+                            logger.debug('[CloudCode] Stream completed after retry');
+                            accountManager.recordOutcome(account.email, 'success', retry.latencyMs);
+                            return;
                         }
 
                         lastError = new Error(`API error ${response.status}: ${errorText}`);
@@ -178,7 +174,7 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
                         // If it's a 5xx error, wait a bit before trying the next endpoint
                         if (response.status >= 500) {
                             logger.warn(`[CloudCode] ${response.status} stream error, waiting 1s before retry...`);
-                            await sleep(1000);
+                            await sleep(1000, signal);
                         }
 
                         continue;
@@ -186,17 +182,20 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
 
                     // Stream the response with retry logic for empty responses
                     let currentResponse = response;
+                    const latencyMs = Date.now() - startedAt;
 
                     for (let emptyRetries = 0; emptyRetries <= MAX_EMPTY_RESPONSE_RETRIES; emptyRetries++) {
                         try {
-                            yield* streamSSEResponse(currentResponse, anthropicRequest.model);
+                            yield* streamSSEResponse(currentResponse, anthropicRequest.model, responseOptions);
                             logger.debug('[CloudCode] Stream completed');
+                            accountManager.recordOutcome(account.email, 'success', latencyMs);
                             return;
                         } catch (streamError) {
                             // Only retry on EmptyResponseError
                             if (!isEmptyResponseError(streamError)) {
                                 throw streamError;
                             }
+                            accountManager.recordOutcome(account.email, 'empty_response');
 
                             // Check if we have retries left
                             if (emptyRetries >= MAX_EMPTY_RESPONSE_RETRIES) {
@@ -208,13 +207,14 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
                             // Exponential backoff: 500ms, 1000ms, 2000ms
                             const backoffMs = 500 * Math.pow(2, emptyRetries);
                             logger.warn(`[CloudCode] Empty response, retry ${emptyRetries + 1}/${MAX_EMPTY_RESPONSE_RETRIES} after ${backoffMs}ms...`);
-                            await sleep(backoffMs);
+                            await sleep(backoffMs, signal);
 
                             // Refetch the response
                             currentResponse = await fetch(url, {
                                 method: 'POST',
                                 headers: buildHeaders(token, model, 'text/event-stream'),
-                                body: JSON.stringify(payload)
+                                body: JSON.stringify(payload),
+                                signal
                             });
 
                             // Handle specific error codes on retry
@@ -238,11 +238,12 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
                                 // For 5xx errors, continue retrying
                                 if (currentResponse.status >= 500) {
                                     logger.warn(`[CloudCode] Retry got ${currentResponse.status}, will retry...`);
-                                    await sleep(1000);
+                                    await sleep(1000, signal);
                                     currentResponse = await fetch(url, {
                                         method: 'POST',
                                         headers: buildHeaders(token, model, 'text/event-stream'),
-                                        body: JSON.stringify(payload)
+                                        body: JSON.stringify(payload),
+                                        signal
                                     });
                                     if (currentResponse.ok) {
                                         continue;
@@ -255,6 +256,9 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
                     }
 
                 } catch (endpointError) {
+                    if (isCancelledError(endpointError)) {
+                        throw endpointError; // Client went away - no endpoint failover
+                    }
                     if (isRateLimitError(endpointError)) {
                         throw endpointError; // Re-throw to trigger account switch
                     }
@@ -277,6 +281,11 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
             }
 
         } catch (error) {
+            if (isCancelledError(error)) {
+                // Client disconnected - stop without retrying or switching accounts
+                logger.info(`[CloudCode] Request for ${model} cancelled by client`);
+                throw error;
+            }
             if (isRateLimitError(error)) {
                 // Rate limited - already marked, continue to next account
                 logger.info(`[CloudCode] Account ${account.email} rate-limited, trying next...`);
@@ -290,18 +299,24 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
             // Handle 5xx errors
             if (error.message.includes('API error 5') || error.message.includes('500') || error.message.includes('503')) {
                 logger.warn(`[CloudCode] Account ${account.email} failed with 5xx stream error, trying next...`);
-                accountManager.pickNext(model);
+                accountManager.recordOutcome(account.email, 'server_error');
+                accountManager.moveSession(sessionId, model);
                 continue;
             }
 
             if (isNetworkError(error)) {
                 logger.warn(`[CloudCode] Network error for ${account.email} (stream), trying next account... (${error.message})`);
-                await sleep(1000);
-                accountManager.pickNext(model);
+                accountManager.recordOutcome(account.email, 'network_error');
+                await sleep(1000, signal);
+                accountManager.moveSession(sessionId, model);
                 continue;
             }
 
             throw error;
+        } finally {
+            release();
+            // Free the half-open probe if this attempt ended without a health outcome
+            accountManager.endProbe(account.email);
         }
     }
 
@@ -311,7 +326,7 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
         if (fallbackModel) {
             logger.warn(`[CloudCode] All retries exhausted for ${model}. Attempting fallback to ${fallbackModel} (streaming)`);
             const fallbackRequest = { ...anthropicRequest, model: fallbackModel };
-            yield* sendMessageStream(fallbackRequest, accountManager, false);
+            yield* sendMessageStream(fallbackRequest, accountManager, false, options);
             return;
         }
     }
@@ -0,0 +1,138 @@
+/**
+ * Structured Output Handler for Cloud Code
+ *
+ * Sends requests carrying output_format (OpenAI response_format), validates
+ * the returned JSON against the original schema and asks the model to
+ * correct itself a bounded number of times when validation fails.
+ *
+ * Streaming requests are generated in full first (validation needs the
+ * complete output) and then replayed as Anthropic stream events.
+ */
+
+import { STRUCTURED_OUTPUT_MAX_RETRIES } from '../constants.js';
+import {
+    getOutputSchema,
+    prepareStructuredRequest,
+    extractStructuredOutput,
+    buildStructuredResponse,
+    buildCorrectionMessages
+} from '../format/structured-output.js';
+import { validateJsonSchema } from '../utils/json-schema-validator.js';
+import { logger } from '../utils/logger.js';
+import { sendMessage } from './message-handler.js';
+
+/**
+ * Add the usage of a retried attempt to the running total
+ * @param {Object} total - Accumulated usage
+ * @param {Object} usage - Usage of the latest attempt
+ * @returns {Object} Combined usage
+ */
+export function addUsage(total, usage = {}) {
+    if (!total) return { ...usage };
+    const combined = { ...total };
+    for (const [key, value] of Object.entries(usage)) {
+        if (typeof value === 'number') {
+            combined[key] = (combined[key] || 0) + value;
+        }
+    }
+    return combined;
+}
+
+/**
+ * Send a structured output request and validate the result
+ *
+ * @param {Object} anthropicRequest - Anthropic format request with output_format
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {boolean} [fallbackEnabled=false] - Whether to use model fallback
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the request when the client disconnects
+ * @param {Function} [options.send=sendMessage] - Non-streaming sender (injectable for tests)
+ * @returns {Promise<Object>} Anthropic format response whose text is the JSON value
+ */
+export async function sendStructuredMessage(anthropicRequest, accountManager, fallbackEnabled = false, options = {}) {
+    const { signal, send = sendMessage } = options;
+    const schema = getOutputSchema(anthropicRequest.output_format);
+    const { request, mode } = prepareStructuredRequest(anthropicRequest);
+    logger.debug(`[StructuredOutput] Using ${mode} strategy for ${anthropicRequest.model}`);
+
+    let messages = request.messages;
+    let usage = null;
+
+    for (let attempt = 0; ; attempt++) {
+        const response = await send({ ...request, messages, stream: false }, accountManager, fallbackEnabled, { signal });
+        usage = addUsage(usage, response.usage);
+
+        const extracted = extractStructuredOutput(response, mode);
+        if (extracted.passthrough) {
+            // The model called one of the client's tools - let the client run it
+            return { ...response, usage };
+        }
+
+        const errors = extracted.error ? [extracted.error] : validateJsonSchema(extracted.value, schema);
+        if (errors.length === 0) {
+            return { ...buildStructuredResponse(response, extracted), usage };
+        }
+
+        if (attempt >= STRUCTURED_OUTPUT_MAX_RETRIES) {
+            logger.warn(`[StructuredOutput] Response still invalid after ${attempt} corrective retries, returning it as-is: ${errors[0]}`);
+            return { ...buildStructuredResponse(response, extracted), usage };
+        }
+
+        logger.warn(`[StructuredOutput] Schema validation failed (${errors.length} error(s)), retrying ${attempt + 1}/${STRUCTURED_OUTPUT_MAX_RETRIES}: ${errors[0]}`);
+        messages = [...messages, ...buildCorrectionMessages(response, extracted, errors)];
+    }
+}
+
+/**
+ * Replay a complete Anthropic response as stream events
+ * @param {Object} response - Anthropic format response
+ * @yields {Object} Anthropic stream events
+ */
+export function* replayAsStreamEvents(response) {
+    const { content = [], usage = {}, stop_reason, stop_sequence = null, ...message } = response;
+
+    yield {
+        type: 'message_start',
+        message: { ...message, content: [], stop_reason: null, stop_sequence: null, usage: { ...usage, output_tokens: 0 } }
+    };
+
+    for (const [index, block] of content.entries()) {
+        if (block.type === 'thinking') {
+            yield { type: 'content_block_start', index, content_block: { type: 'thinking', thinking: '' } };
+            yield { type: 'content_block_delta', index, delta: { type: 'thinking_delta', thinking: block.thinking } };
+            if (block.signature) {
+                yield { type: 'content_block_delta', index, delta: { type: 'signature_delta', signature: block.signature } };
+            }
+        } else if (block.type === 'text') {
+            yield { type: 'content_block_start', index, content_block: { type: 'text', text: '' } };
+            yield { type: 'content_block_delta', index, delta: { type: 'text_delta', text: block.text } };
+        } else if (block.type === 'tool_use') {
+            yield { type: 'content_block_start', index, content_block: { ...block, input: {} } };
+            yield { type: 'content_block_delta', index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(block.input || {}) } };
+        } else {
+            yield { type: 'content_block_start', index, content_block: block };
+        }
+        yield { type: 'content_block_stop', index };
+    }
+
+    yield {
+        type: 'message_delta',
+        delta: { stop_reason: stop_reason || 'end_turn', stop_sequence },
+        usage: { output_tokens: usage.output_tokens || 0 }
+    };
+    yield { type: 'message_stop' };
+}
+
+/**
+ * Streaming variant of sendStructuredMessage
+ *
+ * @param {Object} anthropicRequest - Anthropic format request with output_format
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {boolean} [fallbackEnabled=false] - Whether to use model fallback
+ * @param {Object} [options] - See sendStructuredMessage
+ * @yields {Object} Anthropic stream events
+ */
+export async function* sendStructuredMessageStream(anthropicRequest, accountManager, fallbackEnabled = false, options = {}) {
+    const response = await sendStructuredMessage(anthropicRequest, accountManager, fallbackEnabled, options);
+    yield* replayAsStreamEvents(response);
+}
@@ -0,0 +1,121 @@
+/**
+ * Token Counter for Cloud Code
+ *
+ * Counts input tokens for Anthropic-format requests. Uses the Cloud Code
+ * countTokens API when an account is available, and falls back to the
+ * local estimator otherwise.
+ */
+
+import { ANTIGRAVITY_ENDPOINT_FALLBACKS } from '../constants.js';
+import { convertAnthropicToGoogle, estimateTokenCount } from '../format/index.js';
+import { logger } from '../utils/logger.js';
+import { buildHeaders } from './request-builder.js';
+import { deriveSessionId } from './session-manager.js';
+
+/**
+ * Flatten a converted request into a contents array for countTokens.
+ * The countTokens API only accepts contents, so the system instruction
+ * and tool declarations are prepended as text so they are counted too.
+ *
+ * @param {Object} googleRequest - Request produced by convertAnthropicToGoogle
+ * @returns {Array<Object>} Google contents array
+ */
+function buildCountContents(googleRequest) {
+    const prefixParts = [];
+
+    for (const part of googleRequest.systemInstruction?.parts || []) {
+        if (part.text) prefixParts.push({ text: part.text });
+    }
+
+    for (const tool of googleRequest.tools || []) {
+        for (const declaration of tool.functionDeclarations || []) {
+            prefixParts.push({ text: JSON.stringify(declaration) });
+        }
+    }
+
+    const contents = [...googleRequest.contents];
+    if (prefixParts.length > 0) {
+        contents.unshift({ role: 'user', parts: prefixParts });
+    }
+    return contents;
+}
+
+/**
+ * Call the Cloud Code countTokens API
+ *
+ * @param {Object} googleRequest - Request produced by convertAnthropicToGoogle
+ * @param {string} model - Model name
+ * @param {string} token - OAuth access token
+ * @returns {Promise<number>} Total token count
+ * @throws {Error} If all endpoints fail
+ */
+async function fetchTokenCount(googleRequest, model, token) {
+    const body = {
+        request: {
+            model: `models/${model}`,
+            contents: buildCountContents(googleRequest)
+        }
+    };
+
+    let lastError = null;
+    for (const endpoint of ANTIGRAVITY_ENDPOINT_FALLBACKS) {
+        try {
+            const response = await fetch(`${endpoint}/v1internal:countTokens`, {
+                method: 'POST',
+                headers: buildHeaders(token, model),
+                body: JSON.stringify(body)
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                lastError = new Error(`API error ${response.status}: ${errorText}`);
+                logger.debug(`[CloudCode] countTokens error at ${endpoint}: ${response.status}`);
+                continue;
+            }
+
+            const data = await response.json();
+            const totalTokens = data.totalTokens ?? data.response?.totalTokens;
+            if (typeof totalTokens !== 'number') {
+                lastError = new Error('countTokens response missing totalTokens');
+                continue;
+            }
+            return totalTokens;
+        } catch (error) {
+            lastError = error;
+            logger.debug(`[CloudCode] countTokens failed at ${endpoint}:`, error.message);
+        }
+    }
+
+    throw lastError || new Error('countTokens failed at all endpoints');
+}
+
+/**
+ * Count input tokens for an Anthropic-format request
+ * The request goes through the same conversion pipeline as sendMessage, so
+ * system prompts, tools, images and thinking blocks are counted as sent.
+ *
+ * @param {Object} anthropicRequest - The Anthropic-format request
+ * @param {import('../account-manager/index.js').default} [accountManager] - The account manager instance
+ * @returns {Promise<{input_tokens: number, source: 'upstream'|'estimate'}>} Token count and how it was obtained
+ */
+export async function countTokens(anthropicRequest, accountManager = null) {
+    const model = anthropicRequest.model;
+    const googleRequest = convertAnthropicToGoogle(anthropicRequest);
+
+    // Use the conversation's account, read-only: counting must not move sessions or write accounts.json
+    const account = accountManager?.peekSessionAccount(deriveSessionId(anthropicRequest), model) || null;
+
+    if (account) {
+        try {
+            const token = await accountManager.getTokenForAccount(account);
+            const inputTokens = await fetchTokenCount(googleRequest, model, token);
+            return { input_tokens: inputTokens, source: 'upstream' };
+        } catch (error) {
+            logger.warn(`[CloudCode] countTokens unavailable for ${model}, using local estimate: ${error.message}`);
+        }
+    } else {
+        logger.debug(`[CloudCode] No account available for countTokens, using local estimate`);
+    }
+
+    return { input_tokens: estimateTokenCount(googleRequest, model), source: 'estimate' };
+}
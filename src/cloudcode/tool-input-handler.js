@@ -0,0 +1,56 @@
+/**
+ * Tool Input Correction Handler for Cloud Code
+ *
+ * Tool inputs are repaired and validated by the response converters. When
+ * config.toolInputCorrection is enabled, calls whose input is still invalid
+ * are sent back to the model once as tool errors so it can repeat them.
+ *
+ * Streaming requests are generated in full first (the turn has to be checked
+ * before any tool call reaches the client) and then replayed as stream events.
+ */
+
+import { buildToolSchemas, findInvalidToolUses, buildToolInputCorrectionMessages } from '../format/index.js';
+import { logger } from '../utils/logger.js';
+import { sendMessage } from './message-handler.js';
+import { addUsage, replayAsStreamEvents } from './structured-output-handler.js';
+
+/**
+ * Send a request and run one corrective round-trip for invalid tool inputs
+ *
+ * @param {Object} anthropicRequest - Anthropic format request with tools
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {boolean} [fallbackEnabled=false] - Whether to use model fallback
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the request when the client disconnects
+ * @param {Function} [options.send=sendMessage] - Non-streaming sender (injectable for tests)
+ * @returns {Promise<Object>} Anthropic format response
+ */
+export async function sendToolCheckedMessage(anthropicRequest, accountManager, fallbackEnabled = false, options = {}) {
+    const { signal, send = sendMessage } = options;
+    const request = { ...anthropicRequest, stream: false };
+
+    const response = await send(request, accountManager, fallbackEnabled, { signal });
+    const invalid = findInvalidToolUses(response, buildToolSchemas(anthropicRequest));
+    if (invalid.length === 0) {
+        return response;
+    }
+
+    logger.warn(`[ToolInput] ${invalid.length} tool call(s) with invalid input, asking the model to correct them: ${invalid[0].errors[0]}`);
+    const messages = [...request.messages, ...buildToolInputCorrectionMessages(response, invalid)];
+    const corrected = await send({ ...request, messages }, accountManager, fallbackEnabled, { signal });
+    return { ...corrected, usage: addUsage(response.usage, corrected.usage) };
+}
+
+/**
+ * Streaming variant of sendToolCheckedMessage
+ *
+ * @param {Object} anthropicRequest - Anthropic format request with tools
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {boolean} [fallbackEnabled=false] - Whether to use model fallback
+ * @param {Object} [options] - See sendToolCheckedMessage
+ * @yields {Object} Anthropic stream events
+ */
+export async function* sendToolCheckedMessageStream(anthropicRequest, accountManager, fallbackEnabled = false, options = {}) {
+    const response = await sendToolCheckedMessage(anthropicRequest, accountManager, fallbackEnabled, options);
+    yield* replayAsStreamEvents(response);
+}
@@ -13,9 +13,16 @@ const DEFAULT_CONFIG = {
     retryBaseMs: 1000,
     retryMaxMs: 30000,
     persistTokenCache: false,
+    accountsKeyFile: '', // Key file for encrypting credentials in accounts.json (default: ~/.config/antigravity-proxy/accounts.key)
     defaultCooldownMs: 10000,  // 10 seconds
     maxWaitBeforeErrorMs: 120000, // 2 minutes
-    modelMapping: {}
+    modelMapping: {},
+    accountSelectionStrategy: 'sticky', // sticky | round-robin | least-recently-used | weighted | quota-aware | random
+    reasoningOutput: 'off', // off | reasoning_content | think_tags (OpenAI Chat Completions)
+    reasoningOutputByApiKey: {}, // Per-API-key override, e.g. { "sk-...": "think_tags" }
+    reasoningBudgets: {}, // Per-model thinking budgets for reasoning_effort, e.g. { "claude-opus-4-5-thinking": { "high": 48000 } }
+    filesQuotaByApiKey: {}, // Per-API-key Files API storage quota in bytes, e.g. { "sk-...": 5368709120 }
+    toolInputCorrection: false // Ask the model once to fix tool inputs that violate their schema (buffers streamed tool requests)
 };
 
 // Config locations
@@ -57,6 +64,7 @@ function loadConfig() {
         // Environment overrides
         if (process.env.API_KEY) config.apiKey = process.env.API_KEY;
         if (process.env.WEBUI_PASSWORD) config.webuiPassword = process.env.WEBUI_PASSWORD;
+        if (process.env.ACCOUNTS_KEY_FILE) config.accountsKeyFile = process.env.ACCOUNTS_KEY_FILE;
         if (process.env.DEBUG === 'true') config.debug = true;
 
     } catch (error) {
@@ -95,12 +95,50 @@ export const ACCOUNT_CONFIG_PATH = config?.accountConfigPath || join(
     '.config/antigravity-proxy/accounts.json'
 );
 
+// Key file for encrypting credentials in accounts.json (used if it exists;
+// the ACCOUNTS_ENCRYPTION_KEY env var takes precedence)
+export const ACCOUNTS_KEY_PATH = config?.accountsKeyFile || join(
+    homedir(),
+    '.config/antigravity-proxy/accounts.key'
+);
+
+// Persisted OAuth access tokens and project IDs (only written when persistTokenCache is on)
+export const TOKEN_CACHE_PATH = config?.tokenCachePath || join(
+    homedir(),
+    '.config/antigravity-proxy/token-cache.json'
+);
+
 // Usage history persistence path
 export const USAGE_HISTORY_PATH = join(
     homedir(),
     '.config/antigravity-proxy/usage-history.json'
 );
 
+// Message Batches database path
+export const BATCH_DB_PATH = join(
+    homedir(),
+    '.config/antigravity-proxy/batches.db'
+);
+
+// Responses API store database (previous_response_id chaining)
+export const RESPONSE_DB_PATH = join(
+    homedir(),
+    '.config/antigravity-proxy/responses.db'
+);
+
+// Files API uploads (blobs plus a SQLite metadata database)
+export const FILES_DIR = join(
+    homedir(),
+    '.config/antigravity-proxy/files'
+);
+export const FILES_DB_PATH = join(FILES_DIR, 'files.db');
+
+// Downloaded URL images and documents (content-addressed)
+export const MEDIA_CACHE_DIR = join(
+    homedir(),
+    '.config/antigravity-proxy/media-cache'
+);
+
 // Antigravity app database path (for legacy single-account token extraction)
 // Uses platform-specific path detection
 export const ANTIGRAVITY_DB_PATH = getAntigravityDbPath();
@@ -110,6 +148,23 @@ export const MAX_RETRIES = config?.maxRetries || 5; // From config or 5
 export const MAX_EMPTY_RESPONSE_RETRIES = 2; // Max retries for empty API responses (from upstream)
 export const STREAM_READ_TIMEOUT_MS = 180000; // Max time to wait for stream data (3 minutes)
 export const MAX_ACCOUNTS = config?.maxAccounts || 10; // From config or 10
+export const SESSION_AFFINITY_TTL_MS = config?.sessionAffinityTtlMs || (60 * 60 * 1000); // From config or 1 hour since the session's last request
+
+// Background quota polling; routing skips accounts whose last known quota for a model is below the threshold
+export const QUOTA_POLL_INTERVAL_MS = config?.quotaPollIntervalMs ?? (5 * 60 * 1000); // From config or 5 minutes (0 disables polling)
+export const QUOTA_POLL_JITTER_MS = config?.quotaPollJitterMs ?? (30 * 1000); // Random extra delay per poll, from config or up to 30 seconds
+export const QUOTA_THRESHOLD = config?.quotaThreshold ?? 0.05; // From config or 5% remaining (0 disables)
+
+// Per-account in-flight limits; excess requests wait in a FIFO queue per account
+export const MAX_CONCURRENT_PER_ACCOUNT = config?.maxConcurrentPerAccount ?? 4; // From config or 4 (0 disables)
+export const MAX_CONCURRENT_PER_MODEL = config?.maxConcurrentPerModel ?? 0; // Per account and model, from config or unlimited (0)
+export const CONCURRENCY_QUEUE_TIMEOUT_MS = config?.concurrencyQueueTimeoutMs || 120000; // From config or 2 minutes
+
+// Account health scoring and circuit breaker (see account-manager/health.js)
+export const HEALTH_WINDOW_MS = config?.healthWindowMs || (10 * 60 * 1000); // Outcomes older than this (default 10 minutes) stop counting
+export const HEALTH_SLOW_LATENCY_MS = config?.healthSlowLatencyMs || 20000; // Average time to first byte above this (default 20s) lowers the score
+export const CIRCUIT_FAILURE_THRESHOLD = config?.circuitFailureThreshold ?? 5; // Consecutive failures that open the breaker, from config or 5 (0 disables)
+export const CIRCUIT_OPEN_MS = config?.circuitOpenMs || 60000; // How long an open breaker keeps the account out, from config or 1 minute
 
 // Rate limit wait thresholds
 export const MAX_WAIT_BEFORE_ERROR_MS = config?.maxWaitBeforeErrorMs || 120000; // From config or 2 minutes
@@ -117,6 +172,46 @@ export const MAX_WAIT_BEFORE_ERROR_MS = config?.maxWaitBeforeErrorMs || 120000;
 // Thinking model constants
 export const MIN_SIGNATURE_LENGTH = 50; // Minimum valid thinking signature length
 
+// URL media resolver: images and documents referenced by URL are downloaded and inlined
+export const MEDIA_MAX_BYTES = config?.mediaMaxBytes || (20 * 1024 * 1024); // From config or 20 MB
+export const MEDIA_FETCH_TIMEOUT_MS = 30000;
+export const MEDIA_MAX_REDIRECTS = 5;
+export const MEDIA_CACHE_TTL_MS = 24 * 60 * 60 * 1000; // Re-download a URL after a day
+export const MEDIA_ALLOW_PRIVATE_URLS = config?.mediaAllowPrivateUrls === true; // Loopback/LAN URLs are refused unless enabled
+export const MEDIA_MIME_TYPES = {
+    image: ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/heic', 'image/heif'],
+    document: ['application/pdf']
+};
+
+// Files API limits; config "filesQuotaByApiKey" overrides the storage quota per API key
+export const FILES_MAX_BYTES = config?.filesMaxBytes || (100 * 1024 * 1024); // From config or 100 MB per file
+export const FILES_QUOTA_BYTES = config?.filesQuotaBytes || (1024 * 1024 * 1024); // From config or 1 GB per API key
+
+// Structured output (response_format): corrective retries after schema validation fails
+export const STRUCTURED_OUTPUT_MAX_RETRIES = 2;
+
+// How thinking is exposed to OpenAI-compatible clients (Chat Completions)
+// off: dropped, reasoning_content: DeepSeek/OpenRouter-style delta field, think_tags: inline <think>...</think>
+export const REASONING_OUTPUT_MODES = ['off', 'reasoning_content', 'think_tags'];
+export const REASONING_OUTPUT_HEADER = 'x-reasoning-output';
+
+// Thinking budgets for OpenAI reasoning_effort, keyed by model name prefix ('default' applies to the rest)
+// Looked up with the mapped model, and only for models that think (name contains 'thinking' or 'gemini-3')
+// Entries in config.json "reasoningBudgets" override these per model and effort
+export const DEFAULT_REASONING_BUDGETS = {
+    default: { low: 4096, medium: 16000, high: 32000 }
+};
+const CONFIG_REASONING_BUDGETS = config?.reasoningBudgets || {};
+// Merged per model, so a config entry only needs the efforts it changes
+export const REASONING_BUDGETS = Object.fromEntries(
+    [...new Set([...Object.keys(DEFAULT_REASONING_BUDGETS), ...Object.keys(CONFIG_REASONING_BUDGETS)])]
+        .map(key => [key, { ...DEFAULT_REASONING_BUDGETS[key], ...CONFIG_REASONING_BUDGETS[key] }])
+);
+export const MIN_THINKING_BUDGET = 1024; // Smallest budget Claude accepts
+
+// OpenAI "n": each choice is a separate concurrent upstream generation
+export const OPENAI_MAX_CHOICES = 8;
+
 // Gemini-specific limits
 export const GEMINI_MAX_OUTPUT_TOKENS = 16384;
 
@@ -128,6 +223,20 @@ export const GEMINI_SKIP_SIGNATURE = 'skip_thought_signature_validator';
 // Cache TTL for Gemini thoughtSignatures (2 hours)
 export const GEMINI_SIGNATURE_CACHE_TTL_MS = 2 * 60 * 60 * 1000;
 
+// Responses API store (previous_response_id chaining)
+export const RESPONSE_STORE_TTL_MS = 6 * 60 * 60 * 1000; // 6 hours
+export const RESPONSE_STORE_MAX_ENTRIES = 500;
+export const RESPONSE_STORE_MAX_BYTES = 256 * 1024 * 1024; // Stored conversations, including inline images
+
+// Ollama-compatible API paths (served by the proxy, not the WebUI, so exempt from WebUI password)
+export const OLLAMA_API_PATHS = ['/api/chat', '/api/generate', '/api/tags', '/api/show', '/api/version'];
+export const OLLAMA_COMPAT_VERSION = '0.6.0';
+
+// Message Batches API limits
+export const BATCH_MAX_REQUESTS = 100000;
+export const BATCH_EXPIRY_MS = 24 * 60 * 60 * 1000; // Unprocessed requests expire after 24 hours
+export const BATCH_PAUSE_MAX_MS = 5 * 60 * 1000; // Re-check rate limits at least every 5 minutes while paused
+
 /**
  * Get the model family from model name (dynamic detection, no hardcoded list).
  * @param {string} modelName - The model name from the request
@@ -159,6 +268,17 @@ export function isThinkingModel(modelName) {
     return false;
 }
 
+/**
+ * Check if a model accepts media parts inside a functionResponse.
+ * Multimodal function responses were introduced with Gemini 3.
+ * @param {string} modelName - The model name from the request
+ * @returns {boolean} True if functionResponse.parts is supported
+ */
+export function supportsFunctionResponseParts(modelName) {
+    const versionMatch = (modelName || '').toLowerCase().match(/gemini-(\d+)/);
+    return Boolean(versionMatch && parseInt(versionMatch[1], 10) >= 3);
+}
+
 // Google OAuth configuration (from opencode-antigravity-auth)
 export const OAUTH_CONFIG = {
     clientId: '1071006060591-tmhssin2h21lcre235vtolojh4g403ep.apps.googleusercontent.com',
@@ -240,17 +360,59 @@ export default {
     ANTIGRAVITY_AUTH_PORT,
     DEFAULT_PORT,
     ACCOUNT_CONFIG_PATH,
+    ACCOUNTS_KEY_PATH,
+    TOKEN_CACHE_PATH,
+    BATCH_DB_PATH,
+    RESPONSE_DB_PATH,
+    FILES_DIR,
+    FILES_DB_PATH,
+    MEDIA_CACHE_DIR,
     ANTIGRAVITY_DB_PATH,
     DEFAULT_COOLDOWN_MS,
     MAX_RETRIES,
     MAX_EMPTY_RESPONSE_RETRIES,
+    SESSION_AFFINITY_TTL_MS,
+    QUOTA_POLL_INTERVAL_MS,
+    QUOTA_POLL_JITTER_MS,
+    QUOTA_THRESHOLD,
+    MAX_CONCURRENT_PER_ACCOUNT,
+    MAX_CONCURRENT_PER_MODEL,
+    CONCURRENCY_QUEUE_TIMEOUT_MS,
+    HEALTH_WINDOW_MS,
+    HEALTH_SLOW_LATENCY_MS,
+    CIRCUIT_FAILURE_THRESHOLD,
+    CIRCUIT_OPEN_MS,
+    FILES_MAX_BYTES,
+    FILES_QUOTA_BYTES,
+    MEDIA_MAX_BYTES,
+    MEDIA_FETCH_TIMEOUT_MS,
+    MEDIA_MAX_REDIRECTS,
+    MEDIA_CACHE_TTL_MS,
+    MEDIA_ALLOW_PRIVATE_URLS,
+    MEDIA_MIME_TYPES,
+    STRUCTURED_OUTPUT_MAX_RETRIES,
+    REASONING_OUTPUT_MODES,
+    REASONING_OUTPUT_HEADER,
+    DEFAULT_REASONING_BUDGETS,
+    REASONING_BUDGETS,
+    MIN_THINKING_BUDGET,
+    OPENAI_MAX_CHOICES,
     MAX_ACCOUNTS,
     MAX_WAIT_BEFORE_ERROR_MS,
     MIN_SIGNATURE_LENGTH,
     GEMINI_MAX_OUTPUT_TOKENS,
     GEMINI_SKIP_SIGNATURE,
     GEMINI_SIGNATURE_CACHE_TTL_MS,
+    RESPONSE_STORE_TTL_MS,
+    RESPONSE_STORE_MAX_ENTRIES,
+    RESPONSE_STORE_MAX_BYTES,
+    OLLAMA_API_PATHS,
+    OLLAMA_COMPAT_VERSION,
+    BATCH_MAX_REQUESTS,
+    BATCH_EXPIRY_MS,
+    BATCH_PAUSE_MAX_MS,
     getModelFamily,
+    supportsFunctionResponseParts,
     isThinkingModel,
     OAUTH_CONFIG,
     OAUTH_REDIRECT_URI,
@@ -149,6 +149,71 @@ export class EmptyResponseError extends AntigravityError {
     }
 }
 
+/**
+ * Request cancelled error - the client disconnected before the response finished
+ * Never retried; stops account failover and model fallback immediately.
+ */
+export class RequestCancelledError extends AntigravityError {
+    /**
+     * @param {string} message - Error message
+     */
+    constructor(message = 'Request cancelled by client') {
+        super(message, 'CANCELLED', false, {});
+        this.name = 'RequestCancelledError';
+    }
+}
+
+/**
+ * Media fetch error - an image or document URL could not be downloaded or is not allowed
+ * Caused by the request itself, so it is reported as a 400 and never retried.
+ */
+export class MediaFetchError extends AntigravityError {
+    /**
+     * @param {string} message - Error message
+     * @param {string} url - The URL that failed
+     */
+    constructor(message, url = null) {
+        super(message, 'MEDIA_FETCH_FAILED', false, { url });
+        this.name = 'MediaFetchError';
+        this.url = url;
+    }
+}
+
+/**
+ * Queue timeout error - a request waited too long for a free slot on an account
+ * Reported as overloaded so clients back off and retry.
+ */
+export class QueueTimeoutError extends AntigravityError {
+    /**
+     * @param {string} message - Error message
+     * @param {string} accountEmail - Account whose queue timed out
+     * @param {number} waitMs - How long the request waited
+     */
+    constructor(message, accountEmail = null, waitMs = null) {
+        super(message, 'QUEUE_TIMEOUT', true, { accountEmail, waitMs });
+        this.name = 'QueueTimeoutError';
+        this.accountEmail = accountEmail;
+        this.waitMs = waitMs;
+    }
+}
+
+/**
+ * Accounts file encryption error - credentials cannot be decrypted or encrypted
+ * Thrown instead of falling back to an empty account list, so a locked file
+ * is never overwritten.
+ */
+export class AccountsEncryptionError extends AntigravityError {
+    /**
+     * @param {string} message - Error message
+     * @param {'key_required'|'wrong_key'|'key_file'} reason - What went wrong
+     */
+    constructor(message, reason) {
+        super(message, 'ACCOUNTS_ENCRYPTION', false, { reason });
+        this.name = 'AccountsEncryptionError';
+        this.reason = reason;
+    }
+}
+
 /**
  * Check if an error is a rate limit error
  * Works with both custom error classes and legacy string-based errors
@@ -188,6 +253,18 @@ export function isEmptyResponseError(error) {
         error?.name === 'EmptyResponseError';
 }
 
+/**
+ * Check if an error comes from a cancelled request
+ * Covers RequestCancelledError and the AbortError fetch throws for an aborted signal
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+export function isCancelledError(error) {
+    return error instanceof RequestCancelledError ||
+        error?.name === 'RequestCancelledError' ||
+        error?.name === 'AbortError';
+}
+
 export default {
     AntigravityError,
     RateLimitError,
@@ -197,7 +274,12 @@ export default {
     ApiError,
     NativeModuleError,
     EmptyResponseError,
+    RequestCancelledError,
+    MediaFetchError,
+    QueueTimeoutError,
+    AccountsEncryptionError,
     isRateLimitError,
     isAuthError,
-    isEmptyResponseError
+    isEmptyResponseError,
+    isCancelledError
 };
@@ -0,0 +1,85 @@
+/**
+ * Files API
+ *
+ * Local replacement for Anthropic's /v1/files: uploads are kept on disk and
+ * referenced from messages as { source: { type: 'file', file_id } }.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { FileStore } from './store.js';
+import { parseMultipart } from './multipart.js';
+import { sniffMediaType } from '../cloudcode/media-resolver.js';
+
+export { FileStore, parseMultipart };
+
+// Fallback MIME types for content that cannot be sniffed
+const EXTENSION_MIME_TYPES = {
+    '.txt': 'text/plain',
+    '.md': 'text/markdown',
+    '.csv': 'text/csv',
+    '.html': 'text/html',
+    '.xml': 'text/xml',
+    '.json': 'application/json',
+    '.pdf': 'application/pdf',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp'
+};
+
+/**
+ * Get the owner ID files are stored under for an API key
+ * The key itself is never stored; clients without a key share the '' owner.
+ * @param {string} apiKey - API key the client sent
+ * @returns {string} Owner ID
+ */
+export function getOwnerId(apiKey) {
+    if (!apiKey) return '';
+    return crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 32);
+}
+
+/**
+ * Work out an uploaded file's MIME type
+ * Content is trusted over the client's declared type, which is trusted over the extension.
+ * @param {Buffer} data - File content
+ * @param {string|null} declared - Content-Type of the upload part
+ * @param {string} filename - Original file name
+ * @returns {string} MIME type
+ */
+export function detectFileMimeType(data, declared, filename) {
+    const sniffed = sniffMediaType(data);
+    if (sniffed) return sniffed;
+
+    const type = declared?.split(';')[0].trim().toLowerCase();
+    if (type && type !== 'application/octet-stream') return type;
+
+    return EXTENSION_MIME_TYPES[path.extname(filename || '').toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Collect the file IDs referenced by an Anthropic request
+ * Looks at image and document blocks in messages, tool results and content documents.
+ * @param {Object} anthropicRequest - Anthropic Messages API request
+ * @returns {Array<string>} Unique file IDs
+ */
+export function collectFileIds(anthropicRequest) {
+    const ids = new Set();
+    const visit = (content) => {
+        if (!Array.isArray(content)) return;
+        for (const block of content) {
+            if (block?.source?.type === 'file' && typeof block.source.file_id === 'string') {
+                ids.add(block.source.file_id);
+            } else if (block?.type === 'tool_result') {
+                visit(block.content);
+            } else if (block?.source?.type === 'content') {
+                visit(block.source.content);
+            }
+        }
+    };
+    for (const message of anthropicRequest?.messages || []) {
+        visit(message.content);
+    }
+    return [...ids];
+}
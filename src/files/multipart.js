@@ -0,0 +1,74 @@
+/**
+ * Multipart Parser
+ *
+ * Minimal multipart/form-data parser for Files API uploads. The body is
+ * already buffered (express.raw with a size limit), so parts are sliced out
+ * of the buffer directly.
+ */
+
+/**
+ * Parse the parameters of a Content-Disposition header
+ * @param {string} value - Header value, e.g. 'form-data; name="file"; filename="a.pdf"'
+ * @returns {Object} Lower-cased parameter names to values
+ */
+function parseDisposition(value) {
+    const params = {};
+    for (const match of value.matchAll(/;\s*([^=;\s]+)=(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g)) {
+        params[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3].trim();
+    }
+    return params;
+}
+
+/**
+ * Split a multipart/form-data body into its parts
+ *
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentType - Content-Type header including the boundary
+ * @returns {Array<{name: string, filename: string|null, contentType: string|null, data: Buffer}>} Parts
+ * @throws {Error} If the boundary is missing or the body is malformed
+ */
+export function parseMultipart(body, contentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+    if (!match) {
+        throw new Error('Content-Type must be multipart/form-data with a boundary');
+    }
+    const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+    const separator = Buffer.from(`\r\n--${match[1] || match[2]}`);
+
+    const parts = [];
+    let position = body.indexOf(delimiter);
+    if (position === -1) {
+        throw new Error('Malformed multipart body: boundary not found');
+    }
+    position += delimiter.length;
+
+    for (;;) {
+        // "--" after a delimiter marks the end of the body
+        if (body[position] === 0x2d && body[position + 1] === 0x2d) break;
+        if (body[position] === 0x0d && body[position + 1] === 0x0a) position += 2;
+
+        const headerEnd = body.indexOf('\r\n\r\n', position);
+        const next = headerEnd === -1 ? -1 : body.indexOf(separator, headerEnd + 4);
+        if (next === -1) {
+            throw new Error('Malformed multipart body: unterminated part');
+        }
+
+        const headers = {};
+        for (const line of body.subarray(position, headerEnd).toString('utf8').split('\r\n')) {
+            const colon = line.indexOf(':');
+            if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+        }
+        const disposition = parseDisposition(headers['content-disposition'] || '');
+        parts.push({
+            name: disposition.name || '',
+            filename: disposition.filename ?? null,
+            contentType: headers['content-type'] || null,
+            data: body.subarray(headerEnd + 4, next)
+        });
+
+        position = next + separator.length;
+    }
+    return parts;
+}
+
+export default parseMultipart;
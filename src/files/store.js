@@ -0,0 +1,195 @@
+/**
+ * File Store
+ *
+ * Storage for the Files API: file contents live as plain files in the files
+ * directory (named by file ID) and their metadata in SQLite. Every file
+ * belongs to the API key that uploaded it (stored as a hash, never the key).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { loadDatabaseModule } from '../auth/database.js';
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS files (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        owner TEXT NOT NULL,
+        filename TEXT NOT NULL,
+        mime_type TEXT NOT NULL,
+        size_bytes INTEGER NOT NULL,
+        sha256 TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_files_owner ON files (owner, seq);
+`;
+
+/**
+ * Generate a file ID in the Anthropic format
+ * @returns {string} File ID
+ */
+function generateFileId() {
+    return `file_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+export class FileStore {
+    #db;
+    #dir;
+
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - Directory for file contents
+     * @param {string} options.dbPath - SQLite database path (':memory:' for tests)
+     */
+    constructor({ dir, dbPath }) {
+        const Database = loadDatabaseModule();
+        fs.mkdirSync(dir, { recursive: true });
+        if (dbPath !== ':memory:') {
+            fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+        }
+        this.#dir = dir;
+        this.#db = new Database(dbPath);
+        this.#db.pragma('journal_mode = WAL');
+        this.#db.exec(SCHEMA);
+    }
+
+    #contentPath(id) {
+        return path.join(this.#dir, id);
+    }
+
+    /**
+     * Store an uploaded file
+     * @param {Object} file
+     * @param {string} file.owner - Owner ID (see getOwnerId)
+     * @param {string} file.filename - Original file name
+     * @param {string} file.mimeType - Detected MIME type
+     * @param {Buffer} file.data - File content
+     * @returns {Object} File object
+     */
+    createFile({ owner, filename, mimeType, data }) {
+        const id = generateFileId();
+        const file = this.#contentPath(id);
+        // Content first, so a row never points at a missing file
+        fs.writeFileSync(`${file}.tmp`, data);
+        fs.renameSync(`${file}.tmp`, file);
+
+        try {
+            this.#db.prepare(
+                'INSERT INTO files (id, owner, filename, mime_type, size_bytes, sha256, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)'
+            ).run(id, owner, filename, mimeType, data.length,
+                crypto.createHash('sha256').update(data).digest('hex'), new Date().toISOString());
+        } catch (error) {
+            fs.rmSync(file, { force: true });
+            throw error;
+        }
+        return this.getFile(id);
+    }
+
+    /**
+     * Get a file's metadata
+     * @param {string} id - File ID
+     * @param {string} [owner] - Only return the file if it belongs to this owner
+     * @returns {Object|null} File object or null if not found
+     */
+    getFile(id, owner = undefined) {
+        const row = this.#db.prepare('SELECT * FROM files WHERE id = ?').get(id);
+        if (!row || (owner !== undefined && row.owner !== owner)) return null;
+        return this.#formatFile(row);
+    }
+
+    /**
+     * List an owner's files, most recent first
+     * @param {Object} options
+     * @param {string} options.owner - Owner ID
+     * @param {number} [options.limit=20] - Page size (1-1000)
+     * @param {string} [options.beforeId] - Return the page before (newer than) this file
+     * @param {string} [options.afterId] - Return the page after (older than) this file
+     * @returns {{data: Array<Object>, has_more: boolean, first_id: string|null, last_id: string|null}}
+     */
+    listFiles({ owner, limit = 20, beforeId = null, afterId = null }) {
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 1000);
+        const seqOf = (id) => this.#db.prepare('SELECT seq FROM files WHERE id = ? AND owner = ?').get(id, owner)?.seq;
+
+        if (beforeId) {
+            const rows = this.#db.prepare('SELECT * FROM files WHERE owner = ? AND seq > ? ORDER BY seq ASC LIMIT ?')
+                .all(owner, seqOf(beforeId) ?? 0, pageSize + 1);
+            return this.#formatPage(rows.slice(0, pageSize).reverse(), rows.length > pageSize);
+        }
+
+        const rows = afterId
+            ? this.#db.prepare('SELECT * FROM files WHERE owner = ? AND seq < ? ORDER BY seq DESC LIMIT ?')
+                .all(owner, seqOf(afterId) ?? 0, pageSize + 1)
+            : this.#db.prepare('SELECT * FROM files WHERE owner = ? ORDER BY seq DESC LIMIT ?').all(owner, pageSize + 1);
+        return this.#formatPage(rows.slice(0, pageSize), rows.length > pageSize);
+    }
+
+    /**
+     * Read a file's content
+     * @param {string} id - File ID
+     * @param {string} [owner] - Only return the file if it belongs to this owner
+     * @returns {{file: Object, mimeType: string, data: Buffer}|null} Metadata and content, or null if not found
+     */
+    readFile(id, owner = undefined) {
+        const file = this.getFile(id, owner);
+        if (!file) return null;
+        try {
+            return { file, mimeType: file.mime_type, data: fs.readFileSync(this.#contentPath(id)) };
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Delete a file
+     * @param {string} id - File ID
+     * @param {string} owner - Owner ID
+     * @returns {boolean} True if the file existed and was deleted
+     */
+    deleteFile(id, owner) {
+        const { changes } = this.#db.prepare('DELETE FROM files WHERE id = ? AND owner = ?').run(id, owner);
+        if (changes === 0) return false;
+        fs.rmSync(this.#contentPath(id), { force: true });
+        return true;
+    }
+
+    /**
+     * Get the storage used by an owner
+     * @param {string} owner - Owner ID
+     * @returns {number} Total size of the owner's files in bytes
+     */
+    getUsage(owner) {
+        return this.#db.prepare('SELECT COALESCE(SUM(size_bytes), 0) AS total FROM files WHERE owner = ?').get(owner).total;
+    }
+
+    /**
+     * Close the database
+     */
+    close() {
+        this.#db.close();
+    }
+
+    #formatPage(rows, hasMore) {
+        const data = rows.map(row => this.#formatFile(row));
+        return {
+            data,
+            has_more: hasMore,
+            first_id: data[0]?.id || null,
+            last_id: data[data.length - 1]?.id || null
+        };
+    }
+
+    #formatFile(row) {
+        return {
+            id: row.id,
+            type: 'file',
+            filename: row.filename,
+            mime_type: row.mime_type,
+            size_bytes: row.size_bytes,
+            created_at: row.created_at,
+            downloadable: true
+        };
+    }
+}
+
+export default FileStore;
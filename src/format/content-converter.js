@@ -5,6 +5,7 @@
 
 import { MIN_SIGNATURE_LENGTH, GEMINI_SKIP_SIGNATURE } from '../constants.js';
 import { getCachedSignature, getCachedSignatureFamily } from './signature-cache.js';
+import { readFileSource, isTextMimeType } from './file-sources.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -18,14 +19,171 @@ export function convertRole(role) {
     return 'user'; // Default to user
 }
 
+// MIME types Gemini accepts inside functionResponse.parts
+const FUNCTION_RESPONSE_MIME_TYPES = /^(image\/(png|jpeg|webp|heic|heif)|application\/pdf|text\/plain)$/;
+
+/**
+ * Convert an image or document source to a Google media part
+ * @param {Object} source - Anthropic source (base64, url or file)
+ * @param {string} defaultMimeType - MIME type for URL sources without media_type
+ * @returns {Object|null} inlineData/fileData part, or null for other source types
+ */
+function convertMediaSource(source, defaultMimeType) {
+    if (source?.type === 'base64') {
+        return { inlineData: { mimeType: source.media_type, data: source.data } };
+    }
+    if (source?.type === 'file') {
+        const file = readFileSource(source.file_id);
+        return { inlineData: { mimeType: file.mimeType, data: file.data.toString('base64') } };
+    }
+    if (source?.type === 'url') {
+        return { fileData: { mimeType: source.media_type || defaultMimeType, fileUri: source.url } };
+    }
+    return null;
+}
+
+/**
+ * Join the text of text blocks
+ * @param {string|Array} content - String or array of content blocks
+ * @returns {string} Joined text
+ */
+function getBlocksText(content) {
+    if (typeof content === 'string') return content;
+    return (content || []).filter(block => block?.type === 'text').map(block => block.text).join('\n');
+}
+
+/**
+ * Convert a document block whose source is plain text, content blocks or an uploaded text file
+ * @param {Object} block - Anthropic document block
+ * @returns {{text: string, images: Array<Object>}|null} Text and image parts, or null for binary sources
+ */
+function convertTextDocument(block) {
+    const { source } = block;
+    if (source?.type === 'file') {
+        const file = readFileSource(source.file_id);
+        return isTextMimeType(file.mimeType) ? { text: file.data.toString('utf8'), images: [] } : null;
+    }
+    if (source?.type !== 'text' && source?.type !== 'content') return null;
+
+    const text = source.type === 'text' ? source.data : getBlocksText(source.content);
+    const images = Array.isArray(source.content)
+        ? source.content.filter(item => item?.type === 'image').map(item => convertMediaSource(item.source, 'image/jpeg')).filter(Boolean)
+        : [];
+    return { text, images };
+}
+
+/**
+ * Format a search_result block as text
+ * @param {Object} block - Anthropic search_result block
+ * @returns {string} Title, source and content
+ */
+function formatSearchResult(block) {
+    return `Search result: ${block.title}\nSource: ${block.source}\n\n${getBlocksText(block.content)}`;
+}
+
+/**
+ * Parse tool output that is a JSON object or array, so Gemini receives it structured
+ * @param {string} text - Tool output text
+ * @returns {string|Object|Array} Parsed JSON, or the text unchanged
+ */
+function parseStructuredResult(text) {
+    const trimmed = text.trim();
+    if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return text;
+    try {
+        return JSON.parse(trimmed);
+    } catch {
+        return text;
+    }
+}
+
+/**
+ * Describe media that was returned by a tool without any text
+ * @param {Array<Object>} mediaParts - inlineData/fileData parts
+ * @returns {string} e.g. "2 images and 1 document attached"
+ */
+function describeAttachments(mediaParts) {
+    const images = mediaParts.filter(part => (part.inlineData || part.fileData).mimeType?.startsWith('image/')).length;
+    const documents = mediaParts.length - images;
+    const counts = [];
+    if (images > 0) counts.push(`${images} image${images === 1 ? '' : 's'}`);
+    if (documents > 0) counts.push(`${documents} document${documents === 1 ? '' : 's'}`);
+    return `${counts.join(' and ')} attached`;
+}
+
+/**
+ * Convert tool_result content to a functionResponse payload and media parts
+ * Text becomes `result` (structured when it is a JSON object or array),
+ * search results and text documents are kept as structured fields, and
+ * images and binary documents become inlineData/fileData parts.
+ *
+ * @param {string|Array|Object} content - tool_result content
+ * @returns {{response: Object, mediaParts: Array<Object>}} functionResponse.response and media parts
+ */
+export function convertToolResultContent(content) {
+    if (content == null) {
+        return { response: { result: '' }, mediaParts: [] };
+    }
+    if (typeof content === 'string') {
+        return { response: { result: parseStructuredResult(content) }, mediaParts: [] };
+    }
+    if (!Array.isArray(content)) {
+        // Already structured (non-standard clients)
+        return { response: content, mediaParts: [] };
+    }
+
+    const texts = [];
+    const documents = [];
+    const searchResults = [];
+    const mediaParts = [];
+
+    for (const item of content) {
+        if (!item) continue;
+
+        if (item.type === 'text') {
+            texts.push(item.text);
+        } else if (item.type === 'image') {
+            const part = convertMediaSource(item.source, 'image/jpeg');
+            if (part) mediaParts.push(part);
+        } else if (item.type === 'document') {
+            const textDocument = convertTextDocument(item);
+            if (textDocument) {
+                documents.push({ ...(item.title && { title: item.title }), content: textDocument.text });
+                mediaParts.push(...textDocument.images);
+            } else {
+                const part = convertMediaSource(item.source, 'application/pdf');
+                if (part) mediaParts.push(part);
+            }
+        } else if (item.type === 'search_result') {
+            searchResults.push({ source: item.source, title: item.title, content: getBlocksText(item.content) });
+        }
+    }
+
+    let result = '';
+    if (texts.length > 0) {
+        result = texts.length === 1 ? parseStructuredResult(texts[0]) : texts.join('\n');
+    } else if (mediaParts.length > 0) {
+        result = describeAttachments(mediaParts);
+    }
+
+    const response = { result };
+    if (documents.length > 0) response.documents = documents;
+    if (searchResults.length > 0) response.search_results = searchResults;
+    return { response, mediaParts };
+}
+
 /**
  * Convert Anthropic message content to Google Generative AI parts
  * @param {string|Array} content - Anthropic message content
  * @param {boolean} isClaudeModel - Whether the model is a Claude model
  * @param {boolean} isGeminiModel - Whether the model is a Gemini model
+ * @param {Object} [options]
+ * @param {import('./tool-name-map.js').ToolNameMap} [options.toolNameMap] - Maps tool_use names to the declared function names
+ * @param {boolean} [options.functionResponseParts] - Attach tool result media to the functionResponse (Gemini 3+)
  * @returns {Array} Google Generative AI parts array
  */
-export function convertContentToParts(content, isClaudeModel = false, isGeminiModel = false) {
+export function convertContentToParts(content, isClaudeModel = false, isGeminiModel = false, options = {}) {
+    const { toolNameMap = null, functionResponseParts = false } = options;
+
     if (typeof content === 'string') {
         return [{ text: content }];
     }
@@ -46,46 +204,27 @@ export function convertContentToParts(content, isClaudeModel = false, isGeminiMo
                 parts.push({ text: block.text });
             }
         } else if (block.type === 'image') {
-            // Handle image content
-            if (block.source?.type === 'base64') {
-                // Base64-encoded image
-                parts.push({
-                    inlineData: {
-                        mimeType: block.source.media_type,
-                        data: block.source.data
-                    }
-                });
-            } else if (block.source?.type === 'url') {
-                // URL-referenced image
-                parts.push({
-                    fileData: {
-                        mimeType: block.source.media_type || 'image/jpeg',
-                        fileUri: block.source.url
-                    }
-                });
-            }
+            // Base64 (inlineData) or URL-referenced (fileData) image
+            const part = convertMediaSource(block.source, 'image/jpeg');
+            if (part) parts.push(part);
         } else if (block.type === 'document') {
-            // Handle document content (e.g. PDF)
-            if (block.source?.type === 'base64') {
-                parts.push({
-                    inlineData: {
-                        mimeType: block.source.media_type,
-                        data: block.source.data
-                    }
-                });
-            } else if (block.source?.type === 'url') {
-                parts.push({
-                    fileData: {
-                        mimeType: block.source.media_type || 'application/pdf',
-                        fileUri: block.source.url
-                    }
-                });
+            // Plain-text documents become text; binary ones (e.g. PDF) become media parts
+            const textDocument = convertTextDocument(block);
+            if (textDocument) {
+                const text = block.title ? `${block.title}\n\n${textDocument.text}` : textDocument.text;
+                if (text) parts.push({ text });
+                parts.push(...textDocument.images);
+            } else {
+                const part = convertMediaSource(block.source, 'application/pdf');
+                if (part) parts.push(part);
             }
+        } else if (block.type === 'search_result') {
+            parts.push({ text: formatSearchResult(block) });
         } else if (block.type === 'tool_use') {
             // Convert tool_use to functionCall (Google format)
             // For Claude models, include the id field
             const functionCall = {
-                name: block.name,
+                name: toolNameMap ? toolNameMap.toUpstream(block.name) : block.name,
                 args: block.input || {}
             };
 
@@ -115,35 +254,11 @@ export function convertContentToParts(content, isClaudeModel = false, isGeminiMo
             parts.push(part);
         } else if (block.type === 'tool_result') {
             // Convert tool_result to functionResponse (Google format)
-            let responseContent = block.content;
-            let imageParts = [];
-
-            if (typeof responseContent === 'string') {
-                responseContent = { result: responseContent };
-            } else if (Array.isArray(responseContent)) {
-                // Extract images from tool results first (e.g., from Read tool reading image files)
-                for (const item of responseContent) {
-                    if (item.type === 'image' && item.source?.type === 'base64') {
-                        imageParts.push({
-                            inlineData: {
-                                mimeType: item.source.media_type,
-                                data: item.source.data
-                            }
-                        });
-                    }
-                }
-
-                // Extract text content
-                const texts = responseContent
-                    .filter(c => c.type === 'text')
-                    .map(c => c.text)
-                    .join('\n');
-                responseContent = { result: texts || (imageParts.length > 0 ? 'Image attached' : '') };
-            }
+            const { response, mediaParts } = convertToolResultContent(block.content);
 
             const functionResponse = {
                 name: block.tool_use_id || 'unknown',
-                response: responseContent
+                response
             };
 
             // For Claude models, the id field must match the tool_use_id
@@ -151,11 +266,19 @@ export function convertContentToParts(content, isClaudeModel = false, isGeminiMo
                 functionResponse.id = block.tool_use_id;
             }
 
+            // Gemini 3+ takes the media inside the functionResponse itself
+            const attached = functionResponseParts
+                ? mediaParts.filter(part => FUNCTION_RESPONSE_MIME_TYPES.test((part.inlineData || part.fileData).mimeType))
+                : [];
+            if (attached.length > 0) {
+                functionResponse.parts = attached;
+            }
+
             parts.push({ functionResponse });
 
-            // Defer images from the tool result to end of parts array (Issue #91)
+            // Defer other media from the tool result to end of parts array (Issue #91)
             // This ensures all functionResponse parts are consecutive
-            deferredInlineData.push(...imageParts);
+            deferredInlineData.push(...mediaParts.filter(part => !attached.includes(part)));
         } else if (block.type === 'thinking') {
             // Handle thinking blocks with signature compatibility check
             if (block.signature && block.signature.length >= MIN_SIGNATURE_LENGTH) {
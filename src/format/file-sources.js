@@ -0,0 +1,42 @@
+/**
+ * File Sources
+ * Image and document blocks can reference an uploaded file by file_id
+ * ({ source: { type: 'file', file_id } }). Conversion stays independent of
+ * where files are stored: the server registers a reader for its file store
+ * and the content converter looks files up through it.
+ */
+
+import { ApiError } from '../errors.js';
+
+let fileReader = null;
+
+/**
+ * Register the function that loads uploaded files
+ * @param {Function|null} reader - (fileId) => {mimeType: string, data: Buffer} or null if unknown
+ */
+export function registerFileSourceReader(reader) {
+    fileReader = reader;
+}
+
+/**
+ * Load the file behind a file source
+ * @param {string} fileId - Uploaded file ID
+ * @returns {{mimeType: string, data: Buffer}} File type and content
+ * @throws {ApiError} 400 invalid_request_error if the file does not exist
+ */
+export function readFileSource(fileId) {
+    const file = fileReader ? fileReader(fileId) : null;
+    if (!file) {
+        throw new ApiError(`File '${fileId}' not found`, 400, 'invalid_request_error');
+    }
+    return file;
+}
+
+/**
+ * Check whether a file's content should be sent to the model as text
+ * @param {string} mimeType - File MIME type
+ * @returns {boolean} True for text/* and JSON
+ */
+export function isTextMimeType(mimeType) {
+    return /^text\//.test(mimeType) || mimeType === 'application/json';
+}
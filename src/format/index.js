@@ -11,6 +11,14 @@ export * from './content-converter.js';
 export * from './schema-sanitizer.js';
 export * from './thinking-utils.js';
 export * from './openai-converter.js';
+export * from './token-estimator.js';
+export * from './responses-converter.js';
+export * from './ollama-converter.js';
+export * from './structured-output.js';
+export * from './request-validator.js';
+export * from './tool-name-map.js';
+export * from './tool-input-repair.js';
+export * from './file-sources.js';
 
 // Default export for backward compatibility
 import { convertAnthropicToGoogle } from './request-converter.js';
@@ -0,0 +1,376 @@
+/**
+ * Ollama Format Converter
+ * Converts between the Ollama API (/api/chat, /api/generate) and Anthropic Messages API format
+ *
+ * Requests are mapped to Chat Completions messages first so they share the
+ * Anthropic conversion in openai-converter.js. Responses are emitted as
+ * Ollama NDJSON chunks.
+ */
+
+import { convertOpenAIToAnthropic } from './openai-converter.js';
+
+/**
+ * Strip the Ollama tag suffix from a model name ("gemini-3-flash:latest" -> "gemini-3-flash")
+ * @param {string} model - Ollama model name
+ * @returns {string} Model ID
+ */
+export function stripOllamaTag(model) {
+    return (model || '').replace(/:latest$/, '');
+}
+
+/**
+ * Guess an image MIME type from the start of its base64 data
+ * Ollama sends bare base64 strings without a media type.
+ *
+ * @param {string} base64 - Base64 image data
+ * @returns {string} MIME type
+ */
+function sniffImageMimeType(base64) {
+    if (base64.startsWith('/9j/')) return 'image/jpeg';
+    if (base64.startsWith('R0lGOD')) return 'image/gif';
+    if (base64.startsWith('UklGR')) return 'image/webp';
+    return 'image/png';
+}
+
+/**
+ * Build Chat Completions content from Ollama text and images
+ * @param {string} text - Message text
+ * @param {Array<string>} [images] - Base64 images
+ * @returns {string|Array} Chat Completions content
+ */
+function buildChatContent(text, images) {
+    if (!Array.isArray(images) || images.length === 0) {
+        return text || '';
+    }
+    const parts = [];
+    if (text) {
+        parts.push({ type: 'text', text });
+    }
+    for (const image of images) {
+        const data = image.replace(/^data:[^;]+;base64,/, '');
+        parts.push({ type: 'image_url', image_url: { url: `data:${sniffImageMimeType(data)};base64,${data}` } });
+    }
+    return parts;
+}
+
+/**
+ * Convert Ollama messages to Chat Completions messages
+ * Ollama tool calls carry no IDs, so IDs are assigned here and tool results
+ * are matched to the earliest pending call with the same tool name.
+ *
+ * @param {Array<Object>} messages - Ollama messages
+ * @returns {Array<Object>} Chat Completions messages
+ */
+export function convertOllamaMessagesToOpenAI(messages = []) {
+    const pendingCalls = [];
+    let callCounter = 0;
+
+    return messages.map(msg => {
+        if (msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+            const toolCalls = msg.tool_calls.map(call => {
+                const id = call.id || `call_ollama_${callCounter++}`;
+                const name = call.function?.name;
+                pendingCalls.push({ id, name });
+                const args = call.function?.arguments;
+                return {
+                    id,
+                    type: 'function',
+                    function: { name, arguments: typeof args === 'string' ? args : JSON.stringify(args || {}) }
+                };
+            });
+            return { role: 'assistant', content: msg.content || null, tool_calls: toolCalls };
+        }
+
+        if (msg.role === 'tool') {
+            const name = msg.tool_name || msg.name;
+            let index = pendingCalls.findIndex(call => call.name === name);
+            if (index === -1 && pendingCalls.length > 0) index = 0;
+            const call = index === -1 ? null : pendingCalls.splice(index, 1)[0];
+            return {
+                role: 'tool',
+                tool_call_id: msg.tool_call_id || call?.id,
+                content: msg.content || ''
+            };
+        }
+
+        return { role: msg.role, content: buildChatContent(msg.content, msg.images) };
+    });
+}
+
+/**
+ * Map Ollama options and format to Chat Completions request fields
+ * @param {Object} ollamaRequest - Ollama request
+ * @returns {Object} Chat Completions request fields
+ */
+function convertOllamaOptions(ollamaRequest) {
+    const options = ollamaRequest.options || {};
+    const fields = {
+        temperature: options.temperature,
+        top_p: options.top_p,
+        stop: options.stop
+    };
+
+    if (options.num_predict > 0) {
+        fields.max_tokens = options.num_predict;
+    }
+
+    if (ollamaRequest.format === 'json') {
+        fields.response_format = { type: 'json_object' };
+    } else if (ollamaRequest.format && typeof ollamaRequest.format === 'object') {
+        fields.response_format = {
+            type: 'json_schema',
+            json_schema: { name: 'response', schema: ollamaRequest.format }
+        };
+    }
+
+    return fields;
+}
+
+/**
+ * Apply Ollama fields that have no Chat Completions equivalent
+ * @param {Object} anthropicRequest - Converted Anthropic request
+ * @param {Object} ollamaRequest - Ollama request
+ * @returns {Object} Anthropic request
+ */
+function applyOllamaExtras(anthropicRequest, ollamaRequest) {
+    if (ollamaRequest.options?.top_k !== undefined) {
+        anthropicRequest.top_k = ollamaRequest.options.top_k;
+    }
+    if (!anthropicRequest.max_tokens) {
+        anthropicRequest.max_tokens = 4096;
+    }
+    return anthropicRequest;
+}
+
+/**
+ * Convert an Ollama /api/chat request to Anthropic Messages API format
+ *
+ * @param {Object} ollamaRequest - Ollama chat request
+ * @returns {Object} Anthropic format request
+ */
+export function convertOllamaChatToAnthropic(ollamaRequest) {
+    const chatRequest = {
+        model: stripOllamaTag(ollamaRequest.model),
+        messages: convertOllamaMessagesToOpenAI(ollamaRequest.messages),
+        stream: ollamaRequest.stream !== false,
+        ...convertOllamaOptions(ollamaRequest)
+    };
+
+    // Ollama tools already use the Chat Completions function shape
+    if (Array.isArray(ollamaRequest.tools) && ollamaRequest.tools.length > 0) {
+        chatRequest.tools = ollamaRequest.tools;
+    }
+
+    return applyOllamaExtras(convertOpenAIToAnthropic(chatRequest), ollamaRequest);
+}
+
+/**
+ * Convert an Ollama /api/generate request to Anthropic Messages API format
+ *
+ * @param {Object} ollamaRequest - Ollama generate request
+ * @returns {Object} Anthropic format request
+ */
+export function convertOllamaGenerateToAnthropic(ollamaRequest) {
+    const messages = [];
+    if (ollamaRequest.system) {
+        messages.push({ role: 'system', content: ollamaRequest.system });
+    }
+    messages.push({ role: 'user', content: buildChatContent(ollamaRequest.prompt, ollamaRequest.images) });
+
+    const chatRequest = {
+        model: stripOllamaTag(ollamaRequest.model),
+        messages,
+        stream: ollamaRequest.stream !== false,
+        ...convertOllamaOptions(ollamaRequest)
+    };
+
+    return applyOllamaExtras(convertOpenAIToAnthropic(chatRequest), ollamaRequest);
+}
+
+/**
+ * Build the timing and token fields of a final Ollama chunk
+ * Durations are reported in nanoseconds like Ollama does.
+ *
+ * @param {number} startTime - Request start time (ms)
+ * @param {Object} usage - Anthropic usage object
+ * @returns {Object} Ollama stats fields
+ */
+function buildOllamaStats(startTime, usage = {}) {
+    const totalNs = Math.max(0, Date.now() - startTime) * 1e6;
+    return {
+        total_duration: totalNs,
+        load_duration: 0,
+        prompt_eval_count: (usage.input_tokens || 0) + (usage.cache_read_input_tokens || 0),
+        prompt_eval_duration: 0,
+        eval_count: usage.output_tokens || 0,
+        eval_duration: totalNs
+    };
+}
+
+/**
+ * Map Anthropic stop reason to Ollama done_reason
+ * @param {string} stopReason - Anthropic stop reason
+ * @returns {string} Ollama done_reason
+ */
+function convertStopReason(stopReason) {
+    return stopReason === 'max_tokens' ? 'length' : 'stop';
+}
+
+/**
+ * Build an Ollama chunk for chat or generate mode
+ * @param {string} mode - 'chat' or 'generate'
+ * @param {string} model - Model name
+ * @param {Object} fields - Text, thinking and tool call fields
+ * @returns {Object} Ollama chunk
+ */
+function buildOllamaChunk(mode, model, { content = '', thinking, toolCalls }) {
+    const chunk = { model, created_at: new Date().toISOString() };
+    if (mode === 'generate') {
+        chunk.response = content;
+        if (thinking) chunk.thinking = thinking;
+    } else {
+        chunk.message = { role: 'assistant', content };
+        if (thinking) chunk.message.thinking = thinking;
+        if (toolCalls && toolCalls.length > 0) chunk.message.tool_calls = toolCalls;
+    }
+    chunk.done = false;
+    return chunk;
+}
+
+/**
+ * Convert Anthropic Messages API response to an Ollama response
+ *
+ * @param {Object} anthropicResponse - Anthropic format response
+ * @param {string} model - Model name to report
+ * @param {string} mode - 'chat' or 'generate'
+ * @param {number} startTime - Request start time (ms)
+ * @returns {Object} Ollama response object
+ */
+export function convertAnthropicToOllama(anthropicResponse, model, mode, startTime) {
+    const content = anthropicResponse.content || [];
+    const text = content.filter(b => b.type === 'text').map(b => b.text).join('');
+    const thinking = content.filter(b => b.type === 'thinking').map(b => b.thinking).join('');
+    const toolCalls = content
+        .filter(b => b.type === 'tool_use')
+        .map(b => ({ function: { name: b.name, arguments: b.input || {} } }));
+
+    const chunk = buildOllamaChunk(mode, model, { content: text, thinking, toolCalls });
+    chunk.done = true;
+    chunk.done_reason = convertStopReason(anthropicResponse.stop_reason);
+    if (mode === 'generate') {
+        chunk.context = [];
+    }
+    return { ...chunk, ...buildOllamaStats(startTime, anthropicResponse.usage) };
+}
+
+/**
+ * Convert an Anthropic streaming event to Ollama NDJSON chunks
+ * Tool calls are emitted whole once their arguments are complete, since
+ * Ollama sends arguments as objects rather than JSON fragments.
+ *
+ * @param {Object} anthropicEvent - Anthropic SSE event
+ * @param {string} model - Model name to report
+ * @param {string} mode - 'chat' or 'generate'
+ * @param {Object} state - Mutable state object for tracking streaming
+ * @returns {Array<Object>} Ollama chunks to emit (may be empty)
+ */
+export function convertAnthropicStreamEventToOllama(anthropicEvent, model, mode, state) {
+    if (!state.startTime) state.startTime = Date.now();
+    const chunks = [];
+
+    switch (anthropicEvent.type) {
+        case 'message_start':
+            state.usage = { ...(anthropicEvent.message?.usage || {}) };
+            break;
+
+        case 'content_block_start': {
+            const block = anthropicEvent.content_block || {};
+            state.currentTool = block.type === 'tool_use' ? { name: block.name, json: '' } : null;
+            break;
+        }
+
+        case 'content_block_delta': {
+            const delta = anthropicEvent.delta || {};
+            if (delta.type === 'text_delta' && delta.text) {
+                chunks.push(buildOllamaChunk(mode, model, { content: delta.text }));
+            } else if (delta.type === 'thinking_delta' && delta.thinking) {
+                chunks.push(buildOllamaChunk(mode, model, { thinking: delta.thinking }));
+            } else if (delta.type === 'input_json_delta' && state.currentTool) {
+                state.currentTool.json += delta.partial_json;
+            }
+            break;
+        }
+
+        case 'content_block_stop':
+            if (state.currentTool && mode === 'chat') {
+                let args = {};
+                try {
+                    args = state.currentTool.json ? JSON.parse(state.currentTool.json) : {};
+                } catch (e) {
+                    args = {};
+                }
+                chunks.push(buildOllamaChunk(mode, model, {
+                    toolCalls: [{ function: { name: state.currentTool.name, arguments: args } }]
+                }));
+            }
+            state.currentTool = null;
+            break;
+
+        case 'message_delta':
+            state.stopReason = anthropicEvent.delta?.stop_reason || state.stopReason;
+            if (anthropicEvent.usage) {
+                state.usage = { ...state.usage, ...anthropicEvent.usage };
+            }
+            break;
+
+        case 'message_stop': {
+            const final = buildOllamaChunk(mode, model, {});
+            final.done = true;
+            final.done_reason = convertStopReason(state.stopReason);
+            if (mode === 'generate') {
+                final.context = [];
+            }
+            chunks.push({ ...final, ...buildOllamaStats(state.startTime, state.usage) });
+            break;
+        }
+
+        case 'error':
+            chunks.push({ error: anthropicEvent.error?.message || 'Unknown error' });
+            break;
+
+        default:
+            break;
+    }
+
+    return chunks;
+}
+
+/**
+ * Convert a model list (OpenAI format, from listModels) to an Ollama /api/tags response
+ *
+ * @param {Object} modelList - Result of listModels
+ * @returns {Object} Ollama tags response
+ */
+export function convertModelListToOllamaTags(modelList) {
+    const modifiedAt = new Date().toISOString();
+    return {
+        models: (modelList?.data || []).map(model => {
+            const family = model.id.startsWith('claude') ? 'claude' : model.id.startsWith('gemini') ? 'gemini' : 'other';
+            return {
+                name: `${model.id}:latest`,
+                model: `${model.id}:latest`,
+                modified_at: modifiedAt,
+                size: 0,
+                digest: model.id,
+                details: {
+                    parent_model: '',
+                    format: 'remote',
+                    family,
+                    families: [family],
+                    parameter_size: '',
+                    quantization_level: ''
+                }
+            };
+        })
+    };
+}
@@ -6,6 +6,8 @@
 
 import crypto from 'crypto';
 import { logger } from '../utils/logger.js';
+import { REASONING_OUTPUT_MODES, REASONING_BUDGETS, MIN_THINKING_BUDGET } from '../constants.js';
+import { convertResponseFormat } from './structured-output.js';
 
 /**
  * Convert OpenAI Chat Completions request to Anthropic Messages API format
@@ -25,8 +27,12 @@ export function convertOpenAIToAnthropic(openaiRequest) {
         stream,
         tools,
         tool_choice,
+        parallel_tool_calls,
         functions,
-        function_call
+        function_call,
+        response_format,
+        reasoning_effort,
+        reasoning
     } = openaiRequest;
 
     // Extract system message (OpenAI includes it in messages array)
@@ -111,8 +117,8 @@ export function convertOpenAIToAnthropic(openaiRequest) {
         if (tool_choice === 'auto') {
             anthropicRequest.tool_choice = { type: 'auto' };
         } else if (tool_choice === 'none') {
-            // Anthropic doesn't have a direct equivalent, omit tools
-            delete anthropicRequest.tools;
+            // Keep tools so the model still sees them, but disable calling
+            anthropicRequest.tool_choice = { type: 'none' };
         } else if (tool_choice === 'required') {
             anthropicRequest.tool_choice = { type: 'any' };
         } else if (typeof tool_choice === 'object' && tool_choice.function) {
@@ -128,7 +134,7 @@ export function convertOpenAIToAnthropic(openaiRequest) {
         if (function_call === 'auto') {
             anthropicRequest.tool_choice = { type: 'auto' };
         } else if (function_call === 'none') {
-            delete anthropicRequest.tools;
+            anthropicRequest.tool_choice = { type: 'none' };
         } else if (typeof function_call === 'object' && function_call.name) {
             anthropicRequest.tool_choice = {
                 type: 'tool',
@@ -137,11 +143,40 @@ export function convertOpenAIToAnthropic(openaiRequest) {
         }
     }
 
-    // Enable thinking for thinking models
-    if (model && (model.includes('thinking') || model.includes('gemini-3'))) {
+    // parallel_tool_calls: false maps to Anthropic's disable_parallel_tool_use
+    if (parallel_tool_calls === false && anthropicRequest.tools) {
+        anthropicRequest.tool_choice = {
+            ...(anthropicRequest.tool_choice || { type: 'auto' }),
+            disable_parallel_tool_use: true
+        };
+    }
+
+    // response_format: json_object / json_schema (text is the default)
+    const outputFormat = convertResponseFormat(response_format);
+    if (outputFormat) {
+        anthropicRequest.output_format = outputFormat;
+    }
+
+    // Thinking: reasoning_effort / reasoning.effort pick a budget from the per-model
+    // table, reasoning.max_tokens sets it directly, effort "none" disables thinking
+    const effort = reasoning_effort || reasoning?.effort;
+    if (effort === 'none') {
+        anthropicRequest.thinking = { type: 'disabled' };
+    } else if (model && (model.includes('thinking') || model.includes('gemini-3'))) {
+        let budget = reasoning?.max_tokens > 0
+            ? reasoning.max_tokens
+            : getThinkingBudget(model, effort);
+
+        // Keep max_tokens > budget when the client set max_tokens explicitly
+        // (request-converter raises max_tokens instead if the budget cannot shrink)
+        const requestedMaxTokens = max_completion_tokens || max_tokens;
+        if (requestedMaxTokens && budget >= requestedMaxTokens) {
+            budget = Math.max(MIN_THINKING_BUDGET, requestedMaxTokens - MIN_THINKING_BUDGET);
+        }
+
         anthropicRequest.thinking = {
             type: 'enabled',
-            budget_tokens: 16000
+            budget_tokens: budget
         };
     }
 
@@ -150,6 +185,40 @@ export function convertOpenAIToAnthropic(openaiRequest) {
     return anthropicRequest;
 }
 
+/**
+ * Look up the thinking budget for a reasoning effort
+ * Uses the longest REASONING_BUDGETS key that prefixes the model name,
+ * falling back to the 'default' entry for efforts the model entry omits.
+ * @param {string} model - Requested model name
+ * @param {string} [effort='medium'] - low, medium or high (minimal counts as low)
+ * @returns {number} Thinking budget in tokens
+ */
+export function getThinkingBudget(model, effort = 'medium') {
+    const level = effort === 'minimal' ? 'low' : (['low', 'medium', 'high'].includes(effort) ? effort : 'medium');
+    const key = Object.keys(REASONING_BUDGETS)
+        .filter(prefix => prefix !== 'default' && (model || '').startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+    return REASONING_BUDGETS[key]?.[level] ?? REASONING_BUDGETS.default[level];
+}
+
+/**
+ * Remove <think> sections that think_tags mode added to earlier assistant turns
+ * @param {string} text - Assistant message text from the client
+ * @returns {string} Text without reasoning
+ */
+function stripThinkTags(text) {
+    return text.replace(/^\s*<think>[\s\S]*?<\/think>\s*/, '');
+}
+
+/**
+ * Resolve a reasoning output mode, defaulting to 'off'
+ * @param {string} mode - Requested mode
+ * @returns {'off'|'reasoning_content'|'think_tags'} Reasoning output mode
+ */
+export function normalizeReasoningOutput(mode) {
+    return REASONING_OUTPUT_MODES.includes(mode) ? mode : 'off';
+}
+
 /**
  * Convert OpenAI role to Anthropic role
  */
@@ -186,10 +255,11 @@ function convertOpenAIContentToAnthropic(msg) {
         const content = [];
         
         // Add text content if present
-        if (msg.content) {
+        const text = typeof msg.content === 'string' ? stripThinkTags(msg.content) : msg.content;
+        if (text) {
             content.push({
                 type: 'text',
-                text: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)
+                text: typeof text === 'string' ? text : JSON.stringify(text)
             });
         }
 
@@ -233,7 +303,7 @@ function convertOpenAIContentToAnthropic(msg) {
 
     // Handle standard text content
     if (typeof msg.content === 'string') {
-        return msg.content;
+        return msg.role === 'assistant' ? stripThinkTags(msg.content) : msg.content;
     }
 
     // Handle array content (images, etc.)
@@ -275,24 +345,72 @@ function convertOpenAIContentToAnthropic(msg) {
     return msg.content || '';
 }
 
+/**
+ * Convert Anthropic usage to OpenAI usage
+ * Anthropic input_tokens excludes cached tokens; OpenAI prompt_tokens includes them.
+ *
+ * @param {Object} [usage] - Anthropic usage
+ * @returns {Object} OpenAI usage with prompt_tokens_details.cached_tokens
+ */
+export function convertUsageToOpenAI(usage = {}) {
+    const cachedTokens = usage.cache_read_input_tokens || 0;
+    const promptTokens = (usage.input_tokens || 0) + cachedTokens + (usage.cache_creation_input_tokens || 0);
+    const completionTokens = usage.output_tokens || 0;
+    return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+        prompt_tokens_details: { cached_tokens: cachedTokens }
+    };
+}
+
+/**
+ * Sum OpenAI usage objects (one per choice when n > 1)
+ * @param {Array<Object>} usages - OpenAI usage objects
+ * @returns {Object} Combined OpenAI usage
+ */
+export function sumOpenAIUsage(usages) {
+    return usages.reduce((total, usage) => ({
+        prompt_tokens: total.prompt_tokens + (usage?.prompt_tokens || 0),
+        completion_tokens: total.completion_tokens + (usage?.completion_tokens || 0),
+        total_tokens: total.total_tokens + (usage?.total_tokens || 0),
+        prompt_tokens_details: {
+            cached_tokens: total.prompt_tokens_details.cached_tokens + (usage?.prompt_tokens_details?.cached_tokens || 0)
+        }
+    }), convertUsageToOpenAI());
+}
+
 /**
  * Convert Anthropic Messages API response to OpenAI Chat Completions format
  * 
  * @param {Object} anthropicResponse - Anthropic format response
  * @param {string} model - The model used
  * @param {boolean} isStreaming - Whether this is a streaming response
+ * @param {Object} [options] - Conversion options
+ * @param {string} [options.reasoningOutput='off'] - How to expose thinking: off, reasoning_content or think_tags
  * @returns {Object} OpenAI format response
  */
-export function convertAnthropicToOpenAI(anthropicResponse, model, isStreaming = false) {
+export function convertAnthropicToOpenAI(anthropicResponse, model, isStreaming = false, options = {}) {
     const id = `chatcmpl-${crypto.randomBytes(16).toString('hex')}`;
     const created = Math.floor(Date.now() / 1000);
+    const reasoningOutput = normalizeReasoningOutput(options.reasoningOutput);
+
+    // Extract thinking content
+    const thinkingContent = (anthropicResponse.content || [])
+        .filter(block => block.type === 'thinking')
+        .map(block => block.thinking)
+        .join('');
 
     // Extract text content
-    const textContent = (anthropicResponse.content || [])
+    let textContent = (anthropicResponse.content || [])
         .filter(block => block.type === 'text')
         .map(block => block.text)
         .join('');
 
+    if (thinkingContent && reasoningOutput === 'think_tags') {
+        textContent = `<think>\n${thinkingContent}\n</think>\n\n${textContent}`;
+    }
+
     // Extract tool calls
     const toolCalls = (anthropicResponse.content || [])
         .filter(block => block.type === 'tool_use')
@@ -311,6 +429,10 @@ export function convertAnthropicToOpenAI(anthropicResponse, model, isStreaming =
         content: textContent || null
     };
 
+    if (thinkingContent && reasoningOutput === 'reasoning_content') {
+        message.reasoning_content = thinkingContent;
+    }
+
     if (toolCalls.length > 0) {
         message.tool_calls = toolCalls;
         // When there are tool calls, content should be null if empty
@@ -339,11 +461,7 @@ export function convertAnthropicToOpenAI(anthropicResponse, model, isStreaming =
             message: message,
             finish_reason: finishReason
         }],
-        usage: {
-            prompt_tokens: anthropicResponse.usage?.input_tokens || 0,
-            completion_tokens: anthropicResponse.usage?.output_tokens || 0,
-            total_tokens: (anthropicResponse.usage?.input_tokens || 0) + (anthropicResponse.usage?.output_tokens || 0)
-        }
+        usage: convertUsageToOpenAI(anthropicResponse.usage)
     };
 
     // Add system fingerprint for compatibility
@@ -352,12 +470,34 @@ export function convertAnthropicToOpenAI(anthropicResponse, model, isStreaming =
     return response;
 }
 
+/**
+ * Convert the responses of concurrent generations into one OpenAI response
+ * with a choice per generation (OpenAI "n" parameter)
+ *
+ * @param {Array<Object>} anthropicResponses - Anthropic format responses, in choice order
+ * @param {string} model - The model used
+ * @param {Object} [options] - Conversion options (see convertAnthropicToOpenAI)
+ * @returns {Object} OpenAI format response with usage summed across choices
+ */
+export function convertAnthropicChoicesToOpenAI(anthropicResponses, model, options = {}) {
+    const converted = anthropicResponses.map(response => convertAnthropicToOpenAI(response, model, false, options));
+    return {
+        ...converted[0],
+        choices: converted.map((response, index) => ({ ...response.choices[0], index })),
+        usage: sumOpenAIUsage(converted.map(response => response.usage))
+    };
+}
+
 /**
  * Convert Anthropic streaming event to OpenAI SSE chunk format
  * 
  * @param {Object} anthropicEvent - Anthropic SSE event
  * @param {string} model - The model used
- * @param {Object} state - Mutable state object for tracking streaming
+ * @param {Object} state - Mutable state object for tracking streaming (one per choice)
+ * @param {string} [state.reasoningOutput='off'] - How to expose thinking: off, reasoning_content or think_tags
+ * @param {number} [state.choiceIndex=0] - Choice index reported in the chunks (OpenAI "n")
+ * @param {boolean} [state.includeUsage=false] - Usage is sent in a separate final chunk
+ *   (stream_options.include_usage), so the finish chunk leaves it out
  * @returns {Object|null} OpenAI format SSE chunk or null if should be skipped
  */
 export function convertAnthropicStreamEventToOpenAI(anthropicEvent, model, state) {
@@ -375,7 +515,7 @@ export function convertAnthropicStreamEventToOpenAI(anthropicEvent, model, state
         model: model,
         system_fingerprint: state.fingerprint || `fp_${crypto.randomBytes(8).toString('hex')}`,
         choices: [{
-            index: 0,
+            index: state.choiceIndex || 0,
             delta: {},
             finish_reason: null
         }]
@@ -386,6 +526,8 @@ export function convertAnthropicStreamEventToOpenAI(anthropicEvent, model, state
 
     switch (anthropicEvent.type) {
         case 'message_start':
+            // Input and cache tokens are only reported here; output tokens follow in message_delta
+            state.usage = { ...anthropicEvent.message?.usage };
             // Send role on first chunk
             baseChunk.choices[0].delta = { role: 'assistant', content: '' };
             return baseChunk;
@@ -418,16 +560,27 @@ export function convertAnthropicStreamEventToOpenAI(anthropicEvent, model, state
                 return baseChunk;
             }
             if (anthropicEvent.content_block?.type === 'thinking') {
-                // Skip thinking blocks in OpenAI format (not supported)
+                // Thinking is dropped unless a reasoning output mode is selected
                 state.inThinking = true;
+                if (normalizeReasoningOutput(state.reasoningOutput) === 'think_tags') {
+                    baseChunk.choices[0].delta = { content: '<think>\n' };
+                    return baseChunk;
+                }
                 return null;
             }
             return null;
 
         case 'content_block_delta':
             if (state.inThinking) {
-                // Skip thinking content
-                return null;
+                const reasoningOutput = normalizeReasoningOutput(state.reasoningOutput);
+                if (anthropicEvent.delta?.type !== 'thinking_delta' || reasoningOutput === 'off') {
+                    // Signatures and suppressed thinking are not forwarded
+                    return null;
+                }
+                baseChunk.choices[0].delta = reasoningOutput === 'reasoning_content'
+                    ? { reasoning_content: anthropicEvent.delta.thinking }
+                    : { content: anthropicEvent.delta.thinking };
+                return baseChunk;
             }
             if (anthropicEvent.delta?.type === 'text_delta') {
                 baseChunk.choices[0].delta = { content: anthropicEvent.delta.text };
@@ -454,6 +607,10 @@ export function convertAnthropicStreamEventToOpenAI(anthropicEvent, model, state
         case 'content_block_stop':
             if (state.inThinking) {
                 state.inThinking = false;
+                if (normalizeReasoningOutput(state.reasoningOutput) === 'think_tags') {
+                    baseChunk.choices[0].delta = { content: '\n</think>\n\n' };
+                    return baseChunk;
+                }
             }
             return null;
 
@@ -468,11 +625,10 @@ export function convertAnthropicStreamEventToOpenAI(anthropicEvent, model, state
             baseChunk.choices[0].finish_reason = finishReason;
             // Include usage if available
             if (anthropicEvent.usage) {
-                baseChunk.usage = {
-                    prompt_tokens: anthropicEvent.usage.input_tokens || 0,
-                    completion_tokens: anthropicEvent.usage.output_tokens || 0,
-                    total_tokens: (anthropicEvent.usage.input_tokens || 0) + (anthropicEvent.usage.output_tokens || 0)
-                };
+                state.usage = { ...state.usage, ...anthropicEvent.usage };
+                if (!state.includeUsage) {
+                    baseChunk.usage = convertUsageToOpenAI(state.usage);
+                }
             }
             return baseChunk;
 
@@ -495,6 +651,26 @@ export function convertAnthropicStreamEventToOpenAI(anthropicEvent, model, state
     }
 }
 
+/**
+ * Build the final stream_options.include_usage chunk
+ * It carries no choices and the usage summed across all choices.
+ *
+ * @param {string} model - The model used
+ * @param {Array<Object>} states - Streaming states passed to convertAnthropicStreamEventToOpenAI, one per choice
+ * @returns {Object} OpenAI format SSE chunk
+ */
+export function createOpenAIUsageChunk(model, states) {
+    return {
+        id: states[0].id,
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model: model,
+        system_fingerprint: states[0].fingerprint,
+        choices: [],
+        usage: sumOpenAIUsage(states.map(state => convertUsageToOpenAI(state.usage)))
+    };
+}
+
 /**
  * Convert OpenAI streaming response format for direct passthrough
  * Used when proxy receives streaming and needs to forward in OpenAI format
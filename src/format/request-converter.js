@@ -6,10 +6,12 @@
 import {
     GEMINI_MAX_OUTPUT_TOKENS,
     getModelFamily,
-    isThinkingModel
+    isThinkingModel,
+    supportsFunctionResponseParts
 } from '../constants.js';
 import { convertContentToParts, convertRole } from './content-converter.js';
 import { sanitizeSchema, cleanSchema } from './schema-sanitizer.js';
+import { buildToolNameMap, sanitizeToolName } from './tool-name-map.js';
 import {
     restoreThinkingSignatures,
     removeTrailingThinkingBlocks,
@@ -33,12 +35,17 @@ import { logger } from '../utils/logger.js';
  * @returns {Object} Request body for Cloud Code API
  */
 export function convertAnthropicToGoogle(anthropicRequest) {
-    const { messages, system, max_tokens, temperature, top_p, top_k, stop_sequences, tools, tool_choice, thinking } = anthropicRequest;
+    const { messages, system, max_tokens, temperature, top_p, top_k, stop_sequences, tools, tool_choice, thinking, output_format } = anthropicRequest;
     const modelName = anthropicRequest.model || '';
     const modelFamily = getModelFamily(modelName);
     const isClaudeModel = modelFamily === 'claude';
     const isGeminiModel = modelFamily === 'gemini';
     const isThinking = isThinkingModel(modelName);
+    // Clients can switch thinking off per request (e.g. OpenAI reasoning_effort "none")
+    const thinkingEnabled = isThinking && thinking?.type !== 'disabled';
+    // Tool names are rewritten to Google's charset; the response side maps them back
+    const toolNameMap = buildToolNameMap(anthropicRequest);
+    const functionResponseParts = supportsFunctionResponseParts(modelName);
 
     const googleRequest = {
         contents: [],
@@ -66,7 +73,7 @@ export function convertAnthropicToGoogle(anthropicRequest) {
     }
 
     // Add interleaved thinking hint for Claude thinking models with tools
-    if (isClaudeModel && isThinking && tools && tools.length > 0) {
+    if (isClaudeModel && thinkingEnabled && tools && tools.length > 0) {
         const hint = 'Interleaved thinking is enabled. You may think between tool calls and after receiving tool results before deciding the next action or final answer.';
         if (!googleRequest.systemInstruction) {
             googleRequest.systemInstruction = { parts: [{ text: hint }] };
@@ -110,7 +117,7 @@ export function convertAnthropicToGoogle(anthropicRequest) {
             msgContent = reorderAssistantContent(msgContent);
         }
 
-        const parts = convertContentToParts(msgContent, isClaudeModel, isGeminiModel);
+        const parts = convertContentToParts(msgContent, isClaudeModel, isGeminiModel, { toolNameMap, functionResponseParts });
 
         // SAFETY: Google API requires at least one part per content message
         // This happens when all thinking blocks are filtered out (unsigned)
@@ -150,8 +157,18 @@ export function convertAnthropicToGoogle(anthropicRequest) {
         googleRequest.generationConfig.stopSequences = stop_sequences;
     }
 
+    // Structured output (only set on requests that can enforce it natively,
+    // see prepareStructuredRequest in structured-output.js)
+    if (isGeminiModel && output_format) {
+        googleRequest.generationConfig.responseMimeType = 'application/json';
+        if (output_format.type === 'json_schema' && output_format.schema) {
+            googleRequest.generationConfig.responseSchema = cleanSchema(output_format.schema);
+        }
+    }
+
     // Enable thinking for thinking models (Claude and Gemini 3+)
-    if (isThinking) {
+    // When disabled, no thinkingConfig is sent so no thoughts are returned
+    if (thinkingEnabled) {
         if (isClaudeModel) {
             // Claude thinking config
             const thinkingConfig = {
@@ -218,7 +235,7 @@ export function convertAnthropicToGoogle(anthropicRequest) {
             parameters = cleanSchema(parameters);
 
             return {
-                name: String(name).replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64),
+                name: toolNameMap.toUpstream(name),
                 description: description,
                 parameters
             };
@@ -226,6 +243,16 @@ export function convertAnthropicToGoogle(anthropicRequest) {
 
         googleRequest.tools = [{ functionDeclarations }];
         logger.debug(`[RequestConverter] Tools: ${JSON.stringify(googleRequest.tools).substring(0, 300)}`);
+
+        const toolConfig = convertToolChoice(tool_choice, functionDeclarations, toolNameMap);
+        if (toolConfig) {
+            // Claude rejects forced tool use while extended thinking is on
+            if (isClaudeModel && thinkingEnabled && toolConfig.functionCallingConfig.mode === 'ANY') {
+                logger.warn('[RequestConverter] Forced tool_choice is not supported with Claude thinking, using auto');
+                toolConfig.functionCallingConfig = { mode: 'AUTO' };
+            }
+            googleRequest.toolConfig = toolConfig;
+        }
     }
 
     // Cap max tokens for Gemini models
@@ -236,3 +263,39 @@ export function convertAnthropicToGoogle(anthropicRequest) {
 
     return googleRequest;
 }
+
+/**
+ * Convert Anthropic tool_choice to Google toolConfig
+ *
+ * auto -> AUTO, any -> ANY, tool -> ANY restricted to that function, none -> NONE.
+ * Google has no parallel-call switch; disable_parallel_tool_use is enforced
+ * on the response side (see getResponseOptions in cloudcode/request-builder.js).
+ *
+ * @param {Object} toolChoice - Anthropic tool_choice
+ * @param {Array<Object>} functionDeclarations - Converted function declarations
+ * @param {import('./tool-name-map.js').ToolNameMap} [toolNameMap] - Name map used for the declarations
+ * @returns {Object|null} Google toolConfig or null when the default applies
+ */
+export function convertToolChoice(toolChoice, functionDeclarations, toolNameMap = null) {
+    if (!toolChoice || !toolChoice.type) return null;
+
+    switch (toolChoice.type) {
+        case 'auto':
+            return { functionCallingConfig: { mode: 'AUTO' } };
+        case 'any':
+            return { functionCallingConfig: { mode: 'ANY' } };
+        case 'none':
+            return { functionCallingConfig: { mode: 'NONE' } };
+        case 'tool': {
+            const name = toolNameMap ? toolNameMap.toUpstream(toolChoice.name || '') : sanitizeToolName(toolChoice.name || '');
+            if (!functionDeclarations.some(fd => fd.name === name)) {
+                logger.warn(`[RequestConverter] tool_choice names unknown tool "${toolChoice.name}", forcing any tool instead`);
+                return { functionCallingConfig: { mode: 'ANY' } };
+            }
+            return { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [name] } };
+        }
+        default:
+            logger.warn(`[RequestConverter] Unsupported tool_choice type: ${toolChoice.type}`);
+            return null;
+    }
+}
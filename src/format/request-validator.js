@@ -0,0 +1,323 @@
+/**
+ * Request Validator
+ * Checks the shape of Anthropic Messages API requests before they are sent
+ * upstream, so malformed input fails fast with an invalid_request_error
+ * that names the offending field, e.g. "messages.3.content.1.tool_use_id missing".
+ *
+ * Validation is structural only; semantic checks (tool_use/tool_result
+ * pairing, thinking signatures) stay with the converters.
+ */
+
+// Request fields forwarded to sendMessage/sendMessageStream
+export const ANTHROPIC_REQUEST_FIELDS = [
+    'model',
+    'messages',
+    'max_tokens',
+    'system',
+    'stop_sequences',
+    'stream',
+    'temperature',
+    'top_p',
+    'top_k',
+    'tools',
+    'tool_choice',
+    'thinking',
+    'metadata',
+    'output_format'
+];
+
+const MESSAGE_ROLES = ['user', 'assistant'];
+const TOOL_CHOICE_TYPES = ['auto', 'any', 'tool', 'none'];
+const THINKING_TYPES = ['enabled', 'disabled'];
+const OUTPUT_FORMAT_TYPES = ['json_schema', 'json_object'];
+const CACHE_CONTROL_TTLS = ['5m', '1h'];
+const SOURCE_TYPES = {
+    image: ['base64', 'url', 'file'],
+    document: ['base64', 'url', 'text', 'content', 'file']
+};
+const TOOL_RESULT_BLOCK_TYPES = ['text', 'image', 'document', 'search_result'];
+
+const join = (path, key) => (path ? `${path}.${key}` : String(key));
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Require a string field on an object
+ * @returns {string|null} Error message or null
+ */
+function requireString(object, key, path) {
+    if (object[key] == null) return `${join(path, key)} missing`;
+    if (typeof object[key] !== 'string') return `${join(path, key)} must be a string`;
+    return null;
+}
+
+/**
+ * Check an optional field with a predicate
+ * @returns {string|null} Error message or null
+ */
+function optional(object, key, path, predicate, expected) {
+    if (object[key] == null || predicate(object[key])) return null;
+    return `${join(path, key)} must be ${expected}`;
+}
+
+/**
+ * Validate an optional cache_control marker
+ * @returns {string|null} Error message or null
+ */
+function validateCacheControl(block, path) {
+    if (block.cache_control == null) return null;
+    const cachePath = join(path, 'cache_control');
+    if (!isObject(block.cache_control)) return `${cachePath} must be an object`;
+    if (block.cache_control.type !== 'ephemeral') return `${cachePath}.type must be "ephemeral"`;
+    return optional(block.cache_control, 'ttl', cachePath, ttl => CACHE_CONTROL_TTLS.includes(ttl), `one of ${CACHE_CONTROL_TTLS.join(', ')}`);
+}
+
+/**
+ * Validate the source of an image or document block
+ * @returns {string|null} Error message or null
+ */
+function validateSource(block, path) {
+    const sourcePath = join(path, 'source');
+    if (block.source == null) return `${sourcePath} missing`;
+    if (!isObject(block.source)) return `${sourcePath} must be an object`;
+
+    const { source } = block;
+    const allowed = SOURCE_TYPES[block.type];
+    if (!allowed.includes(source.type)) {
+        return `${join(sourcePath, 'type')} must be one of ${allowed.join(', ')}`;
+    }
+    switch (source.type) {
+        case 'base64':
+            return requireString(source, 'media_type', sourcePath) || requireString(source, 'data', sourcePath);
+        case 'url':
+            return requireString(source, 'url', sourcePath);
+        case 'text':
+            return requireString(source, 'data', sourcePath);
+        case 'file':
+            return requireString(source, 'file_id', sourcePath);
+        case 'content':
+            if (typeof source.content === 'string') return null;
+            return validateContentBlocks(source.content, join(sourcePath, 'content'), ['text', 'image']);
+    }
+    return null;
+}
+
+const CONTENT_BLOCK_VALIDATORS = {
+    text: (block, path) => requireString(block, 'text', path),
+    image: validateSource,
+    document: validateSource,
+    tool_use: (block, path) => {
+        const error = requireString(block, 'id', path) || requireString(block, 'name', path);
+        if (error) return error;
+        if (block.input == null) return `${join(path, 'input')} missing`;
+        return isObject(block.input) ? null : `${join(path, 'input')} must be an object`;
+    },
+    tool_result: (block, path) => {
+        const error = requireString(block, 'tool_use_id', path)
+            || optional(block, 'is_error', path, value => typeof value === 'boolean', 'a boolean');
+        if (error) return error;
+        if (block.content == null || typeof block.content === 'string') return null;
+        return validateContentBlocks(block.content, join(path, 'content'), TOOL_RESULT_BLOCK_TYPES);
+    },
+    thinking: (block, path) => requireString(block, 'thinking', path)
+        || optional(block, 'signature', path, value => typeof value === 'string', 'a string'),
+    redacted_thinking: (block, path) => requireString(block, 'data', path),
+    search_result: (block, path) => {
+        const error = requireString(block, 'source', path) || requireString(block, 'title', path);
+        if (error) return error;
+        return validateContentBlocks(block.content, join(path, 'content'), ['text']);
+    }
+};
+
+/**
+ * Validate an array of content blocks
+ * Block types without a validator (newer API additions) are passed through.
+ *
+ * @param {*} blocks - Value that should be an array of content blocks
+ * @param {string} path - Path of the array
+ * @param {Array<string>} [allowedTypes] - Restrict the block types allowed here
+ * @returns {string|null} Error message or null
+ */
+function validateContentBlocks(blocks, path, allowedTypes = null) {
+    if (blocks == null) return `${path} missing`;
+    if (!Array.isArray(blocks)) return `${path} must be an array of content blocks`;
+
+    for (let i = 0; i < blocks.length; i++) {
+        const block = blocks[i];
+        const blockPath = join(path, i);
+        if (!isObject(block)) return `${blockPath} must be an object`;
+        if (typeof block.type !== 'string') return `${join(blockPath, 'type')} missing`;
+        if (allowedTypes && !allowedTypes.includes(block.type)) {
+            return `${join(blockPath, 'type')} must be one of ${allowedTypes.join(', ')}`;
+        }
+
+        const validator = CONTENT_BLOCK_VALIDATORS[block.type];
+        const error = (validator && validator(block, blockPath)) || validateCacheControl(block, blockPath);
+        if (error) return error;
+    }
+    return null;
+}
+
+/**
+ * Validate the messages array
+ * @returns {string|null} Error message or null
+ */
+function validateMessages(messages, path) {
+    if (messages == null) return `${path} missing`;
+    if (!Array.isArray(messages)) return `${path} must be an array`;
+    if (messages.length === 0) return `${path} must contain at least one message`;
+
+    for (let i = 0; i < messages.length; i++) {
+        const message = messages[i];
+        const messagePath = join(path, i);
+        if (!isObject(message)) return `${messagePath} must be an object`;
+        if (message.role == null) return `${join(messagePath, 'role')} missing`;
+        if (!MESSAGE_ROLES.includes(message.role)) {
+            return `${join(messagePath, 'role')} must be one of ${MESSAGE_ROLES.join(', ')}`;
+        }
+        if (typeof message.content === 'string') continue;
+        const error = validateContentBlocks(message.content, join(messagePath, 'content'));
+        if (error) return error;
+    }
+    return null;
+}
+
+/**
+ * Validate the system prompt (string or text blocks)
+ * @returns {string|null} Error message or null
+ */
+function validateSystem(system, path) {
+    if (system == null || typeof system === 'string') return null;
+    return validateContentBlocks(system, path, ['text']);
+}
+
+/**
+ * Validate tool definitions
+ * @returns {string|null} Error message or null
+ */
+function validateTools(tools, path) {
+    if (tools == null) return null;
+    if (!Array.isArray(tools)) return `${path} must be an array`;
+
+    for (let i = 0; i < tools.length; i++) {
+        const tool = tools[i];
+        const toolPath = join(path, i);
+        if (!isObject(tool)) return `${toolPath} must be an object`;
+        // OpenAI-style tool shapes are accepted by the converter as-is
+        if (tool.function || tool.custom) continue;
+
+        const error = requireString(tool, 'name', toolPath)
+            || optional(tool, 'description', toolPath, value => typeof value === 'string', 'a string')
+            || validateCacheControl(tool, toolPath);
+        if (error) return error;
+
+        // Server tools (e.g. web_search_20250305) carry a type instead of a schema
+        const isServerTool = typeof tool.type === 'string' && tool.type !== 'custom';
+        if (!isServerTool) {
+            if (tool.input_schema == null) return `${join(toolPath, 'input_schema')} missing`;
+            if (!isObject(tool.input_schema)) return `${join(toolPath, 'input_schema')} must be an object`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Validate tool_choice
+ * @returns {string|null} Error message or null
+ */
+function validateToolChoice(toolChoice, path) {
+    if (toolChoice == null) return null;
+    if (!isObject(toolChoice)) return `${path} must be an object`;
+    if (!TOOL_CHOICE_TYPES.includes(toolChoice.type)) {
+        return `${join(path, 'type')} must be one of ${TOOL_CHOICE_TYPES.join(', ')}`;
+    }
+    if (toolChoice.type === 'tool') {
+        const error = requireString(toolChoice, 'name', path);
+        if (error) return error;
+    }
+    return optional(toolChoice, 'disable_parallel_tool_use', path, value => typeof value === 'boolean', 'a boolean');
+}
+
+/**
+ * Validate the thinking configuration
+ * @returns {string|null} Error message or null
+ */
+function validateThinking(thinking, path) {
+    if (thinking == null) return null;
+    if (!isObject(thinking)) return `${path} must be an object`;
+    if (!THINKING_TYPES.includes(thinking.type)) {
+        return `${join(path, 'type')} must be one of ${THINKING_TYPES.join(', ')}`;
+    }
+    return optional(thinking, 'budget_tokens', path, value => Number.isInteger(value) && value > 0, 'a positive integer');
+}
+
+/**
+ * Validate output_format (structured outputs)
+ * @returns {string|null} Error message or null
+ */
+function validateOutputFormat(outputFormat, path) {
+    if (outputFormat == null) return null;
+    if (!isObject(outputFormat)) return `${path} must be an object`;
+    if (!OUTPUT_FORMAT_TYPES.includes(outputFormat.type)) {
+        return `${join(path, 'type')} must be one of ${OUTPUT_FORMAT_TYPES.join(', ')}`;
+    }
+    if (outputFormat.type === 'json_schema') {
+        if (outputFormat.schema == null) return `${join(path, 'schema')} missing`;
+        if (!isObject(outputFormat.schema)) return `${join(path, 'schema')} must be an object`;
+    }
+    return null;
+}
+
+/**
+ * Validate request metadata
+ * @returns {string|null} Error message or null
+ */
+function validateMetadata(metadata, path) {
+    if (metadata == null) return null;
+    if (!isObject(metadata)) return `${path} must be an object`;
+    return optional(metadata, 'user_id', path, value => value === null || typeof value === 'string', 'a string');
+}
+
+/**
+ * Validate an Anthropic Messages API request body
+ *
+ * model and max_tokens are optional here; the server fills in defaults.
+ *
+ * @param {Object} body - Request body
+ * @param {string} [path=''] - Prefix for error paths (e.g. "requests.0.params" in batches)
+ * @returns {string|null} Error message naming the first invalid field, or null if valid
+ */
+export function validateAnthropicRequest(body, path = '') {
+    if (!isObject(body)) return `${path || 'request body'} must be an object`;
+
+    return optional(body, 'model', path, value => typeof value === 'string' && value.length > 0, 'a non-empty string')
+        || validateMessages(body.messages, join(path, 'messages'))
+        || optional(body, 'max_tokens', path, value => Number.isInteger(value) && value > 0, 'a positive integer')
+        || validateSystem(body.system, join(path, 'system'))
+        || optional(body, 'stop_sequences', path,
+            value => Array.isArray(value) && value.every(item => typeof item === 'string'), 'an array of strings')
+        || optional(body, 'stream', path, value => typeof value === 'boolean', 'a boolean')
+        || optional(body, 'temperature', path, value => isNumber(value) && value >= 0 && value <= 2, 'a number between 0 and 2')
+        || optional(body, 'top_p', path, value => isNumber(value) && value >= 0 && value <= 1, 'a number between 0 and 1')
+        || optional(body, 'top_k', path, value => Number.isInteger(value) && value > 0, 'a positive integer')
+        || validateTools(body.tools, join(path, 'tools'))
+        || validateToolChoice(body.tool_choice, join(path, 'tool_choice'))
+        || validateThinking(body.thinking, join(path, 'thinking'))
+        || validateMetadata(body.metadata, join(path, 'metadata'))
+        || validateOutputFormat(body.output_format, join(path, 'output_format'));
+}
+
+/**
+ * Pick the supported Anthropic request fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Request containing only the fields in ANTHROPIC_REQUEST_FIELDS that are set
+ */
+export function pickAnthropicRequestFields(body) {
+    const request = {};
+    for (const field of ANTHROPIC_REQUEST_FIELDS) {
+        if (body[field] != null) {
+            request[field] = body[field];
+        }
+    }
+    return request;
+}
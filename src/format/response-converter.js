@@ -6,15 +6,21 @@
 import crypto from 'crypto';
 import { MIN_SIGNATURE_LENGTH, getModelFamily } from '../constants.js';
 import { cacheSignature, cacheThinkingSignature } from './signature-cache.js';
+import { resolveToolInput } from './tool-input-repair.js';
 
 /**
  * Convert Google Generative AI response to Anthropic Messages API format
  *
  * @param {Object} googleResponse - Google format response (the inner response object)
  * @param {string} model - The model name used
+ * @param {Object} [options] - Response options derived from the request
+ * @param {boolean} [options.disableParallelToolUse] - Keep only the first tool call
+ * @param {import('./tool-name-map.js').ToolNameMap} [options.toolNameMap] - Restores the client's tool names
+ * @param {Map<string, Object>} [options.toolSchemas] - Original input schemas to repair tool inputs against
+ * @param {Function} [options.onToolInputInvalid] - Called with (name, errors) for inputs that remain invalid
  * @returns {Object} Anthropic format response
  */
-export function convertGoogleToAnthropic(googleResponse, model) {
+export function convertGoogleToAnthropic(googleResponse, model, options = {}) {
     // Handle the response wrapper
     const response = googleResponse.response || googleResponse;
 
@@ -52,14 +58,20 @@ export function convertGoogleToAnthropic(googleResponse, model) {
                 });
             }
         } else if (part.functionCall) {
+            if (options.disableParallelToolUse && hasToolCalls) {
+                // Upstream has no parallel-call switch, so drop extra calls here
+                continue;
+            }
+
             // Convert functionCall to tool_use
             // Use the id from the response if available, otherwise generate one
             const toolId = part.functionCall.id || `toolu_${crypto.randomBytes(12).toString('hex')}`;
+            const toolName = options.toolNameMap ? options.toolNameMap.toClient(part.functionCall.name) : part.functionCall.name;
             const toolUseBlock = {
                 type: 'tool_use',
                 id: toolId,
-                name: part.functionCall.name,
-                input: part.functionCall.args || {}
+                name: toolName,
+                input: resolveToolInput(toolName, part.functionCall.args, options)
             };
 
             // For Gemini 3+, include thoughtSignature from the part level
@@ -0,0 +1,533 @@
+/**
+ * OpenAI Responses API Converter
+ * Converts between the OpenAI Responses API format and Anthropic Messages API format
+ *
+ * Requests are mapped to Chat Completions messages first so they share the
+ * Anthropic conversion in openai-converter.js. Responses are built from
+ * Anthropic content blocks, with thinking blocks surfaced as reasoning items.
+ */
+
+import crypto from 'crypto';
+import { convertOpenAIToAnthropic } from './openai-converter.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Generate a prefixed random ID (resp_, msg_, rs_, fc_)
+ * @param {string} prefix - ID prefix
+ * @returns {string} Random ID
+ */
+function generateId(prefix) {
+    return `${prefix}_${crypto.randomBytes(16).toString('hex')}`;
+}
+
+/**
+ * Convert Responses content parts to Chat Completions content parts
+ * @param {string|Array} content - Responses message content
+ * @returns {string|Array} Chat Completions content
+ */
+function convertInputContent(content) {
+    if (typeof content === 'string' || !Array.isArray(content)) {
+        return content || '';
+    }
+
+    const parts = [];
+    for (const part of content) {
+        if (part.type === 'input_text' || part.type === 'output_text' || part.type === 'text') {
+            parts.push({ type: 'text', text: part.text || '' });
+        } else if (part.type === 'input_image') {
+            const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+            if (url) {
+                parts.push({ type: 'image_url', image_url: { url } });
+            } else {
+                logger.debug('[Responses→Anthropic] Skipping input_image without image_url');
+            }
+        } else if (part.type === 'input_file' && typeof part.file_data === 'string') {
+            // Anthropic-shaped blocks pass through the Chat Completions converter untouched
+            const matches = part.file_data.match(/^data:(.+);base64,(.+)$/);
+            parts.push({
+                type: 'document',
+                source: {
+                    type: 'base64',
+                    media_type: matches ? matches[1] : 'application/pdf',
+                    data: matches ? matches[2] : part.file_data
+                }
+            });
+        } else if (part.type === 'refusal') {
+            parts.push({ type: 'text', text: part.refusal || '' });
+        } else {
+            logger.debug(`[Responses→Anthropic] Skipping unsupported content part: ${part.type}`);
+        }
+    }
+    return parts;
+}
+
+/**
+ * Convert Responses input items to Chat Completions messages
+ * Consecutive function_call items are grouped into a single assistant message.
+ *
+ * @param {string|Array} input - Responses API input
+ * @returns {Array<Object>} Chat Completions messages
+ */
+export function convertResponsesInputToMessages(input) {
+    if (typeof input === 'string') {
+        return [{ role: 'user', content: input }];
+    }
+    if (!Array.isArray(input)) {
+        return [];
+    }
+
+    const messages = [];
+    let pendingAssistant = null;
+
+    const flushAssistant = () => {
+        if (pendingAssistant) {
+            messages.push(pendingAssistant);
+            pendingAssistant = null;
+        }
+    };
+
+    for (const item of input) {
+        if (!item) continue;
+        const type = item.type || (item.role ? 'message' : null);
+
+        if (type === 'message') {
+            const role = item.role === 'developer' ? 'system' : item.role;
+            if (role === 'assistant') {
+                flushAssistant();
+                const content = convertInputContent(item.content);
+                const text = Array.isArray(content) ? content.map(p => p.text || '').join('') : content;
+                pendingAssistant = { role: 'assistant', content: text || null, tool_calls: [] };
+            } else {
+                flushAssistant();
+                messages.push({ role, content: convertInputContent(item.content) });
+            }
+        } else if (type === 'function_call') {
+            if (!pendingAssistant) {
+                pendingAssistant = { role: 'assistant', content: null, tool_calls: [] };
+            }
+            pendingAssistant.tool_calls.push({
+                id: item.call_id || item.id,
+                type: 'function',
+                function: { name: item.name, arguments: item.arguments || '{}' }
+            });
+        } else if (type === 'function_call_output') {
+            flushAssistant();
+            messages.push({
+                role: 'tool',
+                tool_call_id: item.call_id,
+                content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output)
+            });
+        } else if (type === 'reasoning') {
+            // Reasoning summaries are not replayable without signatures; use previous_response_id instead
+            continue;
+        } else {
+            logger.debug(`[Responses→Anthropic] Skipping unsupported input item: ${type}`);
+        }
+    }
+
+    flushAssistant();
+
+    // Drop empty tool_calls arrays so plain assistant turns stay plain
+    for (const msg of messages) {
+        if (msg.role === 'assistant' && msg.tool_calls && msg.tool_calls.length === 0) {
+            delete msg.tool_calls;
+        }
+    }
+
+    return messages;
+}
+
+/**
+ * Convert a Responses API request to Anthropic Messages API format
+ *
+ * @param {Object} responsesRequest - OpenAI Responses API request
+ * @param {Object} [previous] - Stored conversation for previous_response_id
+ * @param {Array<Object>} [previous.messages] - Anthropic messages of the prior conversation
+ * @returns {Object} Anthropic format request
+ */
+export function convertResponsesToAnthropic(responsesRequest, previous = null) {
+    const {
+        model,
+        input,
+        instructions,
+        max_output_tokens,
+        temperature,
+        top_p,
+        stream,
+        tools,
+        tool_choice,
+        reasoning,
+        text
+    } = responsesRequest;
+
+    const chatMessages = convertResponsesInputToMessages(input);
+    if (instructions) {
+        chatMessages.unshift({ role: 'system', content: instructions });
+    }
+
+    const chatRequest = {
+        model,
+        messages: chatMessages,
+        max_tokens: max_output_tokens,
+        temperature,
+        top_p,
+        stream
+    };
+
+    if (Array.isArray(tools) && tools.length > 0) {
+        const functionTools = tools.filter(tool => tool.type === 'function');
+        if (functionTools.length < tools.length) {
+            logger.debug(`[Responses→Anthropic] Ignoring ${tools.length - functionTools.length} non-function tool(s)`);
+        }
+        if (functionTools.length > 0) {
+            chatRequest.tools = functionTools.map(tool => ({
+                type: 'function',
+                function: {
+                    name: tool.name,
+                    description: tool.description || '',
+                    parameters: tool.parameters || { type: 'object' }
+                }
+            }));
+        }
+    }
+
+    if (tool_choice) {
+        if (typeof tool_choice === 'object' && tool_choice.type === 'function') {
+            chatRequest.tool_choice = { type: 'function', function: { name: tool_choice.name } };
+        } else {
+            chatRequest.tool_choice = tool_choice;
+        }
+    }
+
+    if (reasoning?.effort) {
+        chatRequest.reasoning_effort = reasoning.effort;
+    }
+
+    if (text?.format && text.format.type !== 'text') {
+        chatRequest.response_format = text.format.type === 'json_schema'
+            ? {
+                type: 'json_schema',
+                json_schema: { name: text.format.name, schema: text.format.schema, strict: text.format.strict }
+            }
+            : { type: text.format.type };
+    }
+
+    const anthropicRequest = convertOpenAIToAnthropic(chatRequest);
+
+    if (!max_output_tokens) {
+        anthropicRequest.max_tokens = 4096;
+    }
+
+    // Prepend the stored conversation (with thinking signatures intact)
+    if (previous?.messages?.length > 0) {
+        anthropicRequest.messages = [...previous.messages, ...anthropicRequest.messages];
+    }
+
+    return anthropicRequest;
+}
+
+/**
+ * Convert Anthropic content blocks to Responses output items
+ * @param {Array<Object>} content - Anthropic content blocks
+ * @returns {Array<Object>} Responses output items
+ */
+export function convertContentToOutputItems(content) {
+    const output = [];
+
+    for (const block of content || []) {
+        if (block.type === 'thinking') {
+            output.push({
+                type: 'reasoning',
+                id: generateId('rs'),
+                summary: block.thinking ? [{ type: 'summary_text', text: block.thinking }] : []
+            });
+        } else if (block.type === 'text') {
+            if (!block.text) continue;
+            output.push({
+                type: 'message',
+                id: generateId('msg'),
+                status: 'completed',
+                role: 'assistant',
+                content: [{ type: 'output_text', text: block.text, annotations: [] }]
+            });
+        } else if (block.type === 'tool_use') {
+            output.push({
+                type: 'function_call',
+                id: generateId('fc'),
+                call_id: block.id,
+                name: block.name,
+                arguments: JSON.stringify(block.input || {}),
+                status: 'completed'
+            });
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Convert Anthropic usage to Responses usage
+ * @param {Object} usage - Anthropic usage object
+ * @returns {Object} Responses usage object
+ */
+function convertUsage(usage = {}) {
+    const cached = usage.cache_read_input_tokens || 0;
+    const inputTokens = (usage.input_tokens || 0) + cached;
+    const outputTokens = usage.output_tokens || 0;
+    return {
+        input_tokens: inputTokens,
+        input_tokens_details: { cached_tokens: cached },
+        output_tokens: outputTokens,
+        output_tokens_details: { reasoning_tokens: 0 },
+        total_tokens: inputTokens + outputTokens
+    };
+}
+
+/**
+ * Build a Responses API response object
+ *
+ * @param {Object} context - Request context
+ * @param {string} context.id - Response ID
+ * @param {string} context.model - Model name to report
+ * @param {number} context.createdAt - Creation time (unix seconds)
+ * @param {Object} context.request - Original Responses request
+ * @param {Object} fields - Status, output and usage fields
+ * @returns {Object} Responses API response object
+ */
+export function buildResponseObject(context, fields = {}) {
+    const request = context.request || {};
+    return {
+        id: context.id,
+        object: 'response',
+        created_at: context.createdAt,
+        status: fields.status || 'in_progress',
+        error: fields.error || null,
+        incomplete_details: fields.incompleteDetails || null,
+        instructions: request.instructions ?? null,
+        max_output_tokens: request.max_output_tokens ?? null,
+        model: context.model,
+        output: fields.output || [],
+        parallel_tool_calls: request.parallel_tool_calls ?? true,
+        previous_response_id: request.previous_response_id ?? null,
+        reasoning: { effort: request.reasoning?.effort ?? null, summary: request.reasoning?.summary ?? null },
+        store: request.store !== false,
+        temperature: request.temperature ?? null,
+        text: request.text || { format: { type: 'text' } },
+        tool_choice: request.tool_choice || 'auto',
+        tools: request.tools || [],
+        top_p: request.top_p ?? null,
+        usage: fields.usage || null,
+        metadata: request.metadata || {}
+    };
+}
+
+/**
+ * Convert Anthropic Messages API response to a Responses API response
+ *
+ * @param {Object} anthropicResponse - Anthropic format response
+ * @param {Object} context - Request context (see buildResponseObject)
+ * @returns {Object} Responses API response object
+ */
+export function convertAnthropicToResponses(anthropicResponse, context) {
+    const isIncomplete = anthropicResponse.stop_reason === 'max_tokens';
+    return buildResponseObject(context, {
+        status: isIncomplete ? 'incomplete' : 'completed',
+        incompleteDetails: isIncomplete ? { reason: 'max_output_tokens' } : null,
+        output: convertContentToOutputItems(anthropicResponse.content),
+        usage: convertUsage(anthropicResponse.usage)
+    });
+}
+
+/**
+ * Convert an Anthropic streaming event to Responses API semantic events
+ * Also accumulates the Anthropic content blocks in state.content so the
+ * conversation can be stored for previous_response_id chaining.
+ *
+ * @param {Object} anthropicEvent - Anthropic SSE event
+ * @param {Object} context - Request context (see buildResponseObject)
+ * @param {Object} state - Mutable state object for tracking streaming
+ * @returns {Array<Object>} Responses API events to emit (may be empty)
+ */
+export function convertAnthropicStreamEventToResponses(anthropicEvent, context, state) {
+    if (!state.initialized) {
+        state.initialized = true;
+        state.sequence = state.sequence || 0;
+        state.output = [];
+        state.content = [];
+        state.usage = {};
+        state.current = null;
+    }
+
+    const events = [];
+    const emit = (type, payload) => {
+        events.push({ type, sequence_number: state.sequence++, ...payload });
+    };
+
+    switch (anthropicEvent.type) {
+        case 'message_start':
+            state.usage = { ...(anthropicEvent.message?.usage || {}) };
+            break;
+
+        case 'content_block_start': {
+            const block = anthropicEvent.content_block || {};
+            const outputIndex = state.output.length;
+
+            if (block.type === 'thinking') {
+                const item = { type: 'reasoning', id: generateId('rs'), summary: [] };
+                state.output.push(item);
+                state.content.push({ type: 'thinking', thinking: '', signature: '' });
+                state.current = { kind: 'reasoning', item, outputIndex, text: '' };
+                emit('response.output_item.added', { output_index: outputIndex, item: { ...item } });
+                emit('response.reasoning_summary_part.added', {
+                    item_id: item.id,
+                    output_index: outputIndex,
+                    summary_index: 0,
+                    part: { type: 'summary_text', text: '' }
+                });
+            } else if (block.type === 'text') {
+                const item = { type: 'message', id: generateId('msg'), status: 'in_progress', role: 'assistant', content: [] };
+                state.output.push(item);
+                state.content.push({ type: 'text', text: '' });
+                state.current = { kind: 'message', item, outputIndex, text: '' };
+                emit('response.output_item.added', { output_index: outputIndex, item: { ...item, content: [] } });
+                emit('response.content_part.added', {
+                    item_id: item.id,
+                    output_index: outputIndex,
+                    content_index: 0,
+                    part: { type: 'output_text', text: '', annotations: [] }
+                });
+            } else if (block.type === 'tool_use') {
+                const item = {
+                    type: 'function_call',
+                    id: generateId('fc'),
+                    call_id: block.id,
+                    name: block.name,
+                    arguments: '',
+                    status: 'in_progress'
+                };
+                state.output.push(item);
+                const toolUse = { type: 'tool_use', id: block.id, name: block.name, input: {} };
+                if (block.thoughtSignature) toolUse.thoughtSignature = block.thoughtSignature;
+                state.content.push(toolUse);
+                state.current = { kind: 'function_call', item, outputIndex, text: '' };
+                emit('response.output_item.added', { output_index: outputIndex, item: { ...item } });
+            } else {
+                state.current = null;
+            }
+            break;
+        }
+
+        case 'content_block_delta': {
+            const current = state.current;
+            const delta = anthropicEvent.delta || {};
+            if (!current) break;
+            const block = state.content[state.content.length - 1];
+
+            if (delta.type === 'thinking_delta' && current.kind === 'reasoning') {
+                current.text += delta.thinking;
+                block.thinking += delta.thinking;
+                emit('response.reasoning_summary_text.delta', {
+                    item_id: current.item.id,
+                    output_index: current.outputIndex,
+                    summary_index: 0,
+                    delta: delta.thinking
+                });
+            } else if (delta.type === 'signature_delta' && current.kind === 'reasoning') {
+                block.signature = delta.signature;
+            } else if (delta.type === 'text_delta' && current.kind === 'message') {
+                current.text += delta.text;
+                block.text += delta.text;
+                emit('response.output_text.delta', {
+                    item_id: current.item.id,
+                    output_index: current.outputIndex,
+                    content_index: 0,
+                    delta: delta.text
+                });
+            } else if (delta.type === 'input_json_delta' && current.kind === 'function_call') {
+                current.text += delta.partial_json;
+                emit('response.function_call_arguments.delta', {
+                    item_id: current.item.id,
+                    output_index: current.outputIndex,
+                    delta: delta.partial_json
+                });
+            }
+            break;
+        }
+
+        case 'content_block_stop': {
+            const current = state.current;
+            if (!current) break;
+            const { item, outputIndex, text } = current;
+
+            if (current.kind === 'reasoning') {
+                item.summary = [{ type: 'summary_text', text }];
+                emit('response.reasoning_summary_text.done', {
+                    item_id: item.id, output_index: outputIndex, summary_index: 0, text
+                });
+                emit('response.reasoning_summary_part.done', {
+                    item_id: item.id, output_index: outputIndex, summary_index: 0,
+                    part: { type: 'summary_text', text }
+                });
+            } else if (current.kind === 'message') {
+                const part = { type: 'output_text', text, annotations: [] };
+                item.content = [part];
+                item.status = 'completed';
+                emit('response.output_text.done', {
+                    item_id: item.id, output_index: outputIndex, content_index: 0, text
+                });
+                emit('response.content_part.done', {
+                    item_id: item.id, output_index: outputIndex, content_index: 0, part
+                });
+            } else if (current.kind === 'function_call') {
+                const args = text || '{}';
+                item.arguments = args;
+                item.status = 'completed';
+                try {
+                    state.content[state.content.length - 1].input = JSON.parse(args);
+                } catch (e) {
+                    logger.warn(`[Anthropic→Responses] Could not parse tool arguments for ${item.name}: ${e.message}`);
+                }
+                emit('response.function_call_arguments.done', {
+                    item_id: item.id, output_index: outputIndex, arguments: args
+                });
+            }
+
+            emit('response.output_item.done', { output_index: outputIndex, item: { ...item } });
+            state.current = null;
+            break;
+        }
+
+        case 'message_delta':
+            state.stopReason = anthropicEvent.delta?.stop_reason || state.stopReason;
+            if (anthropicEvent.usage) {
+                state.usage = { ...state.usage, ...anthropicEvent.usage };
+            }
+            break;
+
+        case 'message_stop': {
+            const isIncomplete = state.stopReason === 'max_tokens';
+            const response = buildResponseObject(context, {
+                status: isIncomplete ? 'incomplete' : 'completed',
+                incompleteDetails: isIncomplete ? { reason: 'max_output_tokens' } : null,
+                output: state.output,
+                usage: convertUsage(state.usage)
+            });
+            state.response = response;
+            emit(isIncomplete ? 'response.incomplete' : 'response.completed', { response });
+            break;
+        }
+
+        case 'error':
+            emit('error', {
+                code: anthropicEvent.error?.type || 'api_error',
+                message: anthropicEvent.error?.message || 'Unknown error',
+                param: null
+            });
+            break;
+
+        default:
+            break;
+    }
+
+    return events;
+}
@@ -0,0 +1,190 @@
+/**
+ * Structured Output
+ *
+ * Maps OpenAI response_format to the internal Anthropic-style output_format
+ * and decides how to enforce it upstream:
+ * - native: Gemini without tools gets responseMimeType/responseSchema
+ *   (see convertAnthropicToGoogle)
+ * - tool:   other models get a synthetic tool whose input_schema is the
+ *   requested schema; the tool call is turned back into JSON text
+ * - prompt: json_object without a schema on other models is requested
+ *   through the system prompt
+ */
+
+import { getModelFamily, isThinkingModel } from '../constants.js';
+
+export const STRUCTURED_OUTPUT_TOOL_NAME = 'json_response';
+
+/**
+ * Convert OpenAI response_format to output_format
+ *
+ * @param {Object} responseFormat - OpenAI response_format
+ * @returns {Object|null} { type: 'json_object' } or { type: 'json_schema', name, schema, strict }, null for text
+ */
+export function convertResponseFormat(responseFormat) {
+    if (!responseFormat || typeof responseFormat !== 'object') return null;
+
+    if (responseFormat.type === 'json_object') {
+        return { type: 'json_object' };
+    }
+    if (responseFormat.type === 'json_schema' && responseFormat.json_schema?.schema) {
+        const { name, schema, strict } = responseFormat.json_schema;
+        return { type: 'json_schema', name: name || 'response', schema, strict: strict === true };
+    }
+    return null;
+}
+
+/**
+ * Get the schema a structured response must satisfy
+ * @param {Object} outputFormat - output_format
+ * @returns {Object} JSON Schema
+ */
+export function getOutputSchema(outputFormat) {
+    return outputFormat?.type === 'json_schema' ? outputFormat.schema : { type: 'object' };
+}
+
+/**
+ * Check whether the upstream model can enforce output_format natively
+ * Gemini rejects a JSON response MIME type combined with function calling.
+ *
+ * @param {Object} anthropicRequest - Anthropic format request
+ * @returns {boolean} True for Gemini requests without tools
+ */
+export function supportsNativeStructuredOutput(anthropicRequest) {
+    return getModelFamily(anthropicRequest.model || '') === 'gemini' && !(anthropicRequest.tools?.length > 0);
+}
+
+/**
+ * Append an instruction to an Anthropic system prompt (string or blocks)
+ * @param {string|Array|undefined} system - Existing system prompt
+ * @param {string} text - Instruction to append
+ * @returns {string|Array} Updated system prompt
+ */
+function appendSystemText(system, text) {
+    if (!system) return text;
+    if (typeof system === 'string') return `${system}\n\n${text}`;
+    return [...system, { type: 'text', text }];
+}
+
+/**
+ * Prepare a request carrying output_format for the chosen strategy
+ *
+ * @param {Object} anthropicRequest - Anthropic format request with output_format
+ * @returns {{request: Object, mode: 'native'|'tool'|'prompt'}} Request to send and the strategy used
+ */
+export function prepareStructuredRequest(anthropicRequest) {
+    const outputFormat = anthropicRequest.output_format;
+
+    if (supportsNativeStructuredOutput(anthropicRequest)) {
+        return { request: anthropicRequest, mode: 'native' };
+    }
+
+    const { output_format: _omit, ...request } = anthropicRequest;
+
+    if (outputFormat.type !== 'json_schema') {
+        request.system = appendSystemText(request.system,
+            'Respond with only a valid JSON object. Do not add prose or markdown code fences.');
+        return { request, mode: 'prompt' };
+    }
+
+    const userTools = request.tools || [];
+    request.tools = [...userTools, {
+        name: STRUCTURED_OUTPUT_TOOL_NAME,
+        description: `Return the final answer as "${outputFormat.name}". The input must match the schema exactly.`,
+        input_schema: outputFormat.schema
+    }];
+
+    // Force the tool unless the client's own tools must stay callable;
+    // Claude also rejects forced tool use while thinking
+    const claudeThinking = getModelFamily(request.model || '') === 'claude'
+        && isThinkingModel(request.model) && request.thinking?.type !== 'disabled';
+    if (userTools.length === 0 && !claudeThinking) {
+        request.tool_choice = { type: 'tool', name: STRUCTURED_OUTPUT_TOOL_NAME };
+    }
+    request.system = appendSystemText(request.system,
+        `When you have the final answer, call the ${STRUCTURED_OUTPUT_TOOL_NAME} tool with it instead of replying in text.`);
+
+    return { request, mode: 'tool' };
+}
+
+/**
+ * Parse JSON text, tolerating a surrounding markdown code fence
+ * @param {string} text - Model output
+ * @returns {{value?: *, error?: string}} Parsed value or parse error
+ */
+function parseJsonText(text) {
+    const trimmed = text.trim();
+    const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+    try {
+        return { value: JSON.parse(fenced ? fenced[1] : trimmed) };
+    } catch (e) {
+        return { error: `$: response is not valid JSON (${e.message})` };
+    }
+}
+
+/**
+ * Extract the structured value from an Anthropic response
+ *
+ * @param {Object} response - Anthropic format response
+ * @param {'native'|'tool'|'prompt'} mode - Strategy used for the request
+ * @returns {{value?: *, text: string, error?: string, toolUse?: Object, passthrough?: boolean}}
+ *   passthrough is set when the model called one of the client's own tools
+ */
+export function extractStructuredOutput(response, mode) {
+    const content = response.content || [];
+
+    if (mode === 'tool') {
+        const toolUses = content.filter(block => block.type === 'tool_use');
+        const toolUse = toolUses.find(block => block.name === STRUCTURED_OUTPUT_TOOL_NAME);
+        if (toolUses.some(block => block.name !== STRUCTURED_OUTPUT_TOOL_NAME)) {
+            return { text: '', passthrough: true };
+        }
+        if (toolUse) {
+            return { value: toolUse.input, text: JSON.stringify(toolUse.input), toolUse };
+        }
+    }
+
+    const text = content.filter(block => block.type === 'text').map(block => block.text).join('');
+    if (!text.trim()) {
+        return { text, error: '$: response contained no JSON' };
+    }
+    return { text, ...parseJsonText(text) };
+}
+
+/**
+ * Build the client-facing response: thinking blocks plus a single JSON text block
+ *
+ * @param {Object} response - Anthropic format response
+ * @param {{value?: *, text: string, error?: string}} extracted - Result of extractStructuredOutput
+ * @returns {Object} Anthropic format response
+ */
+export function buildStructuredResponse(response, extracted) {
+    const thinking = (response.content || []).filter(block => block.type === 'thinking' || block.type === 'redacted_thinking');
+    const text = extracted.error ? extracted.text : JSON.stringify(extracted.value);
+    return {
+        ...response,
+        content: [...thinking, { type: 'text', text }],
+        stop_reason: response.stop_reason === 'tool_use' ? 'end_turn' : response.stop_reason
+    };
+}
+
+/**
+ * Build the messages that ask the model to fix an invalid structured response
+ *
+ * @param {Object} response - Anthropic format response that failed validation
+ * @param {{toolUse?: Object}} extracted - Result of extractStructuredOutput
+ * @param {Array<string>} errors - Validation errors
+ * @returns {Array<Object>} Assistant and user messages to append
+ */
+export function buildCorrectionMessages(response, extracted, errors) {
+    const feedback = `The response did not match the required JSON schema:\n- ${errors.join('\n- ')}\nReturn a corrected response.`;
+    const assistant = { role: 'assistant', content: response.content?.length > 0 ? response.content : [{ type: 'text', text: '.' }] };
+
+    if (extracted.toolUse) {
+        return [assistant, {
+            role: 'user',
+            content: [{ type: 'tool_result', tool_use_id: extracted.toolUse.id, content: feedback, is_error: true }]
+        }];
+    }
+    return [assistant, { role: 'user', content: feedback }];
+}
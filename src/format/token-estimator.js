@@ -0,0 +1,193 @@
+/**
+ * Token Estimator
+ * Local token count estimation for Google Generative AI requests
+ *
+ * Used by the count_tokens endpoint when the upstream countTokens API is
+ * unavailable (no accounts, network failure). Estimates are per model family
+ * since Claude and Gemini tokenize text and media differently.
+ */
+
+import { getModelFamily } from '../constants.js';
+
+// Average characters per token for English text and code
+const CHARS_PER_TOKEN = {
+    claude: 3.5,
+    gemini: 4,
+    unknown: 4
+};
+
+// Gemini bills every image at a flat rate, and every PDF page at the same rate
+const GEMINI_TOKENS_PER_IMAGE = 258;
+const GEMINI_TOKENS_PER_PDF_PAGE = 258;
+
+// Claude images: (width * height) / 750, capped at ~1600 tokens (1.15 megapixels)
+const CLAUDE_PIXELS_PER_TOKEN = 750;
+const CLAUDE_MAX_IMAGE_TOKENS = 1600;
+const CLAUDE_TOKENS_PER_PDF_PAGE = 1500;
+
+// Per-message overhead for role markers and separators
+const TOKENS_PER_MESSAGE = 4;
+
+/**
+ * Estimate tokens for a plain string
+ * @param {string} text - Text to estimate
+ * @param {string} family - Model family ('claude', 'gemini', 'unknown')
+ * @returns {number} Estimated token count
+ */
+export function estimateTextTokens(text, family = 'unknown') {
+    if (!text) return 0;
+    const ratio = CHARS_PER_TOKEN[family] || CHARS_PER_TOKEN.unknown;
+    return Math.ceil(String(text).length / ratio);
+}
+
+/**
+ * Read image dimensions from the header of a base64-encoded PNG, GIF or JPEG
+ * @param {string} base64Data - Base64 image data
+ * @returns {{width: number, height: number}|null} Dimensions or null if unknown
+ */
+export function getImageDimensions(base64Data) {
+    let buf;
+    try {
+        // Headers live in the first few KB; avoid decoding huge payloads
+        buf = Buffer.from(String(base64Data).slice(0, 87384), 'base64');
+    } catch (e) {
+        return null;
+    }
+
+    // PNG: IHDR chunk holds big-endian width/height at offset 16
+    if (buf.length >= 24 && buf.readUInt32BE(0) === 0x89504e47) {
+        return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+    }
+
+    // GIF: little-endian width/height at offset 6
+    if (buf.length >= 10 && buf.toString('ascii', 0, 3) === 'GIF') {
+        return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+    }
+
+    // JPEG: scan markers for a SOFn frame header
+    if (buf.length >= 4 && buf[0] === 0xff && buf[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < buf.length) {
+            if (buf[offset] !== 0xff) return null;
+            const marker = buf[offset + 1];
+            const length = buf.readUInt16BE(offset + 2);
+            const isFrameHeader = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+            if (isFrameHeader) {
+                return { height: buf.readUInt16BE(offset + 5), width: buf.readUInt16BE(offset + 7) };
+            }
+            offset += 2 + length;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Count pages in a base64-encoded PDF by counting page objects
+ * @param {string} base64Data - Base64 PDF data
+ * @returns {number} Page count (at least 1)
+ */
+function countPdfPages(base64Data) {
+    try {
+        const text = Buffer.from(String(base64Data), 'base64').toString('latin1');
+        const matches = text.match(/\/Type\s*\/Page(?!s)/g);
+        return Math.max(1, matches ? matches.length : 1);
+    } catch (e) {
+        return 1;
+    }
+}
+
+/**
+ * Estimate tokens for inline or file media
+ * @param {string} mimeType - Media MIME type
+ * @param {string|null} data - Base64 data (null for file references)
+ * @param {string} family - Model family
+ * @returns {number} Estimated token count
+ */
+function estimateMediaTokens(mimeType, data, family) {
+    const type = (mimeType || '').toLowerCase();
+
+    if (type === 'application/pdf') {
+        const pages = data ? countPdfPages(data) : 1;
+        const perPage = family === 'claude' ? CLAUDE_TOKENS_PER_PDF_PAGE : GEMINI_TOKENS_PER_PDF_PAGE;
+        return pages * perPage;
+    }
+
+    if (type.startsWith('image/')) {
+        if (family !== 'claude') return GEMINI_TOKENS_PER_IMAGE;
+        const dims = data ? getImageDimensions(data) : null;
+        if (!dims || !dims.width || !dims.height) return CLAUDE_MAX_IMAGE_TOKENS;
+        return Math.min(CLAUDE_MAX_IMAGE_TOKENS, Math.ceil((dims.width * dims.height) / CLAUDE_PIXELS_PER_TOKEN));
+    }
+
+    // Other binary payloads (audio, text files): approximate from decoded size
+    if (data) {
+        const decodedBytes = Math.floor(String(data).length * 0.75);
+        return Math.ceil(decodedBytes / (CHARS_PER_TOKEN[family] || CHARS_PER_TOKEN.unknown));
+    }
+    return GEMINI_TOKENS_PER_IMAGE;
+}
+
+/**
+ * Estimate tokens for a single Google-format part
+ * @param {Object} part - Google Generative AI part
+ * @param {string} family - Model family
+ * @returns {number} Estimated token count
+ */
+function estimatePartTokens(part, family) {
+    if (!part) return 0;
+    if (part.text !== undefined) {
+        return estimateTextTokens(part.text, family);
+    }
+    if (part.functionCall) {
+        return estimateTextTokens(part.functionCall.name, family) +
+            estimateTextTokens(JSON.stringify(part.functionCall.args || {}), family);
+    }
+    if (part.functionResponse) {
+        let tokens = estimateTextTokens(JSON.stringify(part.functionResponse.response || {}), family);
+        for (const nested of part.functionResponse.parts || []) {
+            tokens += estimatePartTokens(nested, family);
+        }
+        return tokens;
+    }
+    if (part.inlineData) {
+        return estimateMediaTokens(part.inlineData.mimeType, part.inlineData.data, family);
+    }
+    if (part.fileData) {
+        return estimateMediaTokens(part.fileData.mimeType, null, family);
+    }
+    return 0;
+}
+
+/**
+ * Estimate the input token count of a Google-format request
+ * Counts system instruction, message contents (text, thinking, tool calls,
+ * tool results, images, documents) and tool declarations.
+ *
+ * @param {Object} googleRequest - Request produced by convertAnthropicToGoogle
+ * @param {string} model - Model name (used to pick the model family)
+ * @returns {number} Estimated input token count
+ */
+export function estimateTokenCount(googleRequest, model) {
+    const family = getModelFamily(model);
+    let total = 0;
+
+    for (const part of googleRequest.systemInstruction?.parts || []) {
+        total += estimatePartTokens(part, family);
+    }
+
+    for (const content of googleRequest.contents || []) {
+        total += TOKENS_PER_MESSAGE;
+        for (const part of content.parts || []) {
+            total += estimatePartTokens(part, family);
+        }
+    }
+
+    for (const tool of googleRequest.tools || []) {
+        for (const declaration of tool.functionDeclarations || []) {
+            total += estimateTextTokens(JSON.stringify(declaration), family);
+        }
+    }
+
+    return total;
+}
@@ -0,0 +1,333 @@
+/**
+ * Tool Input Repair
+ * The schema sanitizer strips constraints Google rejects ($ref, anyOf,
+ * additionalProperties, ...), so tool calls are only loosely checked
+ * upstream. Tool inputs returned by the model are therefore validated here
+ * against the client's original input_schema after a few safe repairs:
+ * - parsing arguments that arrive as JSON text, closing truncated JSON
+ * - coercing scalars to the declared type ("3" -> 3, "true" -> true)
+ * - parsing stringified objects and arrays, wrapping single values in arrays
+ * - filling missing properties that declare a default
+ */
+
+import { validateJsonSchema, resolveRef } from '../utils/json-schema-validator.js';
+
+const MAX_DEPTH = 64;
+
+/**
+ * Parse JSON text, closing it if it was cut off mid-value
+ * Truncated text is completed by closing the open string, then the open
+ * containers; if that does not parse, the trailing incomplete member is
+ * dropped (cutting back to the last comma or container start).
+ *
+ * @param {string} text - JSON text, possibly truncated
+ * @returns {*} Parsed value, or undefined if the text is not JSON
+ */
+export function repairJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        // Fall through to repair
+    }
+
+    const trimmed = text.trim();
+    if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return undefined;
+
+    const stack = [];
+    // Positions the text can be cut at, with the closers needed there
+    const cuts = [];
+    let inString = false;
+    let escaped = false;
+
+    for (let i = 0; i < trimmed.length; i++) {
+        const char = trimmed[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') inString = false;
+            continue;
+        }
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            stack.push(char === '{' ? '}' : ']');
+            cuts.push({ at: i + 1, closers: stack.slice().reverse().join('') });
+        } else if (char === '}' || char === ']') {
+            stack.pop();
+        } else if (char === ',') {
+            cuts.push({ at: i, closers: stack.slice().reverse().join('') });
+        }
+    }
+
+    const closers = stack.slice().reverse().join('');
+    const attempts = [];
+    if (inString) {
+        // Drop a dangling escape so the closing quote is not escaped
+        const body = escaped ? trimmed.slice(0, -1) : trimmed;
+        attempts.push(`${body}"${closers}`);
+    } else {
+        attempts.push(trimmed + closers);
+    }
+    for (let i = cuts.length - 1; i >= 0; i--) {
+        attempts.push(trimmed.slice(0, cuts[i].at) + cuts[i].closers);
+    }
+
+    for (const attempt of attempts) {
+        try {
+            return JSON.parse(attempt);
+        } catch {
+            // Try the next cut
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} Type name ('integer' for whole numbers)
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Get the types a schema accepts, inferring object/array from its keywords
+ * @param {Object} schema - JSON Schema
+ * @returns {Array<string>} Accepted type names (empty when unconstrained)
+ */
+function schemaTypes(schema) {
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        return schema.nullable ? [...types, 'null'] : types;
+    }
+    if (schema.properties || schema.required || schema.additionalProperties !== undefined) return ['object'];
+    if (schema.items || schema.prefixItems) return ['array'];
+    return [];
+}
+
+function acceptsType(types, value) {
+    const actual = typeOf(value);
+    return types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Convert a value to one of the accepted types, if that loses nothing
+ * @param {*} value - Value of the wrong type
+ * @param {Array<string>} types - Accepted types, in schema order
+ * @returns {{value: *}|null} Converted value, or null if no safe conversion exists
+ */
+function convertScalar(value, types) {
+    for (const type of types) {
+        if (typeof value === 'string') {
+            const text = value.trim();
+            if (type === 'object' || type === 'array') {
+                const parsed = repairJson(text);
+                if (parsed !== undefined && acceptsType([type], parsed)) return { value: parsed };
+            } else if (type === 'integer' && /^-?\d+$/.test(text)) {
+                return { value: Number(text) };
+            } else if (type === 'number' && text !== '' && Number.isFinite(Number(text))) {
+                return { value: Number(text) };
+            } else if (type === 'boolean' && /^(true|false)$/i.test(text)) {
+                return { value: text.toLowerCase() === 'true' };
+            } else if (type === 'null' && text === 'null') {
+                return { value: null };
+            }
+        } else if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+            return { value: String(value) };
+        }
+    }
+    return null;
+}
+
+function childPath(path, key) {
+    return typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`;
+}
+
+/**
+ * Repair a value against a schema node without mutating it
+ * @param {*} value - Value to repair
+ * @param {Object|boolean} schema - Schema node
+ * @param {Object} root - Root schema (for $ref)
+ * @param {string} path - JSON path used in repair notes
+ * @param {Array<string>} repairs - Collects a note per repair
+ * @param {number} depth - Recursion depth
+ * @returns {*} Repaired value
+ */
+function repairNode(value, schema, root, path, repairs, depth) {
+    if (!schema || typeof schema !== 'object' || depth > MAX_DEPTH) return value;
+
+    if (schema.$ref) {
+        const target = resolveRef(schema.$ref, root);
+        if (target) value = repairNode(value, target, root, path, repairs, depth + 1);
+    }
+    for (const sub of Array.isArray(schema.allOf) ? schema.allOf : []) {
+        value = repairNode(value, sub, root, path, repairs, depth + 1);
+    }
+    for (const keyword of ['anyOf', 'oneOf']) {
+        const branches = Array.isArray(schema[keyword]) ? schema[keyword] : [];
+        if (branches.length === 0) continue;
+        if (branches.some(sub => validateJsonSchema(value, sub, root).length === 0)) continue;
+        // Take the first branch the value can be repaired into
+        for (const sub of branches) {
+            const branchRepairs = [];
+            const candidate = repairNode(value, sub, root, path, branchRepairs, depth + 1);
+            if (validateJsonSchema(candidate, sub, root).length === 0) {
+                repairs.push(...branchRepairs);
+                value = candidate;
+                break;
+            }
+        }
+    }
+
+    const types = schemaTypes(schema);
+    if (types.length > 0 && !acceptsType(types, value)) {
+        const converted = convertScalar(value, types);
+        if (converted) {
+            repairs.push(`${path}: converted ${typeOf(value)} to ${typeOf(converted.value)}`);
+            value = converted.value;
+        } else if (types.includes('array') && value !== undefined && value !== null) {
+            // Only wrap a single value that is a valid item on its own
+            const itemSchema = Array.isArray(schema.items) ? undefined : schema.items;
+            const itemRepairs = [];
+            const item = repairNode(value, itemSchema, root, childPath(path, 0), itemRepairs, depth + 1);
+            if (validateJsonSchema(item, itemSchema, root).length === 0) {
+                repairs.push(`${path}: wrapped ${typeOf(value)} in an array`, ...itemRepairs);
+                value = [item];
+            }
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        const repaired = {};
+        for (const [key, propValue] of Object.entries(value)) {
+            const propSchema = key in properties ? properties[key] : schema.additionalProperties;
+            repaired[key] = repairNode(propValue, propSchema, root, childPath(path, key), repairs, depth + 1);
+        }
+        for (const [key, propSchema] of Object.entries(properties)) {
+            if (!(key in repaired) && propSchema && typeof propSchema === 'object' && 'default' in propSchema) {
+                repairs.push(`${childPath(path, key)}: filled default`);
+                repaired[key] = structuredClone(propSchema.default);
+            }
+        }
+        value = repaired;
+    } else if (Array.isArray(value)) {
+        const tuple = schema.prefixItems || (Array.isArray(schema.items) ? schema.items : null);
+        value = value.map((item, index) => {
+            const itemSchema = tuple && index < tuple.length ? tuple[index] : (Array.isArray(schema.items) ? null : schema.items);
+            return repairNode(item, itemSchema, root, childPath(path, index), repairs, depth + 1);
+        });
+    }
+
+    return value;
+}
+
+/**
+ * Repair a tool input and validate it against the tool's original schema
+ *
+ * @param {*} args - Arguments from the model (object or JSON text)
+ * @param {Object} [schema] - The tool's original input_schema
+ * @returns {{input: Object, repairs: Array<string>, errors: Array<string>}}
+ *   Repaired input, a note per repair, and remaining validation errors
+ */
+export function repairToolInput(args, schema) {
+    const repairs = [];
+    let input = args ?? {};
+
+    if (typeof input === 'string') {
+        const parsed = repairJson(input);
+        if (typeOf(parsed) !== 'object') {
+            return { input: {}, repairs, errors: ['$: arguments are not a JSON object'] };
+        }
+        repairs.push('$: parsed arguments from JSON text');
+        input = parsed;
+    }
+
+    if (!schema || typeof schema !== 'object') {
+        return { input, repairs, errors: [] };
+    }
+
+    input = repairNode(input, schema, schema, '$', repairs, 0);
+    return { input, repairs, errors: validateJsonSchema(input, schema) };
+}
+
+/**
+ * Collect the original input schema of every tool in a request
+ * @param {Object} anthropicRequest - Anthropic format request
+ * @returns {Map<string, Object>} Client tool name -> input schema
+ */
+export function buildToolSchemas(anthropicRequest) {
+    const schemas = new Map();
+    for (const tool of anthropicRequest.tools || []) {
+        const name = tool.name || tool.function?.name || tool.custom?.name;
+        const schema = tool.input_schema || tool.function?.input_schema || tool.function?.parameters ||
+            tool.custom?.input_schema || tool.parameters;
+        if (name && schema && typeof schema === 'object') {
+            schemas.set(name, schema);
+        }
+    }
+    return schemas;
+}
+
+/**
+ * Repair and validate the input of a tool call from the model
+ * Used by the response converters; reports inputs that remain invalid
+ * through options.onToolInputInvalid.
+ *
+ * @param {string} name - Client tool name
+ * @param {*} args - Arguments from the model
+ * @param {Object} [options] - Response options
+ * @param {Map<string, Object>} [options.toolSchemas] - Original schemas by tool name
+ * @param {Function} [options.onToolInputInvalid] - Called with (name, errors)
+ * @returns {Object} Tool input to return to the client
+ */
+export function resolveToolInput(name, args, options = {}) {
+    const { input, errors } = repairToolInput(args, options.toolSchemas?.get(name));
+    if (errors.length > 0) {
+        options.onToolInputInvalid?.(name, errors);
+    }
+    return input;
+}
+
+/**
+ * Find the tool calls in a response whose input still violates its schema
+ * @param {Object} response - Anthropic format response
+ * @param {Map<string, Object>} schemas - Original schemas by tool name
+ * @returns {Array<{toolUse: Object, errors: Array<string>}>} Invalid tool calls
+ */
+export function findInvalidToolUses(response, schemas) {
+    return (response.content || [])
+        .filter(block => block.type === 'tool_use' && schemas.has(block.name))
+        .map(toolUse => ({ toolUse, errors: validateJsonSchema(toolUse.input, schemas.get(toolUse.name)) }))
+        .filter(({ errors }) => errors.length > 0);
+}
+
+/**
+ * Build the messages that ask the model to repeat invalid tool calls
+ * Every tool call of the turn gets a result, since none of them was run.
+ *
+ * @param {Object} response - Anthropic format response with invalid tool calls
+ * @param {Array<{toolUse: Object, errors: Array<string>}>} invalid - Result of findInvalidToolUses
+ * @returns {Array<Object>} Assistant and user messages to append
+ */
+export function buildToolInputCorrectionMessages(response, invalid) {
+    const errorsById = new Map(invalid.map(({ toolUse, errors }) => [toolUse.id, errors]));
+    const results = response.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => {
+            const errors = errorsById.get(block.id);
+            const content = errors
+                ? `The input for ${block.name} does not match its schema:\n- ${errors.join('\n- ')}\nCall the tool again with corrected input.`
+                : 'Not run because another tool call in this turn had invalid input. Call it again if it is still needed.';
+            return { type: 'tool_result', tool_use_id: block.id, content, is_error: true };
+        });
+
+    return [
+        { role: 'assistant', content: response.content },
+        { role: 'user', content: results }
+    ];
+}
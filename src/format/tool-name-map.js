@@ -0,0 +1,105 @@
+/**
+ * Tool Name Map
+ * Google function names may only contain letters, digits, '_' and '-' and
+ * are limited to 64 characters, so client tool names such as
+ * "mcp__server.tool" have to be rewritten on the way upstream.
+ *
+ * A ToolNameMap is built per request and maps every tool name in it to a
+ * unique upstream name and back, so tool calls in the response carry the
+ * names the client declared.
+ */
+
+const MAX_TOOL_NAME_LENGTH = 64;
+const VALID_TOOL_NAME = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Sanitize a tool name to the characters and length Google accepts
+ * @param {string} name - Original tool name
+ * @returns {string} Sanitized tool name
+ */
+export function sanitizeToolName(name) {
+    return String(name).replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, MAX_TOOL_NAME_LENGTH);
+}
+
+export class ToolNameMap {
+    #toUpstream = new Map();
+    #toClient = new Map();
+
+    /**
+     * @param {Array<string>} names - Client tool names, in request order
+     */
+    constructor(names = []) {
+        const unique = [...new Set(names.filter(name => typeof name === 'string' && name))];
+        // Names that are already valid keep themselves, so they are reserved first
+        for (const name of unique.filter(name => VALID_TOOL_NAME.test(name))) {
+            this.#add(name, name);
+        }
+        for (const name of unique.filter(name => !VALID_TOOL_NAME.test(name))) {
+            this.#add(name, this.#uniqueName(sanitizeToolName(name)));
+        }
+    }
+
+    /**
+     * Append a numeric suffix until the name is unused, staying within the length limit
+     * @param {string} base - Sanitized name
+     * @returns {string} Unused upstream name
+     */
+    #uniqueName(base) {
+        let candidate = base;
+        for (let n = 2; this.#toClient.has(candidate); n++) {
+            const suffix = `_${n}`;
+            candidate = base.slice(0, MAX_TOOL_NAME_LENGTH - suffix.length) + suffix;
+        }
+        return candidate;
+    }
+
+    #add(clientName, upstreamName) {
+        this.#toUpstream.set(clientName, upstreamName);
+        this.#toClient.set(upstreamName, clientName);
+    }
+
+    /**
+     * Get the name sent upstream for a client tool name
+     * Names not seen when the map was built are sanitized without collision checks.
+     * @param {string} name - Client tool name
+     * @returns {string} Upstream function name
+     */
+    toUpstream(name) {
+        return this.#toUpstream.get(name) ?? sanitizeToolName(name);
+    }
+
+    /**
+     * Get the client tool name for an upstream function name
+     * @param {string} name - Function name returned by the model
+     * @returns {string} Client tool name (unchanged if unknown)
+     */
+    toClient(name) {
+        return this.#toClient.get(name) ?? name;
+    }
+}
+
+/**
+ * Build the tool name map for an Anthropic request
+ * Covers declared tools, tool_choice and tool_use blocks in the history, so
+ * replayed tool calls match the declarations they refer to.
+ *
+ * @param {Object} anthropicRequest - Anthropic format request
+ * @returns {ToolNameMap} Map for this request
+ */
+export function buildToolNameMap(anthropicRequest) {
+    const names = (anthropicRequest.tools || []).map(tool =>
+        tool.name || tool.function?.name || tool.custom?.name);
+
+    if (anthropicRequest.tool_choice?.type === 'tool') {
+        names.push(anthropicRequest.tool_choice.name);
+    }
+    for (const message of anthropicRequest.messages || []) {
+        if (!Array.isArray(message.content)) continue;
+        for (const block of message.content) {
+            if (block?.type === 'tool_use') {
+                names.push(block.name);
+            }
+        }
+    }
+    return new ToolNameMap(names);
+}
@@ -0,0 +1,138 @@
+/**
+ * Response Store
+ * SQLite store for OpenAI Responses API conversations
+ *
+ * Each stored response keeps the Anthropic-format messages of the whole
+ * conversation (including thinking signatures), so a follow-up request with
+ * previous_response_id can continue it without the client resending history.
+ * Entries survive restarts and expire after RESPONSE_STORE_TTL_MS; the oldest
+ * entries are evicted once RESPONSE_STORE_MAX_ENTRIES or RESPONSE_STORE_MAX_BYTES
+ * is reached.
+ */
+
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+import {
+    RESPONSE_STORE_TTL_MS,
+    RESPONSE_STORE_MAX_ENTRIES,
+    RESPONSE_STORE_MAX_BYTES
+} from '../constants.js';
+import { loadDatabaseModule } from '../auth/database.js';
+import { logger } from '../utils/logger.js';
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS responses (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        data TEXT NOT NULL,
+        size_bytes INTEGER NOT NULL,
+        created_at INTEGER NOT NULL
+    );
+`;
+
+export class ResponseStore {
+    #db;
+    #ttlMs;
+    #maxEntries;
+    #maxBytes;
+
+    /**
+     * @param {string} dbPath - SQLite database path (':memory:' for tests)
+     * @param {Object} [limits]
+     * @param {number} [limits.ttlMs] - How long a response can be chained from
+     * @param {number} [limits.maxEntries] - Most responses kept
+     * @param {number} [limits.maxBytes] - Most bytes of stored conversations kept
+     */
+    constructor(dbPath, {
+        ttlMs = RESPONSE_STORE_TTL_MS,
+        maxEntries = RESPONSE_STORE_MAX_ENTRIES,
+        maxBytes = RESPONSE_STORE_MAX_BYTES
+    } = {}) {
+        const Database = loadDatabaseModule();
+        if (dbPath !== ':memory:') {
+            mkdirSync(dirname(dbPath), { recursive: true });
+        }
+        this.#db = new Database(dbPath);
+        this.#db.pragma('journal_mode = WAL');
+        this.#db.exec(SCHEMA);
+        this.#ttlMs = ttlMs;
+        this.#maxEntries = maxEntries;
+        this.#maxBytes = maxBytes;
+    }
+
+    /**
+     * Store a completed response and its conversation
+     * @param {string} id - Response ID
+     * @param {Object} entry - Stored data
+     * @param {Object} entry.response - Responses API response object
+     * @param {Array<Object>} entry.messages - Anthropic messages including the assistant turn
+     * @returns {boolean} True if stored; a conversation larger than the byte cap is not
+     */
+    saveResponse(id, { response, messages }) {
+        if (!id) return false;
+        const data = JSON.stringify({ response, messages });
+        const size = Buffer.byteLength(data);
+        if (size > this.#maxBytes) {
+            logger.warn(`[ResponseStore] Response ${id} not stored: ${size} bytes exceeds the ${this.#maxBytes} byte limit`);
+            return false;
+        }
+
+        this.#db.transaction(() => {
+            this.#db.prepare('INSERT OR REPLACE INTO responses (id, data, size_bytes, created_at) VALUES (?, ?, ?, ?)')
+                .run(id, data, size, Date.now());
+            this.#prune();
+        })();
+        return true;
+    }
+
+    /**
+     * Get a stored response
+     * @param {string} id - Response ID
+     * @returns {{response: Object, messages: Array<Object>}|null} Stored entry or null if not found/expired
+     */
+    getResponse(id) {
+        if (!id) return null;
+        const row = this.#db.prepare('SELECT data, created_at FROM responses WHERE id = ?').get(id);
+        if (!row) return null;
+        if (Date.now() - row.created_at > this.#ttlMs) {
+            this.deleteResponse(id);
+            return null;
+        }
+        return JSON.parse(row.data);
+    }
+
+    /**
+     * Delete a stored response
+     * @param {string} id - Response ID
+     * @returns {boolean} True if the response existed
+     */
+    deleteResponse(id) {
+        return this.#db.prepare('DELETE FROM responses WHERE id = ?').run(id).changes > 0;
+    }
+
+    /**
+     * Close the database
+     */
+    close() {
+        this.#db.close();
+    }
+
+    /**
+     * Remove expired entries, then the oldest ones beyond the entry and byte caps
+     */
+    #prune() {
+        this.#db.prepare('DELETE FROM responses WHERE created_at < ?').run(Date.now() - this.#ttlMs);
+        this.#db.prepare(`
+            DELETE FROM responses WHERE seq IN (
+                SELECT seq FROM (
+                    SELECT seq,
+                        ROW_NUMBER() OVER (ORDER BY seq DESC) AS newer_count,
+                        SUM(size_bytes) OVER (ORDER BY seq DESC) AS newer_bytes
+                    FROM responses
+                ) WHERE newer_count > ? OR newer_bytes > ?
+            )
+        `).run(this.#maxEntries, this.#maxBytes);
+    }
+}
+
+export default ResponseStore;
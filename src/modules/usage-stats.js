@@ -10,7 +10,7 @@ const OLD_DATA_DIR = path.join(process.cwd(), 'data');
 const OLD_HISTORY_FILE = path.join(OLD_DATA_DIR, 'usage-history.json');
 
 // In-memory storage
-// Structure: { "YYYY-MM-DDTHH:00:00.000Z": { "claude": { "model-name": count, "_subtotal": count }, "_total": count } }
+// Structure: { "YYYY-MM-DDTHH:00:00.000Z": { "claude": { "model-name": count, "_subtotal": count }, "_total": count, "_cancelled": count, "_toolInputInvalid": count } }
 let history = {};
 let isDirty = false;
 
@@ -134,6 +134,39 @@ function track(modelId) {
     isDirty = true;
 }
 
+/**
+ * Record a request the client abandoned before it completed
+ * The request itself was already counted by track(); this only increments
+ * the hour's _cancelled counter.
+ */
+function trackCancelled() {
+    const now = new Date();
+    now.setMinutes(0, 0, 0);
+    const key = now.toISOString();
+
+    if (!history[key]) {
+        history[key] = { _total: 0 };
+    }
+    history[key]._cancelled = (history[key]._cancelled || 0) + 1;
+    isDirty = true;
+}
+
+/**
+ * Record a tool call whose input still violated the tool's schema after repair
+ * Increments the hour's _toolInputInvalid counter.
+ */
+function trackToolInputInvalid() {
+    const now = new Date();
+    now.setMinutes(0, 0, 0);
+    const key = now.toISOString();
+
+    if (!history[key]) {
+        history[key] = { _total: 0 };
+    }
+    history[key]._toolInputInvalid = (history[key]._toolInputInvalid || 0) + 1;
+    isDirty = true;
+}
+
 /**
  * Setup Express Middleware
  * @param {import('express').Application} app
@@ -152,14 +185,16 @@ function setupMiddleware(app) {
     process.on('SIGTERM', () => { save(); process.exit(); });
 
     // Request interceptor
-    // Track both Anthropic (/v1/messages) and OpenAI compatible (/v1/chat/completions) endpoints
-    const TRACKED_PATHS = ['/v1/messages', '/v1/chat/completions'];
+    // Track Anthropic (/v1/messages), OpenAI compatible (/v1/chat/completions, /v1/responses)
+    // and Ollama compatible (/api/chat, /api/generate) endpoints
+    const TRACKED_PATHS = ['/v1/messages', '/v1/chat/completions', '/v1/responses', '/api/chat', '/api/generate'];
 
     app.use((req, res, next) => {
         if (req.method === 'POST' && TRACKED_PATHS.includes(req.path)) {
             const model = req.body?.model;
             if (model) {
-                track(model);
+                // Ollama clients send tagged names (e.g. "gemini-3-flash:latest")
+                track(model.replace(/:latest$/, ''));
             }
         }
         next();
@@ -199,6 +234,8 @@ export default {
     setupMiddleware,
     setupRoutes,
     track,
+    trackCancelled,
+    trackToolInputInvalid,
     getFamily,
     getShortName,
     getHistory
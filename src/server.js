@@ -8,26 +8,76 @@ import express from 'express';
 import cors from 'cors';
 import path from 'path';
 import crypto from 'crypto';
+import fs from 'fs';
 import { fileURLToPath } from 'url';
-import { sendMessage, sendMessageStream, listModels, getModelQuotas, getSubscriptionTier } from './cloudcode/index.js';
+import {
+    sendMessage,
+    sendMessageStream,
+    listModels,
+    getModelQuotas,
+    getSubscriptionTier,
+    countTokens,
+    generateContent,
+    streamGenerateContent,
+    sendStructuredMessage,
+    sendStructuredMessageStream,
+    sendToolCheckedMessage,
+    sendToolCheckedMessageStream,
+    sendMessageChoices,
+    sendMessageStreamChoices
+} from './cloudcode/index.js';
 import { mountWebUI } from './webui/index.js';
 import { config } from './config.js';
 import { getServerState } from './state.js';
 import {
     convertOpenAIToAnthropic,
-    convertAnthropicToOpenAI,
-    convertAnthropicStreamEventToOpenAI
+    convertAnthropicChoicesToOpenAI,
+    convertAnthropicStreamEventToOpenAI,
+    createOpenAIUsageChunk
 } from './format/openai-converter.js';
+import {
+    convertResponsesToAnthropic,
+    convertAnthropicToResponses,
+    convertAnthropicStreamEventToResponses,
+    buildResponseObject
+} from './format/responses-converter.js';
+import {
+    convertOllamaChatToAnthropic,
+    convertOllamaGenerateToAnthropic,
+    convertAnthropicToOllama,
+    convertAnthropicStreamEventToOllama,
+    convertModelListToOllamaTags,
+    stripOllamaTag
+} from './format/ollama-converter.js';
+import { validateAnthropicRequest, pickAnthropicRequestFields } from './format/request-validator.js';
+import { ResponseStore } from './modules/response-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 import { forceRefresh } from './auth/token-extractor.js';
-import { REQUEST_BODY_LIMIT } from './constants.js';
-import { AccountManager } from './account-manager/index.js';
+import {
+    REQUEST_BODY_LIMIT,
+    OLLAMA_API_PATHS,
+    OLLAMA_COMPAT_VERSION,
+    BATCH_DB_PATH,
+    RESPONSE_DB_PATH,
+    FILES_DIR,
+    FILES_DB_PATH,
+    FILES_MAX_BYTES,
+    FILES_QUOTA_BYTES,
+    REASONING_OUTPUT_MODES,
+    REASONING_OUTPUT_HEADER,
+    OPENAI_MAX_CHOICES
+} from './constants.js';
+import { AccountManager, QuotaPoller } from './account-manager/index.js';
 import { clearThinkingSignatureCache } from './format/signature-cache.js';
 import { formatDuration } from './utils/helpers.js';
+import { isCancelledError, MediaFetchError, ApiError, QueueTimeoutError } from './errors.js';
 import { logger } from './utils/logger.js';
 import usageStats from './modules/usage-stats.js';
+import { startBatchQueue, validateBatchRequests } from './batches/index.js';
+import { FileStore, parseMultipart, getOwnerId, detectFileMimeType, collectFileIds } from './files/index.js';
+import { registerFileSourceReader } from './format/file-sources.js';
 
 // Parse fallback flag directly from command line args to avoid circular dependency
 const args = process.argv.slice(2);
@@ -38,6 +88,17 @@ const app = express();
 // Initialize account manager (will be fully initialized on first request or startup)
 const accountManager = new AccountManager();
 
+// Background quota refresh feeding /health, /account-limits and quota-aware routing
+const quotaPoller = new QuotaPoller({
+    accountManager,
+    fetchQuota: async (account, token) => {
+        // Subscription first, for the project ID that gives accurate quota info
+        const subscription = await getSubscriptionTier(token);
+        const quotas = await getModelQuotas(token, subscription.projectId);
+        return { quotas, subscription: { tier: subscription.tier, projectId: subscription.projectId } };
+    }
+});
+
 // Track initialization status
 let isInitialized = false;
 let initError = null;
@@ -58,6 +119,16 @@ async function ensureInitialized() {
             isInitialized = true;
             const status = accountManager.getStatus();
             logger.success(`[Server] Account pool initialized: ${status.summary}`);
+            quotaPoller.start();
+
+            // Resume unfinished message batches from a previous run
+            if (fs.existsSync(BATCH_DB_PATH)) {
+                try {
+                    getBatchQueue();
+                } catch (error) {
+                    logger.warn('[Server] Could not resume message batches:', error.message);
+                }
+            }
         } catch (error) {
             initError = error;
             initPromise = null; // Allow retry on failure
@@ -69,27 +140,91 @@ async function ensureInitialized() {
     return initPromise;
 }
 
+// Message batch queue (opened on first use or at startup if a database exists)
+let batchQueue = null;
+
+/**
+ * Get the message batch queue, opening the database and starting the worker on first use
+ * Call only after ensureInitialized(): the worker schedules against the account pool.
+ * @returns {{store: import('./batches/store.js').BatchStore, worker: import('./batches/worker.js').BatchWorker}}
+ */
+function getBatchQueue() {
+    if (!batchQueue) {
+        batchQueue = startBatchQueue({
+            dbPath: BATCH_DB_PATH,
+            accountManager,
+            // Same senders as /v1/messages, so output_format and tool checks apply to batches too
+            sendMessage: (request, ...args) => getSenders(request).send(request, ...args),
+            fallbackEnabled: FALLBACK_ENABLED
+        });
+    }
+    return batchQueue;
+}
+
+// Stored Responses API conversations (opened on first use)
+let responseStore = null;
+
+/**
+ * Get the Responses API store, opening the database on first use
+ * @returns {ResponseStore}
+ */
+function getResponseStore() {
+    if (!responseStore) {
+        responseStore = new ResponseStore(RESPONSE_DB_PATH);
+    }
+    return responseStore;
+}
+
+// Uploaded files (opened on first use)
+let fileStore = null;
+
+/**
+ * Get the Files API store, opening the database on first use
+ * @returns {FileStore}
+ */
+function getFileStore() {
+    if (!fileStore) {
+        fileStore = new FileStore({ dir: FILES_DIR, dbPath: FILES_DB_PATH });
+    }
+    return fileStore;
+}
+
+// file_id sources in messages are read from the local file store
+registerFileSourceReader((fileId) => getFileStore().readFile(fileId));
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: REQUEST_BODY_LIMIT }));
 
-// API Key authentication middleware for /v1/* endpoints
-app.use('/v1', (req, res, next) => {
+/**
+ * Get the API key a client sent
+ * Gemini-native clients send the key as x-goog-api-key or ?key=
+ * @param {import('express').Request} req - Incoming request
+ * @returns {string} Provided key, or '' if none
+ */
+function getProvidedApiKey(req) {
+    const authHeader = req.headers['authorization'];
+    const xApiKey = req.headers['x-api-key'] || req.headers['x-goog-api-key'];
+
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        return authHeader.substring(7);
+    } else if (xApiKey) {
+        return xApiKey;
+    } else if (typeof req.query.key === 'string') {
+        return req.query.key;
+    }
+    return '';
+}
+
+// API Key authentication middleware for /v1/* and /v1beta/* endpoints
+function authenticateApiKey(req, res, next) {
     const state = getServerState();
     // Skip validation if apiKey is not configured
     if (!state.apiKey) {
         return next();
     }
 
-    const authHeader = req.headers['authorization'];
-    const xApiKey = req.headers['x-api-key'];
-
-    let providedKey = '';
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-        providedKey = authHeader.substring(7);
-    } else if (xApiKey) {
-        providedKey = xApiKey;
-    }
+    const providedKey = getProvidedApiKey(req);
 
     // Relaxed Validation: The user requested that "test" or "literally anything" should work.
     // We still check for presence because Cursor/clients usually require a non-empty string.
@@ -117,7 +252,11 @@ app.use('/v1', (req, res, next) => {
     }
 
     next();
-});
+}
+
+app.use('/v1', authenticateApiKey);
+app.use('/v1beta', authenticateApiKey);
+app.use(OLLAMA_API_PATHS, authenticateApiKey);
 
 // Setup usage statistics middleware
 usageStats.setupMiddleware(app);
@@ -133,7 +272,18 @@ function parseError(error) {
     let statusCode = 500;
     let errorMessage = error.message;
 
-    if (error.message.includes('401') || error.message.includes('UNAUTHENTICATED')) {
+    if (error instanceof MediaFetchError) {
+        // Checked first: the message quotes the failing URL, which may contain anything
+        errorType = 'invalid_request_error';
+        statusCode = 400;
+    } else if (error instanceof QueueTimeoutError) {
+        // Too many requests in flight on the account; 529 tells clients to back off and retry
+        errorType = 'overloaded_error';
+        statusCode = 529;
+    } else if (error instanceof ApiError && error.statusCode < 500) {
+        errorType = error.errorType;
+        statusCode = error.statusCode;
+    } else if (error.message.includes('401') || error.message.includes('UNAUTHENTICATED')) {
         errorType = 'authentication_error';
         statusCode = 401;
         errorMessage = 'Authentication failed. Make sure Antigravity is running with a valid token.';
@@ -170,6 +320,70 @@ function parseError(error) {
     return { errorType, statusCode, errorMessage };
 }
 
+/**
+ * Create an AbortSignal that fires when the client disconnects
+ * Listens on the response: since Node 16 the request emits 'close' as soon as
+ * its body has been read, not when the connection drops.
+ * @param {import('express').Request} req - Incoming request
+ * @param {import('express').Response} res - Outgoing response
+ * @returns {AbortSignal} Signal to pass to sendMessage/sendMessageStream
+ */
+function createDisconnectSignal(req, res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            logger.debug(`[API] Client disconnected from ${req.path}`);
+            controller.abort();
+        }
+    });
+    return controller.signal;
+}
+
+/**
+ * Finish a request whose client went away
+ * Nothing can be delivered any more, so the cancellation is only recorded.
+ * @param {import('express').Response} res - Outgoing response
+ * @param {string} logPrefix - Log prefix of the calling handler
+ */
+function finishCancelled(res, logPrefix) {
+    logger.info(`${logPrefix} Request cancelled by client`);
+    usageStats.trackCancelled();
+    if (!res.writableEnded) res.end();
+}
+
+/**
+ * Resolve the model a request is sent to
+ * Applies the configured model mapping, optionally the Cursor 1M context
+ * suffix, and an optimistic retry: if every account is rate-limited for the
+ * model, their limits are reset to force a fresh check.
+ * @param {string} model - Model the client asked for
+ * @param {string} logPrefix - Log prefix of the calling handler
+ * @param {Object} [options]
+ * @param {boolean} [options.apply1MContext=false] - Add the [1m] suffix to Gemini models when enabled in the Cursor settings
+ * @param {boolean} [options.resetRateLimits=true] - Reset rate limits if all accounts are limited for the model
+ * @returns {string} Model ID to send upstream
+ */
+function resolveRequestedModel(model, logPrefix, { apply1MContext = false, resetRateLimits = true } = {}) {
+    let resolved = model;
+    const targetModel = config.modelMapping?.[resolved]?.mapping;
+    if (targetModel) {
+        logger.info(`${logPrefix} Mapping model ${resolved} -> ${targetModel}`);
+        resolved = targetModel;
+    }
+
+    if (apply1MContext && getServerState().enable1MContext &&
+        resolved.includes('gemini') && !resolved.includes('[1m]')) {
+        resolved += '[1m]';
+        logger.info(`${logPrefix} Applied 1M context suffix: ${resolved}`);
+    }
+
+    if (resetRateLimits && accountManager.isAllRateLimited(resolved)) {
+        logger.warn(`${logPrefix} All accounts rate-limited for ${resolved}. Resetting state for optimistic retry.`);
+        accountManager.resetAllRateLimits();
+    }
+    return resolved;
+}
+
 // Request logging middleware
 app.use((req, res, next) => {
     // Skip logging for event logging batch unless in debug mode
@@ -215,84 +429,73 @@ app.get('/health', async (req, res) => {
         const status = accountManager.getStatus();
         const allAccounts = accountManager.getAllAccounts();
 
-        // Fetch quotas for each account in parallel to get detailed model info
-        const accountDetails = await Promise.allSettled(
-            allAccounts.map(async (account) => {
-                // Check model-specific rate limits
-                const activeModelLimits = Object.entries(account.modelRateLimits || {})
-                    .filter(([_, limit]) => limit.isRateLimited && limit.resetTime > Date.now());
-                const isRateLimited = activeModelLimits.length > 0;
-                const soonestReset = activeModelLimits.length > 0
-                    ? Math.min(...activeModelLimits.map(([_, l]) => l.resetTime))
-                    : null;
-
-                const baseInfo = {
-                    email: account.email,
-                    lastUsed: account.lastUsed ? new Date(account.lastUsed).toISOString() : null,
-                    modelRateLimits: account.modelRateLimits || {},
-                    rateLimitCooldownRemaining: soonestReset ? Math.max(0, soonestReset - Date.now()) : 0
+        // Quotas come from the background poller's snapshot, not live upstream calls
+        await quotaPoller.ready();
+        const snapshot = quotaPoller.getSnapshot();
+        const quotaByEmail = new Map(snapshot.accounts.map(quota => [quota.email, quota]));
+        const concurrency = accountManager.getConcurrencyStats();
+        const healthByEmail = new Map(status.accounts.map(acc => [acc.email, acc.health]));
+
+        const detailedAccounts = allAccounts.map(account => {
+            // Check model-specific rate limits
+            const activeModelLimits = Object.entries(account.modelRateLimits || {})
+                .filter(([_, limit]) => limit.isRateLimited && limit.resetTime > Date.now());
+            const isRateLimited = activeModelLimits.length > 0;
+            const soonestReset = activeModelLimits.length > 0
+                ? Math.min(...activeModelLimits.map(([_, l]) => l.resetTime))
+                : null;
+            const quota = quotaByEmail.get(account.email);
+
+            const baseInfo = {
+                email: account.email,
+                lastUsed: account.lastUsed ? new Date(account.lastUsed).toISOString() : null,
+                modelRateLimits: account.modelRateLimits || {},
+                rateLimitCooldownRemaining: soonestReset ? Math.max(0, soonestReset - Date.now()) : 0,
+                inFlight: concurrency.accounts[account.email]?.inFlight || 0,
+                queued: concurrency.accounts[account.email]?.queued || 0,
+                health: healthByEmail.get(account.email) || null,
+                quotaCheckedAt: quota?.checkedAt ? new Date(quota.checkedAt).toISOString() : null
+            };
+
+            if (account.isInvalid) {
+                return {
+                    ...baseInfo,
+                    status: 'invalid',
+                    error: account.invalidReason,
+                    models: {}
                 };
-
-                // Skip invalid accounts for quota check
-                if (account.isInvalid) {
-                    return {
-                        ...baseInfo,
-                        status: 'invalid',
-                        error: account.invalidReason,
-                        models: {}
-                    };
-                }
-
-                try {
-                    const token = await accountManager.getTokenForAccount(account);
-                    const projectId = account.subscription?.projectId || null;
-                    const quotas = await getModelQuotas(token, projectId);
-
-                    // Format quotas for readability
-                    const formattedQuotas = {};
-                    for (const [modelId, info] of Object.entries(quotas)) {
-                        formattedQuotas[modelId] = {
-                            remaining: info.remainingFraction !== null ? `${Math.round(info.remainingFraction * 100)}%` : 'N/A',
-                            remainingFraction: info.remainingFraction,
-                            resetTime: info.resetTime || null
-                        };
-                    }
-
-                    return {
-                        ...baseInfo,
-                        status: isRateLimited ? 'rate-limited' : 'ok',
-                        models: formattedQuotas
-                    };
-                } catch (error) {
-                    return {
-                        ...baseInfo,
-                        status: 'error',
-                        error: error.message,
-                        models: {}
-                    };
-                }
-            })
-        );
-
-        // Process results
-        const detailedAccounts = accountDetails.map((result, index) => {
-            if (result.status === 'fulfilled') {
-                return result.value;
-            } else {
-                const acc = allAccounts[index];
+            }
+            if (quota?.status === 'error') {
                 return {
-                    email: acc.email,
+                    ...baseInfo,
                     status: 'error',
-                    error: result.reason?.message || 'Unknown error',
-                    modelRateLimits: acc.modelRateLimits || {}
+                    error: quota.error,
+                    models: {}
+                };
+            }
+
+            // Format quotas for readability
+            const formattedQuotas = {};
+            for (const [modelId, info] of Object.entries(quota?.models || {})) {
+                formattedQuotas[modelId] = {
+                    remaining: info.remainingFraction !== null ? `${Math.round(info.remainingFraction * 100)}%` : 'N/A',
+                    remainingFraction: info.remainingFraction,
+                    resetTime: info.resetTime || null
                 };
             }
+
+            return {
+                ...baseInfo,
+                status: isRateLimited ? 'rate-limited' : 'ok',
+                models: formattedQuotas
+            };
         });
 
         res.json({
             status: 'ok',
             timestamp: new Date().toISOString(),
             latencyMs: Date.now() - start,
+            quotaSnapshotAt: snapshot.polledAt ? new Date(snapshot.polledAt).toISOString() : null,
             summary: status.summary,
             counts: {
                 total: status.total,
@@ -300,6 +503,7 @@ app.get('/health', async (req, res) => {
                 rateLimited: status.rateLimited,
                 invalid: status.invalid
             },
+            concurrency,
             accounts: detailedAccounts
         });
 
@@ -325,75 +529,20 @@ app.get('/account-limits', async (req, res) => {
         const format = req.query.format || 'json';
         const includeHistory = req.query.includeHistory === 'true';
 
-        // Fetch quotas for each account in parallel
-        const results = await Promise.allSettled(
-            allAccounts.map(async (account) => {
-                // Skip invalid accounts
-                if (account.isInvalid) {
-                    return {
-                        email: account.email,
-                        status: 'invalid',
-                        error: account.invalidReason,
-                        models: {}
-                    };
-                }
-
-                try {
-                    const token = await accountManager.getTokenForAccount(account);
-
-                    // Fetch subscription tier first to get project ID
-                    const subscription = await getSubscriptionTier(token);
-
-                    // Then fetch quotas with project ID for accurate quota info
-                    const quotas = await getModelQuotas(token, subscription.projectId);
-
-                    // Update account object with fresh data
-                    account.subscription = {
-                        tier: subscription.tier,
-                        projectId: subscription.projectId,
-                        detectedAt: Date.now()
-                    };
-                    account.quota = {
-                        models: quotas,
-                        lastChecked: Date.now()
-                    };
-
-                    // Save updated account data to disk (async, don't wait)
-                    accountManager.saveToDisk().catch(err => {
-                        logger.error('[Server] Failed to save account data:', err);
-                    });
-
-                    return {
-                        email: account.email,
-                        status: 'ok',
-                        subscription: account.subscription,
-                        models: quotas
-                    };
-                } catch (error) {
-                    return {
-                        email: account.email,
-                        status: 'error',
-                        error: error.message,
-                        subscription: account.subscription || { tier: 'unknown', projectId: null },
-                        models: {}
-                    };
-                }
-            })
-        );
-
-        // Process results
-        const accountLimits = results.map((result, index) => {
-            if (result.status === 'fulfilled') {
-                return result.value;
-            } else {
-                return {
-                    email: allAccounts[index].email,
-                    status: 'error',
-                    error: result.reason?.message || 'Unknown error',
-                    models: {}
-                };
-            }
-        });
+        // Served from the background poller's snapshot; ?refresh=true polls upstream first
+        if (req.query.refresh === 'true') {
+            await quotaPoller.refresh();
+        } else {
+            await quotaPoller.ready();
+        }
+        const snapshot = quotaPoller.getSnapshot();
+        const accountLimits = snapshot.accounts.map(quota => ({
+            email: quota.email,
+            status: quota.status === 'pending' ? 'ok' : quota.status,
+            error: quota.error || undefined,
+            subscription: quota.subscription,
+            models: quota.models
+        }));
 
         // Collect all unique model IDs
         const allModelIds = new Set();
@@ -440,6 +589,8 @@ app.get('/account-limits', async (req, res) => {
                     accStatus = 'invalid';
                 } else if (accLimit?.status === 'error') {
                     accStatus = 'error';
+                } else if (acc.health?.circuit === 'open' || acc.health?.circuit === 'half-open') {
+                    accStatus = `circuit ${acc.health.circuit}`;
                 } else {
                     // Count exhausted models (0% or null remaining)
                     const models = accLimit?.models || {};
@@ -530,9 +681,11 @@ app.get('/account-limits', async (req, res) => {
         // Build response data
         const responseData = {
             timestamp: new Date().toLocaleString(),
+            quotaSnapshotAt: snapshot.polledAt ? new Date(snapshot.polledAt).toISOString() : null,
             totalAccounts: allAccounts.length,
             models: sortedModels,
             modelConfig: config.modelMapping || {},
+            concurrency: accountManager.getConcurrencyStats(),
             accounts: accountLimits.map(acc => {
                 // Merge quota data with account metadata
                 const metadata = accountMetadataMap.get(acc.email) || {};
@@ -548,6 +701,9 @@ app.get('/account-limits', async (req, res) => {
                     invalidReason: metadata.invalidReason || null,
                     lastUsed: metadata.lastUsed || null,
                     modelRateLimits: metadata.modelRateLimits || {},
+                    inFlight: metadata.inFlight || 0,
+                    queued: metadata.queued || 0,
+                    health: metadata.health || null,
                     // Subscription data (new)
                     subscription: acc.subscription || metadata.subscription || { tier: 'unknown', projectId: null },
                     // Quota limits
@@ -641,18 +797,97 @@ app.get('/v1/models', async (req, res) => {
 
 /**
  * Count tokens endpoint - Anthropic Messages API compatible
- * Uses local tokenization with official tokenizers (@anthropic-ai/tokenizer for Claude, @lenml/tokenizer-gemini for Gemini)
+ * Converts the request with the same pipeline as /v1/messages and counts it via the
+ * Cloud Code countTokens API, falling back to a local per-family estimate when no account is available
  */
-app.post('/v1/messages/count_tokens', (req, res) => {
-    res.status(501).json({
-        type: 'error',
-        error: {
-            type: 'not_implemented',
-            message: 'Token counting is not implemented. Use /v1/messages with max_tokens or configure your client to skip token counting.'
+app.post('/v1/messages/count_tokens', async (req, res) => {
+    try {
+        const validationError = validateAnthropicRequest(req.body) || findMissingFile(req, req.body);
+        if (validationError) {
+            return res.status(400).json({
+                type: 'error',
+                error: {
+                    type: 'invalid_request_error',
+                    message: validationError
+                }
+            });
         }
-    });
+
+        const { model, messages, system, tools, tool_choice, thinking } = req.body;
+
+        const requestedModel = resolveRequestedModel(model || 'claude-3-5-sonnet-20241022', '[API]', { resetRateLimits: false });
+
+        // Count without an account if initialization fails (no accounts configured yet)
+        let manager = accountManager;
+        try {
+            await ensureInitialized();
+        } catch (initError) {
+            manager = null;
+        }
+
+        const { input_tokens, source } = await countTokens({
+            model: requestedModel,
+            messages,
+            system,
+            tools,
+            tool_choice,
+            thinking
+        }, manager);
+
+        logger.debug(`[API] count_tokens for ${requestedModel}: ${input_tokens} (${source})`);
+        res.json({ input_tokens });
+    } catch (error) {
+        logger.error('[API] count_tokens error:', error);
+        const { errorType, statusCode, errorMessage } = parseError(error);
+        res.status(statusCode).json({
+            type: 'error',
+            error: {
+                type: errorType,
+                message: errorMessage
+            }
+        });
+    }
 });
 
+/**
+ * Pick the senders for a request
+ * Requests with output_format (OpenAI response_format) are validated against
+ * their schema with corrective retries. With toolInputCorrection enabled,
+ * requests with tools get one corrective round-trip for invalid tool inputs.
+ * @param {Object} anthropicRequest - Converted Anthropic request
+ * @returns {{send: Function, stream: Function}} Non-streaming and streaming senders
+ */
+function getSenders(anthropicRequest) {
+    if (anthropicRequest.output_format) {
+        return { send: sendStructuredMessage, stream: sendStructuredMessageStream };
+    }
+    if (config.toolInputCorrection && anthropicRequest.tools?.length > 0) {
+        return { send: sendToolCheckedMessage, stream: sendToolCheckedMessageStream };
+    }
+    return { send: sendMessage, stream: sendMessageStream };
+}
+
+/**
+ * Resolve how thinking is exposed to an OpenAI client
+ * Precedence: x-reasoning-output header, per-API-key config, Cursor settings page.
+ * @param {import('express').Request} req - Incoming request
+ * @returns {string} Reasoning output mode
+ */
+function getReasoningOutputMode(req) {
+    const header = req.headers[REASONING_OUTPUT_HEADER];
+    if (REASONING_OUTPUT_MODES.includes(header)) {
+        return header;
+    }
+
+    const byKey = config.reasoningOutputByApiKey || {};
+    const keyMode = byKey[getProvidedApiKey(req)];
+    if (REASONING_OUTPUT_MODES.includes(keyMode)) {
+        return keyMode;
+    }
+
+    return getServerState().reasoningOutput || 'off';
+}
+
 /**
  * OpenAI Chat Completions API - For Cursor IDE compatibility
  * POST /v1/chat/completions and POST /chat/completions
@@ -663,42 +898,38 @@ app.post('/v1/messages/count_tokens', (req, res) => {
 
 // Handler function for chat completions (shared by both routes)
 async function handleChatCompletions(req, res) {
+    const signal = createDisconnectSignal(req, res);
     try {
         await ensureInitialized();
 
         const openaiRequest = req.body;
         const isStreaming = openaiRequest.stream === true;
+        const includeUsage = isStreaming && openaiRequest.stream_options?.include_usage === true;
 
-        logger.info(`[OpenAI API] Request for model: ${openaiRequest.model}, stream: ${isStreaming}`);
+        // n: number of choices, each generated by a separate upstream request
+        const n = openaiRequest.n ?? 1;
+        if (!Number.isInteger(n) || n < 1 || n > OPENAI_MAX_CHOICES) {
+            return res.status(400).json({
+                error: {
+                    message: `n must be an integer between 1 and ${OPENAI_MAX_CHOICES}`,
+                    type: 'invalid_request_error',
+                    param: 'n',
+                    code: null
+                }
+            });
+        }
 
-        // Convert OpenAI request to Anthropic format
-        const anthropicRequest = convertOpenAIToAnthropic(openaiRequest);
+        const reasoningOutput = getReasoningOutputMode(req);
 
-        // Resolve model mapping if configured
-        let requestedModel = anthropicRequest.model;
-        const modelMapping = config.modelMapping || {};
-        if (modelMapping[requestedModel] && modelMapping[requestedModel].mapping) {
-            const targetModel = modelMapping[requestedModel].mapping;
-            logger.info(`[OpenAI API] Mapping model ${requestedModel} -> ${targetModel}`);
-            anthropicRequest.model = targetModel;
-            requestedModel = targetModel;
-        }
+        logger.info(`[OpenAI API] Request for model: ${openaiRequest.model}, stream: ${isStreaming}${n > 1 ? `, n: ${n}` : ''}`);
 
-        // Apply 1M context suffix if enabled (Cursor specific)
-        const state = getServerState();
-        if (state.enable1MContext &&
-            requestedModel.includes('gemini') &&
-            !requestedModel.includes('[1m]')) {
-            requestedModel += '[1m]';
-            anthropicRequest.model = requestedModel;
-            logger.info(`[OpenAI API] Applied 1M context suffix: ${requestedModel}`);
-        }
+        // Map the model first: whether thinking is enabled, and its budget, depend on the model actually used
+        const requestedModel = resolveRequestedModel(openaiRequest.model, '[OpenAI API]', { apply1MContext: true });
 
-        // Optimistic Retry: If ALL accounts are rate-limited for this model, reset them
-        if (accountManager.isAllRateLimited(requestedModel)) {
-            logger.warn(`[OpenAI API] All accounts rate-limited for ${requestedModel}. Resetting state.`);
-            accountManager.resetAllRateLimits();
-        }
+        // Convert OpenAI request to Anthropic format
+        const anthropicRequest = convertOpenAIToAnthropic({ ...openaiRequest, model: requestedModel });
+
+        const { send, stream } = getSenders(anthropicRequest);
 
         if (isStreaming) {
             // Streaming response in OpenAI SSE format
@@ -709,28 +940,32 @@ async function handleChatCompletions(req, res) {
             res.flushHeaders();
 
             try {
-                const streamState = {};
+                const id = `chatcmpl-${crypto.randomBytes(16).toString('hex')}`;
+                const fingerprint = `fp_${crypto.randomBytes(8).toString('hex')}`;
+
+                // One conversion state per choice, sharing the completion id
+                const streamStates = Array.from({ length: n }, (_, choiceIndex) => ({
+                    id, fingerprint, choiceIndex, reasoningOutput, includeUsage
+                }));
 
                 // Send initial role chunk
                 const initialChunk = {
-                    id: `chatcmpl-${crypto.randomBytes(16).toString('hex')}`,
+                    id,
                     object: 'chat.completion.chunk',
                     created: Math.floor(Date.now() / 1000),
                     model: requestedModel,
-                    system_fingerprint: `fp_${crypto.randomBytes(8).toString('hex')}`,
-                    choices: [{
-                        index: 0,
+                    system_fingerprint: fingerprint,
+                    choices: streamStates.map(state => ({
+                        index: state.choiceIndex,
                         delta: { role: 'assistant', content: '' },
                         finish_reason: null
-                    }]
+                    }))
                 };
-                streamState.id = initialChunk.id;
-                streamState.fingerprint = initialChunk.system_fingerprint;
                 res.write(`data: ${JSON.stringify(initialChunk)}\n\n`);
 
-                // Stream Anthropic events and convert to OpenAI format
-                for await (const event of sendMessageStream(anthropicRequest, accountManager, FALLBACK_ENABLED)) {
-                    const openaiChunk = convertAnthropicStreamEventToOpenAI(event, requestedModel, streamState);
+                // Stream Anthropic events of all choices and convert to OpenAI format
+                for await (const { index, event } of sendMessageStreamChoices(anthropicRequest, accountManager, FALLBACK_ENABLED, { n, signal, stream })) {
+                    const openaiChunk = convertAnthropicStreamEventToOpenAI(event, requestedModel, streamStates[index]);
 
                     if (openaiChunk) {
                         if (openaiChunk.error) {
@@ -743,11 +978,18 @@ async function handleChatCompletions(req, res) {
                     }
                 }
 
+                if (includeUsage) {
+                    res.write(`data: ${JSON.stringify(createOpenAIUsageChunk(requestedModel, streamStates))}\n\n`);
+                }
+
                 // Send [DONE] marker
                 res.write('data: [DONE]\n\n');
                 res.end();
 
             } catch (streamError) {
+                if (isCancelledError(streamError)) {
+                    return finishCancelled(res, '[OpenAI API]');
+                }
                 logger.error('[OpenAI API] Stream error:', streamError);
                 const { errorType, errorMessage } = parseError(streamError);
                 res.write(`data: ${JSON.stringify({
@@ -762,12 +1004,15 @@ async function handleChatCompletions(req, res) {
 
         } else {
             // Non-streaming response
-            const anthropicResponse = await sendMessage(anthropicRequest, accountManager, FALLBACK_ENABLED);
-            const openaiResponse = convertAnthropicToOpenAI(anthropicResponse, requestedModel, false);
+            const anthropicResponses = await sendMessageChoices(anthropicRequest, accountManager, FALLBACK_ENABLED, { n, signal, send });
+            const openaiResponse = convertAnthropicChoicesToOpenAI(anthropicResponses, requestedModel, { reasoningOutput });
             res.json(openaiResponse);
         }
 
     } catch (error) {
+        if (isCancelledError(error)) {
+            return finishCancelled(res, '[OpenAI API]');
+        }
         logger.error('[OpenAI API] Error:', error);
         const { errorType, statusCode, errorMessage } = parseError(error);
 
@@ -797,71 +1042,774 @@ app.post('/v1/chat/completions', handleChatCompletions);
 app.post('/chat/completions', handleChatCompletions);
 
 /**
- * Anthropic-compatible Messages API
- * POST /v1/messages
+ * OpenAI Responses API
+ * POST /v1/responses and POST /responses
+ *
+ * Converts Responses input to Anthropic format (via the Chat Completions
+ * converter), streams semantic events back, and stores the conversation so
+ * follow-up requests can chain with previous_response_id.
  */
-app.post('/v1/messages', async (req, res) => {
+async function handleResponses(req, res) {
+    const signal = createDisconnectSignal(req, res);
     try {
-        // Ensure account manager is initialized
         await ensureInitialized();
 
-        const {
-            model,
-            messages,
-            stream,
-            system,
-            max_tokens,
-            tools,
-            tool_choice,
-            thinking,
-            top_p,
-            top_k,
-            temperature
-        } = req.body;
+        const responsesRequest = req.body;
+        const isStreaming = responsesRequest.stream === true;
+
+        if (!responsesRequest.model) {
+            return res.status(400).json({
+                error: { message: 'model is required', type: 'invalid_request_error', param: 'model', code: null }
+            });
+        }
+
+        logger.info(`[Responses API] Request for model: ${responsesRequest.model}, stream: ${isStreaming}`);
+
+        // Resolve previous_response_id chaining from the local store
+        let previous = null;
+        if (responsesRequest.previous_response_id) {
+            previous = getResponseStore().getResponse(responsesRequest.previous_response_id);
+            if (!previous) {
+                return res.status(400).json({
+                    error: {
+                        message: `Previous response with id '${responsesRequest.previous_response_id}' not found.`,
+                        type: 'invalid_request_error',
+                        param: 'previous_response_id',
+                        code: 'previous_response_not_found'
+                    }
+                });
+            }
+        }
+
+        // Map the model before conversion so thinking and its budget follow the mapped model
+        const requestedModel = resolveRequestedModel(responsesRequest.model, '[Responses API]', { apply1MContext: true });
+        const anthropicRequest = convertResponsesToAnthropic({ ...responsesRequest, model: requestedModel }, previous);
+
+        const context = {
+            id: `resp_${crypto.randomBytes(24).toString('hex')}`,
+            model: requestedModel,
+            createdAt: Math.floor(Date.now() / 1000),
+            request: responsesRequest
+        };
+        const shouldStore = responsesRequest.store !== false;
+
+        if (isStreaming) {
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+            res.setHeader('X-Accel-Buffering', 'no');
+            res.flushHeaders();
+
+            const streamState = { sequence: 0 };
+            const writeEvent = (event) => {
+                res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+                if (res.flush) res.flush();
+            };
+
+            const initial = buildResponseObject(context, { status: 'in_progress' });
+            writeEvent({ type: 'response.created', sequence_number: streamState.sequence++, response: initial });
+            writeEvent({ type: 'response.in_progress', sequence_number: streamState.sequence++, response: initial });
+
+            try {
+                for await (const event of getSenders(anthropicRequest).stream(anthropicRequest, accountManager, FALLBACK_ENABLED, { signal })) {
+                    const events = convertAnthropicStreamEventToResponses(event, context, streamState);
+                    events.forEach(writeEvent);
+                }
+
+                if (shouldStore && streamState.response) {
+                    getResponseStore().saveResponse(context.id, {
+                        response: streamState.response,
+                        messages: [...anthropicRequest.messages, { role: 'assistant', content: streamState.content }]
+                    });
+                }
+                res.end();
+
+            } catch (streamError) {
+                if (isCancelledError(streamError)) {
+                    return finishCancelled(res, '[Responses API]');
+                }
+                logger.error('[Responses API] Stream error:', streamError);
+                const { errorType, errorMessage } = parseError(streamError);
+                writeEvent({
+                    type: 'response.failed',
+                    sequence_number: streamState.sequence++,
+                    response: buildResponseObject(context, {
+                        status: 'failed',
+                        error: { code: errorType, message: errorMessage },
+                        output: streamState.output || []
+                    })
+                });
+                res.end();
+            }
 
-        // Resolve model mapping if configured
-        let requestedModel = model || 'claude-3-5-sonnet-20241022';
-        const modelMapping = config.modelMapping || {};
-        if (modelMapping[requestedModel] && modelMapping[requestedModel].mapping) {
-            const targetModel = modelMapping[requestedModel].mapping;
-            logger.info(`[Server] Mapping model ${requestedModel} -> ${targetModel}`);
-            requestedModel = targetModel;
+        } else {
+            const anthropicResponse = await getSenders(anthropicRequest).send(anthropicRequest, accountManager, FALLBACK_ENABLED, { signal });
+            const response = convertAnthropicToResponses(anthropicResponse, context);
+
+            if (shouldStore) {
+                getResponseStore().saveResponse(context.id, {
+                    response,
+                    messages: [...anthropicRequest.messages, { role: 'assistant', content: anthropicResponse.content }]
+                });
+            }
+            res.json(response);
         }
 
-        const modelId = requestedModel;
+    } catch (error) {
+        if (isCancelledError(error)) {
+            return finishCancelled(res, '[Responses API]');
+        }
+        logger.error('[Responses API] Error:', error);
+        const { errorType, statusCode, errorMessage } = parseError(error);
 
-        // Optimistic Retry: If ALL accounts are rate-limited for this model, reset them to force a fresh check.
-        // If we have some available accounts, we try them first.
-        if (accountManager.isAllRateLimited(modelId)) {
-            logger.warn(`[Server] All accounts rate-limited for ${modelId}. Resetting state for optimistic retry.`);
-            accountManager.resetAllRateLimits();
+        if (res.headersSent) {
+            res.write(`event: error\ndata: ${JSON.stringify({
+                type: 'error',
+                code: errorType,
+                message: errorMessage,
+                param: null
+            })}\n\n`);
+            res.end();
+        } else {
+            res.status(statusCode).json({
+                error: {
+                    message: errorMessage,
+                    type: errorType,
+                    code: statusCode === 401 ? 'invalid_api_key' : 'api_error'
+                }
+            });
         }
+    }
+}
+
+/**
+ * Retrieve or delete a stored response
+ * GET/DELETE /v1/responses/:id
+ */
+function handleGetResponse(req, res) {
+    const entry = getResponseStore().getResponse(req.params.id);
+    if (!entry) {
+        return res.status(404).json({
+            error: {
+                message: `Response with id '${req.params.id}' not found.`,
+                type: 'invalid_request_error',
+                param: null,
+                code: null
+            }
+        });
+    }
+    res.json(entry.response);
+}
+
+function handleDeleteResponse(req, res) {
+    if (!getResponseStore().deleteResponse(req.params.id)) {
+        return res.status(404).json({
+            error: {
+                message: `Response with id '${req.params.id}' not found.`,
+                type: 'invalid_request_error',
+                param: null,
+                code: null
+            }
+        });
+    }
+    res.json({ id: req.params.id, object: 'response.deleted', deleted: true });
+}
+
+app.post('/v1/responses', handleResponses);
+app.post('/responses', handleResponses);
+app.get('/v1/responses/:id', handleGetResponse);
+app.get('/responses/:id', handleGetResponse);
+app.delete('/v1/responses/:id', handleDeleteResponse);
+app.delete('/responses/:id', handleDeleteResponse);
 
-        // Validate required fields
-        if (!messages || !Array.isArray(messages)) {
+/**
+ * Ollama-compatible API
+ * GET /api/tags, GET /api/version, POST /api/show, POST /api/chat, POST /api/generate
+ *
+ * Converts Ollama requests to Anthropic format internally and streams NDJSON back.
+ * Ollama streams by default, so only an explicit stream: false returns a single object.
+ */
+app.get('/api/version', (req, res) => {
+    res.json({ version: OLLAMA_COMPAT_VERSION });
+});
+
+app.get('/api/tags', async (req, res) => {
+    try {
+        await ensureInitialized();
+        const account = accountManager.pickNext();
+        if (!account) {
+            return res.status(503).json({ error: 'No accounts available' });
+        }
+        const token = await accountManager.getTokenForAccount(account);
+        const models = await listModels(token);
+        res.json(convertModelListToOllamaTags(models));
+    } catch (error) {
+        logger.error('[Ollama API] Error listing models:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/show', (req, res) => {
+    const model = stripOllamaTag(req.body?.model || req.body?.name);
+    if (!model) {
+        return res.status(400).json({ error: 'model is required' });
+    }
+    const family = model.startsWith('claude') ? 'claude' : model.startsWith('gemini') ? 'gemini' : 'other';
+    res.json({
+        modelfile: '',
+        parameters: '',
+        template: '{{ .Prompt }}',
+        details: { parent_model: '', format: 'remote', family, families: [family], parameter_size: '', quantization_level: '' },
+        model_info: { 'general.architecture': family },
+        capabilities: ['completion', 'tools', 'vision']
+    });
+});
+
+async function handleOllama(req, res, mode) {
+    const ollamaRequest = req.body || {};
+    const isStreaming = ollamaRequest.stream !== false;
+    const startTime = Date.now();
+    const signal = createDisconnectSignal(req, res);
+
+    try {
+        await ensureInitialized();
+
+        if (!ollamaRequest.model) {
+            return res.status(400).json({ error: 'model is required' });
+        }
+        if (mode === 'chat' && ollamaRequest.messages !== undefined && !Array.isArray(ollamaRequest.messages)) {
+            return res.status(400).json({ error: 'messages must be an array' });
+        }
+
+        // An empty prompt/messages is Ollama's way of preloading a model - nothing to load here
+        const isLoadRequest = mode === 'chat' ? !ollamaRequest.messages?.length : !ollamaRequest.prompt;
+        if (isLoadRequest) {
+            const loaded = { model: ollamaRequest.model, created_at: new Date().toISOString(), done: true, done_reason: 'load' };
+            if (mode === 'chat') {
+                loaded.message = { role: 'assistant', content: '' };
+            } else {
+                loaded.response = '';
+            }
+            return res.json(loaded);
+        }
+
+        // Map the model before conversion so thinking and its budget follow the mapped model
+        const requestedModel = resolveRequestedModel(stripOllamaTag(ollamaRequest.model), '[Ollama API]');
+        const mappedRequest = { ...ollamaRequest, model: requestedModel };
+        const anthropicRequest = mode === 'chat'
+            ? convertOllamaChatToAnthropic(mappedRequest)
+            : convertOllamaGenerateToAnthropic(mappedRequest);
+
+        logger.info(`[Ollama API] /api/${mode} for model: ${requestedModel}, stream: ${isStreaming}`);
+
+        // Report the name the client asked for, as Ollama does
+        const reportedModel = ollamaRequest.model;
+
+        if (isStreaming) {
+            res.setHeader('Content-Type', 'application/x-ndjson');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+            res.setHeader('X-Accel-Buffering', 'no');
+            res.flushHeaders();
+
+            try {
+                const streamState = { startTime };
+                for await (const event of getSenders(anthropicRequest).stream(anthropicRequest, accountManager, FALLBACK_ENABLED, { signal })) {
+                    const chunks = convertAnthropicStreamEventToOllama(event, reportedModel, mode, streamState);
+                    for (const chunk of chunks) {
+                        res.write(JSON.stringify(chunk) + '\n');
+                    }
+                    if (chunks.length > 0 && res.flush) res.flush();
+                }
+                res.end();
+            } catch (streamError) {
+                if (isCancelledError(streamError)) {
+                    return finishCancelled(res, '[Ollama API]');
+                }
+                logger.error('[Ollama API] Stream error:', streamError);
+                const { errorMessage } = parseError(streamError);
+                res.write(JSON.stringify({ error: errorMessage }) + '\n');
+                res.end();
+            }
+
+        } else {
+            const anthropicResponse = await getSenders(anthropicRequest).send(anthropicRequest, accountManager, FALLBACK_ENABLED, { signal });
+            res.json(convertAnthropicToOllama(anthropicResponse, reportedModel, mode, startTime));
+        }
+
+    } catch (error) {
+        if (isCancelledError(error)) {
+            return finishCancelled(res, '[Ollama API]');
+        }
+        logger.error('[Ollama API] Error:', error);
+        const { statusCode, errorMessage } = parseError(error);
+
+        if (res.headersSent) {
+            res.write(JSON.stringify({ error: errorMessage }) + '\n');
+            res.end();
+        } else {
+            res.status(statusCode).json({ error: errorMessage });
+        }
+    }
+}
+
+app.post('/api/chat', (req, res) => handleOllama(req, res, 'chat'));
+app.post('/api/generate', (req, res) => handleOllama(req, res, 'generate'));
+
+/**
+ * Gemini-native API (Google Generative Language format)
+ * POST /v1beta/models/:model:generateContent
+ * POST /v1beta/models/:model:streamGenerateContent
+ *
+ * Requests are forwarded almost as-is through the account pool, so native
+ * parts (thoughtSignature, functionCall, inlineData) survive the round trip.
+ * Streaming uses SSE when ?alt=sse is given, otherwise a streamed JSON array.
+ */
+const GOOGLE_ERROR_STATUS = {
+    400: 'INVALID_ARGUMENT',
+    401: 'UNAUTHENTICATED',
+    403: 'PERMISSION_DENIED',
+    429: 'RESOURCE_EXHAUSTED',
+    503: 'UNAVAILABLE'
+};
+
+function googleError(statusCode, message) {
+    return {
+        error: {
+            code: statusCode,
+            message,
+            status: GOOGLE_ERROR_STATUS[statusCode] || 'INTERNAL'
+        }
+    };
+}
+
+app.post(/^\/v1beta\/models\/([^/:]+):(generateContent|streamGenerateContent)$/, async (req, res) => {
+    const method = req.params[1];
+    const isStreaming = method === 'streamGenerateContent';
+    const useSSE = req.query.alt === 'sse';
+    const signal = createDisconnectSignal(req, res);
+
+    try {
+        await ensureInitialized();
+
+        const geminiRequest = req.body || {};
+        if (!Array.isArray(geminiRequest.contents) || geminiRequest.contents.length === 0) {
+            return res.status(400).json(googleError(400, 'contents is required and must be a non-empty array'));
+        }
+
+        const model = resolveRequestedModel(decodeURIComponent(req.params[0]), '[Gemini API]');
+
+        logger.info(`[Gemini API] ${method} for model: ${model}`);
+        usageStats.track(model);
+
+        if (!isStreaming) {
+            const response = await generateContent(model, geminiRequest, accountManager, FALLBACK_ENABLED, { signal });
+            return res.json(response);
+        }
+
+        const stream = streamGenerateContent(model, geminiRequest, accountManager, FALLBACK_ENABLED, { signal });
+
+        // Pull the first chunk before sending headers so account errors still map to a status code
+        const first = await stream.next();
+
+        res.setHeader('Content-Type', useSSE ? 'text/event-stream' : 'application/json');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Accel-Buffering', 'no');
+        res.flushHeaders();
+
+        let count = 0;
+        const writeChunk = (chunk) => {
+            if (useSSE) {
+                res.write(`data: ${JSON.stringify(chunk)}\r\n\r\n`);
+            } else {
+                res.write(`${count === 0 ? '[' : ','}${JSON.stringify(chunk)}`);
+            }
+            count++;
+            if (res.flush) res.flush();
+        };
+
+        try {
+            if (!first.done) {
+                writeChunk(first.value);
+                for await (const chunk of stream) {
+                    writeChunk(chunk);
+                }
+            }
+        } catch (streamError) {
+            if (isCancelledError(streamError)) {
+                return finishCancelled(res, '[Gemini API]');
+            }
+            logger.error('[Gemini API] Stream error:', streamError);
+            const { statusCode, errorMessage } = parseError(streamError);
+            writeChunk(googleError(statusCode, errorMessage));
+        }
+
+        if (!useSSE) {
+            res.write(count === 0 ? '[]' : ']');
+        }
+        res.end();
+
+    } catch (error) {
+        if (isCancelledError(error)) {
+            return finishCancelled(res, '[Gemini API]');
+        }
+        logger.error('[Gemini API] Error:', error);
+        const { statusCode, errorMessage } = parseError(error);
+
+        if (res.headersSent) {
+            res.end();
+        } else {
+            res.status(statusCode).json(googleError(statusCode, errorMessage));
+        }
+    }
+});
+
+/**
+ * Message Batches API - Anthropic compatible
+ * POST /v1/messages/batches, GET /v1/messages/batches, GET /v1/messages/batches/:id,
+ * POST /v1/messages/batches/:id/cancel, GET /v1/messages/batches/:id/results,
+ * DELETE /v1/messages/batches/:id
+ *
+ * Requests are stored in SQLite and drained in the background through sendMessage.
+ * The worker pauses while all accounts are rate-limited and resumes when quotas reset.
+ */
+function batchNotFound(res, id) {
+    return res.status(404).json({
+        type: 'error',
+        error: {
+            type: 'not_found_error',
+            message: `Message batch '${id}' not found`
+        }
+    });
+}
+
+app.post('/v1/messages/batches', async (req, res) => {
+    try {
+        await ensureInitialized();
+
+        const { requests } = req.body;
+        const validationError = validateBatchRequests(requests)
+            || requests.map(({ params }, i) => {
+                const missing = findMissingFile(req, params);
+                return missing && `requests.${i}.params: ${missing}`;
+            }).find(Boolean);
+        if (validationError) {
             return res.status(400).json({
                 type: 'error',
                 error: {
                     type: 'invalid_request_error',
-                    message: 'messages is required and must be an array'
+                    message: validationError
                 }
             });
         }
 
-        // Build the request object
+        const batchRequests = requests.map(({ custom_id, params }) => {
+            // Same field handling as /v1/messages; rate limits are handled when the request runs
+            const model = resolveRequestedModel(params.model || 'claude-3-5-sonnet-20241022', '[Batches]', { resetRateLimits: false });
+            return {
+                custom_id,
+                params: {
+                    ...pickAnthropicRequestFields(params),
+                    model,
+                    max_tokens: params.max_tokens || 4096
+                }
+            };
+        });
+
+        const { store, worker } = getBatchQueue();
+        const batch = store.createBatch(batchRequests);
+        worker.wake();
+
+        logger.info(`[Batches] Created ${batch.id} with ${batchRequests.length} request(s)`);
+        res.json(batch);
+    } catch (error) {
+        logger.error('[Batches] Create error:', error);
+        const { errorType, statusCode, errorMessage } = parseError(error);
+        res.status(statusCode).json({ type: 'error', error: { type: errorType, message: errorMessage } });
+    }
+});
+
+app.get('/v1/messages/batches', async (req, res) => {
+    try {
+        await ensureInitialized();
+
+        const { store } = getBatchQueue();
+        res.json(store.listBatches({
+            limit: req.query.limit,
+            beforeId: req.query.before_id,
+            afterId: req.query.after_id
+        }));
+    } catch (error) {
+        logger.error('[Batches] List error:', error);
+        res.status(500).json({ type: 'error', error: { type: 'api_error', message: error.message } });
+    }
+});
+
+app.get('/v1/messages/batches/:id', async (req, res) => {
+    try {
+        await ensureInitialized();
+
+        const batch = getBatchQueue().store.getBatch(req.params.id);
+        if (!batch) return batchNotFound(res, req.params.id);
+        res.json(batch);
+    } catch (error) {
+        logger.error('[Batches] Retrieve error:', error);
+        res.status(500).json({ type: 'error', error: { type: 'api_error', message: error.message } });
+    }
+});
+
+app.post('/v1/messages/batches/:id/cancel', async (req, res) => {
+    try {
+        await ensureInitialized();
+
+        const batch = getBatchQueue().store.cancelBatch(req.params.id);
+        if (!batch) return batchNotFound(res, req.params.id);
+        logger.info(`[Batches] Cancel requested for ${batch.id}`);
+        res.json(batch);
+    } catch (error) {
+        logger.error('[Batches] Cancel error:', error);
+        res.status(500).json({ type: 'error', error: { type: 'api_error', message: error.message } });
+    }
+});
+
+app.get('/v1/messages/batches/:id/results', async (req, res) => {
+    try {
+        await ensureInitialized();
+
+        const { store } = getBatchQueue();
+        const batch = store.getBatch(req.params.id);
+        if (!batch) return batchNotFound(res, req.params.id);
+        if (batch.processing_status !== 'ended') {
+            return res.status(400).json({
+                type: 'error',
+                error: {
+                    type: 'invalid_request_error',
+                    message: `Message batch '${batch.id}' is still processing; results are available once it has ended`
+                }
+            });
+        }
+
+        res.setHeader('Content-Type', 'application/x-jsonl');
+        for (const result of store.getResults(batch.id)) {
+            res.write(JSON.stringify(result) + '\n');
+        }
+        res.end();
+    } catch (error) {
+        logger.error('[Batches] Results error:', error);
+        res.status(500).json({ type: 'error', error: { type: 'api_error', message: error.message } });
+    }
+});
+
+app.delete('/v1/messages/batches/:id', async (req, res) => {
+    try {
+        await ensureInitialized();
+
+        const outcome = getBatchQueue().store.deleteBatch(req.params.id);
+        if (outcome === 'not_found') return batchNotFound(res, req.params.id);
+        if (outcome === 'in_progress') {
+            return res.status(400).json({
+                type: 'error',
+                error: {
+                    type: 'invalid_request_error',
+                    message: 'Message batch must be ended or canceled before it can be deleted'
+                }
+            });
+        }
+        res.json({ id: req.params.id, type: 'message_batch_deleted' });
+    } catch (error) {
+        logger.error('[Batches] Delete error:', error);
+        res.status(500).json({ type: 'error', error: { type: 'api_error', message: error.message } });
+    }
+});
+
+/**
+ * Files API - Anthropic compatible
+ * POST /v1/files, GET /v1/files, GET /v1/files/:id, GET /v1/files/:id/content,
+ * DELETE /v1/files/:id
+ *
+ * Files belong to the API key that uploaded them and count against its storage
+ * quota (filesQuotaBytes, overridden per key by filesQuotaByApiKey).
+ * Messages reference them as { source: { type: 'file', file_id } }.
+ */
+function fileNotFound(res, id) {
+    return res.status(404).json({
+        type: 'error',
+        error: {
+            type: 'not_found_error',
+            message: `File '${id}' not found`
+        }
+    });
+}
+
+/**
+ * Check that every file a request references exists and belongs to the caller
+ * @param {import('express').Request} req - Incoming request
+ * @param {Object} anthropicRequest - Anthropic Messages API request
+ * @returns {string|null} Error message, or null if all files are available
+ */
+function findMissingFile(req, anthropicRequest) {
+    const fileIds = collectFileIds(anthropicRequest);
+    if (fileIds.length === 0) return null;
+
+    const owner = getOwnerId(getProvidedApiKey(req));
+    const store = getFileStore();
+    const missing = fileIds.find(id => !store.getFile(id, owner));
+    return missing ? `File '${missing}' not found` : null;
+}
+
+// Room for multipart boundaries and headers on top of the file itself
+const parseUpload = express.raw({ type: 'multipart/form-data', limit: FILES_MAX_BYTES + 64 * 1024 });
+
+function readUpload(req, res, next) {
+    parseUpload(req, res, (error) => {
+        if (!error) return next();
+        const tooLarge = error.type === 'entity.too.large';
+        res.status(tooLarge ? 413 : 400).json({
+            type: 'error',
+            error: {
+                type: tooLarge ? 'request_too_large' : 'invalid_request_error',
+                message: tooLarge ? `File exceeds the ${FILES_MAX_BYTES} byte limit` : error.message
+            }
+        });
+    });
+}
+
+app.post('/v1/files', readUpload, (req, res) => {
+    try {
+        const invalid = (message) => res.status(400).json({
+            type: 'error',
+            error: { type: 'invalid_request_error', message }
+        });
+
+        if (!Buffer.isBuffer(req.body)) {
+            return invalid('Request must be multipart/form-data with a "file" field');
+        }
+        let parts;
+        try {
+            parts = parseMultipart(req.body, req.headers['content-type']);
+        } catch (error) {
+            return invalid(error.message);
+        }
+        const upload = parts.find(part => part.name === 'file' && part.filename !== null);
+        if (!upload) {
+            return invalid('Request must be multipart/form-data with a "file" field');
+        }
+
+        const tooLarge = (message) => res.status(413).json({
+            type: 'error',
+            error: { type: 'request_too_large', message }
+        });
+        if (upload.data.length > FILES_MAX_BYTES) {
+            return tooLarge(`File exceeds the ${FILES_MAX_BYTES} byte limit`);
+        }
+
+        const apiKey = getProvidedApiKey(req);
+        const owner = getOwnerId(apiKey);
+        const store = getFileStore();
+        const quota = config.filesQuotaByApiKey?.[apiKey] ?? FILES_QUOTA_BYTES;
+        const used = store.getUsage(owner);
+        if (used + upload.data.length > quota) {
+            return tooLarge(`Storage quota exceeded: ${used} of ${quota} bytes used, file is ${upload.data.length} bytes`);
+        }
+
+        const filename = path.basename(upload.filename) || 'upload';
+        const file = store.createFile({
+            owner,
+            filename,
+            mimeType: detectFileMimeType(upload.data, upload.contentType, filename),
+            data: upload.data
+        });
+        logger.info(`[Files] Stored ${file.id} (${file.filename}, ${file.mime_type}, ${file.size_bytes} bytes)`);
+        res.json(file);
+    } catch (error) {
+        logger.error('[Files] Upload error:', error);
+        res.status(500).json({ type: 'error', error: { type: 'api_error', message: error.message } });
+    }
+});
+
+app.get('/v1/files', (req, res) => {
+    try {
+        res.json(getFileStore().listFiles({
+            owner: getOwnerId(getProvidedApiKey(req)),
+            limit: req.query.limit,
+            beforeId: req.query.before_id,
+            afterId: req.query.after_id
+        }));
+    } catch (error) {
+        logger.error('[Files] List error:', error);
+        res.status(500).json({ type: 'error', error: { type: 'api_error', message: error.message } });
+    }
+});
+
+app.get('/v1/files/:id', (req, res) => {
+    try {
+        const file = getFileStore().getFile(req.params.id, getOwnerId(getProvidedApiKey(req)));
+        if (!file) return fileNotFound(res, req.params.id);
+        res.json(file);
+    } catch (error) {
+        logger.error('[Files] Retrieve error:', error);
+        res.status(500).json({ type: 'error', error: { type: 'api_error', message: error.message } });
+    }
+});
+
+app.get('/v1/files/:id/content', (req, res) => {
+    try {
+        const content = getFileStore().readFile(req.params.id, getOwnerId(getProvidedApiKey(req)));
+        if (!content) return fileNotFound(res, req.params.id);
+        res.setHeader('Content-Type', content.mimeType);
+        res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(content.file.filename)}`);
+        res.send(content.data);
+    } catch (error) {
+        logger.error('[Files] Content error:', error);
+        res.status(500).json({ type: 'error', error: { type: 'api_error', message: error.message } });
+    }
+});
+
+app.delete('/v1/files/:id', (req, res) => {
+    try {
+        if (!getFileStore().deleteFile(req.params.id, getOwnerId(getProvidedApiKey(req)))) {
+            return fileNotFound(res, req.params.id);
+        }
+        res.json({ id: req.params.id, type: 'file_deleted' });
+    } catch (error) {
+        logger.error('[Files] Delete error:', error);
+        res.status(500).json({ type: 'error', error: { type: 'api_error', message: error.message } });
+    }
+});
+
+/**
+ * Anthropic-compatible Messages API
+ * POST /v1/messages
+ */
+app.post('/v1/messages', async (req, res) => {
+    const signal = createDisconnectSignal(req, res);
+    try {
+        const validationError = validateAnthropicRequest(req.body) || findMissingFile(req, req.body);
+        if (validationError) {
+            return res.status(400).json({
+                type: 'error',
+                error: {
+                    type: 'invalid_request_error',
+                    message: validationError
+                }
+            });
+        }
+
+        // Ensure account manager is initialized
+        await ensureInitialized();
+
+        const { model, messages, stream, max_tokens } = req.body;
+
+        const modelId = resolveRequestedModel(model || 'claude-3-5-sonnet-20241022', '[Server]');
+
+        // Build the request object from every supported field
         const request = {
+            ...pickAnthropicRequestFields(req.body),
             model: modelId,
-            messages,
-            max_tokens: max_tokens || 4096,
-            stream,
-            system,
-            tools,
-            tool_choice,
-            thinking,
-            top_p,
-            top_k,
-            temperature
+            max_tokens: max_tokens || 4096
         };
+        const { send, stream: streamSender } = getSenders(request);
 
         logger.info(`[API] Request for model: ${request.model}, stream: ${!!stream}`);
 
@@ -888,7 +1836,7 @@ app.post('/v1/messages', async (req, res) => {
 
             try {
                 // Use the streaming generator with account manager
-                for await (const event of sendMessageStream(request, accountManager, FALLBACK_ENABLED)) {
+                for await (const event of streamSender(request, accountManager, FALLBACK_ENABLED, { signal })) {
                     res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
                     // Flush after each event for real-time streaming
                     if (res.flush) res.flush();
@@ -896,6 +1844,9 @@ app.post('/v1/messages', async (req, res) => {
                 res.end();
 
             } catch (streamError) {
+                if (isCancelledError(streamError)) {
+                    return finishCancelled(res, '[API]');
+                }
                 logger.error('[API] Stream error:', streamError);
 
                 const { errorType, errorMessage } = parseError(streamError);
@@ -909,11 +1860,14 @@ app.post('/v1/messages', async (req, res) => {
 
         } else {
             // Handle non-streaming response
-            const response = await sendMessage(request, accountManager, FALLBACK_ENABLED);
+            const response = await send(request, accountManager, FALLBACK_ENABLED, { signal });
             res.json(response);
         }
 
     } catch (error) {
+        if (isCancelledError(error)) {
+            return finishCancelled(res, '[API]');
+        }
         logger.error('[API] Error:', error);
 
         let { errorType, statusCode, errorMessage } = parseError(error);
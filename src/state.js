@@ -13,6 +13,7 @@ let serverState = {
     needsSetup: false,
     isReady: false,
     enable1MContext: false, // Default to false
+    reasoningOutput: config.reasoningOutput || 'off', // Thinking exposure for OpenAI clients
     running: true
 };
 
@@ -4,6 +4,8 @@
  * General-purpose helper functions used across multiple modules.
  */
 
+import { RequestCancelledError } from '../errors.js';
+
 /**
  * Format duration in milliseconds to human-readable string
  * @param {number} ms - Duration in milliseconds
@@ -27,10 +29,39 @@ export function formatDuration(ms) {
 /**
  * Sleep for specified milliseconds
  * @param {number} ms - Duration to sleep in milliseconds
+ * @param {AbortSignal} [signal] - Rejects with RequestCancelledError as soon as this aborts
  * @returns {Promise<void>} Resolves after the specified duration
  */
-export function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+export function sleep(ms, signal = null) {
+    if (!signal) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(new RequestCancelledError());
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new RequestCancelledError());
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Throw if a request's signal has been aborted
+ * @param {AbortSignal} [signal] - Client disconnect signal
+ * @throws {RequestCancelledError} If the signal is aborted
+ */
+export function throwIfCancelled(signal) {
+    if (signal?.aborted) {
+        throw new RequestCancelledError();
+    }
 }
 
 /**
@@ -0,0 +1,194 @@
+/**
+ * JSON Schema Validator
+ *
+ * Minimal validator for the JSON Schema subset clients send in
+ * response_format and tool input_schema: types, enum/const, object and
+ * array keywords, string/number bounds, combinators and local $refs.
+ * Unknown keywords are ignored rather than rejected.
+ */
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} Type name ('integer' for whole numbers)
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Check a value against a JSON Schema type name
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} True if the value matches
+ */
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+/**
+ * Resolve a local $ref (#/$defs/..., #/definitions/...)
+ * @param {string} ref - Reference string
+ * @param {Object} root - Root schema
+ * @returns {Object|null} Referenced schema or null if unresolvable
+ */
+export function resolveRef(ref, root) {
+    if (typeof ref !== 'string' || !ref.startsWith('#')) return null;
+    let target = root;
+    for (const segment of ref.slice(1).split('/').filter(Boolean)) {
+        const key = decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+        if (!target || typeof target !== 'object' || !(key in target)) return null;
+        target = target[key];
+    }
+    return target;
+}
+
+/**
+ * Format a JSON path segment
+ * @param {string} path - Parent path
+ * @param {string|number} key - Property name or array index
+ * @returns {string} Child path
+ */
+function childPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function validateNode(value, schema, path, root, errors, depth) {
+    if (schema === true || schema === undefined || schema === null) return;
+    if (schema === false) {
+        errors.push(`${path}: no value is allowed here`);
+        return;
+    }
+    if (typeof schema !== 'object' || depth > 64) return;
+
+    if (schema.$ref) {
+        const target = resolveRef(schema.$ref, root);
+        if (target) validateNode(value, target, path, root, errors, depth + 1);
+    }
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const allowed = schema.nullable ? [...types, 'null'] : types;
+        if (!allowed.some(type => matchesType(value, type))) {
+            errors.push(`${path}: expected ${allowed.join(' or ')}, got ${typeOf(value)}`);
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+    }
+    if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        errors.push(`${path}: must equal ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path}: must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern) {
+            try {
+                if (!new RegExp(schema.pattern, 'u').test(value)) {
+                    errors.push(`${path}: must match pattern ${schema.pattern}`);
+                }
+            } catch {
+                // Patterns JavaScript cannot compile are not enforced
+            }
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path}: must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path}: must be <= ${schema.maximum}`);
+        }
+        if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+            errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+        }
+        if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+            errors.push(`${path}: must be < ${schema.exclusiveMaximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path}: must contain at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path}: must contain at most ${schema.maxItems} items`);
+        }
+        const tuple = schema.prefixItems || (Array.isArray(schema.items) ? schema.items : null);
+        value.forEach((item, index) => {
+            if (tuple && index < tuple.length) {
+                validateNode(item, tuple[index], childPath(path, index), root, errors, depth + 1);
+            } else if (schema.items && !Array.isArray(schema.items)) {
+                validateNode(item, schema.items, childPath(path, index), root, errors, depth + 1);
+            }
+        });
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (!(key in value)) {
+                errors.push(`${childPath(path, key)}: is required`);
+            }
+        }
+        for (const [key, propValue] of Object.entries(value)) {
+            if (key in properties) {
+                validateNode(propValue, properties[key], childPath(path, key), root, errors, depth + 1);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${childPath(path, key)}: is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateNode(propValue, schema.additionalProperties, childPath(path, key), root, errors, depth + 1);
+            }
+        }
+    }
+
+    if (Array.isArray(schema.allOf)) {
+        for (const sub of schema.allOf) {
+            validateNode(value, sub, path, root, errors, depth + 1);
+        }
+    }
+    for (const keyword of ['anyOf', 'oneOf']) {
+        if (!Array.isArray(schema[keyword])) continue;
+        const matches = schema[keyword].filter(sub => {
+            const subErrors = [];
+            validateNode(value, sub, path, root, subErrors, depth + 1);
+            return subErrors.length === 0;
+        }).length;
+        if (matches === 0 || (keyword === 'oneOf' && matches > 1)) {
+            errors.push(`${path}: must match ${keyword === 'oneOf' ? 'exactly one' : 'at least one'} of the ${keyword} schemas`);
+        }
+    }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ *
+ * @param {*} value - Parsed JSON value
+ * @param {Object|boolean} schema - JSON Schema
+ * @param {Object} [root=schema] - Schema that local $refs resolve against, when validating a subschema
+ * @returns {Array<string>} Error messages with JSON paths (empty when valid)
+ */
+export function validateJsonSchema(value, schema, root = schema) {
+    const errors = [];
+    validateNode(value, schema, '$', root, errors, 0);
+    return errors;
+}
+
+export default {
+    validateJsonSchema,
+    resolveRef
+};
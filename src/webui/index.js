@@ -3,7 +3,7 @@
  *
  * This module provides a web-based UI for:
  * - Dashboard with real-time model quota visualization
- * - Account management (add via OAuth, enable/disable, refresh, remove)
+ * - Account management (add via OAuth, enable/disable, refresh, remove, import/export)
  * - Live server log streaming with filtering
  * - Claude CLI configuration editor
  *
@@ -17,7 +17,7 @@ import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import express from 'express';
 import { getPublicConfig, saveConfig, config } from '../config.js';
-import { DEFAULT_PORT, ACCOUNT_CONFIG_PATH } from '../constants.js';
+import { DEFAULT_PORT, ACCOUNT_CONFIG_PATH, OLLAMA_API_PATHS, REASONING_OUTPUT_MODES } from '../constants.js';
 import { getAuthorizationUrl as getAuthUrl } from '../auth/oauth.js';
 import { getServerState, updateServerState } from '../state.js';
 import { configureNgrok, startTunnel } from '../ngrok/tunnel.js';
@@ -25,6 +25,8 @@ import { setConfig, generateApiKey, getConfig } from '../setup/env-config.js';
 import { logger } from '../utils/logger.js';
 import { getAuthorizationUrl, completeOAuthFlow, startCallbackServer } from '../auth/oauth.js';
 import { loadAccounts, saveAccounts } from '../account-manager/storage.js';
+import { createBundle, readBundle, mergeImportedAccounts, getBundleFileName } from '../account-manager/bundle.js';
+import { getSelectionStrategy, listSelectionStrategies } from '../account-manager/strategies.js';
 
 // Get package version
 const __filename = fileURLToPath(import.meta.url);
@@ -114,6 +116,41 @@ async function addAccount(accountData) {
     await saveAccounts(ACCOUNT_CONFIG_PATH, accounts, settings, activeIndex);
 }
 
+/**
+ * Import accounts from a bundle into config
+ * @param {{accounts: Array, settings: Object}} imported - Contents from readBundle()
+ * @param {'merge'|'replace'} mode - Import mode
+ * @returns {Promise<Object>} Import report
+ */
+async function importAccounts(imported, mode) {
+    const { accounts, settings, activeIndex } = await loadAccounts(ACCOUNT_CONFIG_PATH);
+    const merged = mergeImportedAccounts(accounts, settings, imported, { mode });
+    const newActiveIndex = activeIndex < merged.accounts.length ? activeIndex : 0;
+
+    if (!await saveAccounts(ACCOUNT_CONFIG_PATH, merged.accounts, merged.settings, newActiveIndex)) {
+        throw new Error('Failed to save accounts');
+    }
+    const { added, updated, removed, skipped } = merged.result;
+    logger.info(`[WebUI] Imported accounts (${mode}): ${added.length} added, ${updated.length} updated, ${removed.length} removed, ${skipped.length} skipped`);
+    return merged.result;
+}
+
+/**
+ * Refuse account export/import unless the WebUI is password-protected.
+ * These routes hand out or replace every credential, and with CORS open
+ * any web page could call an unprotected localhost API.
+ * @param {Response} res - Express response
+ * @returns {boolean} True if the request was refused
+ */
+function refuseWithoutWebuiPassword(res) {
+    if (config.webuiPassword) return false;
+    res.status(403).json({
+        status: 'error',
+        error: 'Set a WebUI password (WEBUI_PASSWORD or webuiPassword in config.json) to export or import accounts here, or use the accounts CLI'
+    });
+    return true;
+}
+
 /**
  * Auth Middleware - Optional password protection for WebUI
  * Password can be set via WEBUI_PASSWORD env var or config.json
@@ -125,7 +162,8 @@ function createAuthMiddleware() {
 
         // Determine if this path should be protected
         const isApiRoute = req.path.startsWith('/api/');
-        const isException = req.path === '/api/auth/url';
+        // Ollama-compatible endpoints are API routes guarded by the proxy API key instead
+        const isException = req.path === '/api/auth/url' || OLLAMA_API_PATHS.includes(req.path);
         const isProtected = (isApiRoute && !isException) || req.path === '/account-limits' || req.path === '/health';
 
         if (isProtected) {
@@ -263,6 +301,62 @@ export function mountWebUI(app, dirname, accountManager) {
         }
     });
 
+    /**
+     * POST /api/accounts/export - Download all accounts as an encrypted bundle
+     * Body: { passphrase: string } - unencrypted exports are CLI-only
+     */
+    app.post('/api/accounts/export', async (req, res) => {
+        if (refuseWithoutWebuiPassword(res)) return;
+        try {
+            const { passphrase } = req.body || {};
+            if (typeof passphrase !== 'string' || !passphrase) {
+                return res.status(400).json({
+                    status: 'error',
+                    error: 'A passphrase is required. Use "accounts export" in the CLI for an unencrypted file.'
+                });
+            }
+
+            const { accounts, settings } = await loadAccounts(ACCOUNT_CONFIG_PATH);
+            const bundle = await createBundle(accounts, settings, { passphrase });
+            logger.info(`[WebUI] Exported ${accounts.length} account(s) (encrypted)`);
+
+            res.setHeader('Content-Disposition', `attachment; filename="${getBundleFileName()}"`);
+            res.json(bundle);
+        } catch (error) {
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
+    /**
+     * POST /api/accounts/import - Import accounts from a bundle
+     * Body: { bundle: Object, mode?: 'merge' | 'replace', passphrase?: string }
+     */
+    app.post('/api/accounts/import', async (req, res) => {
+        if (refuseWithoutWebuiPassword(res)) return;
+        const { bundle, mode = 'merge', passphrase } = req.body || {};
+        if (mode !== 'merge' && mode !== 'replace') {
+            return res.status(400).json({ status: 'error', error: 'mode must be "merge" or "replace"' });
+        }
+
+        let imported;
+        try {
+            imported = await readBundle(bundle, { passphrase });
+        } catch (error) {
+            return res.status(400).json({ status: 'error', error: error.message, reason: error.reason });
+        }
+
+        try {
+            const result = await importAccounts(imported, mode);
+
+            // Reload AccountManager to pick up changes
+            await accountManager.reload();
+
+            res.json({ status: 'ok', result });
+        } catch (error) {
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
     // ==========================================
     // Configuration API
     // ==========================================
@@ -276,6 +370,7 @@ export function mountWebUI(app, dirname, accountManager) {
             res.json({
                 status: 'ok',
                 config: publicConfig,
+                selectionStrategies: listSelectionStrategies(),
                 version: packageVersion,
                 note: 'Edit ~/.config/antigravity-proxy/config.json or use env vars to change these values'
             });
@@ -290,7 +385,7 @@ export function mountWebUI(app, dirname, accountManager) {
      */
     app.post('/api/config', (req, res) => {
         try {
-            const { debug, logLevel, maxRetries, retryBaseMs, retryMaxMs, persistTokenCache, defaultCooldownMs, maxWaitBeforeErrorMs } = req.body;
+            const { debug, logLevel, maxRetries, retryBaseMs, retryMaxMs, persistTokenCache, defaultCooldownMs, maxWaitBeforeErrorMs, accountSelectionStrategy } = req.body;
 
             // Only allow updating specific fields (security)
             const updates = {};
@@ -316,6 +411,10 @@ export function mountWebUI(app, dirname, accountManager) {
             if (typeof maxWaitBeforeErrorMs === 'number' && maxWaitBeforeErrorMs >= 0 && maxWaitBeforeErrorMs <= 600000) {
                 updates.maxWaitBeforeErrorMs = maxWaitBeforeErrorMs;
             }
+            // Takes effect on the next request
+            if (typeof accountSelectionStrategy === 'string' && getSelectionStrategy(accountSelectionStrategy)) {
+                updates.accountSelectionStrategy = accountSelectionStrategy;
+            }
 
             if (Object.keys(updates).length === 0) {
                 return res.status(400).json({
@@ -327,6 +426,10 @@ export function mountWebUI(app, dirname, accountManager) {
             const success = saveConfig(updates);
 
             if (success) {
+                // Write or delete the token cache file right away
+                if ('persistTokenCache' in updates) {
+                    accountManager.saveTokenCache();
+                }
                 res.json({
                     status: 'ok',
                     message: 'Configuration saved. Restart server to apply some changes.',
@@ -740,7 +843,9 @@ export function mountWebUI(app, dirname, accountManager) {
             const state = getServerState();
             res.json({
                 status: 'ok',
-                enable1MContext: state.enable1MContext || false
+                enable1MContext: state.enable1MContext || false,
+                reasoningOutput: state.reasoningOutput || 'off',
+                reasoningOutputModes: REASONING_OUTPUT_MODES
             });
         } catch (error) {
             res.status(500).json({ status: 'error', error: error.message });
@@ -752,12 +857,32 @@ export function mountWebUI(app, dirname, accountManager) {
      */
     app.post('/api/cursor/settings', (req, res) => {
         try {
-            const { enable1MContext } = req.body;
+            const { enable1MContext, reasoningOutput } = req.body;
 
-            if (typeof enable1MContext === 'boolean') {
+            // Validate everything before applying anything
+            if (enable1MContext !== undefined && typeof enable1MContext !== 'boolean') {
+                return res.status(400).json({ status: 'error', error: 'enable1MContext must be a boolean' });
+            }
+            if (reasoningOutput !== undefined && !REASONING_OUTPUT_MODES.includes(reasoningOutput)) {
+                return res.status(400).json({
+                    status: 'error',
+                    error: `reasoningOutput must be one of: ${REASONING_OUTPUT_MODES.join(', ')}`
+                });
+            }
+
+            // Persist so the mode survives restarts
+            if (reasoningOutput !== undefined && !saveConfig({ reasoningOutput })) {
+                return res.status(500).json({ status: 'error', error: 'Failed to save configuration file' });
+            }
+
+            if (enable1MContext !== undefined) {
                 updateServerState({ enable1MContext });
                 logger.info(`[WebUI] Updated 1M Context Mode: ${enable1MContext}`);
             }
+            if (reasoningOutput !== undefined) {
+                updateServerState({ reasoningOutput });
+                logger.info(`[WebUI] Updated reasoning output mode: ${reasoningOutput}`);
+            }
 
             res.json({
                 status: 'ok',
@@ -18,7 +18,32 @@ const tests = [
     { name: 'Cross-Model Thinking', file: 'test-cross-model-thinking.cjs' },
     { name: 'OAuth No-Browser Mode', file: 'test-oauth-no-browser.cjs' },
     { name: 'Empty Response Retry', file: 'test-empty-response-retry.cjs' },
-    { name: 'Schema Sanitizer', file: 'test-schema-sanitizer.cjs' }
+    { name: 'Schema Sanitizer', file: 'test-schema-sanitizer.cjs' },
+    { name: 'Count Tokens', file: 'test-count-tokens.cjs' },
+    { name: 'Responses API', file: 'test-responses-api.cjs' },
+    { name: 'Gemini Native', file: 'test-gemini-native.cjs' },
+    { name: 'Ollama Converter', file: 'test-ollama-converter.cjs' },
+    { name: 'Message Batches', file: 'test-batches.cjs' },
+    { name: 'Tool Choice', file: 'test-tool-choice.cjs' },
+    { name: 'Structured Output', file: 'test-structured-output.cjs' },
+    { name: 'Reasoning Output', file: 'test-reasoning-output.cjs' },
+    { name: 'Reasoning Effort', file: 'test-reasoning-effort.cjs' },
+    { name: 'Request Cancellation', file: 'test-request-cancellation.cjs' },
+    { name: 'OpenAI Choices', file: 'test-openai-choices.cjs' },
+    { name: 'Request Validation', file: 'test-request-validation.cjs' },
+    { name: 'Tool Name Map', file: 'test-tool-name-map.cjs' },
+    { name: 'Tool Input Repair', file: 'test-tool-input-repair.cjs' },
+    { name: 'Tool Result Content', file: 'test-tool-result-content.cjs' },
+    { name: 'Media Resolver', file: 'test-media-resolver.cjs' },
+    { name: 'Files API', file: 'test-files-api.cjs' },
+    { name: 'Session Affinity', file: 'test-session-affinity.cjs' },
+    { name: 'Selection Strategies', file: 'test-selection-strategies.cjs' },
+    { name: 'Quota Poller', file: 'test-quota-poller.cjs' },
+    { name: 'Concurrency Limits', file: 'test-concurrency-limits.cjs' },
+    { name: 'Circuit Breaker', file: 'test-circuit-breaker.cjs' },
+    { name: 'Accounts Encryption', file: 'test-accounts-encryption.cjs' },
+    { name: 'Accounts Bundle', file: 'test-accounts-bundle.cjs' },
+    { name: 'Token Cache', file: 'test-token-cache.cjs' }
 ];
 
 async function runTest(test) {
@@ -0,0 +1,228 @@
+/**
+ * Test Accounts Bundle - Tests for account export/import bundles
+ *
+ * Builds plain and passphrase-encrypted bundles, reads them back, and
+ * checks merge/replace imports: dedupe by email, skipped entries, the
+ * account limit and that local runtime state survives an import, and that
+ * the WebUI routes refuse unprotected or unencrypted transfers.
+ * No credentials are needed; the WebUI is mounted on a local test port.
+ *
+ * Run: node tests/test-accounts-bundle.cjs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           ACCOUNTS BUNDLE TEST SUITE                         ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { createBundle, readBundle, mergeImportedAccounts, BUNDLE_VERSION } = await import('../src/account-manager/bundle.js');
+    const { loadAccounts, saveAccounts } = await import('../src/account-manager/storage.js');
+    const { AccountsEncryptionError } = await import('../src/errors.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    async function expectError(promise, check, label) {
+        let error = null;
+        try {
+            await promise;
+        } catch (e) {
+            error = e;
+        }
+        assert(error && check(error), `${label}: got ${error ? `${error.name}: ${error.message}` : 'no error'}`);
+    }
+
+    function account(email, extra = {}) {
+        return { email, source: 'oauth', refreshToken: `token-${email}`, enabled: true, ...extra };
+    }
+
+    const existing = [
+        account('a@example.com', { modelRateLimits: { m: { isRateLimited: true, resetTime: 1 } }, lastUsed: 123 }),
+        account('b@example.com')
+    ];
+
+    await test('Plain bundles carry settings and account metadata, not runtime state', async () => {
+        const bundle = await createBundle([
+            account('a@example.com', { projectId: 'p-1', weight: 3, subscription: { tier: 'pro' }, modelRateLimits: { m: {} }, isInvalid: true, quota: {} })
+        ], { maxRetries: 7 });
+
+        assert(bundle.format === 'antigravity-proxy-accounts' && bundle.version === BUNDLE_VERSION, 'Header');
+        assert(bundle.encrypted === false && bundle.accountCount === 1 && bundle.exportedAt, 'Header fields');
+        const [exported] = bundle.accounts;
+        assert(exported.refreshToken === 'token-a@example.com' && exported.projectId === 'p-1' && exported.weight === 3, 'Metadata missing');
+        assert(exported.subscription.tier === 'pro', 'Subscription missing');
+        assert(!('modelRateLimits' in exported) && !('isInvalid' in exported) && !('quota' in exported), 'Runtime state exported');
+
+        const contents = await readBundle(JSON.parse(JSON.stringify(bundle)));
+        assert(contents.settings.maxRetries === 7 && contents.accounts.length === 1, 'Round trip');
+    });
+
+    await test('Encrypted bundles need the right passphrase', async () => {
+        const bundle = await createBundle(existing, { foo: 1 }, { passphrase: 'secret' });
+        const raw = JSON.stringify(bundle);
+        assert(bundle.encrypted === true && !raw.includes('token-a@example.com') && !raw.includes('a@example.com'), 'Bundle not encrypted');
+
+        await expectError(readBundle(bundle), e => e instanceof AccountsEncryptionError && e.reason === 'key_required', 'No passphrase');
+        await expectError(readBundle(bundle, { passphrase: 'wrong' }), e => e instanceof AccountsEncryptionError && e.reason === 'wrong_key', 'Wrong passphrase');
+
+        const contents = await readBundle(bundle, { passphrase: 'secret' });
+        assert(contents.accounts[1].refreshToken === 'token-b@example.com' && contents.settings.foo === 1, 'Decrypted contents');
+    });
+
+    await test('Invalid and newer bundles are rejected', async () => {
+        await expectError(readBundle({ accounts: [] }), e => /Not an account export/.test(e.message), 'Missing format');
+        await expectError(readBundle(null), e => /Not an account export/.test(e.message), 'Null bundle');
+        const bundle = await createBundle(existing, {});
+        await expectError(readBundle({ ...bundle, version: BUNDLE_VERSION + 1 }), e => /Unsupported bundle version/.test(e.message), 'Newer version');
+        await expectError(readBundle({ ...bundle, accounts: 'nope' }), e => /no accounts list/.test(e.message), 'Bad accounts');
+    });
+
+    await test('Merge adds, updates and keeps local runtime state', () => {
+        const imported = {
+            settings: { maxRetries: 9, strategy: 'weighted' },
+            accounts: [
+                account('A@Example.com', { refreshToken: 'rotated', projectId: 'p-2' }),
+                account('b@example.com'),
+                account('c@example.com')
+            ]
+        };
+        const { accounts, settings, result } = mergeImportedAccounts(existing, { maxRetries: 5 }, imported);
+
+        assert(result.added.join() === 'c@example.com', `Added: ${result.added}`);
+        assert(result.updated.join() === 'a@example.com', `Updated: ${result.updated}`);
+        assert(result.unchanged.join() === 'b@example.com', `Unchanged: ${result.unchanged}`);
+        assert(result.removed.length === 0 && result.skipped.length === 0, 'Nothing should be removed or skipped');
+
+        const a = accounts.find(acc => acc.email === 'a@example.com');
+        assert(a.refreshToken === 'rotated' && a.projectId === 'p-2', 'Credentials not updated');
+        assert(a.lastUsed === 123 && a.modelRateLimits.m.isRateLimited, 'Local runtime state lost');
+        assert(accounts.length === 3, `Expected 3 accounts, got ${accounts.length}`);
+        assert(settings.maxRetries === 5 && settings.strategy === 'weighted', `Settings: ${JSON.stringify(settings)}`);
+    });
+
+    await test('Duplicates and unusable entries are skipped with reasons', () => {
+        const imported = {
+            settings: {},
+            accounts: [
+                account('c@example.com'),
+                account('C@example.com', { refreshToken: 'second' }),
+                { email: 'd@example.com', source: 'oauth' },
+                { email: 'e@example.com', source: 'manual' },
+                { source: 'oauth', refreshToken: 'x' },
+                account('f@example.com', { source: 'carrier-pigeon' })
+            ]
+        };
+        const { accounts, result } = mergeImportedAccounts(existing, {}, imported);
+        const reasons = result.skipped.map(entry => `${entry.email}=${entry.reason}`);
+        assert(reasons.join('|') === [
+            'C@example.com=duplicate in bundle',
+            'd@example.com=missing refresh token',
+            'e@example.com=missing API key',
+            'null=missing email',
+            'f@example.com=unknown source "carrier-pigeon"'
+        ].join('|'), `Skipped: ${reasons.join('|')}`);
+        assert(accounts.find(acc => acc.email === 'c@example.com').refreshToken === 'token-c@example.com', 'First duplicate not kept');
+    });
+
+    await test('Replace removes missing accounts, uses bundle settings and respects the limit', () => {
+        const imported = {
+            settings: { maxRetries: 9 },
+            accounts: [account('b@example.com'), account('c@example.com'), account('d@example.com')]
+        };
+        const { accounts, settings, result } = mergeImportedAccounts(existing, { maxRetries: 5, other: true }, imported, { mode: 'replace', maxAccounts: 2 });
+
+        assert(result.removed.join() === 'a@example.com', `Removed: ${result.removed}`);
+        assert(accounts.map(acc => acc.email).join() === 'b@example.com,c@example.com', `Accounts: ${accounts.map(acc => acc.email)}`);
+        assert(result.skipped[0]?.email === 'd@example.com' && /account limit/.test(result.skipped[0].reason), 'Limit not enforced');
+        assert(settings.maxRetries === 9 && !('other' in settings), `Settings: ${JSON.stringify(settings)}`);
+    });
+
+    await test('Imported accounts survive a save and load', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-bundle-'));
+        try {
+            const configPath = path.join(dir, 'accounts.json');
+            const bundle = await createBundle([
+                account('a@example.com', { projectId: 'p-1' }),
+                { email: 'm@example.com', source: 'manual', apiKey: 'key-m', enabled: false }
+            ], { maxRetries: 4 }, { passphrase: 'pw' });
+
+            const contents = await readBundle(JSON.parse(JSON.stringify(bundle)), { passphrase: 'pw' });
+            const { accounts, settings } = mergeImportedAccounts([], {}, contents);
+            await saveAccounts(configPath, accounts, settings, 0);
+
+            const loaded = await loadAccounts(configPath);
+            const manual = loaded.accounts.find(acc => acc.email === 'm@example.com');
+            assert(loaded.accounts.length === 2 && loaded.settings.maxRetries === 4, 'Accounts or settings not saved');
+            assert(manual.apiKey === 'key-m' && manual.enabled === false, 'Manual account not restored');
+            assert(loaded.accounts[0].refreshToken === 'token-a@example.com' && loaded.accounts[0].projectId === 'p-1', 'OAuth account not restored');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    await test('WebUI export/import need a WebUI password, and export needs a passphrase', async () => {
+        const express = require('express');
+        const { mountWebUI } = await import('../src/webui/index.js');
+        const { config } = await import('../src/config.js');
+
+        const app = express();
+        app.use(express.json());
+        mountWebUI(app, path.join(__dirname, '..', 'src'), {});
+        const server = await new Promise(resolve => {
+            const s = app.listen(0, '127.0.0.1', () => resolve(s));
+        });
+        const originalPassword = config.webuiPassword;
+        const post = (route, body, password) => fetch(`http://127.0.0.1:${server.address().port}${route}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(password ? { 'X-WebUI-Password': password } : {}) },
+            body: JSON.stringify(body)
+        });
+
+        try {
+            config.webuiPassword = '';
+            assert((await post('/api/accounts/export', { passphrase: 'pw' })).status === 403, 'Export allowed without a WebUI password');
+            assert((await post('/api/accounts/import', { bundle: {} })).status === 403, 'Import allowed without a WebUI password');
+
+            config.webuiPassword = 'webui-secret';
+            assert((await post('/api/accounts/export', { passphrase: 'pw' })).status === 401, 'Export allowed with a wrong WebUI password');
+            const plain = await post('/api/accounts/export', {}, 'webui-secret');
+            assert(plain.status === 400 && /passphrase is required/.test((await plain.json()).error), 'Plaintext export allowed over HTTP');
+        } finally {
+            config.webuiPassword = originalPassword;
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,251 @@
+/**
+ * Test Accounts Encryption - Tests for at-rest encryption of credentials in accounts.json
+ *
+ * Loads and saves temporary accounts files with keys from the env var, a
+ * passphrase and a key file, and checks migration of plaintext files, wrong
+ * and missing keys, that a locked file is never overwritten, and that saves
+ * reuse the loaded key and unchanged ciphertext.
+ * No server or credentials are needed.
+ *
+ * Run: node tests/test-accounts-encryption.cjs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-encryption-'));
+const keyPath = path.join(dir, 'accounts.key');
+// Read by config.js when the modules are imported
+process.env.ACCOUNTS_KEY_FILE = keyPath;
+delete process.env.ACCOUNTS_ENCRYPTION_KEY;
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           ACCOUNTS ENCRYPTION TEST SUITE                     ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { loadAccounts, saveAccounts } = await import('../src/account-manager/storage.js');
+    const { AccountManager } = await import('../src/account-manager/index.js');
+    const { AccountsEncryptionError } = await import('../src/errors.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        } finally {
+            delete process.env.ACCOUNTS_ENCRYPTION_KEY;
+            fs.rmSync(keyPath, { force: true });
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    let fileCount = 0;
+
+    function writePlainFile() {
+        const configPath = path.join(dir, `accounts-${fileCount++}.json`);
+        fs.writeFileSync(configPath, JSON.stringify({
+            accounts: [
+                { email: 'user0@example.com', source: 'oauth', refreshToken: 'refresh-token-0' },
+                { email: 'user1@example.com', source: 'manual', apiKey: 'api-key-1' }
+            ],
+            settings: { maxRetries: 3 },
+            activeIndex: 1
+        }));
+        return configPath;
+    }
+
+    function readFile(configPath) {
+        return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    }
+
+    async function expectEncryptionError(promise, reason) {
+        let error = null;
+        try {
+            await promise;
+        } catch (e) {
+            error = e;
+        }
+        assert(error instanceof AccountsEncryptionError, `Expected AccountsEncryptionError, got ${error?.name}: ${error?.message}`);
+        assert(error.reason === reason, `Expected reason ${reason}, got ${error.reason}`);
+    }
+
+    await test('Without a key, files stay plaintext and are written owner-only', async () => {
+        const configPath = writePlainFile();
+        const { accounts, settings, activeIndex } = await loadAccounts(configPath);
+        assert(accounts[0].refreshToken === 'refresh-token-0', 'Plaintext token not loaded');
+
+        assert(await saveAccounts(configPath, accounts, settings, activeIndex) === true, 'saveAccounts did not report success');
+        const stored = readFile(configPath);
+        assert(!stored.encryption && stored.accounts[0].refreshToken === 'refresh-token-0', 'File encrypted without a key');
+        if (process.platform !== 'win32') {
+            assert((fs.statSync(configPath).mode & 0o077) === 0, 'accounts.json readable by other users');
+        }
+        assert(fs.readdirSync(dir).every(name => !name.endsWith('.tmp')), 'Temp file left behind');
+    });
+
+    await test('A configured key migrates plaintext credentials on load', async () => {
+        const configPath = writePlainFile();
+        process.env.ACCOUNTS_ENCRYPTION_KEY = 'correct horse battery staple';
+
+        const { accounts, settings, activeIndex } = await loadAccounts(configPath);
+        assert(accounts[0].refreshToken === 'refresh-token-0' && accounts[1].apiKey === 'api-key-1', 'Credentials not returned in plaintext');
+        assert(settings.maxRetries === 3 && activeIndex === 1, 'Settings lost during migration');
+
+        const raw = fs.readFileSync(configPath, 'utf-8');
+        assert(!raw.includes('refresh-token-0') && !raw.includes('api-key-1'), 'Plaintext credentials left in the file');
+        const stored = JSON.parse(raw);
+        assert(stored.encryption?.cipher === 'aes-256-gcm', 'Encryption header missing');
+        assert(stored.accounts[0].refreshToken.startsWith('enc:v1:') && stored.accounts[0].email === 'user0@example.com', 'Token not encrypted in place');
+    });
+
+    await test('Saves re-encrypt with fresh IVs under the same salt', async () => {
+        const configPath = writePlainFile();
+        process.env.ACCOUNTS_ENCRYPTION_KEY = 'passphrase';
+        const { accounts, settings, activeIndex } = await loadAccounts(configPath);
+        const first = readFile(configPath);
+
+        accounts[0].refreshToken = 'rotated-token';
+        await saveAccounts(configPath, accounts, settings, activeIndex);
+        const second = readFile(configPath);
+        assert(second.encryption.kdf.salt === first.encryption.kdf.salt, 'Salt changed between saves');
+        assert(second.accounts[1].apiKey !== first.accounts[1].apiKey, 'Ciphertext reused for an unchanged value');
+
+        const reloaded = await loadAccounts(configPath);
+        assert(reloaded.accounts[0].refreshToken === 'rotated-token', 'Updated token not saved');
+    });
+
+    await test('Missing or wrong keys fail without touching the file', async () => {
+        const configPath = writePlainFile();
+        process.env.ACCOUNTS_ENCRYPTION_KEY = 'right';
+        await loadAccounts(configPath);
+        const before = fs.readFileSync(configPath, 'utf-8');
+
+        delete process.env.ACCOUNTS_ENCRYPTION_KEY;
+        await expectEncryptionError(loadAccounts(configPath), 'key_required');
+        await expectEncryptionError(new AccountManager(configPath).initialize(), 'key_required');
+
+        process.env.ACCOUNTS_ENCRYPTION_KEY = 'wrong';
+        await expectEncryptionError(loadAccounts(configPath), 'wrong_key');
+        assert(fs.readFileSync(configPath, 'utf-8') === before, 'File changed by a failed load');
+    });
+
+    await test('Encrypted values cannot be moved to another account', async () => {
+        const configPath = writePlainFile();
+        process.env.ACCOUNTS_ENCRYPTION_KEY = 'passphrase';
+        await loadAccounts(configPath);
+
+        const stored = readFile(configPath);
+        stored.accounts[1].source = 'oauth';
+        stored.accounts[1].refreshToken = stored.accounts[0].refreshToken;
+        fs.writeFileSync(configPath, JSON.stringify(stored));
+        await expectEncryptionError(loadAccounts(configPath), 'wrong_key');
+    });
+
+    await test('A passphrase overrides the env var; plaintext saves decrypt the file', async () => {
+        const configPath = writePlainFile();
+        process.env.ACCOUNTS_ENCRYPTION_KEY = 'old';
+        const { accounts, settings, activeIndex } = await loadAccounts(configPath);
+
+        await saveAccounts(configPath, accounts, settings, activeIndex, { passphrase: 'new' });
+        await expectEncryptionError(loadAccounts(configPath), 'wrong_key');
+        const rekeyed = await loadAccounts(configPath, { passphrase: 'new' });
+        assert(rekeyed.accounts[0].refreshToken === 'refresh-token-0', 'Rekeyed file not readable with the new passphrase');
+
+        await saveAccounts(configPath, rekeyed.accounts, settings, activeIndex, { plaintext: true });
+        const stored = readFile(configPath);
+        assert(!stored.encryption && stored.accounts[1].apiKey === 'api-key-1', 'plaintext option still encrypted');
+    });
+
+    await test('Key files are used when present and must be owner-only', async () => {
+        const configPath = writePlainFile();
+        const plain = await loadAccounts(configPath);
+        assert(await saveAccounts(configPath, plain.accounts, plain.settings, plain.activeIndex, { newKeyFile: keyPath }), 'Save with a new key file failed');
+        assert(fs.readFileSync(keyPath, 'utf-8').trim().length > 0 && !fs.existsSync(`${keyPath}.new`), 'Key file not moved into place');
+        assert(readFile(configPath).encryption, 'New key file not used to encrypt');
+
+        const { accounts } = await loadAccounts(configPath);
+        assert(accounts[0].refreshToken === 'refresh-token-0', 'Key file not used to decrypt');
+
+        if (process.platform !== 'win32') {
+            assert((fs.statSync(keyPath).mode & 0o077) === 0, 'Key file created readable by others');
+            fs.chmodSync(keyPath, 0o644);
+            await expectEncryptionError(loadAccounts(configPath), 'key_file');
+        }
+    });
+
+    await test('A failed save with a new key file leaves no key behind', async () => {
+        const configPath = writePlainFile();
+        const { accounts, settings, activeIndex } = await loadAccounts(configPath);
+        // A directory in place of the accounts file makes the write fail
+        const blocked = path.join(dir, `blocked-${fileCount++}`);
+        fs.mkdirSync(blocked);
+        assert(await saveAccounts(blocked, accounts, settings, activeIndex, { newKeyFile: keyPath }) === false, 'Save did not fail');
+        assert(!fs.existsSync(keyPath) && !fs.existsSync(`${keyPath}.new`), 'Key file left behind');
+    });
+
+    await test('Saves use the key found by the last load', async () => {
+        const configPath = writePlainFile();
+        const plain = await loadAccounts(configPath);
+        await saveAccounts(configPath, plain.accounts, plain.settings, plain.activeIndex, { newKeyFile: keyPath });
+        const key = fs.readFileSync(keyPath, 'utf-8');
+        const { accounts, settings, activeIndex } = await loadAccounts(configPath);
+
+        // Without the key file a fresh lookup would save plaintext
+        fs.rmSync(keyPath);
+        accounts[0].refreshToken = 'rotated-token';
+        await saveAccounts(configPath, accounts, settings, activeIndex);
+        assert(!fs.readFileSync(configPath, 'utf-8').includes('rotated-token'), 'Saved without the loaded key');
+
+        fs.writeFileSync(keyPath, key, { mode: 0o600 });
+        const reloaded = await loadAccounts(configPath);
+        assert(reloaded.accounts[0].refreshToken === 'rotated-token', 'Saved with a different key');
+    });
+
+    await test('Saves keep the ciphertext of unchanged credentials', async () => {
+        const configPath = writePlainFile();
+        process.env.ACCOUNTS_ENCRYPTION_KEY = 'passphrase';
+        const { accounts, settings, activeIndex } = await loadAccounts(configPath);
+        const loaded = readFile(configPath);
+
+        accounts[0].lastUsed = Date.now();
+        await saveAccounts(configPath, accounts, settings, activeIndex);
+        const saved = readFile(configPath);
+        assert(saved.accounts[0].lastUsed === accounts[0].lastUsed, 'Account fields not saved');
+        assert(saved.accounts[0].refreshToken === loaded.accounts[0].refreshToken &&
+            saved.accounts[1].apiKey === loaded.accounts[1].apiKey, 'Unchanged credentials encrypted again');
+        assert(JSON.stringify(saved.encryption) === JSON.stringify(loaded.encryption), 'Encryption header changed');
+
+        accounts[1].apiKey = 'api-key-2';
+        await saveAccounts(configPath, accounts, settings, activeIndex);
+        assert(readFile(configPath).accounts[1].apiKey !== loaded.accounts[1].apiKey, 'Changed credential not encrypted');
+        const reloaded = await loadAccounts(configPath);
+        assert(reloaded.accounts[1].apiKey === 'api-key-2' && reloaded.accounts[0].refreshToken === 'refresh-token-0', 'Reloaded credentials wrong');
+    });
+
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,218 @@
+/**
+ * Test Batches - Tests for the Message Batches store and worker
+ *
+ * Uses an in-memory SQLite database, a stub account manager and a stub
+ * sendMessage to verify batch lifecycle, cancellation, result shapes,
+ * skipping rate-limited models and pausing while all accounts are rate-limited.
+ *
+ * Run: node tests/test-batches.cjs
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           MESSAGE BATCHES TEST SUITE                         ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { BatchStore, BatchWorker, validateBatchRequests } = await import('../src/batches/index.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    const request = (customId, text = 'hi') => ({
+        custom_id: customId,
+        params: { model: 'gemini-3-flash', max_tokens: 100, messages: [{ role: 'user', content: text }] }
+    });
+
+    function createAccountManager({ rateLimited = false } = {}) {
+        return {
+            rateLimited,
+            clearExpiredLimits() {},
+            isAllRateLimited() { return this.rateLimited; },
+            getMinWaitTimeMs() { return 60000; }
+        };
+    }
+
+    await test('Validation rejects bad custom_ids, duplicates and streaming', () => {
+        assert(validateBatchRequests([]) !== null, 'Empty requests accepted');
+        assert(validateBatchRequests([request('bad id!')]) !== null, 'Invalid custom_id accepted');
+        assert(validateBatchRequests([request('a'), request('a')]).includes('duplicated'), 'Duplicate accepted');
+        const streaming = request('a');
+        streaming.params.stream = true;
+        assert(validateBatchRequests([streaming]) !== null, 'stream accepted');
+        assert(validateBatchRequests([request('a'), request('b')]) === null, 'Valid requests rejected');
+    });
+
+    await test('Worker drains a batch and records results in order', async () => {
+        const store = new BatchStore(':memory:');
+        const batch = store.createBatch([request('one', 'ok'), request('two', 'fail'), request('three', 'ok')]);
+        assert(batch.processing_status === 'in_progress' && batch.request_counts.processing === 3, 'Bad initial batch');
+
+        const sendMessage = async (req) => {
+            if (req.messages[0].content === 'fail') throw new Error('API error 400: bad request');
+            return { id: 'msg_1', type: 'message', role: 'assistant', content: [{ type: 'text', text: 'done' }] };
+        };
+        const worker = new BatchWorker({ store, accountManager: createAccountManager(), sendMessage });
+        worker.start();
+        await worker.drain();
+        worker.stop();
+
+        const ended = store.getBatch(batch.id);
+        assert(ended.processing_status === 'ended' && ended.ended_at, 'Batch not ended');
+        assert(ended.request_counts.succeeded === 2 && ended.request_counts.errored === 1, JSON.stringify(ended.request_counts));
+
+        const results = store.getResults(batch.id);
+        assert(results.map(r => r.custom_id).join(',') === 'one,two,three', 'Results out of order');
+        assert(results[0].result.type === 'succeeded' && results[0].result.message.content[0].text === 'done', 'Success shape wrong');
+        assert(results[1].result.error.error.type === 'invalid_request_error', 'Error shape wrong');
+        store.close();
+    });
+
+    await test('Worker sends every stored request field', async () => {
+        const store = new BatchStore(':memory:');
+        const params = {
+            ...request('one').params,
+            stop_sequences: ['END'],
+            metadata: { user_id: 'user-1' },
+            output_format: { type: 'json_schema', schema: { type: 'object' } }
+        };
+        store.createBatch([{ custom_id: 'one', params }]);
+
+        let sent = null;
+        const sendMessage = async (req) => {
+            sent = req;
+            return { id: 'msg_1', type: 'message', role: 'assistant', content: [] };
+        };
+        const worker = new BatchWorker({ store, accountManager: createAccountManager(), sendMessage });
+        worker.start();
+        await worker.drain();
+        worker.stop();
+
+        assert(sent.stop_sequences?.[0] === 'END' && sent.metadata?.user_id === 'user-1', `Fields dropped: ${JSON.stringify(sent)}`);
+        assert(sent.output_format?.type === 'json_schema' && sent.stream === false, 'output_format dropped');
+        store.close();
+    });
+
+    await test('Worker pauses while all accounts are rate-limited and resumes after reset', async () => {
+        const store = new BatchStore(':memory:');
+        const batch = store.createBatch([request('one')]);
+        const accountManager = createAccountManager({ rateLimited: true });
+        let calls = 0;
+        const worker = new BatchWorker({
+            store,
+            accountManager,
+            sendMessage: async () => { calls++; return { content: [] }; }
+        });
+        worker.start();
+        await worker.drain();
+        assert(calls === 0, 'Request sent while rate-limited');
+        assert(store.getBatch(batch.id).request_counts.processing === 1, 'Request should remain processing');
+
+        accountManager.rateLimited = false;
+        await worker.drain();
+        worker.stop();
+        assert(calls === 1, 'Request not sent after reset');
+        assert(store.getBatch(batch.id).processing_status === 'ended', 'Batch not ended after resume');
+        store.close();
+    });
+
+    await test('A rate-limited model does not hold up requests for other models', async () => {
+        const store = new BatchStore(':memory:');
+        const limited = store.createBatch([request('one'), request('two')]);
+        const other = request('three');
+        other.params.model = 'claude-sonnet-4-5';
+        const otherBatch = store.createBatch([other]);
+
+        const accountManager = createAccountManager();
+        accountManager.isAllRateLimited = (model) => model === 'gemini-3-flash';
+        const sent = [];
+        const worker = new BatchWorker({
+            store,
+            accountManager,
+            sendMessage: async (req) => { sent.push(req.model); return { content: [] }; }
+        });
+        worker.start();
+        await worker.drain();
+        worker.stop();
+
+        assert(sent.join() === 'claude-sonnet-4-5', `Sent: ${sent.join()}`);
+        assert(store.getBatch(otherBatch.id).processing_status === 'ended', 'Other model\'s batch not processed');
+        assert(store.getBatch(limited.id).request_counts.processing === 2, 'Rate-limited requests should stay pending');
+        store.close();
+    });
+
+    await test('Rate limit errors requeue the request instead of failing it', async () => {
+        const store = new BatchStore(':memory:');
+        const batch = store.createBatch([request('one')]);
+        let attempt = 0;
+        const worker = new BatchWorker({
+            store,
+            accountManager: createAccountManager(),
+            sendMessage: async () => {
+                attempt++;
+                if (attempt === 1) throw new Error('RESOURCE_EXHAUSTED: Rate limited on gemini-3-flash');
+                return { content: [] };
+            }
+        });
+        worker.start();
+        await worker.drain();
+        assert(store.getBatch(batch.id).request_counts.errored === 0, 'Rate limit recorded as error');
+        assert(store.getBatch(batch.id).request_counts.processing === 1, 'Request not requeued');
+        await worker.drain();
+        worker.stop();
+        assert(store.getBatch(batch.id).request_counts.succeeded === 1, 'Request not retried');
+        store.close();
+    });
+
+    await test('Cancel marks pending requests canceled and ends the batch', () => {
+        const store = new BatchStore(':memory:');
+        const batch = store.createBatch([request('one'), request('two')]);
+        const canceled = store.cancelBatch(batch.id);
+        assert(canceled.processing_status === 'ended' && canceled.cancel_initiated_at, 'Batch not ended after cancel');
+        assert(canceled.request_counts.canceled === 2, 'Requests not canceled');
+        assert(store.getResults(batch.id)[0].result.type === 'canceled', 'Canceled result shape wrong');
+        assert(store.deleteBatch(batch.id) === 'deleted' && !store.getBatch(batch.id), 'Delete failed');
+        store.close();
+    });
+
+    await test('List pages from newest to oldest', () => {
+        const store = new BatchStore(':memory:');
+        const ids = [1, 2, 3].map(i => store.createBatch([request(`r${i}`)]).id);
+        const first = store.listBatches({ limit: 2 });
+        assert(first.data.length === 2 && first.has_more, 'First page wrong');
+        assert(first.first_id === ids[2] && first.last_id === ids[1], 'First page order wrong');
+        const second = store.listBatches({ limit: 2, afterId: first.last_id });
+        assert(second.data.length === 1 && !second.has_more && second.first_id === ids[0], 'Second page wrong');
+        const back = store.listBatches({ limit: 2, beforeId: ids[0] });
+        assert(back.data.map(b => b.id).join(',') === [ids[2], ids[1]].join(','), 'before_id page wrong');
+        store.close();
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
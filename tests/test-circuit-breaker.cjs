@@ -0,0 +1,276 @@
+/**
+ * Test Circuit Breaker - Tests for account health scoring and the circuit breaker
+ *
+ * Records synthetic request outcomes on accounts, checks the health score
+ * and breaker transitions (closed -> open -> half-open -> closed/open), and
+ * that AccountManager and sendMessage take breaker state into account.
+ * Runs against a temporary accounts file; no server or credentials needed.
+ *
+ * Run: node tests/test-circuit-breaker.cjs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           CIRCUIT BREAKER TEST SUITE                         ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { recordOutcome, getCircuitState, isCircuitAvailable, getHealthSummary, startProbe } = await import('../src/account-manager/health.js');
+    const { getAvailableAccounts } = await import('../src/account-manager/rate-limits.js');
+    const { AccountManager } = await import('../src/account-manager/index.js');
+    const { CIRCUIT_FAILURE_THRESHOLD, HEALTH_SLOW_LATENCY_MS } = await import('../src/constants.js');
+    const { sendMessage } = await import('../src/cloudcode/index.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    const MODEL = 'claude-sonnet-4-5';
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'circuit-breaker-'));
+    let managerCount = 0;
+
+    function createAccounts(count) {
+        return Array.from({ length: count }, (_, i) => ({ email: `user${i}@example.com`, source: 'oauth' }));
+    }
+
+    async function createManager(count) {
+        const configPath = path.join(dir, `accounts-${managerCount++}.json`);
+        fs.writeFileSync(configPath, JSON.stringify({ accounts: createAccounts(count), settings: {}, activeIndex: 0 }));
+        const manager = new AccountManager(configPath);
+        await manager.initialize();
+        return manager;
+    }
+
+    function openBreaker(account) {
+        for (let i = 0; i < CIRCUIT_FAILURE_THRESHOLD; i++) {
+            recordOutcome(account, 'server_error');
+        }
+    }
+
+    // Pretend the open period is over
+    function expireCooldown(account) {
+        account.health.openUntil = Date.now() - 1;
+    }
+
+    await test('Health score reflects errors, empty responses and latency', () => {
+        const [account] = createAccounts(1);
+        assert(getHealthSummary(account).score === 100, 'Fresh account not at 100');
+
+        for (let i = 0; i < 6; i++) recordOutcome(account, 'success', 1000);
+        recordOutcome(account, 'server_error');
+        recordOutcome(account, 'success', 1000);
+        recordOutcome(account, 'empty_response');
+        recordOutcome(account, 'success', 1000);
+
+        const summary = getHealthSummary(account);
+        assert(summary.samples === 10, `Samples: ${summary.samples}`);
+        assert(summary.errorRate === 0.1 && summary.emptyRate === 0.1, `Rates: ${summary.errorRate}, ${summary.emptyRate}`);
+        assert(summary.score === 81, `Expected 81, got ${summary.score}`);
+        assert(summary.avgLatencyMs === 1000 && summary.circuit === 'closed', JSON.stringify(summary));
+
+        const [slow] = createAccounts(1);
+        recordOutcome(slow, 'success', HEALTH_SLOW_LATENCY_MS * 2);
+        assert(getHealthSummary(slow).score === 50, `Slow account score: ${getHealthSummary(slow).score}`);
+    });
+
+    await test('Consecutive failures open the breaker; a success resets the count', () => {
+        const [account] = createAccounts(1);
+        for (let i = 0; i < CIRCUIT_FAILURE_THRESHOLD - 1; i++) recordOutcome(account, 'network_error');
+        recordOutcome(account, 'success', 500);
+        assert(getCircuitState(account) === 'closed', 'Opened despite a success in between');
+
+        for (let i = 0; i < CIRCUIT_FAILURE_THRESHOLD - 1; i++) {
+            assert(recordOutcome(account, 'empty_response') === null, 'Opened too early');
+        }
+        assert(recordOutcome(account, 'server_error') === 'opened', 'Did not open at the threshold');
+        assert(getCircuitState(account) === 'open' && !isCircuitAvailable(account), 'Open breaker still available');
+        assert(getHealthSummary(account).openUntil > Date.now(), 'openUntil not reported');
+    });
+
+    await test('A high failure rate opens the breaker without a failure streak', () => {
+        const [account] = createAccounts(1);
+        let transition = null;
+        for (let i = 0; i < 10 && !transition; i++) {
+            transition = recordOutcome(account, i % 2 === 0 ? 'success' : 'server_error', 200);
+        }
+        assert(transition === 'opened', 'Breaker stayed closed at a 50% failure rate');
+    });
+
+    await test('Half-open lets one probe through; success closes, failure reopens', () => {
+        const [account] = createAccounts(1);
+        openBreaker(account);
+        expireCooldown(account);
+        assert(getCircuitState(account) === 'half-open' && isCircuitAvailable(account), 'Not half-open after the cooldown');
+
+        account.health.probeStartedAt = Date.now();
+        assert(!isCircuitAvailable(account), 'Second request allowed during a probe');
+
+        assert(recordOutcome(account, 'network_error') === 'opened', 'Failed probe did not reopen');
+        assert(getCircuitState(account) === 'open', 'Not open after a failed probe');
+
+        expireCooldown(account);
+        assert(recordOutcome(account, 'success', 300) === 'closed', 'Successful probe did not close');
+        assert(getCircuitState(account) === 'closed' && getHealthSummary(account).score === 100, 'Old failures kept after closing');
+    });
+
+    await test('getAvailableAccounts skips open breakers unless every account is open', () => {
+        const accounts = createAccounts(3);
+        openBreaker(accounts[1]);
+        const available = getAvailableAccounts(accounts, MODEL).map(a => a.email);
+        assert(available.join() === 'user0@example.com,user2@example.com', `Available: ${available.join()}`);
+
+        openBreaker(accounts[0]);
+        openBreaker(accounts[2]);
+        assert(getAvailableAccounts(accounts, MODEL).length === 3, 'All-open pool returned no accounts');
+
+        accounts[2].isInvalid = true;
+        assert(getAvailableAccounts(accounts, MODEL).length === 2, 'Fallback included an invalid account');
+    });
+
+    await test('AccountManager moves sessions off a tripped account and reports health', async () => {
+        const manager = await createManager(3);
+        const sessionIds = Array.from({ length: 60 }, (_, i) => `session-${i}`);
+        const before = new Map(sessionIds.map(id => [id, manager.getSessionAccount(id, MODEL).email]));
+
+        for (let i = 0; i < CIRCUIT_FAILURE_THRESHOLD; i++) {
+            manager.recordOutcome('user1@example.com', 'server_error');
+        }
+
+        for (const [sessionId, email] of before) {
+            const now = manager.getSessionAccount(sessionId, MODEL).email;
+            assert(now !== 'user1@example.com', 'Session still on the open account');
+            if (email !== 'user1@example.com') {
+                assert(now === email, `Healthy session moved from ${email} to ${now}`);
+            }
+        }
+
+        const status = manager.getStatus().accounts.find(a => a.email === 'user1@example.com');
+        assert(status.health.circuit === 'open' && status.health.consecutiveFailures === CIRCUIT_FAILURE_THRESHOLD, JSON.stringify(status.health));
+    });
+
+    await test('A half-open account gets a single probe from AccountManager', async () => {
+        const manager = await createManager(2);
+        const account = manager.getAllAccounts()[0];
+        openBreaker(account);
+        expireCooldown(account);
+
+        // Find a session that hashes to the recovering account
+        let probe = null;
+        for (let i = 0; i < 100 && !probe; i++) {
+            const picked = manager.getSessionAccount(`probe-${i}`, MODEL);
+            if (picked === account) probe = picked;
+        }
+        assert(probe, 'Half-open account never picked');
+        for (let i = 0; i < 30; i++) {
+            assert(manager.getSessionAccount(`other-${i}`, MODEL) !== account, 'Half-open account picked during its probe');
+        }
+        manager.recordOutcome(account.email, 'success', 200);
+        assert(getCircuitState(account) === 'closed', 'Probe success did not close the breaker');
+    });
+
+    await test('A probe that ends without an outcome frees the half-open account', async () => {
+        const manager = await createManager(2);
+        const account = manager.getAllAccounts()[0];
+        openBreaker(account);
+        expireCooldown(account);
+
+        let sessionId = null;
+        for (let i = 0; i < 100 && !sessionId; i++) {
+            if (manager.getSessionAccount(`probe-${i}`, MODEL) === account) sessionId = `probe-${i}`;
+        }
+        assert(sessionId, 'Half-open account never picked');
+        assert(!isCircuitAvailable(account), 'Probe not started');
+
+        // The probe got a 429: no health outcome, so the probe slot is given back
+        manager.markRateLimited(account.email, 1, MODEL);
+        manager.endProbe(account.email);
+        assert(getCircuitState(account) === 'half-open' && isCircuitAvailable(account), 'Account still held by the finished probe');
+
+        // An outcome recorded before the probe ends is kept
+        startProbe(account);
+        manager.recordOutcome(account.email, 'server_error');
+        manager.endProbe(account.email);
+        assert(getCircuitState(account) === 'open', 'Ending the probe undid its failure');
+    });
+
+    await test('sendMessage records network errors, empty responses and successes', async () => {
+        const account = { email: 'user0@example.com' };
+        const outcomes = [];
+        const accountManager = {
+            getAccountCount: () => 1,
+            clearExpiredLimits: () => {},
+            getAvailableAccounts: () => [account],
+            isAllRateLimited: () => false,
+            getSessionAccount: () => account,
+            moveSession: () => account,
+            acquireSlot: async () => () => {},
+            endProbe: () => {},
+            recordOutcome: (email, kind, latencyMs) => outcomes.push({ email, kind, latencyMs }),
+            getTokenForAccount: async () => 'token',
+            getProjectForAccount: async () => 'project',
+            clearTokenCache: () => {},
+            clearProjectCache: () => {},
+            markRateLimited: () => {},
+            markInvalid: () => {}
+        };
+        // Thinking models are read over SSE
+        const reply = (parts) => new Response(`data: ${JSON.stringify({
+            response: { candidates: [{ content: { parts }, finishReason: 'STOP' }] }
+        })}\n\n`, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+        const request = { model: 'gemini-3-flash', max_tokens: 16, messages: [{ role: 'user', content: 'Hello' }] };
+
+        // Every endpoint fails once (a network error for the account), then a reply, then an empty reply
+        const originalFetch = global.fetch;
+        let fetches = 0;
+        global.fetch = async () => {
+            fetches++;
+            if (fetches <= 2) throw new Error('fetch failed');
+            return fetches === 3 ? reply([{ text: 'hi' }]) : reply([]);
+        };
+
+        try {
+            await sendMessage(request, accountManager);
+            await sendMessage(request, accountManager);
+        } finally {
+            global.fetch = originalFetch;
+        }
+
+        assert(outcomes.map(o => o.kind).join() === 'network_error,success,empty_response', `Outcomes: ${outcomes.map(o => o.kind).join()}`);
+        assert(typeof outcomes[1].latencyMs === 'number', 'Success recorded without latency');
+    });
+
+    // Let fire-and-forget saves finish before removing the directory
+    await new Promise(resolve => setTimeout(resolve, 100));
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,289 @@
+/**
+ * Test Concurrency Limits - Tests for per-account in-flight limits and queueing
+ *
+ * Exercises ConcurrencyLimiter directly with small limits and short
+ * timeouts, then checks that sendMessage and the native Gemini handler
+ * hold a slot for each attempt.
+ * No server or credentials are needed.
+ *
+ * Run: node tests/test-concurrency-limits.cjs
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           CONCURRENCY LIMITS TEST SUITE                      ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { ConcurrencyLimiter } = await import('../src/account-manager/concurrency.js');
+    const { QueueTimeoutError, RequestCancelledError } = await import('../src/errors.js');
+    const { sendMessage, streamGenerateContent } = await import('../src/cloudcode/index.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    const A = 'a@example.com';
+    const B = 'b@example.com';
+    const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+    // Track the order in which queued acquires are granted
+    function acquireInto(limiter, order, label, email, modelId, options) {
+        return limiter.acquire(email, modelId, options).then(release => {
+            order.push(label);
+            return release;
+        });
+    }
+
+    await test('Requests over the account limit wait and are admitted in arrival order', async () => {
+        const limiter = new ConcurrencyLimiter({ maxPerAccount: 2, maxPerModel: 0, queueTimeoutMs: 1000 });
+        const first = await limiter.acquire(A, 'm');
+        const second = await limiter.acquire(A, 'm');
+
+        const order = [];
+        const waiting = ['q1', 'q2', 'q3'].map(label => acquireInto(limiter, order, label, A, 'm'));
+        await tick();
+        assert(order.length === 0, 'Request admitted over the limit');
+
+        const stats = limiter.getStats();
+        assert(stats.inFlight === 2 && stats.queued === 3, `Stats: ${JSON.stringify(stats)}`);
+        assert(stats.accounts[A].queued === 3 && stats.accounts[A].oldestWaitMs >= 0, 'Per-account queue depth');
+
+        first();
+        await tick();
+        assert(order.join() === 'q1', `After one release: ${order.join()}`);
+        second();
+        await tick();
+        assert(order.join() === 'q1,q2', `After two releases: ${order.join()}`);
+
+        const releases = await Promise.all(waiting.slice(0, 2));
+        releases[0]();
+        const third = await waiting[2];
+        assert(order.join() === 'q1,q2,q3', `Final order: ${order.join()}`);
+        releases[1]();
+        third();
+
+        const after = limiter.getStats();
+        assert(after.inFlight === 0 && after.queued === 0, 'Slots not returned');
+        assert(after.waits.count === 3 && after.waits.maxMs >= after.waits.avgMs, `Wait stats: ${JSON.stringify(after.waits)}`);
+    });
+
+    await test('Accounts are limited independently', async () => {
+        const limiter = new ConcurrencyLimiter({ maxPerAccount: 1, maxPerModel: 0, queueTimeoutMs: 1000 });
+        const releaseA = await limiter.acquire(A, 'm');
+        const releaseB = await Promise.race([limiter.acquire(B, 'm'), tick().then(() => null)]);
+        assert(releaseB, 'Busy account blocked another account');
+        releaseA();
+        releaseB();
+    });
+
+    await test('Per-model limit queues only that model and does not block others behind it', async () => {
+        const limiter = new ConcurrencyLimiter({ maxPerAccount: 3, maxPerModel: 1, queueTimeoutMs: 1000 });
+        const opus = await limiter.acquire(A, 'opus');
+
+        const order = [];
+        const queuedOpus = acquireInto(limiter, order, 'opus-2', A, 'opus');
+        const flash = acquireInto(limiter, order, 'flash', A, 'flash');
+        await tick();
+        assert(order.join() === 'flash', `Expected only flash admitted, got ${order.join()}`);
+        assert(limiter.getStats().accounts[A].models.opus === 1, 'Per-model in-flight count');
+
+        opus();
+        await tick();
+        assert(order.join() === 'flash,opus-2', `Queued opus not admitted: ${order.join()}`);
+        (await flash)();
+        (await queuedOpus)();
+    });
+
+    await test('A full account holds back every model in its queue', async () => {
+        const limiter = new ConcurrencyLimiter({ maxPerAccount: 1, maxPerModel: 1, queueTimeoutMs: 1000 });
+        const release = await limiter.acquire(A, 'opus');
+
+        const order = [];
+        const waiting = [acquireInto(limiter, order, 'opus', A, 'opus'), acquireInto(limiter, order, 'flash', A, 'flash')];
+        release();
+        await tick();
+        assert(order.join() === 'opus', `Queue order not kept across models: ${order.join()}`);
+        (await waiting[0])();
+        (await waiting[1])();
+    });
+
+    await test('Queued requests time out with QueueTimeoutError and leave the queue', async () => {
+        const limiter = new ConcurrencyLimiter({ maxPerAccount: 1, maxPerModel: 0, queueTimeoutMs: 30 });
+        const release = await limiter.acquire(A, 'm');
+        let error = null;
+        try {
+            await limiter.acquire(A, 'm');
+        } catch (e) {
+            error = e;
+        }
+        assert(error instanceof QueueTimeoutError, `Expected QueueTimeoutError, got ${error?.name}`);
+        // Timers may fire a millisecond early by Date.now()
+        assert(error.accountEmail === A && error.waitMs >= 25, `Error metadata: ${error.accountEmail}, ${error.waitMs}`);
+
+        const stats = limiter.getStats();
+        assert(stats.queued === 0 && stats.waits.timeouts === 1, `Stats after timeout: ${JSON.stringify(stats)}`);
+        release();
+        assert(limiter.getStats().inFlight === 0, 'Timed-out request took a slot');
+    });
+
+    await test('Aborting a queued request removes it without taking a slot', async () => {
+        const limiter = new ConcurrencyLimiter({ maxPerAccount: 1, maxPerModel: 0, queueTimeoutMs: 1000 });
+        const release = await limiter.acquire(A, 'm');
+        const controller = new AbortController();
+        const pending = limiter.acquire(A, 'm', { signal: controller.signal });
+        controller.abort();
+
+        let error = null;
+        try {
+            await pending;
+        } catch (e) {
+            error = e;
+        }
+        assert(error instanceof RequestCancelledError, `Expected RequestCancelledError, got ${error?.name}`);
+        assert(limiter.getStats().queued === 0, 'Aborted request still queued');
+
+        release();
+        release(); // Releasing twice must not free a second slot
+        assert(limiter.getStats().inFlight === 0, `In-flight count: ${limiter.getStats().inFlight}`);
+    });
+
+    await test('A limit of 0 disables queueing', async () => {
+        const limiter = new ConcurrencyLimiter({ maxPerAccount: 0, maxPerModel: 0, queueTimeoutMs: 10 });
+        const releases = await Promise.all(Array.from({ length: 20 }, () => limiter.acquire(A, 'm')));
+        assert(limiter.getStats().inFlight === 20, 'Requests not tracked without a limit');
+        releases.forEach(release => release());
+    });
+
+    await test('sendMessage holds a slot per attempt and releases it on failover', async () => {
+        const account = { email: A };
+        let held = 0;
+        let maxHeld = 0;
+        const accountManager = {
+            getAccountCount: () => 1,
+            clearExpiredLimits: () => {},
+            getAvailableAccounts: () => [account],
+            isAllRateLimited: () => false,
+            getSessionAccount: () => account,
+            moveSession: () => account,
+            acquireSlot: async () => {
+                held++;
+                maxHeld = Math.max(maxHeld, held);
+                return () => { held--; };
+            },
+            endProbe: () => {},
+            recordOutcome: () => {},
+            getTokenForAccount: async () => 'token',
+            getProjectForAccount: async () => 'project',
+            clearTokenCache: () => {},
+            clearProjectCache: () => {},
+            markRateLimited: () => {},
+            markInvalid: () => {}
+        };
+
+        const originalFetch = global.fetch;
+        let fetches = 0;
+        global.fetch = async () => {
+            fetches++;
+            if (fetches === 1) {
+                throw new Error('fetch failed');
+            }
+            return new Response(JSON.stringify({
+                response: { candidates: [{ content: { parts: [{ text: 'hi' }] }, finishReason: 'STOP' }] }
+            }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+        };
+
+        try {
+            const result = await sendMessage({
+                model: 'gemini-3-flash',
+                max_tokens: 16,
+                messages: [{ role: 'user', content: 'Hello' }]
+            }, accountManager);
+            assert(result.content?.length > 0, 'No response content');
+            assert(held === 0, `Slots still held: ${held}`);
+            assert(maxHeld === 1, `Attempts overlapped: ${maxHeld}`);
+        } finally {
+            global.fetch = originalFetch;
+        }
+    });
+
+    await test('Native requests hold a slot per attempt until the stream is read', async () => {
+        const account = { email: A };
+        let held = 0;
+        let acquired = 0;
+        const accountManager = {
+            getAccountCount: () => 1,
+            clearExpiredLimits: () => {},
+            getAvailableAccounts: () => [account],
+            isAllRateLimited: () => false,
+            getSessionAccount: () => account,
+            moveSession: () => account,
+            acquireSlot: async () => {
+                held++;
+                acquired++;
+                return () => { held--; };
+            },
+            endProbe: () => {},
+            recordOutcome: () => {},
+            getTokenForAccount: async () => 'token',
+            getProjectForAccount: async () => 'project',
+            clearTokenCache: () => {},
+            clearProjectCache: () => {},
+            markRateLimited: () => {},
+            markInvalid: () => {}
+        };
+
+        const originalFetch = global.fetch;
+        let fetches = 0;
+        global.fetch = async () => {
+            fetches++;
+            // Both endpoints fail once (a network error for the account), then a reply
+            if (fetches <= 2) {
+                throw new Error('fetch failed');
+            }
+            return new Response(`data: ${JSON.stringify({
+                response: { candidates: [{ content: { parts: [{ text: 'hi' }] }, finishReason: 'STOP' }] }
+            })}\n\n`, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+        };
+
+        try {
+            const stream = streamGenerateContent('gemini-3-flash', {
+                contents: [{ role: 'user', parts: [{ text: 'Hello' }] }]
+            }, accountManager);
+            const first = await stream.next();
+            assert(first.value?.candidates, 'No chunk streamed');
+            assert(held === 1 && acquired === 2, `Held ${held} of ${acquired} slots while streaming`);
+            for await (const chunk of stream) { void chunk; }
+            assert(held === 0, `Slots still held: ${held}`);
+        } finally {
+            global.fetch = originalFetch;
+        }
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
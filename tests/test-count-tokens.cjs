@@ -0,0 +1,190 @@
+/**
+ * Test Count Tokens - Tests for the local token estimator
+ *
+ * Verifies the estimator used by /v1/messages/count_tokens when no account
+ * is available: text, tools, images and thinking blocks per model family.
+ *
+ * Run: node tests/test-count-tokens.cjs
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           COUNT TOKENS TEST SUITE                            ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { estimateTokenCount, getImageDimensions } = await import('../src/format/token-estimator.js');
+    const { countTokens } = await import('../src/cloudcode/token-counter.js');
+    const { convertAnthropicToGoogle } = await import('../src/format/request-converter.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    // 1x1 PNG and a 100x50 PNG header (IHDR only, enough for dimension parsing)
+    const pngHeader = (w, h) => {
+        const buf = Buffer.alloc(24);
+        buf.writeUInt32BE(0x89504e47, 0);
+        buf.writeUInt32BE(0x0d0a1a0a, 4);
+        buf.writeUInt32BE(13, 8);
+        buf.write('IHDR', 12, 'ascii');
+        buf.writeUInt32BE(w, 16);
+        buf.writeUInt32BE(h, 20);
+        return buf.toString('base64');
+    };
+
+    const estimate = (request) => estimateTokenCount(convertAnthropicToGoogle(request), request.model);
+
+    await test('Empty conversation counts only message overhead', () => {
+        const tokens = estimate({ model: 'claude-sonnet-4-5', messages: [{ role: 'user', content: 'hi' }] });
+        assert(tokens > 0 && tokens < 10, `Expected small count, got ${tokens}`);
+    });
+
+    await test('Longer text produces more tokens', () => {
+        const short = estimate({ model: 'claude-sonnet-4-5', messages: [{ role: 'user', content: 'hello' }] });
+        const long = estimate({ model: 'claude-sonnet-4-5', messages: [{ role: 'user', content: 'hello '.repeat(500) }] });
+        assert(long > short * 50, `Expected long (${long}) >> short (${short})`);
+    });
+
+    await test('System prompt is counted', () => {
+        const base = { model: 'gemini-3-pro-high', messages: [{ role: 'user', content: 'hi' }] };
+        const withSystem = { ...base, system: [{ type: 'text', text: 'You are a helpful assistant. '.repeat(20) }] };
+        assert(estimate(withSystem) > estimate(base) + 50, 'System prompt tokens missing');
+    });
+
+    await test('Tool declarations are counted', () => {
+        const base = { model: 'claude-sonnet-4-5', messages: [{ role: 'user', content: 'hi' }] };
+        const withTools = {
+            ...base,
+            tools: [{
+                name: 'get_weather',
+                description: 'Get the current weather for a location',
+                input_schema: { type: 'object', properties: { location: { type: 'string' } }, required: ['location'] }
+            }]
+        };
+        assert(estimate(withTools) > estimate(base) + 10, 'Tool tokens missing');
+    });
+
+    await test('Claude text uses more tokens than Gemini for the same input', () => {
+        const content = 'The quick brown fox jumps over the lazy dog. '.repeat(50);
+        const claude = estimate({ model: 'claude-sonnet-4-5', messages: [{ role: 'user', content }] });
+        const gemini = estimate({ model: 'gemini-3-flash', messages: [{ role: 'user', content }] });
+        assert(claude > gemini, `Expected claude (${claude}) > gemini (${gemini})`);
+    });
+
+    await test('PNG dimensions are parsed from base64 header', () => {
+        const dims = getImageDimensions(pngHeader(100, 50));
+        assert(dims && dims.width === 100 && dims.height === 50, `Got ${JSON.stringify(dims)}`);
+    });
+
+    await test('Claude image tokens scale with pixels, Gemini is flat', () => {
+        const imageMessage = (data) => ([{
+            role: 'user',
+            content: [{ type: 'image', source: { type: 'base64', media_type: 'image/png', data } }]
+        }]);
+        const small = estimate({ model: 'claude-sonnet-4-5', messages: imageMessage(pngHeader(150, 100)) });
+        const large = estimate({ model: 'claude-sonnet-4-5', messages: imageMessage(pngHeader(2000, 2000)) });
+        const gemini = estimate({ model: 'gemini-3-flash', messages: imageMessage(pngHeader(2000, 2000)) });
+        assert(small >= 20 && small < 40, `Small Claude image: ${small}`);
+        assert(large >= 1600 && large < 1610, `Large Claude image should cap at 1600: ${large}`);
+        assert(gemini >= 258 && gemini < 270, `Gemini image should be ~258: ${gemini}`);
+    });
+
+    await test('Signed thinking blocks are counted', () => {
+        const signature = 'x'.repeat(100);
+        const messages = [
+            { role: 'user', content: 'hi' },
+            {
+                role: 'assistant',
+                content: [
+                    { type: 'thinking', thinking: 'Let me think about this carefully. '.repeat(30), signature },
+                    { type: 'text', text: 'Hello' }
+                ]
+            },
+            { role: 'user', content: 'continue' }
+        ];
+        const withThinking = estimate({ model: 'claude-sonnet-4-5-thinking', messages });
+        const withoutThinking = estimate({
+            model: 'claude-sonnet-4-5-thinking',
+            messages: [messages[0], { role: 'assistant', content: [{ type: 'text', text: 'Hello' }] }, messages[2]]
+        });
+        assert(withThinking > withoutThinking + 100, `Thinking tokens missing (${withThinking} vs ${withoutThinking})`);
+    });
+
+    await test('countTokens falls back to estimate without an account manager', async () => {
+        const result = await countTokens({ model: 'gemini-3-flash', messages: [{ role: 'user', content: 'hello world' }] });
+        assert(result.source === 'estimate', `Expected estimate, got ${result.source}`);
+        assert(result.input_tokens > 0, 'Expected positive count');
+    });
+
+    await test('countTokens uses the session\'s account without changing selection state', async () => {
+        const fs = require('fs');
+        const os = require('os');
+        const path = require('path');
+        const { AccountManager } = await import('../src/account-manager/index.js');
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'count-tokens-'));
+        const configPath = path.join(dir, 'accounts.json');
+        fs.writeFileSync(configPath, JSON.stringify({
+            accounts: ['a', 'b', 'c'].map(name => ({ email: `${name}@example.com`, source: 'manual', apiKey: `key-${name}` })),
+            settings: {},
+            activeIndex: 0
+        }));
+
+        const originalFetch = global.fetch;
+        const usedKeys = [];
+        global.fetch = async (url, options) => {
+            usedKeys.push(options.headers.Authorization);
+            return Response.json({ totalTokens: 42 });
+        };
+
+        try {
+            const manager = new AccountManager(configPath);
+            await manager.initialize();
+            const request = { model: 'gemini-3-flash', max_tokens: 16, messages: [{ role: 'user', content: 'count me' }] };
+            const { deriveSessionId } = await import('../src/cloudcode/session-manager.js');
+            const pinned = manager.getSessionAccount(deriveSessionId(request), request.model);
+            await new Promise(resolve => setTimeout(resolve, 50)); // Let the pin's save finish
+
+            const before = fs.readFileSync(configPath, 'utf-8');
+            const lastUsed = manager.getAllAccounts().map(acc => acc.lastUsed);
+            const result = await countTokens(request, manager);
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            assert(result.source === 'upstream' && result.input_tokens === 42, JSON.stringify(result));
+            assert(usedKeys[0] === `Bearer ${pinned.apiKey}`, `Counted with ${usedKeys[0]}, session is on ${pinned.email}`);
+            assert(fs.readFileSync(configPath, 'utf-8') === before, 'accounts.json written by countTokens');
+            assert(manager.getAllAccounts().every((acc, i) => acc.lastUsed === lastUsed[i]), 'lastUsed changed by countTokens');
+        } finally {
+            global.fetch = originalFetch;
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,189 @@
+/**
+ * Test Files API - Tests for uploaded files and file_id sources
+ *
+ * Uses a temporary directory and an in-memory database, so no server is
+ * needed. Verifies the file store (ownership, paging, quota usage), multipart
+ * parsing, MIME detection and the conversion of file sources to Google parts.
+ *
+ * Run: node tests/test-files-api.cjs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           FILES API TEST SUITE                               ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { FileStore, parseMultipart, getOwnerId, detectFileMimeType, collectFileIds } = await import('../src/files/index.js');
+    const { registerFileSourceReader } = await import('../src/format/file-sources.js');
+    const { convertAnthropicToGoogle } = await import('../src/format/request-converter.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+    const PDF = Buffer.from('%PDF-1.7\n%test');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'files-api-'));
+    const store = new FileStore({ dir, dbPath: ':memory:' });
+    const alice = getOwnerId('alice-key');
+    const bob = getOwnerId('bob-key');
+
+    await test('Files are stored, read back and scoped to their owner', () => {
+        const file = store.createFile({ owner: alice, filename: 'shot.png', mimeType: 'image/png', data: PNG });
+        assert(/^file_[0-9a-f]{24}$/.test(file.id), `Unexpected ID ${file.id}`);
+        assert(file.type === 'file' && file.size_bytes === PNG.length && file.downloadable === true, JSON.stringify(file));
+
+        const content = store.readFile(file.id, alice);
+        assert(content.mimeType === 'image/png' && content.data.equals(PNG), 'Content differs');
+        assert(store.getFile(file.id, bob) === null && store.readFile(file.id, bob) === null, 'Other owner can see the file');
+        assert(store.deleteFile(file.id, bob) === false, 'Other owner deleted the file');
+
+        assert(store.deleteFile(file.id, alice) === true, 'Delete failed');
+        assert(store.getFile(file.id) === null && !fs.existsSync(path.join(dir, file.id)), 'File not removed');
+        assert(getOwnerId('') === '' && !alice.includes('alice'), 'Owner ID leaks the key');
+    });
+
+    await test('Files are listed newest first with cursors', () => {
+        const ids = [];
+        for (let i = 0; i < 5; i++) {
+            ids.push(store.createFile({ owner: bob, filename: `${i}.txt`, mimeType: 'text/plain', data: Buffer.from(`file ${i}`) }).id);
+        }
+
+        const first = store.listFiles({ owner: bob, limit: 2 });
+        assert(first.data.map(f => f.id).join() === [ids[4], ids[3]].join(), 'First page order');
+        assert(first.has_more && first.first_id === ids[4] && first.last_id === ids[3], JSON.stringify(first));
+
+        const next = store.listFiles({ owner: bob, limit: 2, afterId: first.last_id });
+        assert(next.data.map(f => f.id).join() === [ids[2], ids[1]].join() && next.has_more, 'after_id page');
+
+        const previous = store.listFiles({ owner: bob, limit: 2, beforeId: next.first_id });
+        assert(previous.data.map(f => f.id).join() === [ids[4], ids[3]].join() && !previous.has_more, 'before_id page');
+
+        assert(store.listFiles({ owner: alice }).data.length === 0, 'Other owner files listed');
+    });
+
+    await test('Storage usage is tracked per owner', () => {
+        const before = store.getUsage(alice);
+        const file = store.createFile({ owner: alice, filename: 'doc.pdf', mimeType: 'application/pdf', data: PDF });
+        assert(store.getUsage(alice) === before + PDF.length, 'Usage not increased');
+        assert(store.getUsage(bob) === 5 * 'file 0'.length, `Unexpected usage for bob: ${store.getUsage(bob)}`);
+        store.deleteFile(file.id, alice);
+        assert(store.getUsage(alice) === before, 'Usage not released on delete');
+    });
+
+    await test('Multipart uploads are parsed, including binary content', () => {
+        const boundary = '----form123';
+        const body = Buffer.concat([
+            Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="purpose"\r\n\r\nassistants\r\n`),
+            Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="a \\"quoted\\".png"\r\nContent-Type: image/png\r\n\r\n`),
+            PNG,
+            Buffer.from(`\r\n--${boundary}--\r\n`)
+        ]);
+        const parts = parseMultipart(body, `multipart/form-data; boundary=${boundary}`);
+        assert(parts.length === 2, `Expected 2 parts, got ${parts.length}`);
+        assert(parts[0].name === 'purpose' && parts[0].filename === null && parts[0].data.toString() === 'assistants', 'Field part');
+        assert(parts[1].filename === 'a "quoted".png' && parts[1].contentType === 'image/png' && parts[1].data.equals(PNG), 'File part');
+
+        let error = null;
+        try {
+            parseMultipart(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"\r\n\r\ncut off`), `multipart/form-data; boundary=${boundary}`);
+        } catch (e) {
+            error = e;
+        }
+        assert(error?.message.includes('unterminated'), 'Truncated body accepted');
+    });
+
+    await test('MIME types come from content, then the declared type, then the extension', () => {
+        assert(detectFileMimeType(PNG, 'text/plain', 'x.txt') === 'image/png', 'Sniffed type not preferred');
+        assert(detectFileMimeType(Buffer.from('a,b'), 'text/csv; charset=utf-8', 'x') === 'text/csv', 'Declared type ignored');
+        assert(detectFileMimeType(Buffer.from('# Title'), 'application/octet-stream', 'notes.md') === 'text/markdown', 'Extension ignored');
+        assert(detectFileMimeType(Buffer.from([1, 2, 3]), null, 'blob') === 'application/octet-stream', 'Unknown type');
+    });
+
+    await test('File sources become inlineData and text parts', () => {
+        const image = store.createFile({ owner: alice, filename: 'shot.png', mimeType: 'image/png', data: PNG });
+        const pdf = store.createFile({ owner: alice, filename: 'spec.pdf', mimeType: 'application/pdf', data: PDF });
+        const notes = store.createFile({ owner: alice, filename: 'notes.txt', mimeType: 'text/plain', data: Buffer.from('Remember the milk') });
+        registerFileSourceReader((fileId) => store.readFile(fileId));
+
+        const request = {
+            model: 'claude-sonnet-4-5',
+            messages: [{
+                role: 'user',
+                content: [
+                    { type: 'image', source: { type: 'file', file_id: image.id } },
+                    { type: 'document', source: { type: 'file', file_id: pdf.id } },
+                    { type: 'document', title: 'Notes', source: { type: 'file', file_id: notes.id } }
+                ]
+            }]
+        };
+        assert(collectFileIds(request).join() === [image.id, pdf.id, notes.id].join(), 'collectFileIds');
+
+        const parts = convertAnthropicToGoogle(request).contents[0].parts;
+        assert(parts[0].inlineData?.mimeType === 'image/png' && parts[0].inlineData.data === PNG.toString('base64'), JSON.stringify(parts[0]));
+        assert(parts[1].inlineData?.mimeType === 'application/pdf', JSON.stringify(parts[1]));
+        assert(parts[2].text?.includes('Notes') && parts[2].text.includes('Remember the milk'), JSON.stringify(parts[2]));
+    });
+
+    await test('Unknown file IDs are rejected as invalid requests', () => {
+        const request = {
+            model: 'claude-sonnet-4-5',
+            messages: [
+                { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'read', input: {} }] },
+                {
+                    role: 'user', content: [{
+                        type: 'tool_result', tool_use_id: 'toolu_1',
+                        content: [{ type: 'image', source: { type: 'file', file_id: 'file_missing' } }]
+                    }]
+                }
+            ]
+        };
+        assert(collectFileIds(request).join() === 'file_missing', 'File inside tool_result not collected');
+
+        let error = null;
+        try {
+            convertAnthropicToGoogle(request);
+        } catch (e) {
+            error = e;
+        }
+        assert(error?.statusCode === 400 && error.errorType === 'invalid_request_error', `Expected 400 ApiError, got ${error?.name}: ${error?.message}`);
+        assert(error.message.includes('file_missing'), error.message);
+    });
+
+    registerFileSourceReader(null);
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
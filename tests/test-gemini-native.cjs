@@ -0,0 +1,173 @@
+/**
+ * Test Gemini Native - Tests for the Gemini-native generateContent path
+ *
+ * Verifies that native requests are wrapped for Cloud Code without losing
+ * parts (thoughtSignature, functionCall, inlineData), that streamed
+ * chunks are unwrapped and merged correctly, and that 429s get the same
+ * wait-and-retry handling as the Anthropic-format handlers.
+ *
+ * Run: node tests/test-gemini-native.cjs
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           GEMINI NATIVE TEST SUITE                           ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { buildNativeCloudCodeRequest } = await import('../src/cloudcode/request-builder.js');
+    const { parseNativeSSE, mergeNativeChunks, generateContent } = await import('../src/cloudcode/native-handler.js');
+    const { GEMINI_MAX_OUTPUT_TOKENS } = await import('../src/constants.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    const nativeRequest = {
+        contents: [
+            { role: 'user', parts: [{ text: 'Describe this' }, { inlineData: { mimeType: 'image/png', data: 'AAAA' } }] },
+            {
+                role: 'model',
+                parts: [{ functionCall: { name: 'lookup', args: { q: 'x' } }, thoughtSignature: 'sig-abc' }]
+            },
+            { role: 'user', parts: [{ functionResponse: { name: 'lookup', response: { result: 'y' } } }] }
+        ],
+        system_instruction: { parts: [{ text: 'Be terse.' }] },
+        generation_config: { maxOutputTokens: 100000, temperature: 0.2 },
+        cachedContent: 'cachedContents/123'
+    };
+
+    await test('Native parts are forwarded unchanged', () => {
+        const payload = buildNativeCloudCodeRequest(nativeRequest, 'gemini-3-flash', 'proj-1');
+        const contents = payload.request.contents;
+        assert(contents[0].parts[1].inlineData.data === 'AAAA', 'inlineData lost');
+        assert(contents[1].parts[0].thoughtSignature === 'sig-abc', 'thoughtSignature lost');
+        assert(contents[1].parts[0].functionCall.args.q === 'x', 'functionCall lost');
+        assert(contents[2].parts[0].functionResponse.response.result === 'y', 'functionResponse lost');
+        assert(payload.project === 'proj-1' && payload.model === 'gemini-3-flash', 'Envelope fields missing');
+    });
+
+    await test('snake_case fields are normalized and unsupported fields dropped', () => {
+        const payload = buildNativeCloudCodeRequest(nativeRequest, 'gemini-3-flash', 'proj-1');
+        assert(payload.request.generationConfig.temperature === 0.2, 'generation_config not normalized');
+        assert(!payload.request.generation_config, 'snake_case key left behind');
+        assert(!payload.request.cachedContent, 'cachedContent not dropped');
+        const systemTexts = payload.request.systemInstruction.parts.map(p => p.text);
+        assert(systemTexts[systemTexts.length - 1] === 'Be terse.', 'Client system instruction not appended');
+    });
+
+    await test('Gemini maxOutputTokens is capped without mutating the input', () => {
+        const payload = buildNativeCloudCodeRequest(nativeRequest, 'gemini-3-flash', 'proj-1');
+        assert(payload.request.generationConfig.maxOutputTokens === GEMINI_MAX_OUTPUT_TOKENS, 'Not capped');
+        assert(nativeRequest.generation_config.maxOutputTokens === 100000, 'Input mutated');
+    });
+
+    await test('Session ID is stable for the same first user message', () => {
+        const a = buildNativeCloudCodeRequest(nativeRequest, 'gemini-3-flash', 'p').request.sessionId;
+        const b = buildNativeCloudCodeRequest(nativeRequest, 'gemini-3-flash', 'p').request.sessionId;
+        assert(a === b && /^[0-9a-f]{32}$/.test(a), `Unstable session ID: ${a} vs ${b}`);
+    });
+
+    await test('SSE chunks are unwrapped from the Cloud Code envelope', async () => {
+        const body = [
+            'data: {"response":{"candidates":[{"content":{"role":"model","parts":[{"text":"Hel"}]}}]}}',
+            '',
+            'data: {"response":{"candidates":[{"content":{"role":"model","parts":[{"text":"lo"}]},"finishReason":"STOP"}],"usageMetadata":{"promptTokenCount":3}}}',
+            '',
+            ''
+        ].join('\n');
+        const chunks = [];
+        for await (const chunk of parseNativeSSE(new Response(body))) {
+            chunks.push(chunk);
+        }
+        assert(chunks.length === 2, `Expected 2 chunks, got ${chunks.length}`);
+        assert(!chunks[0].response && chunks[0].candidates, 'Envelope not removed');
+    });
+
+    await test('Merged response concatenates text and keeps signatures and calls', () => {
+        const merged = mergeNativeChunks([
+            { candidates: [{ content: { parts: [{ text: 'Think', thought: true }] } }] },
+            { candidates: [{ content: { parts: [{ text: 'ing', thought: true }] } }] },
+            { candidates: [{ content: { parts: [{ text: '', thought: true, thoughtSignature: 'sig-1' }] } }] },
+            { candidates: [{ content: { parts: [{ text: 'Answer' }] } }] },
+            { candidates: [{ content: { parts: [{ functionCall: { name: 'f', args: {} }, thoughtSignature: 'sig-2' }] } }] },
+            { candidates: [{ content: { parts: [] }, finishReason: 'STOP' }], usageMetadata: { totalTokenCount: 9 } }
+        ]);
+        const parts = merged.candidates[0].content.parts;
+        assert(parts.length === 3, `Expected 3 parts, got ${parts.length}`);
+        assert(parts[0].text === 'Thinking' && parts[0].thought && parts[0].thoughtSignature === 'sig-1', 'Thought part wrong');
+        assert(parts[1].text === 'Answer', 'Text part wrong');
+        assert(parts[2].functionCall.name === 'f' && parts[2].thoughtSignature === 'sig-2', 'Function call wrong');
+        assert(merged.candidates[0].finishReason === 'STOP', 'finishReason missing');
+        assert(merged.usageMetadata.totalTokenCount === 9, 'usageMetadata missing');
+    });
+
+    await test('Short 429s are retried on the same account, long ones switch accounts', async () => {
+        const account = { email: 'a@example.com' };
+        const marked = [];
+        const accountManager = {
+            getAccountCount: () => 1,
+            clearExpiredLimits: () => {},
+            getAvailableAccounts: () => [account],
+            isAllRateLimited: () => false,
+            getSessionAccount: () => account,
+            moveSession: () => account,
+            acquireSlot: async () => () => {},
+            endProbe: () => {},
+            recordOutcome: () => {},
+            getTokenForAccount: async () => 'token',
+            getProjectForAccount: async () => 'project',
+            markRateLimited: (email, resetMs) => marked.push(resetMs)
+        };
+        const rateLimited = (retryAfter) => new Response('{"error":{"status":"RESOURCE_EXHAUSTED"}}', {
+            status: 429,
+            headers: { 'Retry-After': String(retryAfter) }
+        });
+        const reply = () => new Response(`data: ${JSON.stringify({
+            response: { candidates: [{ content: { parts: [{ text: 'hi' }] }, finishReason: 'STOP' }] }
+        })}\n\n`, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+
+        const originalFetch = global.fetch;
+        const responses = [rateLimited(1), reply(), rateLimited(3600), reply()];
+        let fetches = 0;
+        global.fetch = async () => responses[fetches++];
+        try {
+            const short = await generateContent('gemini-3-flash', nativeRequest, accountManager);
+            assert(short.candidates[0].content.parts[0].text === 'hi', 'Short rate limit not retried');
+            assert(fetches === 2 && marked.length === 0, `Short rate limit marked the account: ${marked.join()}`);
+
+            const long = await generateContent('gemini-3-flash', nativeRequest, accountManager);
+            assert(long.candidates[0].content.parts[0].text === 'hi', 'No reply after switching accounts');
+            assert(fetches === 4 && marked.length === 1 && marked[0] === 3600 * 1000, `Long rate limit not marked: ${marked.join()}`);
+        } finally {
+            global.fetch = originalFetch;
+        }
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,350 @@
+/**
+ * Test Media Resolver - Tests for downloading and inlining URL images and documents
+ *
+ * Uses an injected fetcher and DNS lookup and a temporary cache directory,
+ * so no network access is needed. Verifies MIME sniffing, size/MIME/host
+ * limits (including names that resolve to private addresses), redirects,
+ * cancellation of shared downloads, the content-addressed cache and the
+ * rewrite of Anthropic and OpenAI requests.
+ *
+ * Run: node tests/test-media-resolver.cjs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           MEDIA RESOLVER TEST SUITE                          ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { MediaResolver, sniffMediaType } = await import('../src/cloudcode/media-resolver.js');
+    const { convertOpenAIToAnthropic } = await import('../src/format/openai-converter.js');
+    const { convertAnthropicToGoogle } = await import('../src/format/request-converter.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    async function expectMediaError(promise, fragment) {
+        let error = null;
+        try {
+            await promise;
+        } catch (e) {
+            error = e;
+        }
+        assert(error?.name === 'MediaFetchError', `Expected MediaFetchError, got ${error?.name}: ${error?.message}`);
+        assert(error.message.includes(fragment), `"${error.message}" does not mention "${fragment}"`);
+    }
+
+    const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+    const PDF = Buffer.from('%PDF-1.7\n%test');
+    const HTML = Buffer.from('<!doctype html><p>Not found</p>');
+
+    const cacheDirs = [];
+    function tempCacheDir() {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-cache-'));
+        cacheDirs.push(dir);
+        return dir;
+    }
+
+    // Resolvers that map every host name to a public or a private address
+    const publicLookup = async () => [{ address: '93.184.215.14', family: 4 }];
+    const privateLookup = async (host) => [
+        { address: '93.184.215.14', family: 4 },
+        { address: host.startsWith('v6.') ? 'fd00::5' : '10.0.0.5', family: host.startsWith('v6.') ? 6 : 4 }
+    ];
+
+    // Fetcher serving fixed routes and counting requests per URL
+    function createFetcher(routes) {
+        const calls = {};
+        const fetcher = async (url) => {
+            calls[url] = (calls[url] || 0) + 1;
+            const route = routes[url];
+            if (!route) return new Response('missing', { status: 404 });
+            if (route.redirect) return new Response(null, { status: 302, headers: { location: route.redirect } });
+            return new Response(route.body, { status: 200, headers: route.headers || {} });
+        };
+        return { fetcher, calls };
+    }
+
+    await test('Media types are detected from content', () => {
+        assert(sniffMediaType(PNG) === 'image/png', 'PNG');
+        assert(sniffMediaType(Buffer.from('ffd8ffe000', 'hex')) === 'image/jpeg', 'JPEG');
+        assert(sniffMediaType(Buffer.from('GIF89a....')) === 'image/gif', 'GIF');
+        assert(sniffMediaType(Buffer.from('RIFF\0\0\0\0WEBPVP8 ')) === 'image/webp', 'WEBP');
+        assert(sniffMediaType(PDF) === 'application/pdf', 'PDF');
+        assert(sniffMediaType(Buffer.from('\0\0\0\x18ftypheic')) === 'image/heic', 'HEIC');
+        assert(sniffMediaType(HTML) === null, 'HTML recognized as media');
+    });
+
+    await test('URL images and documents are inlined, including inside tool results', async () => {
+        const { fetcher } = createFetcher({
+            'https://example.com/shot': { body: PNG, headers: { 'content-type': 'application/octet-stream' } },
+            'https://example.com/spec.pdf': { body: PDF }
+        });
+        const resolver = new MediaResolver({ lookup: publicLookup, fetcher, cacheDir: tempCacheDir() });
+        const request = {
+            model: 'claude-sonnet-4-5',
+            messages: [
+                { role: 'user', content: [{ type: 'image', source: { type: 'url', url: 'https://example.com/shot' } }] },
+                { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'read', input: {} }] },
+                {
+                    role: 'user', content: [{
+                        type: 'tool_result', tool_use_id: 'toolu_1',
+                        content: [{ type: 'document', source: { type: 'url', url: 'https://example.com/spec.pdf' } }]
+                    }]
+                }
+            ]
+        };
+
+        const resolved = await resolver.resolveRequest(request);
+        const image = resolved.messages[0].content[0].source;
+        const pdf = resolved.messages[2].content[0].content[0].source;
+        assert(image.type === 'base64' && image.media_type === 'image/png' && Buffer.from(image.data, 'base64').equals(PNG), JSON.stringify(image));
+        assert(pdf.type === 'base64' && pdf.media_type === 'application/pdf', JSON.stringify(pdf));
+        assert(request.messages[0].content[0].source.type === 'url', 'Original request mutated');
+
+        const parts = convertAnthropicToGoogle(resolved).contents[0].parts;
+        assert(parts[0].inlineData?.mimeType === 'image/png' && !parts[0].fileData, 'Google request still uses fileData');
+
+        const plain = { messages: [{ role: 'user', content: 'hi' }] };
+        assert(await resolver.resolveRequest(plain) === plain, 'Request without URLs should be returned as-is');
+    });
+
+    await test('OpenAI image_url entries with http URLs are inlined', async () => {
+        const { fetcher } = createFetcher({ 'http://example.com/cat.png': { body: PNG } });
+        const resolver = new MediaResolver({ lookup: publicLookup, fetcher, cacheDir: tempCacheDir() });
+        const anthropicRequest = convertOpenAIToAnthropic({
+            model: 'gemini-3-flash',
+            messages: [{ role: 'user', content: [{ type: 'text', text: 'What is this?' }, { type: 'image_url', image_url: { url: 'http://example.com/cat.png' } }] }]
+        });
+        const resolved = await resolver.resolveRequest(anthropicRequest);
+        const image = resolved.messages[0].content.find(block => block.type === 'image');
+        assert(image.source.type === 'base64' && image.source.media_type === 'image/png', JSON.stringify(image.source));
+    });
+
+    await test('Downloads are cached by content and reused across resolvers', async () => {
+        const cacheDir = tempCacheDir();
+        const routes = { 'https://example.com/a.png': { body: PNG }, 'https://example.com/b.png': { body: PNG } };
+        const first = createFetcher(routes);
+        const resolver = new MediaResolver({ lookup: publicLookup, fetcher: first.fetcher, cacheDir });
+
+        await Promise.all([resolver.resolve('https://example.com/a.png'), resolver.resolve('https://example.com/a.png')]);
+        await resolver.resolve('https://example.com/b.png');
+        assert(first.calls['https://example.com/a.png'] === 1, 'Concurrent requests for one URL were not shared');
+
+        const blobs = fs.readdirSync(cacheDir).filter(file => file !== 'index.json');
+        assert(blobs.length === 1 && /^[0-9a-f]{64}$/.test(blobs[0]), `Expected one content-addressed file, got ${blobs.join(', ')}`);
+
+        const second = createFetcher(routes);
+        const restarted = new MediaResolver({ lookup: publicLookup, fetcher: second.fetcher, cacheDir });
+        const cached = await restarted.resolve('https://example.com/b.png');
+        assert(Object.keys(second.calls).length === 0, 'Cached URL downloaded again');
+        assert(cached.mediaType === 'image/png' && cached.data.equals(PNG), 'Cached content differs');
+
+        const expired = createFetcher(routes);
+        await new MediaResolver({ lookup: publicLookup, fetcher: expired.fetcher, cacheDir, cacheTtlMs: -1 }).resolve('https://example.com/a.png');
+        assert(expired.calls['https://example.com/a.png'] === 1, 'Expired entry not downloaded again');
+    });
+
+    await test('Size and MIME limits are enforced', async () => {
+        const big = Buffer.concat([PNG, Buffer.alloc(2048)]);
+        const { fetcher } = createFetcher({
+            'https://example.com/declared': { body: big, headers: { 'content-length': String(big.length) } },
+            'https://example.com/streamed': { body: new Blob([big]).stream() },
+            'https://example.com/page': { body: HTML, headers: { 'content-type': 'image/png' } },
+            'https://example.com/doc.pdf': { body: PDF }
+        });
+        const resolver = new MediaResolver({ lookup: publicLookup, fetcher, cacheDir: tempCacheDir(), maxBytes: 1024 });
+
+        await expectMediaError(resolver.resolve('https://example.com/declared'), 'over the 1024 byte limit');
+        await expectMediaError(resolver.resolve('https://example.com/streamed'), 'over the 1024 byte limit');
+        await expectMediaError(resolver.resolve('https://example.com/page'), 'not a supported image or PDF');
+        await expectMediaError(resolver.resolve('https://example.com/missing'), 'HTTP 404');
+        await expectMediaError(resolver.resolveRequest({
+            messages: [{ role: 'user', content: [{ type: 'image', source: { type: 'url', url: 'https://example.com/doc.pdf' } }] }]
+        }), 'returned application/pdf');
+    });
+
+    await test('Local addresses, other protocols and unsafe redirects are refused', async () => {
+        const { fetcher, calls } = createFetcher({
+            'https://example.com/moved': { redirect: '/final.png' },
+            'https://example.com/final.png': { body: PNG },
+            'https://example.com/sneaky': { redirect: 'http://169.254.169.254/latest/meta-data' }
+        });
+        const resolver = new MediaResolver({ lookup: publicLookup, fetcher, cacheDir: tempCacheDir() });
+
+        for (const url of ['http://localhost:8080/a.png', 'http://127.0.0.1/a.png', 'http://192.168.1.5/a.png', 'http://[::1]/a.png']) {
+            await expectMediaError(resolver.resolve(url), 'local or private network');
+        }
+        // IPv4 embedded in IPv6 (URL rewrites these to hex groups) and reserved ranges
+        for (const url of [
+            'http://[::ffff:127.0.0.1]/a.png', 'http://[::ffff:169.254.169.254]/latest', 'http://[::ffff:7f00:1]/a.png',
+            'http://[::127.0.0.1]/a.png', 'http://[64:ff9b::a9fe:a9fe]/latest', 'http://[0:0:0:0:0:ffff:10.1.2.3]/a.png',
+            'http://192.0.0.8/a.png', 'http://198.18.0.1/a.png', 'http://224.0.0.1/a.png', 'http://255.255.255.255/a.png',
+            'http://[ff02::1]/a.png', 'http://[fe80::1]/a.png', 'http://[fd12::1]/a.png'
+        ]) {
+            await expectMediaError(resolver.resolve(url), 'local or private network');
+        }
+        assert(Object.keys(calls).every(url => url.startsWith('https://example.com/')), `Private address fetched: ${Object.keys(calls).join(', ')}`);
+        await expectMediaError(resolver.resolve('file:///etc/passwd'), 'Unsupported media URL protocol');
+        await expectMediaError(resolver.resolve('https://example.com/sneaky'), 'local or private network');
+
+        const moved = await resolver.resolve('https://example.com/moved');
+        assert(moved.mediaType === 'image/png' && calls['https://example.com/final.png'] === 1, 'Relative redirect not followed');
+
+        const allowed = new MediaResolver({
+            fetcher: createFetcher({ 'http://localhost:9000/a.png': { body: PNG } }).fetcher,
+            cacheDir: tempCacheDir(),
+            allowPrivateUrls: true
+        });
+        assert((await allowed.resolve('http://localhost:9000/a.png')).mediaType === 'image/png', 'allowPrivateUrls ignored');
+    });
+
+    await test('Host names that resolve to private addresses are refused', async () => {
+        const { fetcher, calls } = createFetcher({
+            'https://internal.example.com/a.png': { body: PNG },
+            'https://v6.example.com/a.png': { body: PNG },
+            'https://example.com/hop': { redirect: 'https://internal.example.com/a.png' }
+        });
+        const resolver = new MediaResolver({ fetcher, cacheDir: tempCacheDir(), lookup: privateLookup });
+
+        await expectMediaError(resolver.resolve('https://internal.example.com/a.png'), 'local or private network');
+        await expectMediaError(resolver.resolve('https://v6.example.com/a.png'), 'local or private network');
+        await expectMediaError(resolver.resolve('https://example.com/hop'), 'local or private network');
+        assert(Object.keys(calls).length === 0, `Private host fetched: ${Object.keys(calls).join(', ')}`);
+
+        const unresolvable = new MediaResolver({
+            fetcher,
+            cacheDir: tempCacheDir(),
+            lookup: async () => { throw new Error('getaddrinfo ENOTFOUND nowhere.invalid'); }
+        });
+        await expectMediaError(unresolvable.resolve('https://nowhere.invalid/a.png'), 'Could not resolve media host');
+    });
+
+    await test('Connections are pinned to the addresses that were checked', async () => {
+        let lookups = 0;
+        let answered = null;
+        const resolver = new MediaResolver({
+            cacheDir: tempCacheDir(),
+            lookup: async () => {
+                lookups++;
+                // A rebinding DNS server would answer with a private address the second time
+                return lookups === 1 ? [{ address: '93.184.215.14', family: 4 }] : [{ address: '127.0.0.1', family: 4 }];
+            },
+            fetcher: async (url, { lookup }) => {
+                answered = await new Promise((resolve, reject) => {
+                    lookup('rebind.example.com', { all: true }, (error, addresses) => error ? reject(error) : resolve(addresses));
+                });
+                return new Response(PNG);
+            }
+        });
+        await resolver.resolve('https://rebind.example.com/a.png');
+        assert(lookups === 1, `Host resolved ${lookups} times`);
+        assert(answered?.length === 1 && answered[0].address === '93.184.215.14', `Connection lookup answered ${JSON.stringify(answered)}`);
+    });
+
+    await test('The default fetcher downloads over HTTP without following redirects', async () => {
+        const http = require('http');
+        const server = http.createServer((req, res) => {
+            if (req.url === '/moved') {
+                res.writeHead(302, { location: '/a.png' });
+                res.end();
+            } else {
+                res.writeHead(200, { 'content-type': 'image/png' });
+                res.end(PNG);
+            }
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        try {
+            const resolver = new MediaResolver({ cacheDir: tempCacheDir(), allowPrivateUrls: true });
+            const result = await resolver.resolve(`http://127.0.0.1:${server.address().port}/moved`);
+            assert(result.mediaType === 'image/png' && result.data.equals(PNG), 'Download through the default fetcher failed');
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    await test('Cancelled callers stop waiting; the download stops with the last one', async () => {
+        // Fetcher that hangs until finished or aborted
+        const fetches = [];
+        const fetcher = (url, { signal }) => new Promise((resolve, reject) => {
+            const entry = { signal, finish: () => resolve(new Response(PNG)) };
+            fetches.push(entry);
+            signal.addEventListener('abort', () => reject(new DOMException('This operation was aborted', 'AbortError')), { once: true });
+        });
+        const resolver = new MediaResolver({ lookup: publicLookup, fetcher, cacheDir: tempCacheDir() });
+        const isCancelled = (promise) => promise.then(() => false, error => error.name === 'RequestCancelledError');
+        const tick = () => new Promise(resolve => setTimeout(resolve, 10));
+
+        // Two callers share a download; the first one leaving does not abort it
+        const first = new AbortController();
+        const firstResult = isCancelled(resolver.resolve('https://example.com/shared.png', { signal: first.signal }));
+        const second = resolver.resolve('https://example.com/shared.png', { signal: new AbortController().signal });
+        await tick();
+        first.abort();
+        assert(await firstResult, 'Cancelled caller kept waiting');
+        assert(fetches.length === 1 && !fetches[0].signal.aborted, 'Shared download aborted for the remaining caller');
+        fetches[0].finish();
+        assert((await second).mediaType === 'image/png', 'Remaining caller did not get the download');
+
+        // A lone caller leaving aborts the download
+        const lone = new AbortController();
+        const loneResult = isCancelled(resolver.resolveRequest({
+            messages: [{ role: 'user', content: [{ type: 'image', source: { type: 'url', url: 'https://example.com/slow.png' } }] }]
+        }, { signal: lone.signal }));
+        await tick();
+        lone.abort();
+        assert(await loneResult, 'resolveRequest not cancelled');
+        assert(fetches.length === 2 && fetches[1].signal.aborted, 'Download kept running with nobody waiting');
+
+        // A later request for the same URL starts a fresh download
+        const retry = resolver.resolve('https://example.com/slow.png');
+        await tick();
+        assert(fetches.length === 3, 'Cancelled download reused');
+        fetches[2].finish();
+        assert((await retry).mediaType === 'image/png', 'Fresh download failed');
+    });
+
+    await test('Data URLs are decoded without fetching', async () => {
+        const { fetcher, calls } = createFetcher({});
+        const resolver = new MediaResolver({ lookup: publicLookup, fetcher, cacheDir: tempCacheDir() });
+        const result = await resolver.resolve(`data:image/jpeg;base64,${PNG.toString('base64')}`);
+        assert(result.mediaType === 'image/png' && result.data.equals(PNG), 'Data URL not decoded and sniffed');
+        assert(Object.keys(calls).length === 0, 'Data URL fetched');
+    });
+
+    for (const dir of cacheDirs) {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,165 @@
+/**
+ * Test Ollama Converter - Tests for the Ollama-compatible API converter
+ *
+ * Verifies /api/chat and /api/generate request conversion (images, tool
+ * calls without IDs, options), NDJSON stream chunks and /api/tags output.
+ *
+ * Run: node tests/test-ollama-converter.cjs
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           OLLAMA CONVERTER TEST SUITE                        ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const {
+        convertOllamaChatToAnthropic,
+        convertOllamaGenerateToAnthropic,
+        convertAnthropicToOllama,
+        convertAnthropicStreamEventToOllama,
+        convertModelListToOllamaTags
+    } = await import('../src/format/ollama-converter.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    await test('Chat request maps model tag, system prompt and options', () => {
+        const result = convertOllamaChatToAnthropic({
+            model: 'claude-sonnet-4-5:latest',
+            messages: [
+                { role: 'system', content: 'Be brief.' },
+                { role: 'user', content: 'Hi' }
+            ],
+            options: { temperature: 0.3, num_predict: 256, top_k: 20, stop: ['END'] }
+        });
+        assert(result.model === 'claude-sonnet-4-5', `Tag not stripped: ${result.model}`);
+        assert(result.system === 'Be brief.', 'System prompt not mapped');
+        assert(result.max_tokens === 256 && result.temperature === 0.3 && result.top_k === 20, 'Options not mapped');
+        assert(result.stop_sequences[0] === 'END', 'stop not mapped');
+    });
+
+    await test('Base64 images become image blocks with sniffed MIME type', () => {
+        const result = convertOllamaChatToAnthropic({
+            model: 'gemini-3-flash',
+            messages: [{ role: 'user', content: 'What is this?', images: ['/9j/4AAQSkZJRg=='] }]
+        });
+        const image = result.messages[0].content.find(b => b.type === 'image');
+        assert(image && image.source.media_type === 'image/jpeg', 'JPEG image not converted');
+    });
+
+    await test('Tool calls without IDs are paired with tool results by name', () => {
+        const result = convertOllamaChatToAnthropic({
+            model: 'claude-sonnet-4-5',
+            messages: [
+                { role: 'user', content: 'Weather and time in Paris?' },
+                {
+                    role: 'assistant',
+                    content: '',
+                    tool_calls: [
+                        { function: { name: 'get_weather', arguments: { city: 'Paris' } } },
+                        { function: { name: 'get_time', arguments: { city: 'Paris' } } }
+                    ]
+                },
+                { role: 'tool', tool_name: 'get_time', content: '12:00' },
+                { role: 'tool', tool_name: 'get_weather', content: 'Sunny' }
+            ],
+            tools: [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object' } } }]
+        });
+        const toolUses = result.messages[1].content.filter(b => b.type === 'tool_use');
+        assert(toolUses.length === 2 && toolUses[0].input.city === 'Paris', 'tool_use blocks not converted');
+        const timeResult = result.messages[2].content[0];
+        const weatherResult = result.messages[3].content[0];
+        assert(timeResult.tool_use_id === toolUses[1].id, 'get_time result paired with wrong call');
+        assert(weatherResult.tool_use_id === toolUses[0].id, 'get_weather result paired with wrong call');
+        assert(result.tools[0].name === 'get_weather', 'Tools not converted');
+    });
+
+    await test('Generate request maps prompt and system', () => {
+        const result = convertOllamaGenerateToAnthropic({ model: 'gemini-3-flash', prompt: 'Write a haiku', system: 'Poet' });
+        assert(result.system === 'Poet', 'System not mapped');
+        assert(result.messages.length === 1 && result.messages[0].content === 'Write a haiku', 'Prompt not mapped');
+        assert(result.max_tokens === 4096, 'Default max_tokens missing');
+    });
+
+    await test('Non-streaming chat response includes tool calls and stats', () => {
+        const response = convertAnthropicToOllama({
+            content: [
+                { type: 'thinking', thinking: 'Hmm' },
+                { type: 'text', text: 'Checking' },
+                { type: 'tool_use', id: 't1', name: 'get_weather', input: { city: 'Paris' } }
+            ],
+            stop_reason: 'tool_use',
+            usage: { input_tokens: 10, output_tokens: 4 }
+        }, 'claude-sonnet-4-5', 'chat', Date.now());
+        assert(response.done === true && response.done_reason === 'stop', 'done fields wrong');
+        assert(response.message.content === 'Checking' && response.message.thinking === 'Hmm', 'Message wrong');
+        assert(response.message.tool_calls[0].function.arguments.city === 'Paris', 'Tool call arguments should be an object');
+        assert(response.prompt_eval_count === 10 && response.eval_count === 4, 'Token counts wrong');
+    });
+
+    await test('Streaming emits text chunks, whole tool calls and a final done chunk', () => {
+        const state = {};
+        const events = [
+            { type: 'message_start', message: { usage: { input_tokens: 5 } } },
+            { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+            { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hi' } },
+            { type: 'content_block_stop', index: 0 },
+            { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 't1', name: 'f', input: {} } },
+            { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"x":' } },
+            { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '2}' } },
+            { type: 'content_block_stop', index: 1 },
+            { type: 'message_delta', delta: { stop_reason: 'max_tokens' }, usage: { output_tokens: 3 } },
+            { type: 'message_stop' }
+        ];
+        const chunks = events.flatMap(e => convertAnthropicStreamEventToOllama(e, 'm', 'chat', state));
+        assert(chunks.length === 3, `Expected 3 chunks, got ${chunks.length}`);
+        assert(chunks[0].message.content === 'Hi' && chunks[0].done === false, 'Text chunk wrong');
+        assert(chunks[1].message.tool_calls[0].function.arguments.x === 2, 'Tool call chunk wrong');
+        assert(chunks[2].done === true && chunks[2].done_reason === 'length', 'Final chunk wrong');
+        assert(chunks[2].eval_count === 3 && chunks[2].prompt_eval_count === 5, 'Final stats wrong');
+    });
+
+    await test('Generate streaming uses the response field', () => {
+        const chunks = convertAnthropicStreamEventToOllama(
+            { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hello' } },
+            'm', 'generate', {}
+        );
+        assert(chunks[0].response === 'Hello' && !chunks[0].message, 'Generate chunk wrong');
+    });
+
+    await test('Model list converts to /api/tags shape', () => {
+        const tags = convertModelListToOllamaTags({ data: [{ id: 'gemini-3-flash' }, { id: 'claude-opus-4-5-thinking' }] });
+        assert(tags.models.length === 2, 'Wrong model count');
+        assert(tags.models[0].name === 'gemini-3-flash:latest' && tags.models[0].details.family === 'gemini', 'Tag wrong');
+        assert(tags.models[1].details.family === 'claude', 'Family wrong');
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
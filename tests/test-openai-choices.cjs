@@ -0,0 +1,185 @@
+/**
+ * Test OpenAI Choices - Tests for n > 1 and stream_options.include_usage
+ *
+ * Verifies concurrent generations (using stub senders instead of Cloud
+ * Code), interleaving of streamed choices by index, usage aggregation and
+ * the final usage chunk including cached tokens.
+ *
+ * Run: node tests/test-openai-choices.cjs
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           OPENAI CHOICES TEST SUITE                          ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const {
+        convertUsageToOpenAI,
+        convertAnthropicChoicesToOpenAI,
+        convertAnthropicStreamEventToOpenAI,
+        createOpenAIUsageChunk
+    } = await import('../src/format/openai-converter.js');
+    const { sendMessageChoices, sendMessageStreamChoices } = await import('../src/cloudcode/choices-handler.js');
+    const { sleep } = await import('../src/utils/helpers.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    const usage = { input_tokens: 10, output_tokens: 5, cache_read_input_tokens: 90, cache_creation_input_tokens: 0 };
+    const textResponse = (text) => ({
+        id: 'msg_1', type: 'message', role: 'assistant', model: 'gemini-3-flash',
+        content: [{ type: 'text', text }], stop_reason: 'end_turn', stop_sequence: null, usage
+    });
+
+    // Anthropic stream events for one generation, with a delay before each
+    async function* streamText(text, delayMs, signal) {
+        const events = [
+            { type: 'message_start', message: { usage: { input_tokens: 10, output_tokens: 0, cache_read_input_tokens: 90 } } },
+            { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+            ...text.split('').map(char => ({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: char } })),
+            { type: 'content_block_stop', index: 0 },
+            { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: text.length, cache_read_input_tokens: 90 } },
+            { type: 'message_stop' }
+        ];
+        for (const event of events) {
+            await sleep(delayMs, signal);
+            yield event;
+        }
+    }
+
+    await test('Usage counts cached tokens in prompt_tokens and its details', () => {
+        const openaiUsage = convertUsageToOpenAI(usage);
+        assert(openaiUsage.prompt_tokens === 100 && openaiUsage.completion_tokens === 5 && openaiUsage.total_tokens === 105, JSON.stringify(openaiUsage));
+        assert(openaiUsage.prompt_tokens_details.cached_tokens === 90, 'cached_tokens missing');
+    });
+
+    await test('Non-streaming choices are indexed and usage is summed', () => {
+        const response = convertAnthropicChoicesToOpenAI([textResponse('a'), textResponse('b'), textResponse('c')], 'gemini-3-flash');
+        assert(response.choices.map(c => `${c.index}:${c.message.content}`).join(',') === '0:a,1:b,2:c', JSON.stringify(response.choices));
+        assert(response.usage.prompt_tokens === 300 && response.usage.completion_tokens === 15, JSON.stringify(response.usage));
+        assert(response.usage.prompt_tokens_details.cached_tokens === 270, 'cached_tokens not summed');
+    });
+
+    await test('sendMessageChoices runs n generations concurrently in choice order', async () => {
+        let active = 0;
+        let maxActive = 0;
+        let call = 0;
+        const responses = await sendMessageChoices({ model: 'gemini-3-flash' }, null, false, {
+            n: 3,
+            send: async () => {
+                const text = `choice${call++}`;
+                active++;
+                maxActive = Math.max(maxActive, active);
+                await sleep(20);
+                active--;
+                return textResponse(text);
+            }
+        });
+        assert(maxActive === 3, `Expected 3 concurrent generations, got ${maxActive}`);
+        assert(responses.map(r => r.content[0].text).join(',') === 'choice0,choice1,choice2', 'Responses out of order');
+    });
+
+    await test('A failed choice aborts the other generations', async () => {
+        const signals = [];
+        let error = null;
+        try {
+            await sendMessageChoices({ model: 'gemini-3-flash' }, null, false, {
+                n: 2,
+                send: async (req, accountManager, fallbackEnabled, { signal }) => {
+                    signals.push(signal);
+                    if (signals.length === 1) throw new Error('upstream failed');
+                    await sleep(5000, signal);
+                    return textResponse('late');
+                }
+            });
+        } catch (e) {
+            error = e;
+        }
+        assert(error?.message === 'upstream failed', `Unexpected error: ${error?.message}`);
+        assert(signals.every(signal => signal.aborted), 'Sibling generation was not aborted');
+    });
+
+    await test('Streamed choices are interleaved and converted per index', async () => {
+        const texts = ['slow', 'fast'];
+        const delays = [15, 5];
+        let call = 0;
+        const order = [];
+        const states = texts.map((_, choiceIndex) => ({ id: 'chatcmpl-1', fingerprint: 'fp_1', choiceIndex }));
+        const content = ['', ''];
+
+        for await (const { index, event } of sendMessageStreamChoices({ model: 'gemini-3-flash' }, null, false, {
+            n: 2,
+            stream: (req, accountManager, fallbackEnabled, { signal }) => {
+                const i = call++;
+                return streamText(texts[i], delays[i], signal);
+            }
+        })) {
+            order.push(index);
+            const chunk = convertAnthropicStreamEventToOpenAI(event, 'gemini-3-flash', states[index]);
+            if (chunk?.choices[0].delta.content) {
+                assert(chunk.choices[0].index === index, `Chunk index ${chunk.choices[0].index} for choice ${index}`);
+                content[index] += chunk.choices[0].delta.content;
+            }
+        }
+
+        assert(content[0] === 'slow' && content[1] === 'fast', JSON.stringify(content));
+        const firstSlow = order.indexOf(0);
+        const lastFast = order.lastIndexOf(1);
+        assert(firstSlow < lastFast, `Choices were not interleaved: ${order.join('')}`);
+    });
+
+    await test('include_usage moves usage to a final chunk with empty choices', async () => {
+        const states = [0, 1].map(choiceIndex => ({ id: 'chatcmpl-1', fingerprint: 'fp_1', choiceIndex, includeUsage: true }));
+        for (const state of states) {
+            for await (const event of streamText('abc', 0)) {
+                const chunk = convertAnthropicStreamEventToOpenAI(event, 'gemini-3-flash', state);
+                if (chunk?.choices[0].finish_reason) {
+                    assert(!chunk.usage, 'Finish chunk should not carry usage with include_usage');
+                }
+            }
+        }
+        const chunk = createOpenAIUsageChunk('gemini-3-flash', states);
+        assert(chunk.id === 'chatcmpl-1' && Array.isArray(chunk.choices) && chunk.choices.length === 0, JSON.stringify(chunk));
+        assert(chunk.usage.prompt_tokens === 200 && chunk.usage.completion_tokens === 6 && chunk.usage.total_tokens === 206, JSON.stringify(chunk.usage));
+        assert(chunk.usage.prompt_tokens_details.cached_tokens === 180, 'cached_tokens missing');
+    });
+
+    await test('Without include_usage the finish chunk keeps full usage', async () => {
+        const state = {};
+        let finish = null;
+        for await (const event of streamText('abc', 0)) {
+            const chunk = convertAnthropicStreamEventToOpenAI(event, 'gemini-3-flash', state);
+            if (chunk?.choices[0].finish_reason) finish = chunk;
+        }
+        assert(finish.usage.prompt_tokens === 100 && finish.usage.completion_tokens === 3, JSON.stringify(finish.usage));
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
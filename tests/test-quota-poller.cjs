@@ -0,0 +1,205 @@
+/**
+ * Test Quota Poller - Tests for background quota refresh and quota-based routing
+ *
+ * Drives QuotaPoller with a fake fetchQuota against a temporary accounts
+ * file, so no server or credentials are needed. Verifies the cached
+ * snapshot, shared polls, jitter bounds, and that routing avoids accounts
+ * below the quota threshold.
+ *
+ * Run: node tests/test-quota-poller.cjs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           QUOTA POLLER TEST SUITE                            ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { AccountManager, QuotaPoller } = await import('../src/account-manager/index.js');
+    const { isBelowQuotaThreshold } = await import('../src/account-manager/rate-limits.js');
+    const { QUOTA_THRESHOLD } = await import('../src/constants.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    const MODEL = 'claude-sonnet-4-5';
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quota-poller-'));
+    let managerCount = 0;
+
+    async function createManager(accounts) {
+        const configPath = path.join(dir, `accounts-${managerCount++}.json`);
+        fs.writeFileSync(configPath, JSON.stringify({ accounts, settings: {}, activeIndex: 0 }));
+        const manager = new AccountManager(configPath);
+        await manager.initialize();
+        // Skip OAuth; the fake fetchQuota only checks which token it gets
+        manager.getTokenForAccount = async (account) => `token-${account.email}`;
+        return manager;
+    }
+
+    function createAccounts(count) {
+        return Array.from({ length: count }, (_, i) => ({ email: `user${i}@example.com`, source: 'oauth' }));
+    }
+
+    function quotaFor(fraction) {
+        return {
+            [MODEL]: { remainingFraction: fraction, resetTime: new Date(Date.now() + 3600000).toISOString() }
+        };
+    }
+
+    await test('Snapshot holds per-account quota, subscription and status', async () => {
+        const manager = await createManager(createAccounts(3));
+        manager.markInvalid('user2@example.com', 'Token revoked');
+
+        const poller = new QuotaPoller({
+            accountManager: manager,
+            intervalMs: 0,
+            fetchQuota: async (account, token) => {
+                assert(token === `token-${account.email}`, 'Wrong token passed to fetchQuota');
+                if (account.email === 'user1@example.com') throw new Error('upstream 503');
+                return { quotas: quotaFor(0.6), subscription: { tier: 'pro', projectId: 'project-0' } };
+            }
+        });
+
+        const pending = poller.getSnapshot();
+        assert(pending.polledAt === null, 'polledAt set before polling');
+        assert(pending.accounts.every(a => a.status === 'pending'), 'Accounts not pending before polling');
+
+        await poller.ready();
+        const snapshot = poller.getSnapshot();
+        assert(snapshot.polledAt !== null, 'polledAt not set');
+        const [ok, error, invalid] = snapshot.accounts;
+
+        assert(ok.status === 'ok' && ok.models[MODEL].remainingFraction === 0.6, `ok account: ${JSON.stringify(ok)}`);
+        assert(ok.subscription.tier === 'pro' && ok.subscription.projectId === 'project-0', 'Subscription not recorded');
+        assert(error.status === 'error' && error.error === 'upstream 503' && Object.keys(error.models).length === 0, `error account: ${JSON.stringify(error)}`);
+        assert(invalid.status === 'invalid' && invalid.error === 'Token revoked', `invalid account: ${JSON.stringify(invalid)}`);
+
+        const stored = manager.getAllAccounts()[0];
+        assert(stored.quota.models[MODEL].remainingFraction === 0.6, 'Quota not stored on the account');
+    });
+
+    await test('Concurrent refreshes share one poll', async () => {
+        const manager = await createManager(createAccounts(2));
+        let calls = 0;
+        const poller = new QuotaPoller({
+            accountManager: manager,
+            intervalMs: 0,
+            fetchQuota: async () => {
+                calls++;
+                await new Promise(resolve => setTimeout(resolve, 20));
+                return { quotas: quotaFor(1) };
+            }
+        });
+
+        await Promise.all([poller.refresh(), poller.refresh(), poller.ready()]);
+        assert(calls === 2, `Expected 2 upstream calls, got ${calls}`);
+
+        await poller.ready();
+        assert(calls === 2, 'ready() polled again after the first poll');
+        await poller.refresh();
+        assert(calls === 4, 'refresh() did not poll again');
+    });
+
+    await test('Poll interval includes bounded jitter', async () => {
+        const manager = await createManager(createAccounts(1));
+        const options = { accountManager: manager, fetchQuota: async () => ({ quotas: {} }), intervalMs: 60000, jitterMs: 10000 };
+        assert(new QuotaPoller({ ...options, random: () => 0 }).getNextDelayMs() === 60000, 'Minimum delay');
+        assert(new QuotaPoller({ ...options, random: () => 0.5 }).getNextDelayMs() === 65000, 'Midpoint delay');
+        assert(new QuotaPoller({ ...options, random: () => 0.9999 }).getNextDelayMs() < 70000, 'Jitter exceeded its bound');
+    });
+
+    await test('Background polling runs on the timer and stops', async () => {
+        const manager = await createManager(createAccounts(1));
+        let calls = 0;
+        const poller = new QuotaPoller({
+            accountManager: manager,
+            intervalMs: 20,
+            jitterMs: 0,
+            fetchQuota: async () => {
+                calls++;
+                return { quotas: quotaFor(1) };
+            }
+        });
+
+        poller.start();
+        await new Promise(resolve => setTimeout(resolve, 110));
+        poller.stop();
+        const seen = calls;
+        assert(seen >= 2, `Expected repeated polls, got ${seen}`);
+
+        await new Promise(resolve => setTimeout(resolve, 60));
+        assert(calls === seen, 'Polling continued after stop()');
+    });
+
+    await test('isBelowQuotaThreshold ignores unknown, expired and disabled thresholds', () => {
+        const account = { quota: { models: quotaFor(0.02) } };
+        assert(isBelowQuotaThreshold(account, MODEL, 0.05), 'Low quota not detected');
+        assert(!isBelowQuotaThreshold(account, MODEL, 0), 'Threshold 0 should disable the check');
+        assert(!isBelowQuotaThreshold(account, 'gemini-3-flash', 0.05), 'Unknown model treated as low');
+        assert(!isBelowQuotaThreshold({}, MODEL, 0.05), 'Account without quota treated as low');
+
+        const reset = { quota: { models: { [MODEL]: { remainingFraction: 0, resetTime: new Date(Date.now() - 1000).toISOString() } } } };
+        assert(!isBelowQuotaThreshold(reset, MODEL, 0.05), 'Quota past its reset time treated as low');
+    });
+
+    await test('Routing avoids accounts below the threshold until all are low', async () => {
+        assert(QUOTA_THRESHOLD > 0, 'Default threshold disabled');
+        const manager = await createManager(createAccounts(3));
+        const fractions = { 'user0@example.com': 0, 'user1@example.com': 0.8, 'user2@example.com': 0.01 };
+        const poller = new QuotaPoller({
+            accountManager: manager,
+            intervalMs: 0,
+            fetchQuota: async (account) => ({ quotas: quotaFor(fractions[account.email]) })
+        });
+        await poller.refresh();
+
+        for (let i = 0; i < 30; i++) {
+            const account = manager.getSessionAccount(`session-${i}`, MODEL);
+            assert(account.email === 'user1@example.com', `Session ${i} routed to ${account.email}`);
+        }
+        // Other models are unaffected by this model's quota
+        const other = new Set(Array.from({ length: 30 }, (_, i) => manager.getSessionAccount(`other-${i}`, 'gemini-3-flash').email));
+        assert(other.size === 3, 'Quota threshold applied to a different model');
+
+        fractions['user1@example.com'] = 0.03;
+        await poller.refresh();
+        const fallback = new Set(Array.from({ length: 30 }, (_, i) => manager.getSessionAccount(`fallback-${i}`, MODEL).email));
+        assert(fallback.size === 3, 'Requests not spread over all accounts once every account is low');
+    });
+
+    // Let fire-and-forget saves finish before removing the directory
+    await new Promise(resolve => setTimeout(resolve, 100));
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
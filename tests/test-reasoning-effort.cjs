@@ -0,0 +1,131 @@
+/**
+ * Test Reasoning Effort - Tests for reasoning_effort to thinking budget mapping
+ *
+ * Verifies the per-model budget table, reasoning.max_tokens, the
+ * max_tokens > budget constraint and that effort "none" disables thinking
+ * all the way to the Google request.
+ *
+ * Run: node tests/test-reasoning-effort.cjs
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           REASONING EFFORT TEST SUITE                        ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { convertOpenAIToAnthropic, getThinkingBudget } = await import('../src/format/openai-converter.js');
+    const { convertAnthropicToGoogle } = await import('../src/format/request-converter.js');
+    const { REASONING_BUDGETS, MIN_THINKING_BUDGET } = await import('../src/constants.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    const convert = (fields, model = 'claude-sonnet-4-5-thinking') => convertOpenAIToAnthropic({
+        model,
+        messages: [{ role: 'user', content: 'hi' }],
+        ...fields
+    });
+
+    await test('Efforts map to the default table; no effort means medium', () => {
+        for (const effort of ['low', 'medium', 'high']) {
+            const budget = convert({ reasoning_effort: effort }).thinking.budget_tokens;
+            assert(budget === REASONING_BUDGETS.default[effort], `${effort}: ${budget}`);
+        }
+        assert(convert({}).thinking.budget_tokens === REASONING_BUDGETS.default.medium, 'Default budget wrong');
+        assert(convert({ reasoning: { effort: 'high' } }).thinking.budget_tokens === REASONING_BUDGETS.default.high, 'reasoning.effort ignored');
+    });
+
+    await test('Models without an entry use the default table', () => {
+        assert(getThinkingBudget('gemini-3-pro-high', 'high') === REASONING_BUDGETS.default.high, 'Default not used');
+        assert(getThinkingBudget('gemini-3-pro-high', 'minimal') === REASONING_BUDGETS.default.low, 'minimal should map to low');
+    });
+
+    await test('reasoning.max_tokens sets the budget directly', () => {
+        assert(convert({ reasoning: { max_tokens: 5000 } }).thinking.budget_tokens === 5000, 'Explicit budget ignored');
+    });
+
+    await test('Budget stays below an explicit max_tokens', () => {
+        const request = convert({ reasoning_effort: 'high', max_tokens: 8000 });
+        assert(request.thinking.budget_tokens < request.max_tokens, JSON.stringify(request.thinking));
+        const tiny = convert({ reasoning_effort: 'high', max_tokens: 500 });
+        assert(tiny.thinking.budget_tokens === MIN_THINKING_BUDGET, 'Budget below the minimum');
+        const google = convertAnthropicToGoogle(tiny).generationConfig;
+        assert(google.maxOutputTokens > google.thinkingConfig.thinking_budget, 'request-converter did not raise max_tokens');
+    });
+
+    await test('Effort none disables thinking upstream', () => {
+        const claude = convert({ reasoning_effort: 'none' });
+        assert(claude.thinking.type === 'disabled', JSON.stringify(claude.thinking));
+        assert(!convertAnthropicToGoogle(claude).generationConfig.thinkingConfig, 'Claude thinkingConfig still sent');
+        const gemini = convert({ reasoning_effort: 'none' }, 'gemini-3-flash');
+        assert(!convertAnthropicToGoogle(gemini).generationConfig.thinkingConfig, 'Gemini thinkingConfig still sent');
+    });
+
+    await test('Non-thinking models are unaffected by effort', () => {
+        assert(!convert({ reasoning_effort: 'high' }, 'claude-sonnet-4-5').thinking, 'Thinking enabled for a non-thinking model');
+        assert(!convert({ reasoning_effort: 'high' }, 'gemini-2.5-flash').thinking, 'Thinking enabled for gemini-2.5-flash');
+    });
+
+    await test('Config entries match by longest prefix and keep the built-in efforts they omit', () => {
+        const { execFileSync } = require('child_process');
+        const fs = require('fs');
+        const os = require('os');
+        const path = require('path');
+
+        // config.js reads ~/.config/antigravity-proxy/config.json when the module loads
+        const home = fs.mkdtempSync(path.join(os.tmpdir(), 'reasoning-budgets-'));
+        try {
+            const configDir = path.join(home, '.config', 'antigravity-proxy');
+            fs.mkdirSync(configDir, { recursive: true });
+            fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({
+                reasoningBudgets: {
+                    default: { high: 48000 },
+                    'claude-opus': { low: 2000 },
+                    'claude-opus-4-5': { low: 3000 }
+                }
+            }));
+            // Budgets are checked through convertOpenAIToAnthropic, as the handlers use them
+            const script = `import('${path.join(__dirname, '..', 'src', 'format', 'openai-converter.js').replace(/\\/g, '/')}')
+                .then(({ convertOpenAIToAnthropic }) => console.log(JSON.stringify(
+                    [['claude-opus-4-5-thinking', 'low'], ['claude-opus-4-1-thinking', 'low'], ['claude-opus-4-5-thinking', 'medium'], ['claude-opus-4-5-thinking', 'high']]
+                        .map(([model, effort]) => convertOpenAIToAnthropic({ model, messages: [{ role: 'user', content: 'hi' }], reasoning_effort: effort }).thinking.budget_tokens))))`;
+            const output = execFileSync(process.execPath, ['-e', script], { cwd: home, env: { ...process.env, HOME: home, USERPROFILE: home } });
+            const [longest, shorter, medium, high] = JSON.parse(output.toString().trim().split('\n').pop());
+            assert(longest === 3000, `Longest prefix low: ${longest}`);
+            assert(shorter === 2000, `Shorter prefix low: ${shorter}`);
+            assert(medium === REASONING_BUDGETS.default.medium, `Built-in medium lost: ${medium}`);
+            assert(high === 48000, `Config default high: ${high}`);
+        } finally {
+            fs.rmSync(home, { recursive: true, force: true });
+        }
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,158 @@
+/**
+ * Test Reasoning Output - Tests for exposing thinking to OpenAI clients
+ *
+ * Verifies the off, reasoning_content and think_tags modes for both
+ * convertAnthropicToOpenAI and the streaming converter, and that think
+ * tags echoed back in assistant history are stripped, and that the Cursor
+ * settings route validates a request before applying any of it.
+ *
+ * Run: node tests/test-reasoning-output.cjs
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           REASONING OUTPUT TEST SUITE                        ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const {
+        convertAnthropicToOpenAI,
+        convertAnthropicStreamEventToOpenAI,
+        convertOpenAIToAnthropic
+    } = await import('../src/format/openai-converter.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    const response = {
+        content: [
+            { type: 'thinking', thinking: 'Let me think.', signature: 'sig' },
+            { type: 'text', text: 'Answer' }
+        ],
+        stop_reason: 'end_turn',
+        usage: { input_tokens: 1, output_tokens: 2 }
+    };
+
+    const streamEvents = [
+        { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Let me ' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'think.' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'signature_delta', signature: 'sig' } },
+        { type: 'content_block_stop', index: 0 },
+        { type: 'content_block_start', index: 1, content_block: { type: 'text', text: '' } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'Answer' } },
+        { type: 'content_block_stop', index: 1 }
+    ];
+
+    function stream(reasoningOutput) {
+        const state = { reasoningOutput };
+        const deltas = streamEvents
+            .map(event => convertAnthropicStreamEventToOpenAI(event, 'claude-sonnet-4-5-thinking', state))
+            .filter(Boolean)
+            .map(chunk => chunk.choices[0].delta);
+        return {
+            content: deltas.map(d => d.content || '').join(''),
+            reasoning: deltas.map(d => d.reasoning_content || '').join('')
+        };
+    }
+
+    await test('Default mode drops thinking (non-streaming)', () => {
+        const message = convertAnthropicToOpenAI(response, 'm').choices[0].message;
+        assert(message.content === 'Answer' && !('reasoning_content' in message), JSON.stringify(message));
+    });
+
+    await test('reasoning_content mode adds the field (non-streaming)', () => {
+        const message = convertAnthropicToOpenAI(response, 'm', false, { reasoningOutput: 'reasoning_content' }).choices[0].message;
+        assert(message.reasoning_content === 'Let me think.' && message.content === 'Answer', JSON.stringify(message));
+    });
+
+    await test('think_tags mode prefixes content (non-streaming)', () => {
+        const message = convertAnthropicToOpenAI(response, 'm', false, { reasoningOutput: 'think_tags' }).choices[0].message;
+        assert(message.content === '<think>\nLet me think.\n</think>\n\nAnswer', JSON.stringify(message.content));
+    });
+
+    await test('Streaming honours each mode', () => {
+        const off = stream('off');
+        assert(off.content === 'Answer' && off.reasoning === '', JSON.stringify(off));
+        const reasoning = stream('reasoning_content');
+        assert(reasoning.content === 'Answer' && reasoning.reasoning === 'Let me think.', JSON.stringify(reasoning));
+        const tags = stream('think_tags');
+        assert(tags.content === '<think>\nLet me think.\n</think>\n\nAnswer' && tags.reasoning === '', JSON.stringify(tags));
+    });
+
+    await test('Unknown modes fall back to off', () => {
+        assert(stream('verbose').content === 'Answer', 'Unknown mode leaked thinking');
+    });
+
+    await test('Think tags in assistant history are stripped', () => {
+        const request = convertOpenAIToAnthropic({
+            model: 'claude-sonnet-4-5',
+            messages: [
+                { role: 'user', content: 'Q' },
+                { role: 'assistant', content: '<think>\nLet me think.\n</think>\n\nAnswer' },
+                { role: 'user', content: '<think>user text is untouched</think>' }
+            ]
+        });
+        assert(request.messages[1].content === 'Answer', JSON.stringify(request.messages[1].content));
+        assert(request.messages[2].content.startsWith('<think>'), 'User content was modified');
+    });
+
+    await test('Cursor settings reject an invalid mode without applying other fields', async () => {
+        const express = require('express');
+        const path = require('path');
+        const { mountWebUI } = await import('../src/webui/index.js');
+        const { getServerState, updateServerState } = await import('../src/state.js');
+
+        const app = express();
+        app.use(express.json());
+        mountWebUI(app, path.join(__dirname, '..', 'src'), {});
+        const server = await new Promise(resolve => {
+            const s = app.listen(0, '127.0.0.1', () => resolve(s));
+        });
+        const before = getServerState().enable1MContext;
+        const post = (body) => fetch(`http://127.0.0.1:${server.address().port}/api/cursor/settings`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        try {
+            updateServerState({ enable1MContext: false });
+            const invalidMode = await post({ enable1MContext: true, reasoningOutput: 'shout' });
+            assert(invalidMode.status === 400, `Status: ${invalidMode.status}`);
+            assert(getServerState().enable1MContext === false, '1M context applied despite the invalid mode');
+            assert((await post({ enable1MContext: 'yes' })).status === 400, 'Non-boolean enable1MContext accepted');
+        } finally {
+            updateServerState({ enable1MContext: before });
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
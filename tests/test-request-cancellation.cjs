@@ -0,0 +1,228 @@
+/**
+ * Test Request Cancellation - Tests for aborting upstream work on client disconnect
+ *
+ * Verifies that an aborted signal interrupts sleeps and SSE reads, and that
+ * sendMessage/sendMessageStream and the native Gemini handler stop
+ * immediately without retrying or switching accounts (using a stub fetch
+ * and account manager).
+ *
+ * Run: node tests/test-request-cancellation.cjs
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           REQUEST CANCELLATION TEST SUITE                    ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { sleep } = await import('../src/utils/helpers.js');
+    const { RequestCancelledError, isCancelledError } = await import('../src/errors.js');
+    const { streamSSEResponse } = await import('../src/cloudcode/sse-streamer.js');
+    const { sendMessage } = await import('../src/cloudcode/message-handler.js');
+    const { sendMessageStream } = await import('../src/cloudcode/streaming-handler.js');
+    const { generateContent, streamGenerateContent } = await import('../src/cloudcode/native-handler.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    async function expectCancelled(promise) {
+        try {
+            await promise;
+        } catch (e) {
+            assert(isCancelledError(e), `Expected a cancellation, got: ${e.message}`);
+            return;
+        }
+        throw new Error('Expected the request to be cancelled');
+    }
+
+    // Account manager stub that records failover attempts
+    function createAccountManager() {
+        const account = { email: 'a@example.com' };
+        const calls = { markRateLimited: 0, moveSession: 0, acquireSlot: 0, releaseSlot: 0, endProbe: 0 };
+        return {
+            calls,
+            getAccountCount: () => 2,
+            clearExpiredLimits: () => {},
+            getAvailableAccounts: () => [account],
+            isAllRateLimited: () => false,
+            getSessionAccount: () => account,
+            moveSession: () => { calls.moveSession++; return account; },
+            acquireSlot: async () => { calls.acquireSlot++; return () => { calls.releaseSlot++; }; },
+            endProbe: () => { calls.endProbe++; },
+            recordOutcome: () => {},
+            getTokenForAccount: async () => 'token',
+            getProjectForAccount: async () => 'project',
+            markRateLimited: () => { calls.markRateLimited++; },
+            markInvalid: () => {}
+        };
+    }
+
+    // fetch stub that hangs until the request's signal aborts, like a slow upstream
+    function installHangingFetch() {
+        const original = globalThis.fetch;
+        const stub = { count: 0 };
+        globalThis.fetch = (url, init) => {
+            stub.count++;
+            return new Promise((_, reject) => {
+                init.signal.addEventListener('abort', () => {
+                    const error = new Error('This operation was aborted');
+                    error.name = 'AbortError';
+                    reject(error);
+                }, { once: true });
+            });
+        };
+        stub.restore = () => { globalThis.fetch = original; };
+        return stub;
+    }
+
+    const request = {
+        model: 'claude-sonnet-4-5',
+        messages: [{ role: 'user', content: 'hi' }],
+        max_tokens: 100
+    };
+    const nativeRequest = { contents: [{ role: 'user', parts: [{ text: 'hi' }] }] };
+
+    await test('isCancelledError matches RequestCancelledError and fetch AbortError', () => {
+        assert(isCancelledError(new RequestCancelledError()), 'RequestCancelledError not matched');
+        const abortError = new Error('aborted');
+        abortError.name = 'AbortError';
+        assert(isCancelledError(abortError), 'AbortError not matched');
+        assert(!isCancelledError(new Error('RESOURCE_EXHAUSTED')), 'Unrelated error matched');
+    });
+
+    await test('sleep rejects as soon as the signal aborts', async () => {
+        const controller = new AbortController();
+        const start = Date.now();
+        setTimeout(() => controller.abort(), 20);
+        await expectCancelled(sleep(5000, controller.signal));
+        assert(Date.now() - start < 1000, 'sleep was not interrupted');
+    });
+
+    await test('streamSSEResponse stops reading when the signal aborts', async () => {
+        const encoder = new TextEncoder();
+        let cancelled = false;
+        const body = new ReadableStream({
+            start(controller) {
+                const data = { response: { candidates: [{ content: { parts: [{ text: 'Hello' }] } }] } };
+                controller.enqueue(encoder.encode(`data: ${JSON.stringify(data)}\n\n`));
+                // Never closes - the upstream keeps generating
+            },
+            cancel() { cancelled = true; }
+        });
+        const controller = new AbortController();
+        const events = [];
+        const consume = (async () => {
+            for await (const event of streamSSEResponse(new Response(body), 'gemini-3-flash', { signal: controller.signal })) {
+                events.push(event);
+                if (event.type === 'content_block_delta') controller.abort();
+            }
+        })();
+        await expectCancelled(consume);
+        assert(events.some(e => e.type === 'content_block_delta'), 'No events before the abort');
+        assert(cancelled, 'Upstream body was not cancelled');
+    });
+
+    await test('sendMessage aborts the in-flight fetch without failover', async () => {
+        const fetchStub = installHangingFetch();
+        const accountManager = createAccountManager();
+        const controller = new AbortController();
+        try {
+            setTimeout(() => controller.abort(), 20);
+            await expectCancelled(sendMessage(request, accountManager, true, { signal: controller.signal }));
+            assert(fetchStub.count === 1, `Expected 1 fetch, got ${fetchStub.count}`);
+            assert(accountManager.calls.moveSession === 0 && accountManager.calls.markRateLimited === 0, 'Account failover was attempted');
+            assert(accountManager.calls.releaseSlot === accountManager.calls.acquireSlot, 'Concurrency slot not released');
+            assert(accountManager.calls.endProbe === accountManager.calls.acquireSlot, 'Half-open probe not ended');
+        } finally {
+            fetchStub.restore();
+        }
+    });
+
+    await test('sendMessageStream with an aborted signal never calls upstream', async () => {
+        const fetchStub = installHangingFetch();
+        const controller = new AbortController();
+        controller.abort();
+        try {
+            await expectCancelled((async () => {
+                for await (const _event of sendMessageStream(request, createAccountManager(), false, { signal: controller.signal })) {
+                    // Nothing should be yielded
+                }
+            })());
+            assert(fetchStub.count === 0, `Expected no fetch, got ${fetchStub.count}`);
+        } finally {
+            fetchStub.restore();
+        }
+    });
+
+    await test('Native generateContent aborts the in-flight fetch without failover', async () => {
+        const fetchStub = installHangingFetch();
+        const accountManager = createAccountManager();
+        const controller = new AbortController();
+        try {
+            setTimeout(() => controller.abort(), 20);
+            await expectCancelled(generateContent('gemini-3-flash', nativeRequest, accountManager, true, { signal: controller.signal }));
+            assert(fetchStub.count === 1, `Expected 1 fetch, got ${fetchStub.count}`);
+            assert(accountManager.calls.moveSession === 0 && accountManager.calls.markRateLimited === 0, 'Account failover was attempted');
+            assert(accountManager.calls.releaseSlot === accountManager.calls.acquireSlot, 'Concurrency slot not released');
+        } finally {
+            fetchStub.restore();
+        }
+    });
+
+    await test('Native streams stop reading when the signal aborts', async () => {
+        const originalFetch = globalThis.fetch;
+        let cancelled = false;
+        globalThis.fetch = async () => new Response(new ReadableStream({
+            start(streamController) {
+                streamController.enqueue(new TextEncoder().encode(`data: ${JSON.stringify({
+                    response: { candidates: [{ content: { parts: [{ text: 'hi' }] } }] }
+                })}\n\n`));
+            },
+            cancel() { cancelled = true; }
+        }));
+        const accountManager = createAccountManager();
+        const controller = new AbortController();
+        const chunks = [];
+        try {
+            await expectCancelled((async () => {
+                for await (const chunk of streamGenerateContent('gemini-3-flash', nativeRequest, accountManager, false, { signal: controller.signal })) {
+                    chunks.push(chunk);
+                    controller.abort();
+                }
+            })());
+            assert(chunks.length === 1, `Expected 1 chunk before the abort, got ${chunks.length}`);
+            assert(cancelled, 'Upstream body was not cancelled');
+            assert(accountManager.calls.releaseSlot === accountManager.calls.acquireSlot, 'Concurrency slot not released');
+        } finally {
+            globalThis.fetch = originalFetch;
+        }
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
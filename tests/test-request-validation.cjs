@@ -0,0 +1,143 @@
+/**
+ * Test Request Validation - Tests for Anthropic Messages request validation
+ *
+ * Verifies that malformed requests are rejected with the JSON path of the
+ * offending field and that every supported field is forwarded.
+ *
+ * Run: node tests/test-request-validation.cjs
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           REQUEST VALIDATION TEST SUITE                      ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const {
+        validateAnthropicRequest,
+        pickAnthropicRequestFields,
+        ANTHROPIC_REQUEST_FIELDS
+    } = await import('../src/format/request-validator.js');
+    const { validateBatchRequests } = await import('../src/batches/index.js');
+    const { convertAnthropicToGoogle } = await import('../src/format/request-converter.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    function expectError(body, expected) {
+        const error = validateAnthropicRequest(body);
+        assert(error === expected, `Expected "${expected}", got "${error}"`);
+    }
+
+    const conversation = [
+        { role: 'user', content: 'Read the file' },
+        { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'read', input: { path: 'a.txt' } }] },
+        {
+            role: 'user',
+            content: [
+                { type: 'tool_result', tool_use_id: 'toolu_1', content: [{ type: 'text', text: 'hello' }] },
+                { type: 'text', text: 'Summarize it', cache_control: { type: 'ephemeral' } }
+            ]
+        }
+    ];
+
+    const validRequest = {
+        model: 'claude-sonnet-4-5',
+        max_tokens: 1024,
+        messages: conversation,
+        system: [{ type: 'text', text: 'Be brief.', cache_control: { type: 'ephemeral', ttl: '1h' } }],
+        stop_sequences: ['END'],
+        temperature: 0.5,
+        tools: [{ name: 'read', description: 'Read a file', input_schema: { type: 'object' } }],
+        tool_choice: { type: 'auto', disable_parallel_tool_use: true },
+        thinking: { type: 'disabled' },
+        metadata: { user_id: 'user-1' }
+    };
+
+    await test('A complete valid request passes', () => {
+        assert(validateAnthropicRequest(validRequest) === null, validateAnthropicRequest(validRequest));
+        assert(validateAnthropicRequest({ messages: [{ role: 'user', content: 'hi' }] }) === null, 'Minimal request rejected');
+    });
+
+    await test('Errors name the JSON path of nested content blocks', () => {
+        const messages = structuredClone(conversation);
+        delete messages[2].content[0].tool_use_id;
+        expectError({ messages }, 'messages.2.content.0.tool_use_id missing');
+
+        const badInput = structuredClone(conversation);
+        badInput[1].content[0].input = 'path=a.txt';
+        expectError({ messages: badInput }, 'messages.1.content.0.input must be an object');
+
+        expectError({ messages: [{ role: 'user', content: [{ type: 'image', source: { type: 'base64', data: 'AAAA' } }] }] },
+            'messages.0.content.0.source.media_type missing');
+        expectError({ messages: [{ role: 'user', content: [{ type: 'tool_result', tool_use_id: 't', content: [{ type: 'tool_use' }] }] }] },
+            'messages.0.content.0.content.0.type must be one of text, image, document, search_result');
+    });
+
+    await test('Messages, roles and top-level fields are checked', () => {
+        expectError({}, 'messages missing');
+        expectError({ messages: [] }, 'messages must contain at least one message');
+        expectError({ messages: [{ role: 'system', content: 'x' }] }, 'messages.0.role must be one of user, assistant');
+        expectError({ messages: [{ role: 'user' }] }, 'messages.0.content missing');
+        expectError({ ...validRequest, max_tokens: 0 }, 'max_tokens must be a positive integer');
+        expectError({ ...validRequest, stop_sequences: 'END' }, 'stop_sequences must be an array of strings');
+        expectError({ ...validRequest, top_p: 2 }, 'top_p must be a number between 0 and 1');
+        expectError({ ...validRequest, system: [{ type: 'text', text: 'x', cache_control: { type: 'persistent' } }] },
+            'system.0.cache_control.type must be "ephemeral"');
+        expectError({ ...validRequest, metadata: { user_id: 7 } }, 'metadata.user_id must be a string');
+    });
+
+    await test('Tools, tool_choice, thinking and output_format are checked', () => {
+        expectError({ ...validRequest, tools: [{ name: 'read' }] }, 'tools.0.input_schema missing');
+        assert(validateAnthropicRequest({ ...validRequest, tools: [{ type: 'web_search_20250305', name: 'web_search' }] }) === null,
+            'Server tool rejected');
+        expectError({ ...validRequest, tool_choice: { type: 'tool' } }, 'tool_choice.name missing');
+        expectError({ ...validRequest, thinking: { type: 'enabled', budget_tokens: '8k' } }, 'thinking.budget_tokens must be a positive integer');
+        expectError({ ...validRequest, output_format: { type: 'json_schema' } }, 'output_format.schema missing');
+    });
+
+    await test('Every supported field is forwarded and reaches the Google request', () => {
+        const request = pickAnthropicRequestFields({ ...validRequest, unknown_field: true });
+        for (const field of Object.keys(validRequest)) {
+            assert(field in request, `${field} was dropped`);
+        }
+        assert(!('unknown_field' in request), 'Unknown field forwarded');
+        assert(ANTHROPIC_REQUEST_FIELDS.includes('output_format'), 'output_format not supported');
+        const google = convertAnthropicToGoogle(request);
+        assert(google.generationConfig.stopSequences[0] === 'END', 'stop_sequences not applied');
+        assert(google.systemInstruction.parts[0].text === 'Be brief.', 'system blocks with cache_control dropped');
+    });
+
+    await test('Batch requests reuse the validator with a prefixed path', () => {
+        const error = validateBatchRequests([{ custom_id: 'a', params: { messages: [{ role: 'user', content: [{ type: 'text' }] }] } }]);
+        assert(error === 'requests.0.params.messages.0.content.0.text missing', error);
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
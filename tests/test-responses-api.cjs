@@ -0,0 +1,237 @@
+/**
+ * Test Responses API - Tests for the OpenAI Responses API converter
+ *
+ * Verifies input conversion to Anthropic format, previous_response_id
+ * chaining and its persisted store, output items (reasoning, message,
+ * function_call) and the semantic streaming events.
+ *
+ * Run: node tests/test-responses-api.cjs
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           RESPONSES API TEST SUITE                           ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const {
+        convertResponsesToAnthropic,
+        convertAnthropicToResponses,
+        convertAnthropicStreamEventToResponses
+    } = await import('../src/format/responses-converter.js');
+    const { ResponseStore } = await import('../src/modules/response-store.js');
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    const context = { id: 'resp_test', model: 'claude-sonnet-4-5', createdAt: 0, request: {} };
+
+    await test('String input and instructions become user message and system prompt', () => {
+        const result = convertResponsesToAnthropic({
+            model: 'claude-sonnet-4-5',
+            instructions: 'Be brief.',
+            input: 'Hello'
+        });
+        assert(result.system === 'Be brief.', `Unexpected system: ${JSON.stringify(result.system)}`);
+        assert(result.messages.length === 1 && result.messages[0].role === 'user', 'Expected one user message');
+        assert(result.max_tokens === 4096, `Expected default max_tokens, got ${result.max_tokens}`);
+    });
+
+    await test('Function call items map to tool_use and tool_result', () => {
+        const result = convertResponsesToAnthropic({
+            model: 'claude-sonnet-4-5',
+            max_output_tokens: 1000,
+            input: [
+                { role: 'user', content: [{ type: 'input_text', text: 'Weather in Paris?' }] },
+                { type: 'function_call', call_id: 'call_1', name: 'get_weather', arguments: '{"city":"Paris"}' },
+                { type: 'function_call_output', call_id: 'call_1', output: 'Sunny' }
+            ],
+            tools: [
+                { type: 'function', name: 'get_weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } },
+                { type: 'web_search' }
+            ]
+        });
+        assert(result.messages.length === 3, `Expected 3 messages, got ${result.messages.length}`);
+        const toolUse = result.messages[1].content.find(b => b.type === 'tool_use');
+        assert(toolUse && toolUse.id === 'call_1' && toolUse.input.city === 'Paris', 'tool_use not converted');
+        const toolResult = result.messages[2].content[0];
+        assert(toolResult.type === 'tool_result' && toolResult.tool_use_id === 'call_1', 'tool_result not converted');
+        assert(result.tools.length === 1 && result.tools[0].name === 'get_weather', 'Only function tools should be kept');
+        assert(result.max_tokens === 1000, 'max_output_tokens not mapped');
+    });
+
+    await test('Input images map to Anthropic image blocks', () => {
+        const result = convertResponsesToAnthropic({
+            model: 'claude-sonnet-4-5',
+            input: [{
+                role: 'user',
+                content: [
+                    { type: 'input_text', text: 'What is this?' },
+                    { type: 'input_image', image_url: 'data:image/png;base64,AAAA' }
+                ]
+            }]
+        });
+        const image = result.messages[0].content.find(b => b.type === 'image');
+        assert(image && image.source.type === 'base64' && image.source.data === 'AAAA', 'Image not converted');
+    });
+
+    await test('previous_response_id prepends the stored conversation', () => {
+        const store = new ResponseStore(':memory:');
+        const stored = [
+            { role: 'user', content: 'Hi' },
+            { role: 'assistant', content: [{ type: 'thinking', thinking: 'hmm', signature: 's'.repeat(60) }, { type: 'text', text: 'Hello' }] }
+        ];
+        store.saveResponse('resp_prev', { response: { id: 'resp_prev' }, messages: stored });
+        const previous = store.getResponse('resp_prev');
+        const result = convertResponsesToAnthropic({ model: 'claude-sonnet-4-5', input: 'And again?' }, previous);
+        assert(result.messages.length === 3, `Expected 3 messages, got ${result.messages.length}`);
+        assert(result.messages[1].content[0].signature === 's'.repeat(60), 'Thinking signature lost');
+        assert(store.deleteResponse('resp_prev') && !store.getResponse('resp_prev'), 'Delete failed');
+        store.close();
+    });
+
+    await test('Stored responses survive reopening the database', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'response-store-'));
+        try {
+            const dbPath = path.join(dir, 'responses.db');
+            const first = new ResponseStore(dbPath);
+            first.saveResponse('resp_kept', { response: { id: 'resp_kept' }, messages: [{ role: 'user', content: 'Hi' }] });
+            first.close();
+
+            const reopened = new ResponseStore(dbPath);
+            const entry = reopened.getResponse('resp_kept');
+            reopened.close();
+            assert(entry?.response.id === 'resp_kept' && entry.messages[0].content === 'Hi', `Entry lost: ${JSON.stringify(entry)}`);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    await test('The oldest responses are evicted by entry count and size', () => {
+        const entry = (text) => ({ response: { id: 'r' }, messages: [{ role: 'user', content: text }] });
+        const counted = new ResponseStore(':memory:', { maxEntries: 2 });
+        ['resp_1', 'resp_2', 'resp_3'].forEach(id => counted.saveResponse(id, entry(id)));
+        assert(!counted.getResponse('resp_1') && counted.getResponse('resp_2') && counted.getResponse('resp_3'), 'Entry cap not applied');
+        counted.close();
+
+        const size = Buffer.byteLength(JSON.stringify(entry('x'.repeat(1000))));
+        const sized = new ResponseStore(':memory:', { maxBytes: size * 2 + 10 });
+        ['a', 'b', 'c'].forEach(c => sized.saveResponse(`resp_${c}`, entry(c.repeat(1000))));
+        assert(!sized.getResponse('resp_a') && sized.getResponse('resp_b') && sized.getResponse('resp_c'), 'Byte cap not applied');
+        assert(sized.saveResponse('resp_big', entry('x'.repeat(size * 3))) === false && !sized.getResponse('resp_big'), 'Oversized entry stored');
+        assert(sized.getResponse('resp_c'), 'Oversized entry evicted others');
+        sized.close();
+    });
+
+    await test('Expired responses are not returned', () => {
+        const store = new ResponseStore(':memory:', { ttlMs: -1 });
+        store.saveResponse('resp_old', { response: { id: 'resp_old' }, messages: [] });
+        assert(store.getResponse('resp_old') === null, 'Expired entry returned');
+        store.close();
+    });
+
+    await test('Non-streaming output has reasoning, message and function_call items', () => {
+        const response = convertAnthropicToResponses({
+            content: [
+                { type: 'thinking', thinking: 'Considering', signature: 'sig' },
+                { type: 'text', text: 'Let me check.' },
+                { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }
+            ],
+            stop_reason: 'tool_use',
+            usage: { input_tokens: 10, output_tokens: 5, cache_read_input_tokens: 4 }
+        }, context);
+        const types = response.output.map(item => item.type);
+        assert(types.join(',') === 'reasoning,message,function_call', `Unexpected output: ${types}`);
+        assert(response.output[0].summary[0].text === 'Considering', 'Reasoning summary missing');
+        assert(response.output[2].call_id === 'toolu_1' && response.output[2].arguments === '{"city":"Paris"}', 'Function call wrong');
+        assert(response.status === 'completed', `Unexpected status ${response.status}`);
+        assert(response.usage.input_tokens === 14 && response.usage.input_tokens_details.cached_tokens === 4, 'Usage wrong');
+    });
+
+    await test('max_tokens stop reason marks the response incomplete', () => {
+        const response = convertAnthropicToResponses({
+            content: [{ type: 'text', text: 'Partial' }],
+            stop_reason: 'max_tokens',
+            usage: {}
+        }, context);
+        assert(response.status === 'incomplete', `Unexpected status ${response.status}`);
+        assert(response.incomplete_details.reason === 'max_output_tokens', 'incomplete_details missing');
+    });
+
+    await test('Streaming emits semantic events and accumulates content', () => {
+        const state = {};
+        const anthropicEvents = [
+            { type: 'message_start', message: { usage: { input_tokens: 10 } } },
+            { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } },
+            { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Hmm' } },
+            { type: 'content_block_delta', index: 0, delta: { type: 'signature_delta', signature: 'sig123' } },
+            { type: 'content_block_stop', index: 0 },
+            { type: 'content_block_start', index: 1, content_block: { type: 'text', text: '' } },
+            { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'Hel' } },
+            { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'lo' } },
+            { type: 'content_block_stop', index: 1 },
+            { type: 'content_block_start', index: 2, content_block: { type: 'tool_use', id: 'toolu_1', name: 'f', input: {} } },
+            { type: 'content_block_delta', index: 2, delta: { type: 'input_json_delta', partial_json: '{"a":' } },
+            { type: 'content_block_delta', index: 2, delta: { type: 'input_json_delta', partial_json: '1}' } },
+            { type: 'content_block_stop', index: 2 },
+            { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 7 } },
+            { type: 'message_stop' }
+        ];
+        const events = anthropicEvents.flatMap(e => convertAnthropicStreamEventToResponses(e, context, state));
+        const types = events.map(e => e.type);
+
+        for (const expected of [
+            'response.reasoning_summary_text.delta',
+            'response.output_text.delta',
+            'response.output_text.done',
+            'response.function_call_arguments.delta',
+            'response.function_call_arguments.done',
+            'response.completed'
+        ]) {
+            assert(types.includes(expected), `Missing event ${expected}`);
+        }
+
+        const sequence = events.map(e => e.sequence_number);
+        assert(sequence.every((n, i) => i === 0 || n === sequence[i - 1] + 1), 'sequence_number not monotonic');
+
+        const completed = events[events.length - 1].response;
+        assert(completed.output.length === 3, `Expected 3 output items, got ${completed.output.length}`);
+        assert(completed.output[1].content[0].text === 'Hello', 'Streamed text not assembled');
+        assert(completed.output[2].arguments === '{"a":1}', 'Streamed arguments not assembled');
+        assert(completed.usage.output_tokens === 7, 'Usage not carried over');
+
+        assert(state.content[0].signature === 'sig123', 'Thinking signature not accumulated');
+        assert(state.content[2].input.a === 1, 'Tool input not parsed');
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
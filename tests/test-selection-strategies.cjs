@@ -0,0 +1,204 @@
+/**
+ * Test Selection Strategies - Tests for pluggable account selection
+ *
+ * Runs each built-in strategy on synthetic account arrays with a seeded
+ * random source, then checks that AccountManager follows the configured
+ * strategy and picks up changes at runtime.
+ *
+ * Run: node tests/test-selection-strategies.cjs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           SELECTION STRATEGIES TEST SUITE                    ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { getSelectionStrategy, listSelectionStrategies, registerSelectionStrategy } = await import('../src/account-manager/strategies.js');
+    const { AccountManager } = await import('../src/account-manager/index.js');
+    const { config } = await import('../src/config.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    const MODEL = 'claude-sonnet-4-5';
+
+    function createAccounts(count, extra = () => ({})) {
+        return Array.from({ length: count }, (_, i) => ({ email: `user${i}@example.com`, lastUsed: null, ...extra(i) }));
+    }
+
+    // Deterministic [0, 1) generator (mulberry32)
+    function seededRandom(seed) {
+        return () => {
+            seed = (seed + 0x6D2B79F5) | 0;
+            let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function select(name, candidates, context = {}) {
+        return getSelectionStrategy(name).select(candidates, {
+            accounts: candidates,
+            modelId: MODEL,
+            sessionId: 'session',
+            sessions: new Map(),
+            state: {},
+            random: Math.random,
+            ...context
+        });
+    }
+
+    function tally(name, candidates, runs, context) {
+        const counts = Object.fromEntries(candidates.map(acc => [acc.email, 0]));
+        for (let i = 0; i < runs; i++) {
+            counts[select(name, candidates, context).email]++;
+        }
+        return counts;
+    }
+
+    await test('All built-in strategies are registered', () => {
+        const names = listSelectionStrategies().map(s => s.name);
+        for (const name of ['sticky', 'round-robin', 'least-recently-used', 'weighted', 'quota-aware', 'random']) {
+            assert(names.includes(name), `Missing ${name}`);
+        }
+        assert(listSelectionStrategies().every(s => s.description), 'Strategy without description');
+    });
+
+    await test('sticky keeps a session on its account and spreads sessions', () => {
+        const accounts = createAccounts(3);
+        const sessions = new Map();
+        const first = select('sticky', accounts, { sessions, sessionId: 'conversation-1' });
+        assert(select('sticky', accounts, { sessions, sessionId: 'conversation-1' }) === first, 'Session changed account');
+
+        const used = new Set();
+        for (let i = 0; i < 30; i++) {
+            used.add(select('sticky', accounts, { sessions, sessionId: `conversation-${i}` }).email);
+        }
+        assert(used.size === 3, `Sessions only used ${used.size} account(s)`);
+
+        const remaining = accounts.filter(acc => acc !== first);
+        const moved = select('sticky', remaining, { sessions, sessionId: 'conversation-1' });
+        assert(moved !== first && remaining.includes(moved), 'Session not moved off an unavailable account');
+    });
+
+    await test('round-robin rotates in config order and skips unavailable accounts', () => {
+        const accounts = createAccounts(4);
+        const state = {};
+        const order = [];
+        for (let i = 0; i < 5; i++) {
+            order.push(select('round-robin', accounts, { accounts, state }).email);
+        }
+        assert(order.join() === ['user0', 'user1', 'user2', 'user3', 'user0'].map(u => `${u}@example.com`).join(), order.join());
+
+        const candidates = [accounts[0], accounts[2]];
+        const next = [];
+        for (let i = 0; i < 3; i++) {
+            next.push(select('round-robin', candidates, { accounts, state }).email);
+        }
+        assert(next.join() === ['user2', 'user0', 'user2'].map(u => `${u}@example.com`).join(), next.join());
+    });
+
+    await test('least-recently-used picks the longest idle account', () => {
+        const accounts = createAccounts(3, i => ({ lastUsed: [3000, 1000, 2000][i] }));
+        assert(select('least-recently-used', accounts).email === 'user1@example.com', 'Oldest lastUsed not picked');
+
+        accounts[2].lastUsed = null;
+        assert(select('least-recently-used', accounts).email === 'user2@example.com', 'Never-used account not preferred');
+    });
+
+    await test('weighted picks in proportion to the weight field', () => {
+        const accounts = createAccounts(3, i => ({ weight: [1, 3, 0][i] }));
+        const counts = tally('weighted', accounts, 4000, { random: seededRandom(42) });
+        assert(counts['user2@example.com'] === 0, 'Weight 0 account was picked');
+        const ratio = counts['user1@example.com'] / counts['user0@example.com'];
+        assert(ratio > 2.6 && ratio < 3.4, `Expected about 3:1, got ${JSON.stringify(counts)}`);
+
+        const unweighted = createAccounts(2);
+        const even = tally('weighted', unweighted, 2000, { random: seededRandom(7) });
+        assert(Math.abs(even['user0@example.com'] - even['user1@example.com']) < 200, `Default weight not 1: ${JSON.stringify(even)}`);
+
+        const zero = createAccounts(2, () => ({ weight: 0 }));
+        assert(select('weighted', zero, { random: seededRandom(1) }), 'All-zero weights returned nothing');
+    });
+
+    await test('quota-aware picks the highest remaining fraction for the model', () => {
+        const quota = (fraction, other = 1) => ({ models: { [MODEL]: { remainingFraction: fraction }, 'gemini-3-flash': { remainingFraction: other } } });
+        const accounts = createAccounts(4, i => ({ quota: [quota(0.2, 0.9), quota(0.7, 0.1), undefined, quota(0.4)][i] }));
+        assert(select('quota-aware', accounts).email === 'user1@example.com', 'Highest fraction not picked');
+        assert(select('quota-aware', accounts, { modelId: 'gemini-3-flash' }).email === 'user3@example.com', 'Quota not read per model');
+
+        const unknown = createAccounts(2, i => ({ lastUsed: [2000, 1000][i] }));
+        assert(select('quota-aware', unknown).email === 'user1@example.com', 'Ties not broken by least recent use');
+        const exhausted = createAccounts(2, i => ({ quota: i === 0 ? quota(0) : undefined }));
+        assert(select('quota-aware', exhausted).email === 'user0@example.com', 'Unknown quota ranked above known quota');
+    });
+
+    await test('random covers all accounts roughly evenly', () => {
+        const accounts = createAccounts(4);
+        const counts = tally('random', accounts, 4000, { random: seededRandom(3) });
+        assert(Object.values(counts).every(n => n > 850 && n < 1150), JSON.stringify(counts));
+    });
+
+    await test('AccountManager follows the configured strategy at runtime', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'selection-strategies-'));
+        const configPath = path.join(dir, 'accounts.json');
+        fs.writeFileSync(configPath, JSON.stringify({ accounts: createAccounts(3), settings: {}, activeIndex: 0 }));
+        const manager = new AccountManager(configPath);
+        await manager.initialize();
+        const previous = config.accountSelectionStrategy;
+
+        try {
+            config.accountSelectionStrategy = 'round-robin';
+            const emails = [0, 1, 2].map(() => manager.getSessionAccount('same-session', MODEL).email);
+            assert(new Set(emails).size === 3, `round-robin reused accounts: ${emails.join()}`);
+
+            config.accountSelectionStrategy = 'sticky';
+            const pinned = manager.getSessionAccount('same-session', MODEL).email;
+            assert(manager.getSessionAccount('same-session', MODEL).email === pinned, 'sticky not applied after switching');
+
+            config.accountSelectionStrategy = 'no-such-strategy';
+            assert(manager.getSelectionStrategyName() === 'sticky', 'Unknown strategy did not fall back to sticky');
+
+            registerSelectionStrategy('last', { description: 'Always the last candidate', select: (candidates) => candidates[candidates.length - 1] });
+            config.accountSelectionStrategy = 'last';
+            assert(manager.getSessionAccount('s', MODEL).email === 'user2@example.com', 'Custom strategy not used');
+        } finally {
+            config.accountSelectionStrategy = previous;
+            await new Promise(resolve => setTimeout(resolve, 100));
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,150 @@
+/**
+ * Test Session Affinity - Tests for conversation-scoped account selection
+ *
+ * Runs AccountManager against a temporary accounts file, so no server or
+ * credentials are needed. Verifies that sessions spread across accounts,
+ * keep their account across turns, and that only the sessions of a
+ * rate-limited account are moved.
+ *
+ * Run: node tests/test-session-affinity.cjs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           SESSION AFFINITY TEST SUITE                        ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { AccountManager } = await import('../src/account-manager/index.js');
+    const { deriveSessionId } = await import('../src/cloudcode/session-manager.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    const MODEL = 'claude-sonnet-4-5';
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-affinity-'));
+
+    async function createManager(count) {
+        const configPath = path.join(dir, `accounts-${count}-${Date.now()}.json`);
+        const accounts = Array.from({ length: count }, (_, i) => ({ email: `user${i}@example.com`, source: 'oauth' }));
+        fs.writeFileSync(configPath, JSON.stringify({ accounts, settings: {}, activeIndex: 0 }));
+        const manager = new AccountManager(configPath);
+        await manager.initialize();
+        return manager;
+    }
+
+    const sessionIds = Array.from({ length: 200 }, (_, i) => deriveSessionId({
+        messages: [{ role: 'user', content: `Conversation ${i}` }]
+    }));
+
+    await test('New sessions are spread across all accounts', async () => {
+        const manager = await createManager(4);
+        const counts = {};
+        for (const sessionId of sessionIds) {
+            const account = manager.getSessionAccount(sessionId, MODEL);
+            counts[account.email] = (counts[account.email] || 0) + 1;
+        }
+        assert(Object.keys(counts).length === 4, `Only ${Object.keys(counts).length} accounts used`);
+        assert(Object.values(counts).every(n => n >= 25), `Uneven spread: ${JSON.stringify(counts)}`);
+
+        const status = manager.getStatus();
+        assert(status.accounts.reduce((sum, a) => sum + a.activeSessions, 0) === sessionIds.length, 'activeSessions in status');
+    });
+
+    await test('A session keeps its account across turns and managers', async () => {
+        const first = await createManager(4);
+        const second = await createManager(4);
+        for (const sessionId of sessionIds.slice(0, 20)) {
+            const email = first.getSessionAccount(sessionId, MODEL).email;
+            assert(first.getSessionAccount(sessionId, MODEL).email === email, 'Session changed account between turns');
+            assert(second.getSessionAccount(sessionId, MODEL).email === email, 'Placement is not deterministic');
+        }
+    });
+
+    await test('Only sessions pinned to a rate-limited account are rebalanced', async () => {
+        const manager = await createManager(4);
+        const before = new Map(sessionIds.map(id => [id, manager.getSessionAccount(id, MODEL).email]));
+
+        manager.markRateLimited('user0@example.com', 60 * 60 * 1000, MODEL);
+
+        let moved = 0;
+        for (const [sessionId, email] of before) {
+            const now = manager.getSessionAccount(sessionId, MODEL).email;
+            assert(now !== 'user0@example.com', 'Session still on the rate-limited account');
+            if (email === 'user0@example.com') {
+                moved++;
+            } else {
+                assert(now === email, `Session on ${email} moved to ${now}`);
+            }
+        }
+        assert(moved > 0, 'No sessions were pinned to the rate-limited account');
+
+        // The limit is per model: new sessions for other models can still land on the account
+        const otherModel = sessionIds.map(id => `other-${id}`).find(id => manager.getSessionAccount(id, 'gemini-3-flash').email === 'user0@example.com');
+        assert(otherModel, 'Account unavailable for a model it is not limited on');
+    });
+
+    await test('Moved sessions stay on their new account after the limit resets', async () => {
+        const manager = await createManager(3);
+        const sessionId = sessionIds.find(id => manager.getSessionAccount(id, MODEL).email === 'user1@example.com');
+        manager.markRateLimited('user1@example.com', 50, MODEL);
+        const moved = manager.getSessionAccount(sessionId, MODEL).email;
+        assert(moved !== 'user1@example.com', 'Session not moved');
+
+        await new Promise(resolve => setTimeout(resolve, 80));
+        assert(manager.getSessionAccount(sessionId, MODEL).email === moved, 'Session bounced back after the reset');
+    });
+
+    await test('Server errors move the session to another account', async () => {
+        const manager = await createManager(3);
+        const sessionId = sessionIds[0];
+        const original = manager.getSessionAccount(sessionId, MODEL).email;
+        const next = manager.moveSession(sessionId, MODEL);
+        assert(next && next.email !== original, 'moveSession kept the failing account');
+        assert(manager.getSessionAccount(sessionId, MODEL).email === next.email, 'Session not pinned to the new account');
+    });
+
+    await test('No account is returned when every account is limited', async () => {
+        const manager = await createManager(2);
+        manager.markRateLimited('user0@example.com', 60000, MODEL);
+        manager.markRateLimited('user1@example.com', 60000, MODEL);
+        assert(manager.getSessionAccount(sessionIds[0], MODEL) === null, 'Expected null');
+        assert(manager.moveSession(sessionIds[0], MODEL) === null, 'Expected null from moveSession');
+    });
+
+    // Let fire-and-forget saves finish before removing the directory
+    await new Promise(resolve => setTimeout(resolve, 100));
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
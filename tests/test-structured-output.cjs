@@ -0,0 +1,180 @@
+/**
+ * Test Structured Output - Tests for response_format support
+ *
+ * Verifies the response_format mapping, native Gemini responseSchema,
+ * the forced-tool fallback, schema validation and the bounded corrective
+ * retry (using a stub sender instead of Cloud Code).
+ *
+ * Run: node tests/test-structured-output.cjs
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           STRUCTURED OUTPUT TEST SUITE                       ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { convertOpenAIToAnthropic } = await import('../src/format/openai-converter.js');
+    const { convertAnthropicToGoogle } = await import('../src/format/request-converter.js');
+    const { prepareStructuredRequest, STRUCTURED_OUTPUT_TOOL_NAME } = await import('../src/format/structured-output.js');
+    const { validateJsonSchema } = await import('../src/utils/json-schema-validator.js');
+    const { sendStructuredMessage, sendStructuredMessageStream } = await import('../src/cloudcode/structured-output-handler.js');
+    const { STRUCTURED_OUTPUT_MAX_RETRIES } = await import('../src/constants.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    const personSchema = {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            age: { type: 'integer', minimum: 0 }
+        },
+        required: ['name', 'age'],
+        additionalProperties: false
+    };
+
+    const openaiRequest = (model, response_format) => ({
+        model,
+        messages: [{ role: 'user', content: 'Who?' }],
+        response_format
+    });
+    const schemaFormat = { type: 'json_schema', json_schema: { name: 'person', schema: personSchema, strict: true } };
+
+    const textResponse = (text, usage = { input_tokens: 10, output_tokens: 5 }) => ({
+        id: 'msg_1', type: 'message', role: 'assistant', model: 'gemini-3-flash',
+        content: [{ type: 'text', text }], stop_reason: 'end_turn', stop_sequence: null, usage
+    });
+
+    await test('response_format maps to output_format; text is ignored', () => {
+        const schema = convertOpenAIToAnthropic(openaiRequest('gemini-3-flash', schemaFormat)).output_format;
+        assert(schema.type === 'json_schema' && schema.name === 'person' && schema.schema === personSchema, JSON.stringify(schema));
+        const object = convertOpenAIToAnthropic(openaiRequest('gemini-3-flash', { type: 'json_object' })).output_format;
+        assert(object.type === 'json_object', 'json_object not mapped');
+        assert(!convertOpenAIToAnthropic(openaiRequest('gemini-3-flash', { type: 'text' })).output_format, 'text should not set output_format');
+    });
+
+    await test('Gemini gets responseMimeType and a cleaned responseSchema', () => {
+        const anthropicRequest = convertOpenAIToAnthropic(openaiRequest('gemini-3-flash', schemaFormat));
+        const { request, mode } = prepareStructuredRequest(anthropicRequest);
+        assert(mode === 'native', `Unexpected mode ${mode}`);
+        const config = convertAnthropicToGoogle(request).generationConfig;
+        assert(config.responseMimeType === 'application/json', 'responseMimeType missing');
+        assert(config.responseSchema.type === 'OBJECT' && config.responseSchema.properties.age.type === 'INTEGER', JSON.stringify(config.responseSchema));
+        assert(!('additionalProperties' in config.responseSchema), 'Unsupported keyword not cleaned');
+    });
+
+    await test('Claude falls back to a forced tool with the original schema', () => {
+        const anthropicRequest = convertOpenAIToAnthropic(openaiRequest('claude-sonnet-4-5', schemaFormat));
+        const { request, mode } = prepareStructuredRequest(anthropicRequest);
+        assert(mode === 'tool', `Unexpected mode ${mode}`);
+        assert(!request.output_format, 'output_format should be removed');
+        assert(request.tools[0].name === STRUCTURED_OUTPUT_TOOL_NAME && request.tools[0].input_schema === personSchema, 'Tool missing');
+        assert(request.tool_choice.type === 'tool' && request.tool_choice.name === STRUCTURED_OUTPUT_TOOL_NAME, 'Tool not forced');
+        const google = convertAnthropicToGoogle(request);
+        assert(!google.generationConfig.responseSchema, 'Claude should not get responseSchema');
+        assert(google.toolConfig.functionCallingConfig.allowedFunctionNames[0] === STRUCTURED_OUTPUT_TOOL_NAME, 'toolConfig not forced');
+    });
+
+    await test('Gemini with client tools also uses the tool fallback without forcing', () => {
+        const request = convertOpenAIToAnthropic({
+            ...openaiRequest('gemini-3-flash', schemaFormat),
+            tools: [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object' } } }]
+        });
+        const prepared = prepareStructuredRequest(request);
+        assert(prepared.mode === 'tool', `Unexpected mode ${prepared.mode}`);
+        assert(prepared.request.tools.length === 2 && !prepared.request.tool_choice, 'Client tools must stay callable');
+    });
+
+    await test('Validator reports JSON paths for schema violations', () => {
+        assert(validateJsonSchema({ name: 'Ada', age: 36 }, personSchema).length === 0, 'Valid value rejected');
+        const errors = validateJsonSchema({ name: 7, age: -1, extra: true }, personSchema);
+        assert(errors.some(e => e.startsWith('$.name:')), 'Type error missing');
+        assert(errors.some(e => e.startsWith('$.age:')), 'Minimum error missing');
+        assert(errors.some(e => e.startsWith('$.extra:')), 'additionalProperties error missing');
+        assert(validateJsonSchema({ name: 'Ada' }, personSchema)[0] === '$.age: is required', 'Required error wrong');
+        const refSchema = { $defs: { tag: { type: 'string', enum: ['a', 'b'] } }, type: 'array', items: { $ref: '#/$defs/tag' } };
+        assert(validateJsonSchema(['a', 'c'], refSchema)[0].startsWith('$[1]:'), 'Local $ref not resolved');
+    });
+
+    await test('Tool fallback response becomes JSON text', async () => {
+        const request = convertOpenAIToAnthropic(openaiRequest('claude-sonnet-4-5', schemaFormat));
+        let sent;
+        const response = await sendStructuredMessage(request, null, false, { send: async (req) => {
+            sent = req;
+            return {
+                ...textResponse(''),
+                content: [{ type: 'tool_use', id: 'toolu_1', name: STRUCTURED_OUTPUT_TOOL_NAME, input: { name: 'Ada', age: 36 } }],
+                stop_reason: 'tool_use'
+            };
+        } });
+        assert(sent.stream === false && sent.tools.length === 1, 'Fallback request not sent');
+        assert(response.content.length === 1 && JSON.parse(response.content[0].text).name === 'Ada', JSON.stringify(response.content));
+        assert(response.stop_reason === 'end_turn', `Unexpected stop_reason ${response.stop_reason}`);
+    });
+
+    await test('Invalid JSON triggers a corrective retry with the errors', async () => {
+        const request = convertOpenAIToAnthropic(openaiRequest('gemini-3-flash', schemaFormat));
+        const calls = [];
+        const replies = ['```json\n{"name": "Ada"}\n```', '{"name": "Ada", "age": 36}'];
+        const response = await sendStructuredMessage(request, null, false, { send: async (req) => {
+            calls.push(req);
+            return textResponse(replies[calls.length - 1]);
+        } });
+        assert(calls.length === 2, `Expected 2 calls, got ${calls.length}`);
+        const correction = calls[1].messages[calls[1].messages.length - 1];
+        assert(correction.role === 'user' && correction.content.includes('$.age: is required'), 'Correction message missing');
+        assert(response.content[0].text === '{"name":"Ada","age":36}', response.content[0].text);
+        assert(response.usage.input_tokens === 20 && response.usage.output_tokens === 10, 'Usage not aggregated');
+    });
+
+    await test('Corrective retries are bounded', async () => {
+        const request = convertOpenAIToAnthropic(openaiRequest('gemini-3-flash', { type: 'json_object' }));
+        let calls = 0;
+        const response = await sendStructuredMessage(request, null, false, { send: async () => {
+            calls++;
+            return textResponse('not json');
+        } });
+        assert(calls === STRUCTURED_OUTPUT_MAX_RETRIES + 1, `Expected ${STRUCTURED_OUTPUT_MAX_RETRIES + 1} calls, got ${calls}`);
+        assert(response.content[0].text === 'not json', 'Last attempt should be returned as-is');
+    });
+
+    await test('Streaming replays the validated response as stream events', async () => {
+        const request = convertOpenAIToAnthropic({ ...openaiRequest('gemini-3-flash', schemaFormat), stream: true });
+        const events = [];
+        for await (const event of sendStructuredMessageStream(request, null, false, { send: async () => textResponse('{"name":"Ada","age":36}') })) {
+            events.push(event);
+        }
+        assert(events[0].type === 'message_start' && events[events.length - 1].type === 'message_stop', 'Envelope events missing');
+        const text = events.filter(e => e.delta?.type === 'text_delta').map(e => e.delta.text).join('');
+        assert(text === '{"name":"Ada","age":36}', text);
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,201 @@
+/**
+ * Test Token Cache - Tests for persisting the token and project caches
+ *
+ * Refreshes tokens and discovers projects against a mocked fetch, then
+ * checks that a second AccountManager restores them from the cache file,
+ * that expired tokens are refreshed, that clearing a cache updates the file
+ * and that turning persistTokenCache off deletes it.
+ * No server or credentials are needed.
+ *
+ * Run: node tests/test-token-cache.cjs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           TOKEN CACHE TEST SUITE                             ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { isTokenFresh, loadTokenCache, saveTokenCache } = await import('../src/account-manager/token-cache.js');
+    const { AccountManager } = await import('../src/account-manager/index.js');
+    const { TOKEN_REFRESH_INTERVAL_MS } = await import('../src/constants.js');
+    const { config } = await import('../src/config.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-cache-'));
+    const cachePath = path.join(dir, 'token-cache.json');
+    const configPath = path.join(dir, 'accounts.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+        accounts: [
+            { email: 'user0@example.com', source: 'oauth', refreshToken: 'refresh-0' },
+            { email: 'user1@example.com', source: 'manual', apiKey: 'api-key-1', projectId: 'project-1' }
+        ],
+        settings: {},
+        activeIndex: 0
+    }));
+
+    // Token refreshes and project discovery, counted per URL kind
+    const calls = { refresh: 0, loadCodeAssist: 0 };
+    let expiresIn = 3600;
+    const originalFetch = global.fetch;
+    global.fetch = async (url) => {
+        if (String(url).includes('loadCodeAssist')) {
+            calls.loadCodeAssist++;
+            return Response.json({ cloudaicompanionProject: 'discovered-project' });
+        }
+        calls.refresh++;
+        return Response.json({ access_token: `access-${calls.refresh}`, expires_in: expiresIn });
+    };
+
+    async function createManager() {
+        const manager = new AccountManager(configPath, { tokenCachePath: cachePath });
+        await manager.initialize();
+        return manager;
+    }
+
+    async function useAccounts(manager) {
+        const [oauth, manual] = manager.getAllAccounts();
+        const token = await manager.getTokenForAccount(oauth);
+        const project = await manager.getProjectForAccount(oauth, token);
+        await manager.getTokenForAccount(manual);
+        await manager.getProjectForAccount(manual, 'api-key-1');
+        await manager.saveTokenCache();
+        return { token, project };
+    }
+
+    function readCache() {
+        return JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+    }
+
+    try {
+        await test('Tokens are fresh within the refresh interval and before expiry', () => {
+            const now = Date.now();
+            assert(isTokenFresh({ extractedAt: now - 1000 }, now), 'Recent token not fresh');
+            assert(!isTokenFresh({ extractedAt: now - TOKEN_REFRESH_INTERVAL_MS }, now), 'Token past the refresh interval');
+            assert(!isTokenFresh({ extractedAt: now, expiresAt: now + 30 * 1000 }, now), 'Token about to expire');
+            assert(isTokenFresh({ extractedAt: now, expiresAt: now + 10 * 60 * 1000 }, now), 'Token far from expiry');
+            assert(!isTokenFresh(undefined, now), 'Missing entry');
+        });
+
+        await test('Only fresh OAuth tokens are written, owner-only and atomically', async () => {
+            const now = Date.now();
+            const tokenCache = new Map([
+                ['a@example.com', { token: 'oauth-token', extractedAt: now, expiresAt: now + 3600 * 1000, source: 'oauth' }],
+                ['b@example.com', { token: 'api-key', extractedAt: now, expiresAt: null, source: 'manual' }],
+                ['c@example.com', { token: 'old', extractedAt: now - TOKEN_REFRESH_INTERVAL_MS, source: 'oauth' }]
+            ]);
+            await saveTokenCache(cachePath, tokenCache, new Map([['a@example.com', 'project-a']]));
+
+            const raw = fs.readFileSync(cachePath, 'utf-8');
+            assert(!raw.includes('api-key') && !raw.includes('"old"'), 'Manual key or stale token written');
+            if (process.platform !== 'win32') {
+                assert((fs.statSync(cachePath).mode & 0o077) === 0, 'Token cache readable by other users');
+            }
+            assert(fs.readdirSync(dir).every(name => !name.endsWith('.tmp')), 'Temp file left behind');
+
+            const loaded = await loadTokenCache(cachePath);
+            assert(loaded.tokenCache.get('a@example.com')?.token === 'oauth-token' && loaded.tokenCache.size === 1, 'Token not restored');
+            assert(loaded.projectCache.get('a@example.com') === 'project-a', 'Project not restored');
+        });
+
+        await test('Missing or corrupt cache files load as empty', async () => {
+            fs.writeFileSync(cachePath, '{ not json');
+            const corrupt = await loadTokenCache(cachePath);
+            assert(corrupt.tokenCache.size === 0 && corrupt.projectCache.size === 0, 'Corrupt file not ignored');
+            fs.rmSync(cachePath);
+            const missing = await loadTokenCache(cachePath);
+            assert(missing.tokenCache.size === 0, 'Missing file not empty');
+        });
+
+        await test('A restart reuses persisted tokens and projects', async () => {
+            config.persistTokenCache = true;
+            const first = await useAccounts(await createManager());
+            assert(calls.refresh === 1 && calls.loadCodeAssist === 1, `Calls: ${JSON.stringify(calls)}`);
+            assert(first.project === 'discovered-project', `Project: ${first.project}`);
+            assert(readCache().tokens['user0@example.com'].expiresAt > Date.now(), 'Expiry not saved');
+            assert(!('user1@example.com' in readCache().tokens), 'Manual API key persisted');
+
+            const second = await useAccounts(await createManager());
+            assert(calls.refresh === 1 && calls.loadCodeAssist === 1, `Restart refreshed again: ${JSON.stringify(calls)}`);
+            assert(second.token === first.token && second.project === first.project, 'Restored values differ');
+        });
+
+        await test('Expired tokens are refreshed after a restart', async () => {
+            config.persistTokenCache = true;
+            const cache = readCache();
+            cache.tokens['user0@example.com'].expiresAt = Date.now() + 1000;
+            fs.writeFileSync(cachePath, JSON.stringify(cache));
+
+            const { token, project } = await useAccounts(await createManager());
+            assert(calls.refresh === 2 && token === 'access-2', `Expired token reused: ${token}`);
+            assert(project === 'discovered-project' && calls.loadCodeAssist === 1, 'Project rediscovered');
+        });
+
+        await test('Clearing the caches updates the file', async () => {
+            config.persistTokenCache = true;
+            const manager = await createManager();
+            manager.clearTokenCache('user0@example.com');
+            await manager.saveTokenCache();
+            assert(!('user0@example.com' in readCache().tokens), 'Cleared token still on disk');
+            assert(readCache().projects['user0@example.com'] === 'discovered-project', 'Project cleared with the token');
+
+            manager.clearProjectCache();
+            await manager.saveTokenCache();
+            assert(Object.keys(readCache().projects).length === 0, 'Cleared projects still on disk');
+        });
+
+        await test('Turning persistTokenCache off deletes the file', async () => {
+            config.persistTokenCache = true;
+            await useAccounts(await createManager());
+            assert(fs.existsSync(cachePath), 'Cache not written');
+
+            config.persistTokenCache = false;
+            const manager = await createManager();
+            await manager.saveTokenCache();
+            assert(!fs.existsSync(cachePath), 'Cache file left on disk');
+
+            await useAccounts(manager);
+            assert(!fs.existsSync(cachePath), 'Cache written while disabled');
+        });
+    } finally {
+        global.fetch = originalFetch;
+        config.persistTokenCache = false;
+        // Let fire-and-forget saves finish before removing the directory
+        await new Promise(resolve => setTimeout(resolve, 100));
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,141 @@
+/**
+ * Test Tool Choice - Tests for tool_choice mapping
+ *
+ * Verifies that Anthropic tool_choice becomes Google
+ * toolConfig.functionCallingConfig, that OpenAI tool_choice "none" keeps the
+ * tools, and that disable_parallel_tool_use trims extra calls from responses.
+ *
+ * Run: node tests/test-tool-choice.cjs
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           TOOL CHOICE TEST SUITE                             ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { convertAnthropicToGoogle } = await import('../src/format/request-converter.js');
+    const { convertGoogleToAnthropic } = await import('../src/format/response-converter.js');
+    const { convertOpenAIToAnthropic } = await import('../src/format/openai-converter.js');
+    const { getResponseOptions } = await import('../src/cloudcode/request-builder.js');
+    const { streamSSEResponse } = await import('../src/cloudcode/sse-streamer.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    const tools = [
+        { name: 'extract.person', description: 'Extract a person', input_schema: { type: 'object', properties: { name: { type: 'string' } } } },
+        { name: 'lookup', description: 'Lookup', input_schema: { type: 'object' } }
+    ];
+    const baseRequest = { model: 'gemini-3-flash', max_tokens: 100, messages: [{ role: 'user', content: 'hi' }], tools };
+    const config = (tool_choice, model = 'gemini-3-flash') =>
+        convertAnthropicToGoogle({ ...baseRequest, model, tool_choice }).toolConfig?.functionCallingConfig;
+
+    await test('No tool_choice leaves the upstream default', () => {
+        assert(config(undefined) === undefined, 'toolConfig should be absent');
+    });
+
+    await test('auto, any and none map to AUTO, ANY and NONE', () => {
+        assert(config({ type: 'auto' }).mode === 'AUTO', 'auto');
+        assert(config({ type: 'any' }).mode === 'ANY', 'any');
+        assert(config({ type: 'none' }).mode === 'NONE', 'none');
+    });
+
+    await test('tool forces ANY with the sanitized function name', () => {
+        const fc = config({ type: 'tool', name: 'extract.person' });
+        assert(fc.mode === 'ANY', `Unexpected mode ${fc.mode}`);
+        assert(fc.allowedFunctionNames.length === 1 && fc.allowedFunctionNames[0] === 'extract_person', JSON.stringify(fc));
+    });
+
+    await test('Unknown tool name falls back to ANY without a restriction', () => {
+        const fc = config({ type: 'tool', name: 'missing' });
+        assert(fc.mode === 'ANY' && !fc.allowedFunctionNames, JSON.stringify(fc));
+    });
+
+    await test('Forced tool use is downgraded for Claude thinking models', () => {
+        const fc = config({ type: 'any' }, 'claude-sonnet-4-5-thinking');
+        assert(fc.mode === 'AUTO', `Unexpected mode ${fc.mode}`);
+        assert(config({ type: 'any' }, 'claude-sonnet-4-5').mode === 'ANY', 'Non-thinking Claude should keep ANY');
+    });
+
+    await test('OpenAI tool_choice "none" keeps tools and disables calling', () => {
+        const result = convertOpenAIToAnthropic({
+            model: 'gemini-3-flash',
+            messages: [{ role: 'user', content: 'hi' }],
+            tools: [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object' } } }],
+            tool_choice: 'none'
+        });
+        assert(result.tools && result.tools.length === 1, 'Tools were removed');
+        assert(result.tool_choice.type === 'none', 'tool_choice not none');
+    });
+
+    await test('OpenAI parallel_tool_calls false sets disable_parallel_tool_use', () => {
+        const result = convertOpenAIToAnthropic({
+            model: 'gemini-3-flash',
+            messages: [{ role: 'user', content: 'hi' }],
+            tools: [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object' } } }],
+            tool_choice: 'required',
+            parallel_tool_calls: false
+        });
+        assert(result.tool_choice.type === 'any' && result.tool_choice.disable_parallel_tool_use === true, JSON.stringify(result.tool_choice));
+        assert(getResponseOptions(result).disableParallelToolUse === true, 'Response options not derived');
+    });
+
+    const twoCalls = {
+        candidates: [{
+            content: {
+                parts: [
+                    { functionCall: { name: 'lookup', args: { q: 1 } } },
+                    { functionCall: { name: 'lookup', args: { q: 2 } } }
+                ]
+            },
+            finishReason: 'STOP'
+        }]
+    };
+
+    await test('disable_parallel_tool_use keeps only the first call (non-streaming)', () => {
+        const all = convertGoogleToAnthropic(twoCalls, 'gemini-3-flash');
+        const single = convertGoogleToAnthropic(twoCalls, 'gemini-3-flash', { disableParallelToolUse: true });
+        assert(all.content.filter(b => b.type === 'tool_use').length === 2, 'Default should keep both calls');
+        const kept = single.content.filter(b => b.type === 'tool_use');
+        assert(kept.length === 1 && kept[0].input.q === 1, 'Expected only the first call');
+    });
+
+    await test('disable_parallel_tool_use keeps only the first call (streaming)', async () => {
+        const body = `data: ${JSON.stringify(twoCalls)}\n\n`;
+        const events = [];
+        for await (const event of streamSSEResponse(new Response(body), 'gemini-3-flash', { disableParallelToolUse: true })) {
+            events.push(event);
+        }
+        const starts = events.filter(e => e.type === 'content_block_start' && e.content_block.type === 'tool_use');
+        assert(starts.length === 1, `Expected 1 tool_use block, got ${starts.length}`);
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,175 @@
+/**
+ * Test Tool Input Repair - Tests for tool input validation against the original schema
+ *
+ * Verifies safe repairs (type coercion, stringified and truncated JSON,
+ * defaults), validation against constraints the schema sanitizer drops,
+ * repair on the non-streaming and SSE paths, and the corrective round-trip
+ * using a stub sender instead of Cloud Code.
+ *
+ * Run: node tests/test-tool-input-repair.cjs
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           TOOL INPUT REPAIR TEST SUITE                       ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { repairJson, repairToolInput, buildToolSchemas } = await import('../src/format/tool-input-repair.js');
+    const { convertGoogleToAnthropic } = await import('../src/format/response-converter.js');
+    const { streamSSEResponse } = await import('../src/cloudcode/sse-streamer.js');
+    const { sendToolCheckedMessage } = await import('../src/cloudcode/tool-input-handler.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    const schema = {
+        type: 'object',
+        properties: {
+            path: { type: 'string' },
+            limit: { type: 'integer', minimum: 1, maximum: 100 },
+            recursive: { type: 'boolean', default: false },
+            mode: { enum: ['read', 'write'] },
+            filter: { $ref: '#/$defs/filter' },
+            tags: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['path'],
+        additionalProperties: false,
+        $defs: {
+            filter: {
+                type: 'object',
+                properties: { glob: { type: 'string' }, depth: { anyOf: [{ type: 'integer' }, { type: 'null' }] } },
+                required: ['glob']
+            }
+        }
+    };
+
+    const functionCallResponse = (args) => ({
+        candidates: [{ content: { parts: [{ functionCall: { name: 'list_files', args } }] }, finishReason: 'STOP' }],
+        usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5 }
+    });
+    const sseResponse = (data) => new Response(`data: ${JSON.stringify({ response: data })}\n\n`);
+
+    await test('Truncated JSON is closed or cut back to the last complete member', () => {
+        assert(JSON.stringify(repairJson('{"path": "src/ind')) === '{"path":"src/ind"}', 'Open string not closed');
+        assert(JSON.stringify(repairJson('{"a": [1, 2, {"b": tr')) === '{"a":[1,2,{}]}', JSON.stringify(repairJson('{"a": [1, 2, {"b": tr')));
+        assert(JSON.stringify(repairJson('{"a": 1, "ke')) === '{"a":1}', 'Dangling key not dropped');
+        assert(JSON.stringify(repairJson('{"a": "x\\')) === '{"a":"x"}', 'Dangling escape not dropped');
+        assert(repairJson('not json') === undefined, 'Plain text parsed');
+    });
+
+    await test('Scalars are coerced and stringified JSON is parsed', () => {
+        const { input, repairs, errors } = repairToolInput({
+            path: 42,
+            limit: '10',
+            recursive: 'TRUE',
+            filter: '{"glob": "*.js", "depth": "2"}',
+            tags: 'docs'
+        }, schema);
+        assert(errors.length === 0, errors.join('; '));
+        assert(input.path === '42' && input.limit === 10 && input.recursive === true, JSON.stringify(input));
+        assert(input.filter.glob === '*.js' && input.filter.depth === 2, `filter: ${JSON.stringify(input.filter)}`);
+        assert(Array.isArray(input.tags) && input.tags[0] === 'docs', `tags: ${JSON.stringify(input.tags)}`);
+        assert(repairs.length === 6, `Expected 6 repairs, got ${repairs.join('; ')}`);
+    });
+
+    await test('Defaults are filled and arguments sent as JSON text are parsed', () => {
+        const { input, errors } = repairToolInput('{"path": "a", "filter": {"glob": "*"', schema);
+        assert(errors.length === 0, errors.join('; '));
+        assert(input.recursive === false && input.filter.glob === '*', JSON.stringify(input));
+        assert(repairToolInput('"just text"', schema).errors[0] === '$: arguments are not a JSON object', 'Non-object text accepted');
+    });
+
+    await test('Constraints the sanitizer drops are still enforced', () => {
+        const { errors } = repairToolInput({ limit: 500, mode: 'delete', extra: 1, filter: {} }, schema);
+        const expected = ['$.path: is required', '$.limit: must be <= 100', '$.mode: must be one of', '$.extra: is not allowed', '$.filter.glob: is required'];
+        for (const prefix of expected) {
+            assert(errors.some(error => error.startsWith(prefix)), `Missing "${prefix}" in ${errors.join('; ')}`);
+        }
+        assert(repairToolInput({ limit: 'ten', path: 'a' }, schema).errors[0] === '$.limit: expected integer, got string', 'Unsafe coercion applied');
+    });
+
+    await test('Non-streaming and SSE responses carry the repaired input and report failures', async () => {
+        const reported = [];
+        const options = {
+            toolSchemas: buildToolSchemas({ tools: [{ name: 'list_files', input_schema: schema }] }),
+            onToolInputInvalid: (name, errors) => reported.push({ name, errors })
+        };
+
+        const response = convertGoogleToAnthropic(functionCallResponse({ path: 'a', limit: '5' }), 'gemini-3-flash', options);
+        const toolUse = response.content.find(block => block.type === 'tool_use');
+        assert(toolUse.input.limit === 5 && toolUse.input.recursive === false, JSON.stringify(toolUse.input));
+
+        let partialJson = '';
+        for await (const event of streamSSEResponse(sseResponse(functionCallResponse({ limit: '5' })), 'gemini-3-flash', options)) {
+            if (event.delta?.type === 'input_json_delta') partialJson += event.delta.partial_json;
+        }
+        assert(JSON.parse(partialJson).limit === 5, partialJson);
+        assert(reported.length === 1 && reported[0].name === 'list_files' && reported[0].errors[0] === '$.path: is required',
+            JSON.stringify(reported));
+    });
+
+    await test('Invalid tool calls get one corrective round-trip', async () => {
+        const request = {
+            model: 'gemini-3-flash',
+            messages: [{ role: 'user', content: 'List files' }],
+            tools: [{ name: 'list_files', input_schema: schema }, { name: 'read', input_schema: { type: 'object' } }]
+        };
+        const toolResponse = (input) => ({
+            id: 'msg_1', type: 'message', role: 'assistant', model: 'gemini-3-flash',
+            content: [
+                { type: 'tool_use', id: 'toolu_1', name: 'list_files', input },
+                { type: 'tool_use', id: 'toolu_2', name: 'read', input: {} }
+            ],
+            stop_reason: 'tool_use', usage: { input_tokens: 10, output_tokens: 5 }
+        });
+
+        const sent = [];
+        const response = await sendToolCheckedMessage(request, null, false, {
+            send: async (req) => {
+                sent.push(req);
+                return toolResponse(sent.length === 1 ? { mode: 'delete' } : { path: 'src' });
+            }
+        });
+
+        assert(sent.length === 2, `Expected 2 sends, got ${sent.length}`);
+        assert(response.content[0].input.path === 'src' && response.usage.input_tokens === 20, JSON.stringify(response));
+        const [assistant, user] = sent[1].messages.slice(-2);
+        assert(assistant.role === 'assistant' && assistant.content[0].id === 'toolu_1', 'Failed turn not replayed');
+        assert(user.content.length === 2 && user.content.every(block => block.type === 'tool_result' && block.is_error),
+            'Every tool call of the turn needs an error result');
+        assert(user.content[0].content.includes('$.path: is required'), user.content[0].content);
+
+        sent.length = 0;
+        await sendToolCheckedMessage(request, null, false, { send: async (req) => { sent.push(req); return toolResponse({ path: 'a' }); } });
+        assert(sent.length === 1, 'Valid tool calls should not be retried');
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,158 @@
+/**
+ * Test Tool Name Map - Tests for reversible tool name sanitization
+ *
+ * Verifies that tool names Google rejects are rewritten without collisions
+ * and that every response path (non-streaming, SSE streaming, thinking SSE
+ * and the OpenAI converters) restores the client's original names.
+ *
+ * Run: node tests/test-tool-name-map.cjs
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           TOOL NAME MAP TEST SUITE                           ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { ToolNameMap, buildToolNameMap } = await import('../src/format/tool-name-map.js');
+    const { convertAnthropicToGoogle } = await import('../src/format/request-converter.js');
+    const { convertGoogleToAnthropic } = await import('../src/format/response-converter.js');
+    const { getResponseOptions } = await import('../src/cloudcode/request-builder.js');
+    const { streamSSEResponse } = await import('../src/cloudcode/sse-streamer.js');
+    const { parseThinkingSSEResponse } = await import('../src/cloudcode/sse-parser.js');
+    const {
+        convertOpenAIToAnthropic,
+        convertAnthropicToOpenAI,
+        convertAnthropicStreamEventToOpenAI
+    } = await import('../src/format/openai-converter.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    const MCP_TOOL = 'mcp__server.read_file';
+    const longName = (suffix) => `mcp__${'very_long_server_name_'.repeat(3)}${suffix}`;
+
+    const anthropicRequest = {
+        model: 'gemini-3-flash',
+        messages: [
+            { role: 'user', content: 'Read it' },
+            { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: MCP_TOOL, input: { path: 'a' } }] },
+            { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: 'done' }] }
+        ],
+        tools: [
+            { name: MCP_TOOL, input_schema: { type: 'object' } },
+            { name: 'mcp__server_read_file', input_schema: { type: 'object' } }
+        ],
+        tool_choice: { type: 'tool', name: MCP_TOOL }
+    };
+
+    const functionCallResponse = (name) => ({
+        candidates: [{ content: { parts: [{ functionCall: { name, args: { path: 'b' } } }] }, finishReason: 'STOP' }],
+        usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5 }
+    });
+
+    const sseResponse = (data) => new Response(`data: ${JSON.stringify({ response: data })}\n\n`);
+
+    // Upstream name the request converter declared for the MCP tool
+    const upstreamName = buildToolNameMap(anthropicRequest).toUpstream(MCP_TOOL);
+
+    await test('Valid names are kept and sanitized names never collide', () => {
+        const map = new ToolNameMap(['a.b', 'a_b', 'a b', 'read_file']);
+        assert(map.toUpstream('a_b') === 'a_b' && map.toUpstream('read_file') === 'read_file', 'Valid names changed');
+        const upstream = ['a.b', 'a b'].map(name => map.toUpstream(name));
+        assert(new Set([...upstream, 'a_b']).size === 3, `Collision: ${upstream.join(', ')}`);
+        for (const name of ['a.b', 'a_b', 'a b', 'read_file']) {
+            assert(map.toClient(map.toUpstream(name)) === name, `${name} does not round-trip`);
+        }
+    });
+
+    await test('Long names are truncated to 64 characters without collisions', () => {
+        const names = [longName('read.file'), longName('read.path'), longName('read.text')];
+        const map = new ToolNameMap(names);
+        const upstream = names.map(name => map.toUpstream(name));
+        assert(upstream.every(name => /^[a-zA-Z0-9_-]{1,64}$/.test(name)), `Invalid upstream name: ${upstream.join(', ')}`);
+        assert(new Set(upstream).size === names.length, `Collision: ${upstream.join(', ')}`);
+        assert(names.every(name => map.toClient(map.toUpstream(name)) === name), 'Long names do not round-trip');
+    });
+
+    await test('Declarations, history and tool_choice use the same upstream names', () => {
+        const google = convertAnthropicToGoogle(anthropicRequest);
+        const declared = google.tools[0].functionDeclarations.map(fd => fd.name);
+        assert(declared.includes(upstreamName) && declared.includes('mcp__server_read_file') && upstreamName !== 'mcp__server_read_file',
+            `Unexpected declarations: ${declared.join(', ')}`);
+        const call = google.contents[1].parts.find(part => part.functionCall).functionCall;
+        assert(call.name === upstreamName, `History call named ${call.name}`);
+        assert(google.toolConfig.functionCallingConfig.allowedFunctionNames[0] === upstreamName, 'tool_choice not mapped');
+    });
+
+    await test('Non-streaming responses restore the client name', () => {
+        const response = convertGoogleToAnthropic(functionCallResponse(upstreamName), 'gemini-3-flash', getResponseOptions(anthropicRequest));
+        const toolUse = response.content.find(block => block.type === 'tool_use');
+        assert(toolUse.name === MCP_TOOL, `Got ${toolUse.name}`);
+    });
+
+    await test('SSE streaming restores the client name', async () => {
+        const events = [];
+        for await (const event of streamSSEResponse(sseResponse(functionCallResponse(upstreamName)), 'gemini-3-flash', getResponseOptions(anthropicRequest))) {
+            events.push(event);
+        }
+        const start = events.find(event => event.type === 'content_block_start' && event.content_block.type === 'tool_use');
+        assert(start.content_block.name === MCP_TOOL, `Got ${start.content_block.name}`);
+    });
+
+    await test('Thinking SSE responses restore the client name', async () => {
+        const response = await parseThinkingSSEResponse(sseResponse(functionCallResponse(upstreamName)), 'gemini-3-flash', getResponseOptions(anthropicRequest));
+        assert(response.content.find(block => block.type === 'tool_use').name === MCP_TOOL, 'Name not restored');
+    });
+
+    await test('OpenAI clients see their original function names', async () => {
+        const request = convertOpenAIToAnthropic({
+            model: 'gemini-3-flash',
+            messages: [{ role: 'user', content: 'Read it' }],
+            tools: [{ type: 'function', function: { name: MCP_TOOL, parameters: { type: 'object' } } }]
+        });
+        const declared = convertAnthropicToGoogle(request).tools[0].functionDeclarations[0].name;
+        const options = getResponseOptions(request);
+
+        const anthropicResponse = convertGoogleToAnthropic(functionCallResponse(declared), 'gemini-3-flash', options);
+        const message = convertAnthropicToOpenAI(anthropicResponse, 'gemini-3-flash').choices[0].message;
+        assert(message.tool_calls[0].function.name === MCP_TOOL, `Got ${message.tool_calls[0].function.name}`);
+
+        const state = {};
+        const names = [];
+        for await (const event of streamSSEResponse(sseResponse(functionCallResponse(declared)), 'gemini-3-flash', options)) {
+            const chunk = convertAnthropicStreamEventToOpenAI(event, 'gemini-3-flash', state);
+            const name = chunk?.choices?.[0].delta.tool_calls?.[0].function?.name;
+            if (name) names.push(name);
+        }
+        assert(names.length === 1 && names[0] === MCP_TOOL, `Streamed names: ${names.join(', ')}`);
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
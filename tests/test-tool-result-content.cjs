@@ -0,0 +1,165 @@
+/**
+ * Test Tool Result Content - Tests for multimodal tool_result conversion
+ *
+ * Verifies every Anthropic tool_result content type (text, structured JSON,
+ * base64 and URL images, PDFs, text documents, search results) for Claude,
+ * Gemini 2.x and Gemini 3 models, where Gemini 3 receives media inside
+ * functionResponse.parts and the others get it after the function responses.
+ *
+ * Run: node tests/test-tool-result-content.cjs
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           TOOL RESULT CONTENT TEST SUITE                     ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { convertAnthropicToGoogle } = await import('../src/format/request-converter.js');
+    const { convertToolResultContent } = await import('../src/format/content-converter.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    const PNG = { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' } };
+    const URL_IMAGE = { type: 'image', source: { type: 'url', url: 'https://example.com/shot.jpg' } };
+    const PDF = { type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: 'JVBERi0x' } };
+    const URL_PDF = { type: 'document', source: { type: 'url', url: 'https://example.com/spec.pdf' } };
+    const TEXT_DOC = { type: 'document', title: 'notes.txt', source: { type: 'text', media_type: 'text/plain', data: 'line one' } };
+    const SEARCH = { type: 'search_result', source: 'https://example.com/a', title: 'Result A', content: [{ type: 'text', text: 'Snippet' }] };
+    const GIF = { type: 'image', source: { type: 'base64', media_type: 'image/gif', data: 'R0lGOD' } };
+
+    const MODELS = {
+        claude: 'claude-sonnet-4-5',
+        gemini2: 'gemini-2.5-flash',
+        gemini3: 'gemini-3-flash'
+    };
+
+    // Convert a single tool_result turn and return the parts of the user message
+    function convertToolResult(model, content) {
+        const google = convertAnthropicToGoogle({
+            model,
+            messages: [
+                { role: 'user', content: 'Run it' },
+                { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'run', input: {} }] },
+                { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content }] }
+            ]
+        });
+        return google.contents[2].parts;
+    }
+
+    function mediaOf(part) {
+        return part.inlineData || part.fileData;
+    }
+
+    await test('Text and structured JSON results', () => {
+        assert(convertToolResultContent('plain output').response.result === 'plain output', 'String result changed');
+        const json = convertToolResultContent('{"files": [{"name": "a.js", "size": 12}]}').response;
+        assert(json.result.files[0].size === 12, `JSON not structured: ${JSON.stringify(json)}`);
+        const blocks = convertToolResultContent([{ type: 'text', text: '[1, 2]' }]).response;
+        assert(Array.isArray(blocks.result) && blocks.result[1] === 2, 'Single JSON text block not structured');
+        const joined = convertToolResultContent([{ type: 'text', text: 'a' }, { type: 'text', text: 'b' }]).response;
+        assert(joined.result === 'a\nb', `Multiple text blocks: ${joined.result}`);
+        assert(convertToolResultContent('{not json').response.result === '{not json', 'Invalid JSON not kept as text');
+    });
+
+    await test('Search results and text documents become structured fields', () => {
+        const { response, mediaParts } = convertToolResultContent([{ type: 'text', text: 'Found 1' }, SEARCH, TEXT_DOC]);
+        assert(mediaParts.length === 0, 'Text-only blocks produced media');
+        assert(response.search_results[0].source === SEARCH.source && response.search_results[0].content === 'Snippet',
+            JSON.stringify(response.search_results));
+        assert(response.documents[0].title === 'notes.txt' && response.documents[0].content === 'line one',
+            JSON.stringify(response.documents));
+    });
+
+    for (const family of ['claude', 'gemini2']) {
+        await test(`${family}: media is deferred after the function response`, () => {
+            const parts = convertToolResult(MODELS[family], [{ type: 'text', text: 'Screenshot' }, PNG, URL_IMAGE, PDF, URL_PDF]);
+            assert(parts[0].functionResponse && !parts[0].functionResponse.parts, 'functionResponse.parts used');
+            assert(parts[0].functionResponse.response.result === 'Screenshot', 'Text lost');
+            const media = parts.slice(1).map(mediaOf);
+            assert(media.length === 4, `Expected 4 media parts, got ${media.length}`);
+            assert(media[0].mimeType === 'image/png' && media[1].fileUri === URL_IMAGE.source.url, 'Images lost');
+            assert(media[2].mimeType === 'application/pdf' && media[3].fileUri === URL_PDF.source.url, 'PDFs lost');
+        });
+    }
+
+    await test('gemini3: images and PDFs go into functionResponse.parts', () => {
+        const parts = convertToolResult(MODELS.gemini3, [PNG, URL_IMAGE, PDF, URL_PDF]);
+        assert(parts.length === 1, `Media should not be deferred, got ${parts.length} parts`);
+        const attached = parts[0].functionResponse.parts.map(mediaOf);
+        assert(attached.length === 4, `Expected 4 attached parts, got ${attached.length}`);
+        assert(attached[1].mimeType === 'image/jpeg' && attached[3].mimeType === 'application/pdf', 'URL media MIME defaults missing');
+        assert(parts[0].functionResponse.response.result === '2 images and 2 documents attached',
+            parts[0].functionResponse.response.result);
+    });
+
+    await test('gemini3: unsupported MIME types are still deferred', () => {
+        const parts = convertToolResult(MODELS.gemini3, [PNG, GIF]);
+        assert(parts[0].functionResponse.parts.length === 1, 'PNG not attached');
+        assert(parts.length === 2 && parts[1].inlineData.mimeType === 'image/gif', 'GIF not deferred');
+    });
+
+    await test('Multiple tool results keep function responses consecutive', () => {
+        for (const model of Object.values(MODELS)) {
+            const google = convertAnthropicToGoogle({
+                model,
+                messages: [
+                    { role: 'user', content: 'Run both' },
+                    {
+                        role: 'assistant', content: [
+                            { type: 'tool_use', id: 'toolu_1', name: 'run', input: {} },
+                            { type: 'tool_use', id: 'toolu_2', name: 'run', input: {} }
+                        ]
+                    },
+                    {
+                        role: 'user', content: [
+                            { type: 'tool_result', tool_use_id: 'toolu_1', content: [GIF] },
+                            { type: 'tool_result', tool_use_id: 'toolu_2', content: [SEARCH] }
+                        ]
+                    }
+                ]
+            });
+            const kinds = google.contents[2].parts.map(part => (part.functionResponse ? 'f' : 'm')).join('');
+            assert(kinds === 'ffm', `${model}: unexpected part order ${kinds}`);
+        }
+    });
+
+    await test('Top-level search results and text documents are no longer dropped', () => {
+        const google = convertAnthropicToGoogle({
+            model: MODELS.claude,
+            messages: [{ role: 'user', content: [SEARCH, TEXT_DOC, { type: 'text', text: 'Summarize' }] }]
+        });
+        const texts = google.contents[0].parts.map(part => part.text);
+        assert(texts[0].includes('Result A') && texts[0].includes('Snippet'), `Search result: ${texts[0]}`);
+        assert(texts[1] === 'notes.txt\n\nline one', `Document: ${texts[1]}`);
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});